@@ -36,6 +36,8 @@ if (!admin.apps.length) {
 }
 
 const db = admin.firestore();
+// Drop undefined fields like the memory store does, instead of failing the write
+db.settings({ ignoreUndefinedProperties: true });
 const auth = admin.auth();
 
 module.exports = { admin, db, auth };
@@ -0,0 +1,67 @@
+// controllers/analyticsController.js
+
+const repositories = require("../repositories");
+const accessControl = require("../services/accessControl");
+const readingAnalytics = require("../services/readingAnalytics");
+
+/**
+ * Analytics Controller
+ *
+ * Reading analytics for group owners: how many members opened each
+ * document, how long they spent on each page and where they stopped.
+ */
+
+/**
+ * Get Group Analytics
+ *
+ * Headline numbers for every document in the group.
+ */
+exports.getGroupAnalytics = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { uid } = req.user;
+
+        const groupData = await repositories.groups.get(groupId);
+        if (!groupData) {
+            return res.status(404).json({ message: 'Group not found' });
+        }
+
+        if (!accessControl.isGroupOwner(groupData, uid)) {
+            return res.status(403).json({ message: 'Only the group owner can view analytics' });
+        }
+
+        res.status(200).json({ documents: await readingAnalytics.groupAnalytics(groupData) });
+    } catch (error) {
+        console.error('Get Group Analytics Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get Document Analytics
+ *
+ * Per-page time, completion, drop-off and readers of one document.
+ */
+exports.getDocumentAnalytics = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const pdfData = await repositories.pdfs.get(pdfId);
+        if (!pdfData) {
+            return res.status(404).json({ message: 'PDF not found' });
+        }
+
+        const groupData = await repositories.groups.get(pdfData.groupId);
+        if (!groupData || !accessControl.isGroupOwner(groupData, uid)) {
+            return res.status(403).json({ message: 'Only the group owner can view analytics' });
+        }
+
+        res.status(200).json(await readingAnalytics.documentAnalytics(pdfData, groupData));
+    } catch (error) {
+        console.error('Get Document Analytics Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+module.exports = exports;
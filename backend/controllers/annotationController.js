@@ -0,0 +1,163 @@
+// controllers/annotationController.js
+
+const repositories = require("../repositories");
+const accessControl = require("../services/accessControl");
+const annotations = require("../services/annotations");
+
+const { randomUUID } = require("crypto");
+
+/**
+ * Annotation Controller
+ *
+ * A reader's private highlights and notes on a document. Every request
+ * only ever sees the caller's own annotations, and reading or writing them
+ * requires being able to open the document (membership, expiry, access
+ * list, availability). Annotations are not written to the group's audit
+ * log, which the owner can read.
+ */
+
+function sendNoStore(res, status, body) {
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(status).json(body);
+}
+
+/**
+ * The caller's annotation, or null (someone else's counts as missing)
+ */
+async function loadOwnAnnotation(uid, annotationId) {
+    const annotation = await repositories.annotations.get(annotationId);
+    return annotation && annotation.userId === uid ? annotation : null;
+}
+
+/**
+ * List Annotations
+ *
+ * The caller's annotations on a document, in reading order.
+ */
+exports.listAnnotations = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const list = await repositories.annotations.listByUserAndPdf(uid, pdfId);
+
+        sendNoStore(res, 200, { annotations: annotations.sortAnnotations(list) });
+    } catch (error) {
+        console.error('List Annotations Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Create Annotation
+ *
+ * Body: { page, type: 'highlight' | 'note', rects: [{ x, y, width, height }], color, note }
+ */
+exports.createAnnotation = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const validated = annotations.validateAnnotation(req.body);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const existing = await repositories.annotations.listByUserAndPdf(uid, pdfId);
+        if (existing.length >= annotations.MAX_PER_DOCUMENT) {
+            return res.status(400).json({ message: `You can keep at most ${annotations.MAX_PER_DOCUMENT} annotations per document` });
+        }
+
+        const now = new Date().toISOString();
+        const annotation = {
+            id: randomUUID(),
+            userId: uid,
+            pdfId,
+            groupId: access.pdfData.groupId,
+            ...validated.annotation,
+            // Positions refer to this version's pages
+            version: access.pdfData.version || 1,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await repositories.annotations.set(annotation.id, annotation);
+
+        sendNoStore(res, 201, { annotation });
+    } catch (error) {
+        console.error('Create Annotation Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update Annotation
+ *
+ * Body: { note, color } (either)
+ */
+exports.updateAnnotation = async (req, res) => {
+    try {
+        const { annotationId } = req.params;
+        const { uid } = req.user;
+
+        const annotation = await loadOwnAnnotation(uid, annotationId);
+        if (!annotation) {
+            return res.status(404).json({ message: 'Annotation not found' });
+        }
+
+        const access = await accessControl.loadDocument(uid, annotation.pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const validated = annotations.validateChanges(req.body, annotation);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
+
+        const changes = { ...validated.changes, updatedAt: new Date().toISOString() };
+        await repositories.annotations.update(annotationId, changes);
+
+        sendNoStore(res, 200, { annotation: { ...annotation, ...changes } });
+    } catch (error) {
+        console.error('Update Annotation Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Delete Annotation
+ *
+ * Authors can always delete their own annotations, even after losing
+ * access to the document.
+ */
+exports.deleteAnnotation = async (req, res) => {
+    try {
+        const { annotationId } = req.params;
+        const { uid } = req.user;
+
+        const annotation = await loadOwnAnnotation(uid, annotationId);
+        if (!annotation) {
+            return res.status(404).json({ message: 'Annotation not found' });
+        }
+
+        await repositories.annotations.delete(annotationId);
+
+        res.status(200).json({ message: 'Annotation deleted' });
+    } catch (error) {
+        console.error('Delete Annotation Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,152 @@
+// controllers/auditController.js
+
+const repositories = require("../repositories");
+const accessControl = require("../services/accessControl");
+const auditLog = require("../services/auditLog");
+const auditChain = require("../services/auditChain");
+
+const { randomUUID } = require("crypto");
+const uuidv4 = () => randomUUID();
+
+/**
+ * Audit Controller
+ *
+ * Owner-facing view of a group's activity log (`pdf_events`), its
+ * CSV/JSON export for compliance reviews and its integrity check.
+ */
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Load the group for its owner; `error` is a ready-made response
+ */
+async function loadOwnedGroup(uid, groupId) {
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) return { error: { status: 404, message: 'Group not found' } };
+
+    if (!accessControl.isGroupOwner(groupData, uid)) {
+        return { error: { status: 403, message: 'Only the group owner can view the audit log' } };
+    }
+    return { groupData };
+}
+
+/**
+ * Get Group Audit Log
+ *
+ * Query: pdfId, userId, action, from, to, page, pageSize
+ */
+exports.getGroupAuditLog = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { uid } = req.user;
+
+        const loaded = await loadOwnedGroup(uid, groupId);
+        if (loaded.error) {
+            return res.status(loaded.error.status).json({ message: loaded.error.message });
+        }
+
+        const parsed = auditLog.parseFilters(req.query);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        const paging = auditLog.parsePaging(req.query);
+        if (paging.error) {
+            return res.status(400).json({ message: paging.error });
+        }
+
+        res.status(200).json(await auditLog.queryAuditLog(groupId, parsed.filters, paging));
+    } catch (error) {
+        console.error('Get Audit Log Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Export Group Audit Log
+ *
+ * Query: format (csv | json), plus the same filters as the log itself.
+ * The export is itself recorded as an AUDIT_EXPORTED event.
+ */
+exports.exportGroupAuditLog = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { uid } = req.user;
+        const format = req.query.format || 'csv';
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const loaded = await loadOwnedGroup(uid, groupId);
+        if (loaded.error) {
+            return res.status(loaded.error.status).json({ message: loaded.error.message });
+        }
+
+        const parsed = auditLog.parseFilters(req.query);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        const { events, truncated } = await auditLog.exportAuditLog(groupId, parsed.filters);
+
+        await auditChain.append({
+            id: uuidv4(),
+            userId: uid,
+            action: 'AUDIT_EXPORTED',
+            pdfId: null,
+            groupId,
+            details: { format, rows: events.length, truncated, filters: parsed.filters },
+            timestamp: new Date().toISOString()
+        });
+
+        const filename = `audit-${groupId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        if (truncated) {
+            res.setHeader('X-Audit-Truncated', String(auditLog.MAX_EXPORT_ROWS));
+        }
+
+        if (format === 'json') {
+            return res.status(200).json({
+                groupId,
+                exportedAt: new Date().toISOString(),
+                exportedBy: uid,
+                filters: parsed.filters,
+                truncated,
+                events
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.status(200).send(auditLog.toCsv(events));
+    } catch (error) {
+        console.error('Export Audit Log Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Verify Group Audit Log
+ *
+ * Walks the group's hash chain and reports gaps, modified events and
+ * checkpoints that no longer match (see services/auditChain).
+ */
+exports.verifyGroupAuditLog = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { uid } = req.user;
+
+        const loaded = await loadOwnedGroup(uid, groupId);
+        if (loaded.error) {
+            return res.status(loaded.error.status).json({ message: loaded.error.message });
+        }
+
+        res.status(200).json(await auditChain.verifyGroup(groupId));
+    } catch (error) {
+        console.error('Verify Audit Log Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+module.exports = exports;
@@ -1,14 +1,14 @@
-const { db } = require('../config/firebase');
+const repositories = require('../repositories');
+const emailNotifications = require('../services/emailNotifications');
 
 exports.syncUser = async (req, res) => {
     try {
         const { uid, email, name, picture } = req.user;
 
-        const userRef = db.collection('users').doc(uid);
-        const userDoc = await userRef.get();
+        const existing = await repositories.users.get(uid);
 
-        if (!userDoc.exists) {
-            await userRef.set({
+        if (!existing) {
+            await repositories.users.set(uid, {
                 email,
                 name: name || '',
                 picture: picture || '',
@@ -29,7 +29,7 @@ exports.updateProfile = async (req, res) => {
         const { uid } = req.user;
         const { displayName, photoURL } = req.body;
 
-        await db.collection('users').doc(uid).update({
+        await repositories.users.update(uid, {
             name: displayName,
             picture: photoURL
         });
@@ -41,3 +41,75 @@ exports.updateProfile = async (req, res) => {
     }
 };
 
+/**
+ * Which notification emails the user receives
+ */
+exports.getEmailPreferences = async (req, res) => {
+    try {
+        const userData = await repositories.users.get(req.user.uid);
+
+        res.status(200).json({ preferences: emailNotifications.preferencesOf(userData) });
+    } catch (error) {
+        console.error('Error fetching email preferences:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Turn notification email categories on or off. Body: { invites, uploadDigest, ... }
+ */
+exports.updateEmailPreferences = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        const validated = emailNotifications.validatePreferences(req.body);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
+
+        await repositories.users.merge(uid, { emailPreferences: validated.preferences });
+
+        const userData = await repositories.users.get(uid);
+        res.status(200).json({
+            message: 'Email preferences updated',
+            preferences: emailNotifications.preferencesOf(userData)
+        });
+    } catch (error) {
+        console.error('Error updating email preferences:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+exports.getNotifications = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        const notifications = await repositories.notifications.find([['userId', '==', uid]]);
+        notifications.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+        res.status(200).json(notifications.slice(0, 50));
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+exports.markNotificationRead = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { notificationId } = req.params;
+
+        const notification = await repositories.notifications.get(notificationId);
+
+        if (!notification || notification.userId !== uid) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        await repositories.notifications.update(notificationId, { read: true });
+
+        res.status(200).json({ message: 'Notification marked as read' });
+    } catch (error) {
+        console.error('Error updating notification:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
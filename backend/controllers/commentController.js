@@ -0,0 +1,494 @@
+// controllers/commentController.js
+
+const repositories = require("../repositories");
+const accessControl = require("../services/accessControl");
+const auditChain = require("../services/auditChain");
+const comments = require("../services/comments");
+const notifications = require("../services/notifications");
+
+const { randomUUID } = require("crypto");
+
+/**
+ * Comment Controller
+ *
+ * Discussion threads on documents, shared with everyone who can open the
+ * document. Reading and writing requires access to the document
+ * (membership, expiry, access list, availability); mentions are limited
+ * to people who can open it too. Owners and admins moderate, and a
+ * moderator removing someone else's comment is recorded in the audit log.
+ */
+
+function sendNoStore(res, status, body) {
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(status).json(body);
+}
+
+function readMarkerId(pdfId, uid) {
+    return `${pdfId}_${uid}`;
+}
+
+async function displayNameOf(uid) {
+    const userData = (await repositories.users.get(uid)) || {};
+    return userData.name || userData.displayName || 'Member';
+}
+
+/**
+ * Mentioned users as { uid, name }, or an error if one of them cannot open
+ * the document
+ */
+async function resolveMentions(uids, pdfData, groupData) {
+    const mentions = [];
+    for (const uid of uids) {
+        if (accessControl.checkDocument(pdfData, groupData, uid)) {
+            return { error: 'You can only mention people who can open this document' };
+        }
+        mentions.push({ uid, name: await displayNameOf(uid) });
+    }
+    return { mentions };
+}
+
+/**
+ * Notify newly mentioned users. The message names the document and page
+ * only; the comment itself stays in the viewer.
+ */
+async function notifyMentions(mentions, comment, pdfData, page) {
+    for (const { uid } of mentions) {
+        if (uid === comment.authorId) continue;
+
+        await notifications.notifyUser(uid, {
+            type: 'COMMENT_MENTION',
+            message: `${comment.authorName} mentioned you on "${pdfData.title}" (page ${page})`,
+            groupId: pdfData.groupId,
+            data: { pdfId: pdfData.id, threadId: comment.threadId, commentId: comment.id, page }
+        });
+    }
+}
+
+/**
+ * Load a thread's first comment and check the caller can open its document
+ *
+ * @returns {Promise<{thread?: Object, pdfData?: Object, groupData?: Object, error?: string, status?: number, details?: Object}>}
+ */
+async function loadThread(uid, threadId) {
+    const thread = await repositories.comments.get(threadId);
+    if (!thread || thread.threadId !== thread.id) {
+        return { error: 'Thread not found', status: 404 };
+    }
+
+    const access = await accessControl.loadDocument(uid, thread.pdfId);
+    if (access.error) return access;
+
+    return { thread, ...access };
+}
+
+async function logCommentEvent(userId, action, comment, details = {}) {
+    try {
+        const event = {
+            id: randomUUID(),
+            userId,
+            action,
+            pdfId: comment.pdfId,
+            groupId: comment.groupId,
+            details: { ...details, commentId: comment.id, threadId: comment.threadId, authorId: comment.authorId },
+            timestamp: new Date().toISOString()
+        };
+
+        await auditChain.append(event);
+    } catch (error) {
+        console.error('Failed to log comment event:', error);
+    }
+}
+
+/**
+ * List Comments
+ *
+ * A document's threads in reading order, with when the caller last read
+ * them and whether they may moderate.
+ */
+exports.listComments = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const list = await repositories.comments.listByPdf(pdfId);
+        const marker = await repositories.commentReads.get(readMarkerId(pdfId, uid));
+
+        sendNoStore(res, 200, {
+            threads: comments.buildThreads(list),
+            lastReadAt: marker ? marker.lastReadAt : null,
+            canModerate: accessControl.isGroupManager(access.groupData, uid)
+        });
+    } catch (error) {
+        console.error('List Comments Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get Participants
+ *
+ * The people the caller can mention: other members who can open the
+ * document (names only).
+ */
+exports.getParticipants = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const { pdfData, groupData } = access;
+        const participants = [];
+        for (const memberId of groupData.members || []) {
+            if (memberId === uid || accessControl.checkDocument(pdfData, groupData, memberId)) continue;
+            participants.push({ uid: memberId, name: await displayNameOf(memberId) });
+        }
+        participants.sort((a, b) => a.name.localeCompare(b.name));
+
+        sendNoStore(res, 200, { participants });
+    } catch (error) {
+        console.error('Get Participants Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Create Thread
+ *
+ * Body: { page, rect?: { x, y, width, height }, body, mentions?: [uid] }
+ */
+exports.createThread = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const validated = comments.validateThread(req.body);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+        const { pdfData, groupData } = access;
+
+        const existing = await repositories.comments.listByPdf(pdfId);
+        if (existing.filter((comment) => comment.threadId === comment.id).length >= comments.MAX_THREADS_PER_DOCUMENT) {
+            return res.status(400).json({ message: 'This document has reached its limit of discussion threads' });
+        }
+
+        const mentions = await resolveMentions(validated.thread.mentions, pdfData, groupData);
+        if (mentions.error) {
+            return res.status(400).json({ message: mentions.error });
+        }
+
+        const id = randomUUID();
+        const now = new Date().toISOString();
+        const thread = {
+            id,
+            pdfId,
+            groupId: pdfData.groupId,
+            threadId: id,
+            authorId: uid,
+            authorName: await displayNameOf(uid),
+            body: validated.thread.body,
+            mentions: mentions.mentions,
+            page: validated.thread.page,
+            rect: validated.thread.rect,
+            // The anchor refers to this version's pages
+            version: pdfData.version || 1,
+            resolved: false,
+            resolvedBy: null,
+            resolvedAt: null,
+            removed: null,
+            createdAt: now,
+            updatedAt: now,
+            editedAt: null
+        };
+
+        await repositories.comments.set(id, thread);
+        await notifyMentions(thread.mentions, thread, pdfData, thread.page);
+
+        sendNoStore(res, 201, { thread: { ...thread, replies: [] } });
+    } catch (error) {
+        console.error('Create Thread Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Reply
+ *
+ * Body: { body, mentions?: [uid] }. Replying to a resolved thread
+ * reopens it.
+ */
+exports.reply = async (req, res) => {
+    try {
+        const { threadId } = req.params;
+        const { uid } = req.user;
+
+        const validated = comments.validateComment(req.body);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
+
+        const loaded = await loadThread(uid, threadId);
+        if (loaded.error) {
+            return res.status(loaded.status).json({ message: loaded.error, ...loaded.details });
+        }
+        const { thread, pdfData, groupData } = loaded;
+
+        const existing = await repositories.comments.listByPdf(thread.pdfId);
+        if (existing.filter((comment) => comment.threadId === threadId).length > comments.MAX_REPLIES) {
+            return res.status(400).json({ message: 'This thread has reached its limit of replies' });
+        }
+
+        const mentions = await resolveMentions(validated.comment.mentions, pdfData, groupData);
+        if (mentions.error) {
+            return res.status(400).json({ message: mentions.error });
+        }
+
+        const now = new Date().toISOString();
+        const comment = {
+            id: randomUUID(),
+            pdfId: thread.pdfId,
+            groupId: thread.groupId,
+            threadId,
+            authorId: uid,
+            authorName: await displayNameOf(uid),
+            body: validated.comment.body,
+            mentions: mentions.mentions,
+            removed: null,
+            createdAt: now,
+            updatedAt: now,
+            editedAt: null
+        };
+
+        await repositories.comments.set(comment.id, comment);
+        if (thread.resolved) {
+            await repositories.comments.update(threadId, { resolved: false, resolvedBy: null, resolvedAt: null, updatedAt: now });
+        }
+        await notifyMentions(comment.mentions, comment, pdfData, thread.page);
+
+        sendNoStore(res, 201, { comment });
+    } catch (error) {
+        console.error('Reply Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Set Resolved
+ *
+ * Body: { resolved: boolean }. The thread's author, owners and admins can
+ * resolve or reopen a thread.
+ */
+exports.setResolved = async (req, res) => {
+    try {
+        const { threadId } = req.params;
+        const { uid } = req.user;
+        const { resolved } = req.body || {};
+
+        if (typeof resolved !== 'boolean') {
+            return res.status(400).json({ message: 'resolved must be true or false' });
+        }
+
+        const loaded = await loadThread(uid, threadId);
+        if (loaded.error) {
+            return res.status(loaded.status).json({ message: loaded.error, ...loaded.details });
+        }
+        const { thread, groupData } = loaded;
+
+        if (thread.authorId !== uid && !accessControl.isGroupManager(groupData, uid)) {
+            return res.status(403).json({ message: 'Only the author, owners and admins can resolve this thread' });
+        }
+
+        const now = new Date().toISOString();
+        const changes = resolved
+            ? { resolved: true, resolvedBy: uid, resolvedAt: now, updatedAt: now }
+            : { resolved: false, resolvedBy: null, resolvedAt: null, updatedAt: now };
+        await repositories.comments.update(threadId, changes);
+
+        sendNoStore(res, 200, { message: resolved ? 'Thread resolved' : 'Thread reopened', ...changes });
+    } catch (error) {
+        console.error('Set Resolved Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update Comment
+ *
+ * Body: { body, mentions?: [uid] }. Authors edit their own comments;
+ * people newly mentioned are notified.
+ */
+exports.updateComment = async (req, res) => {
+    try {
+        const { commentId } = req.params;
+        const { uid } = req.user;
+
+        const comment = await repositories.comments.get(commentId);
+        if (!comment || comment.removed) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+        if (comment.authorId !== uid) {
+            return res.status(403).json({ message: 'Only the author can edit a comment' });
+        }
+
+        const validated = comments.validateComment(req.body);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
+
+        const access = await accessControl.loadDocument(uid, comment.pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const mentions = await resolveMentions(validated.comment.mentions, access.pdfData, access.groupData);
+        if (mentions.error) {
+            return res.status(400).json({ message: mentions.error });
+        }
+
+        const now = new Date().toISOString();
+        const changes = { body: validated.comment.body, mentions: mentions.mentions, updatedAt: now, editedAt: now };
+        await repositories.comments.update(commentId, changes);
+
+        const alreadyMentioned = new Set((comment.mentions || []).map((mention) => mention.uid));
+        const thread = comment.threadId === comment.id ? comment : await repositories.comments.get(comment.threadId);
+        await notifyMentions(
+            mentions.mentions.filter((mention) => !alreadyMentioned.has(mention.uid)),
+            comment,
+            access.pdfData,
+            thread.page
+        );
+
+        sendNoStore(res, 200, { comment: { ...comment, ...changes } });
+    } catch (error) {
+        console.error('Update Comment Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Remove Comment
+ *
+ * Authors can remove their own comments (even after losing access to the
+ * document); owners and admins can remove anyone's. The comment keeps its
+ * place in the thread without its text.
+ */
+exports.removeComment = async (req, res) => {
+    try {
+        const { commentId } = req.params;
+        const { uid } = req.user;
+
+        const comment = await repositories.comments.get(commentId);
+        if (!comment || comment.removed) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const isAuthor = comment.authorId === uid;
+        if (!isAuthor) {
+            const groupData = await repositories.groups.get(comment.groupId);
+            if (!groupData || !accessControl.isGroupManager(groupData, uid)) {
+                return res.status(403).json({ message: 'Only the author, owners and admins can remove a comment' });
+            }
+        }
+
+        const now = new Date().toISOString();
+        const removed = { by: uid, at: now, moderated: !isAuthor };
+        await repositories.comments.update(commentId, { removed, updatedAt: now });
+
+        if (!isAuthor) {
+            await logCommentEvent(uid, 'COMMENT_REMOVED', comment);
+        }
+
+        res.status(200).json({ message: 'Comment removed', removed });
+    } catch (error) {
+        console.error('Remove Comment Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Mark Read
+ *
+ * Everything on the document up to now counts as read by the caller.
+ */
+exports.markRead = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const lastReadAt = new Date().toISOString();
+        await repositories.commentReads.set(readMarkerId(pdfId, uid), {
+            userId: uid,
+            pdfId,
+            groupId: access.pdfData.groupId,
+            lastReadAt
+        });
+
+        res.status(200).json({ lastReadAt });
+    } catch (error) {
+        console.error('Mark Read Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get Unread Counts
+ *
+ * Comments by others the caller has not read yet, per document of the
+ * group they can see: { unread: { [pdfId]: count } }.
+ */
+exports.getUnreadCounts = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { uid } = req.user;
+
+        const access = await accessControl.loadGroup(uid, groupId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const pdfs = accessControl.visibleDocuments(await repositories.pdfs.listByGroup(groupId), access.groupData, uid);
+        const visible = new Set(pdfs.map((pdf) => pdf.id));
+
+        const byPdf = new Map();
+        for (const comment of await repositories.comments.listByGroup(groupId)) {
+            if (!visible.has(comment.pdfId)) continue;
+            if (!byPdf.has(comment.pdfId)) byPdf.set(comment.pdfId, []);
+            byPdf.get(comment.pdfId).push(comment);
+        }
+
+        const markers = await repositories.commentReads.find([['userId', '==', uid], ['groupId', '==', groupId]]);
+        const lastReadAt = new Map(markers.map((marker) => [marker.pdfId, marker.lastReadAt]));
+
+        const unread = {};
+        for (const [pdfId, list] of byPdf) {
+            const count = comments.countUnread(list, uid, lastReadAt.get(pdfId));
+            if (count > 0) unread[pdfId] = count;
+        }
+
+        sendNoStore(res, 200, { unread });
+    } catch (error) {
+        console.error('Get Unread Counts Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+module.exports = exports;
@@ -1,6 +1,11 @@
 // controllers/groupController.js
 
-const { db, admin } = require("../config/firebase");
+const repositories = require("../repositories");
+const securityPolicy = require("../services/securityPolicy");
+const accessControl = require("../services/accessControl");
+const invites = require("../services/invites");
+const { notifyUser, notifyGroupOwners } = require("../services/notifications");
+const emailNotifications = require("../services/emailNotifications");
 
 // ✅ FIX: replace ESM-only uuid package with Node built-in UUID
 const { randomUUID } = require("crypto");
@@ -11,6 +16,80 @@ function makeInviteCode(len = 8) {
   return uuidv4().replace(/-/g, "").slice(0, len);
 }
 
+// Roles an owner can hand out; "owner" only moves via transferOwnership
+const ASSIGNABLE_ROLES = ["admin", "member"];
+
+// Longest single membership extension
+const MAX_EXTENSION_DAYS = 3650;
+const MAX_RENEWAL_MESSAGE_LENGTH = 1000;
+
+const { isGroupOwner, isGroupManager } = accessControl;
+
+function isValidExtension(days) {
+  return Number.isInteger(days) && days > 0 && days <= MAX_EXTENSION_DAYS;
+}
+
+// New expiry `days` after the current one (or after now, if it already lapsed)
+function extendedExpiry(groupData, memberId, days) {
+  const current = accessControl.membershipExpiry(groupData, memberId);
+  const base = current && new Date(current) > new Date() ? new Date(current) : new Date();
+  base.setDate(base.getDate() + days);
+  return base.toISOString();
+}
+
+function renewalRequestId(groupId, uid) {
+  return `${groupId}_${uid}`;
+}
+
+// Store a new invite for the group with validated options
+async function createInvite(groupId, createdBy, options) {
+  const code = makeInviteCode(8);
+  const inviteData = {
+    groupId,
+    code,
+    ...options,
+    uses: 0,
+    redemptions: [],
+    createdBy,
+    createdAt: new Date().toISOString(),
+    used: false,
+    revoked: false,
+  };
+
+  await repositories.invites.set(code, inviteData);
+  return inviteData;
+}
+
+// Load an invite of the group for a manager; `error` is a ready-made response
+async function loadManagedInvite(groupId, code, uid) {
+  const groupData = await repositories.groups.get(groupId);
+  if (!groupData) return { error: { status: 404, message: "Group not found" } };
+
+  if (!isGroupManager(groupData, uid)) {
+    return { error: { status: 403, message: "Only admins can manage invites" } };
+  }
+
+  const inviteData = await repositories.invites.get(code);
+  if (!inviteData || inviteData.groupId !== groupId) {
+    return { error: { status: 404, message: "Invite not found" } };
+  }
+
+  return { groupData, inviteData };
+}
+
+// Close a member's pending renewal request, if there is one
+async function resolveRenewalRequest(groupId, memberId, resolvedBy, status) {
+  const requestId = renewalRequestId(groupId, memberId);
+  const request = await repositories.renewalRequests.get(requestId);
+  if (!request || request.status !== "pending") return;
+
+  await repositories.renewalRequests.update(requestId, {
+    status,
+    resolvedBy,
+    resolvedAt: new Date().toISOString(),
+  });
+}
+
 exports.createGroup = async (req, res) => {
   try {
     const { name, description } = req.body;
@@ -41,7 +120,7 @@ exports.createGroup = async (req, res) => {
       createdAt: new Date().toISOString(),
     };
 
-    await db.collection("groups").doc(groupData.id).set(groupData);
+    await repositories.groups.set(groupData.id, groupData);
 
     res.status(201).json({ message: "Group created", group: groupData });
   } catch (error) {
@@ -54,13 +133,7 @@ exports.getUserGroups = async (req, res) => {
   try {
     const { uid } = req.user;
 
-    const snapshot = await db
-      .collection("groups")
-      .where("members", "array-contains", uid)
-      .get();
-
-    const groups = [];
-    snapshot.forEach((doc) => groups.push(doc.data()));
+    const groups = await repositories.groups.listForMember(uid);
 
     res.status(200).json(groups);
   } catch (error) {
@@ -69,68 +142,90 @@ exports.getUserGroups = async (req, res) => {
   }
 };
 
+// Group details for its members; lapsed members still see the group so they can ask for a renewal
 exports.getGroup = async (req, res) => {
   try {
     const { groupId } = req.params;
+    const { uid } = req.user;
 
-    const doc = await db.collection("groups").doc(groupId).get();
-    if (!doc.exists) return res.status(404).json({ message: "Group not found" });
+    const access = await accessControl.loadGroup(uid, groupId, { allowExpired: true });
+    if (access.error) {
+      return res.status(access.status).json({ message: access.error, ...access.details });
+    }
 
-    const groupData = doc.data();
+    const { groupData } = access;
 
     // Fetch creator details
     let creatorName = "Unknown";
     if (groupData.createdBy) {
-      const userDoc = await db.collection("users").doc(groupData.createdBy).get();
-      if (userDoc.exists) {
-        creatorName = userDoc.data().name || userDoc.data().displayName || "Unknown";
+      const creator = await repositories.users.get(groupData.createdBy);
+      if (creator) {
+        creatorName = creator.name || creator.displayName || "Unknown";
       }
     }
 
-    res.status(200).json({ ...groupData, creatorName });
+    const membership = {
+      role: accessControl.roleOf(groupData, uid),
+      expiresAt: accessControl.membershipExpiry(groupData, uid),
+      expired: accessControl.isMembershipExpired(groupData, uid),
+      renewalRequest: await repositories.renewalRequests.get(renewalRequestId(groupId, uid)),
+    };
+
+    res.status(200).json({ ...groupData, creatorName, membership });
   } catch (error) {
     console.error("Get Group Error:", error);
     res.status(500).json({ message: "Internal Server Error" });
   }
 };
 
+// Create an invite link (admin only). Body: { durationDays, maxUses, expiresInHours | expiresAt, role, allowedEmails, allowedDomains, emailTo }
+// The link is emailed to `emailTo`, or to the allowed emails when that is left out
 exports.generateInvite = async (req, res) => {
   try {
     const { groupId } = req.params;
     const { uid } = req.user;
 
-    const groupRef = db.collection("groups").doc(groupId);
-    const groupDoc = await groupRef.get();
+    const groupData = await repositories.groups.get(groupId);
 
-    if (!groupDoc.exists) {
+    if (!groupData) {
       return res.status(404).json({ message: "Group not found" });
     }
 
-    const groupData = groupDoc.data();
-
     // Check if user is owner or admin via roles map
-    const userRole = groupData.roles ? groupData.roles[uid] : null;
-    const isOwner = groupData.createdBy === uid;
-
-    if (!isOwner && userRole !== "owner" && userRole !== "admin") {
+    if (!isGroupManager(groupData, uid)) {
       return res.status(403).json({ message: "Only admins can generate invites" });
     }
 
-    const inviteCode = makeInviteCode(8);
-    const durationDays = Number(req.body?.durationDays ?? 30);
+    const validated = invites.validateOptions(req.body || {});
+    if (validated.error) {
+      return res.status(400).json({ message: validated.error });
+    }
 
-    const inviteData = {
-      groupId,
-      code: inviteCode,
-      durationDays: Number.isFinite(durationDays) ? Math.max(0, Math.floor(durationDays)) : 30,
-      createdBy: uid,
-      createdAt: new Date().toISOString(),
-      used: false,
-    };
+    const recipients = req.body?.emailTo === undefined
+      ? { list: validated.options.allowedEmails }
+      : invites.validateEmailList(req.body.emailTo);
+    if (recipients.error) {
+      return res.status(400).json({ message: recipients.error });
+    }
+
+    // Only the owner may hand out admin rights
+    if (validated.options.role === "admin" && !isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the owner can create admin invites" });
+    }
+
+    const inviteData = await createInvite(groupId, uid, validated.options);
 
-    await db.collection("invites").doc(inviteCode).set(inviteData);
+    let emails;
+    if (recipients.list.length > 0) {
+      const inviter = await repositories.users.get(uid);
+      emails = await emailNotifications.sendInviteEmails(recipients.list, {
+        groupData,
+        inviteData,
+        inviterName: (inviter && (inviter.name || inviter.displayName)) || req.user.email || "A group admin",
+      });
+    }
 
-    res.json({ inviteCode });
+    res.json({ inviteCode: inviteData.code, invite: inviteData, emails });
   } catch (error) {
     console.error("Generate Invite Error:", error);
     res.status(500).json({ message: "Internal Server Error" });
@@ -140,79 +235,87 @@ exports.generateInvite = async (req, res) => {
 exports.joinGroup = async (req, res) => {
   try {
     const { inviteCode } = req.body;
-    const { uid } = req.user;
+    const { uid, email } = req.user;
 
     if (!inviteCode) return res.status(400).json({ message: "Invite code required" });
 
     // 1) Check invites collection first
-    const inviteRef = db.collection("invites").doc(inviteCode);
-    const inviteDoc = await inviteRef.get();
+    const inviteData = await repositories.invites.get(inviteCode);
 
     let groupId, durationDays;
-    let isNewSystem = false;
+    let inviteRole = "member";
 
-    if (inviteDoc.exists) {
-      const inviteData = inviteDoc.data();
-
-      if (inviteData.used) {
-        return res
-          .status(403)
-          .json({ message: "This link is expired or has already been used." });
+    if (inviteData) {
+      const denied = invites.checkRedeemable(inviteData, { uid, email });
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.error });
       }
 
       groupId = inviteData.groupId;
       durationDays = inviteData.durationDays;
-      isNewSystem = true;
+      inviteRole = inviteData.role || "member";
     } else {
       // 2) Legacy fallback
-      const snapshot = await db
-        .collection("groups")
-        .where("inviteCode", "==", inviteCode)
-        .limit(1)
-        .get();
+      const legacyGroup = await repositories.groups.findByInviteCode(inviteCode);
 
-      if (snapshot.empty) {
+      if (!legacyGroup) {
         return res.status(404).json({ message: "Invalid invite code" });
       }
 
-      const legacyDoc = snapshot.docs[0];
-      groupId = legacyDoc.id;
-      durationDays = legacyDoc.data().inviteDuration;
+      groupId = legacyGroup.id;
+      durationDays = legacyGroup.inviteDuration;
     }
 
     // Fetch group
-    const groupRef = db.collection("groups").doc(groupId);
-    const groupDoc = await groupRef.get();
-    if (!groupDoc.exists) return res.status(404).json({ message: "Group not found" });
-
-    const groupData = groupDoc.data();
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) return res.status(404).json({ message: "Group not found" });
+
+    // Re-joining never demotes: owners and admins keep their role
+    const currentRole = accessControl.roleOf(groupData, uid);
+    const alreadyRedeemed = !!inviteData && (inviteData.redemptions || []).some((redemption) => redemption.uid === uid);
+
+    // A code grants (or extends) a membership once. Existing members
+    // re-using their code, or the shared legacy code, keep their membership
+    // as it is; lapsed members renew through the owner instead.
+    if (currentRole && (!inviteData || alreadyRedeemed)) {
+      if (accessControl.isMembershipExpired(groupData, uid)) {
+        return res.status(403).json({
+          message: "Your membership has expired. Ask the group owner to renew it.",
+          membershipExpired: true,
+          expiredAt: accessControl.membershipExpiry(groupData, uid),
+        });
+      }
+      return res.status(200).json({ message: "Already a member", groupId });
+    }
 
     let message = "Joined group successfully";
-    if (groupData.members && groupData.members.includes(uid)) {
+    if (currentRole) {
       message = "Membership updated";
     }
+    const role = currentRole === "owner" || currentRole === "admin" ? currentRole : inviteRole;
 
-    const updateData = {
-      members: admin.firestore.FieldValue.arrayUnion(uid),
-      [`roles.${uid}`]: "member",
-    };
-
-    // Apply duration from invite used
+    // Apply duration from invite used (owners/admins never expire). A new
+    // code extends a current member's time; members without an expiry keep none.
+    let expiresAt = null;
     const days = Number(durationDays);
-    if (Number.isFinite(days) && days > 0) {
-      const expiryDate = new Date();
-      expiryDate.setDate(expiryDate.getDate() + Math.floor(days));
-      updateData[`memberExpiry.${uid}`] = expiryDate.toISOString();
+    const hasExpiry = !currentRole || !!accessControl.membershipExpiry(groupData, uid);
+    if (role === "member" && Number.isFinite(days) && days > 0 && hasExpiry) {
+      expiresAt = extendedExpiry(groupData, uid, Math.floor(days));
     }
 
-    await groupRef.update(updateData);
+    // Claim a use of the code before joining, so concurrent joins can't exceed maxUses
+    if (inviteData && !alreadyRedeemed) {
+      const denied = await invites.redeem(inviteCode, { uid, email });
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.error });
+      }
+    }
 
-    if (isNewSystem) {
-      await inviteRef.update({
-        used: true,
-        usedBy: uid,
-        usedAt: new Date().toISOString(),
-      });
+    await repositories.groups.addMember(groupId, uid, { role, expiresAt });
+
+    // Admins never expire, so drop any expiry left from an earlier membership
+    if (role !== "member" && accessControl.membershipExpiry(groupData, uid)) {
+      await repositories.groups.setMemberExpiry(groupId, uid, null);
     }
 
     res.status(200).json({ message, groupId });
@@ -222,30 +325,204 @@ exports.joinGroup = async (req, res) => {
   }
 };
 
-exports.getGroupMembers = async (req, res) => {
+// Invite links of the group with their status and who redeemed them (admin only)
+exports.getInvites = async (req, res) => {
   try {
     const { groupId } = req.params;
     const { uid } = req.user;
 
-    const groupDoc = await db.collection("groups").doc(groupId).get();
-    if (!groupDoc.exists) {
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
       return res.status(404).json({ message: "Group not found" });
     }
 
-    const groupData = groupDoc.data();
+    if (!isGroupManager(groupData, uid)) {
+      return res.status(403).json({ message: "Only admins can view invites" });
+    }
 
-    // Check if requester is admin/owner
-    const userRole = groupData.roles ? groupData.roles[uid] : null;
-    const isOwner = groupData.createdBy === uid;
+    const names = new Map();
+    const nameOf = async (userId) => {
+      if (!names.has(userId)) {
+        const userData = (await repositories.users.get(userId)) || {};
+        names.set(userId, userData.name || userData.displayName || "Unknown");
+      }
+      return names.get(userId);
+    };
+
+    const list = await repositories.invites.listByGroup(groupId);
+    const result = [];
+    for (const inviteData of list) {
+      // Legacy invites recorded only their last redeemer
+      const redemptions = inviteData.redemptions
+        || (inviteData.usedBy ? [{ uid: inviteData.usedBy, email: null, at: inviteData.usedAt || null }] : []);
+
+      const redeemedBy = [];
+      for (const redemption of redemptions) {
+        redeemedBy.push({ ...redemption, name: await nameOf(redemption.uid) });
+      }
+
+      result.push({
+        code: inviteData.code,
+        role: inviteData.role || "member",
+        durationDays: inviteData.durationDays ?? null,
+        maxUses: invites.maxUsesOf(inviteData),
+        uses: invites.usesOf(inviteData),
+        expiresAt: inviteData.expiresAt || null,
+        allowedEmails: inviteData.allowedEmails || [],
+        allowedDomains: inviteData.allowedDomains || [],
+        status: invites.statusOf(inviteData),
+        createdBy: inviteData.createdBy,
+        createdByName: await nameOf(inviteData.createdBy),
+        createdAt: inviteData.createdAt,
+        redeemedBy,
+      });
+    }
+
+    result.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+    res.status(200).json({
+      invites: result,
+      legacyInviteCode: isGroupOwner(groupData, uid) ? groupData.inviteCode || null : undefined,
+    });
+  } catch (error) {
+    console.error("Get Invites Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Revoke an invite link so it can no longer be used (admin only)
+exports.revokeInvite = async (req, res) => {
+  try {
+    const { groupId, code } = req.params;
+    const { uid } = req.user;
+
+    const loaded = await loadManagedInvite(groupId, code, uid);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
+
+    if (!loaded.inviteData.revoked) {
+      await repositories.invites.revoke(code, uid);
+    }
+
+    res.status(200).json({ message: "Invite revoked", code });
+  } catch (error) {
+    console.error("Revoke Invite Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Replace an invite link with a fresh code and the same options; the old code stops working (admin only)
+exports.rotateInvite = async (req, res) => {
+  try {
+    const { groupId, code } = req.params;
+    const { uid } = req.user;
+
+    const loaded = await loadManagedInvite(groupId, code, uid);
+    if (loaded.error) {
+      return res.status(loaded.error.status).json({ message: loaded.error.message });
+    }
 
-    if (!isOwner && userRole !== "owner" && userRole !== "admin") {
+    const { groupData, inviteData } = loaded;
+    const role = inviteData.role || "member";
+    if (role === "admin" && !isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the owner can create admin invites" });
+    }
+
+    // The new link gets as long to live as the old one had
+    let expiresAt = null;
+    if (inviteData.expiresAt && inviteData.createdAt) {
+      const lifetime = new Date(inviteData.expiresAt) - new Date(inviteData.createdAt);
+      expiresAt = new Date(Date.now() + Math.max(lifetime, 0)).toISOString();
+    }
+
+    if (!inviteData.revoked) {
+      await repositories.invites.revoke(code, uid);
+    }
+
+    const rotated = await createInvite(groupId, uid, {
+      durationDays: inviteData.durationDays ?? 30,
+      maxUses: invites.maxUsesOf(inviteData),
+      expiresAt,
+      role,
+      allowedEmails: inviteData.allowedEmails || [],
+      allowedDomains: inviteData.allowedDomains || [],
+    });
+
+    res.status(200).json({ message: "Invite rotated", inviteCode: rotated.code, invite: rotated });
+  } catch (error) {
+    console.error("Rotate Invite Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Give the group a new legacy (group-level) invite code (owner only)
+exports.rotateGroupInviteCode = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the owner can change the group invite code" });
+    }
+
+    const inviteCode = makeInviteCode(8);
+    await repositories.groups.update(groupId, { inviteCode });
+
+    res.status(200).json({ message: "Group invite code rotated", inviteCode });
+  } catch (error) {
+    console.error("Rotate Group Invite Code Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Turn off the legacy (group-level) invite code (owner only)
+exports.disableGroupInviteCode = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the owner can change the group invite code" });
+    }
+
+    await repositories.groups.clearInviteCode(groupId);
+
+    res.status(200).json({ message: "Group invite code disabled" });
+  } catch (error) {
+    console.error("Disable Group Invite Code Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+exports.getGroupMembers = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    // Check if requester is admin/owner
+    if (!isGroupManager(groupData, uid)) {
       return res.status(403).json({ message: "Only admins can view members" });
     }
 
     const memberDetails = [];
     for (const memberId of groupData.members || []) {
-      const userDoc = await db.collection("users").doc(memberId).get();
-      const userData = userDoc.exists ? userDoc.data() : {};
+      const userData = (await repositories.users.get(memberId)) || {};
 
       memberDetails.push({
         uid: memberId,
@@ -258,6 +535,7 @@ exports.getGroupMembers = async (req, res) => {
           ? "owner"
           : "member",
         expiryDate: groupData.memberExpiry ? groupData.memberExpiry[memberId] : null,
+        suspended: !!userData.disabled,
       });
     }
 
@@ -274,50 +552,441 @@ exports.removeMember = async (req, res) => {
     const { groupId, memberId } = req.params;
     const { uid } = req.user;
 
-    const groupRef = db.collection("groups").doc(groupId);
-    const groupDoc = await groupRef.get();
+    const groupData = await repositories.groups.get(groupId);
 
-    if (!groupDoc.exists) {
+    if (!groupData) {
       return res.status(404).json({ message: "Group not found" });
     }
 
-    const groupData = groupDoc.data();
-
     // Check if requester is admin/owner
-    const userRole = groupData.roles ? groupData.roles[uid] : null;
-    const isOwner = groupData.createdBy === uid;
-
-    if (!isOwner && userRole !== "owner" && userRole !== "admin") {
+    if (!isGroupManager(groupData, uid)) {
       return res.status(403).json({ message: "Only admins can remove members" });
     }
 
     // Cannot remove the owner
-    if (memberId === groupData.createdBy || (groupData.roles && groupData.roles[memberId] === "owner")) {
+    if (isGroupOwner(groupData, memberId)) {
       return res.status(403).json({ message: "Cannot remove the group owner" });
     }
 
+    // Admins can only be removed by the owner
+    if (groupData.roles && groupData.roles[memberId] === "admin" && !isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can remove admins" });
+    }
+
     // Check if member exists in group
     if (!groupData.members || !groupData.members.includes(memberId)) {
       return res.status(404).json({ message: "Member not found in group" });
     }
 
-    const updateData = {
-      members: admin.firestore.FieldValue.arrayRemove(memberId),
+    // Also drops their role + memberExpiry
+    await repositories.groups.removeMember(groupId, memberId);
+
+    res.status(200).json({ message: "Member removed successfully" });
+  } catch (error) {
+    console.error("Remove Member Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Promote a member to admin or demote an admin (owner only)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const { groupId, memberId } = req.params;
+    const { uid } = req.user;
+    const { role } = req.body || {};
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}` });
+    }
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can change roles" });
+    }
+
+    if (!groupData.members || !groupData.members.includes(memberId)) {
+      return res.status(404).json({ message: "Member not found in group" });
+    }
+
+    if (isGroupOwner(groupData, memberId)) {
+      return res.status(400).json({ message: "Transfer ownership to change the owner's role" });
+    }
+
+    await repositories.groups.setRole(groupId, memberId, role);
+
+    await notifyUser(memberId, {
+      type: "ROLE_CHANGED",
+      message: `[${groupData.name}] You are now ${role === "admin" ? "an admin" : "a member"}.`,
+      groupId,
+      data: { role, changedBy: uid },
+    });
+
+    res.status(200).json({ message: "Role updated", uid: memberId, role });
+  } catch (error) {
+    console.error("Update Member Role Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Make another member the owner; the current owner becomes an admin
+exports.transferOwnership = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+    const { memberId } = req.body || {};
+
+    if (!memberId) {
+      return res.status(400).json({ message: "memberId is required" });
+    }
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can transfer ownership" });
+    }
+
+    if (memberId === uid) {
+      return res.status(400).json({ message: "You already own this group" });
+    }
+
+    if (!groupData.members || !groupData.members.includes(memberId)) {
+      return res.status(404).json({ message: "Member not found in group" });
+    }
+
+    await repositories.groups.transferOwnership(groupId, uid, memberId);
+
+    await notifyUser(memberId, {
+      type: "OWNERSHIP_TRANSFERRED",
+      message: `[${groupData.name}] You are now the owner of this group.`,
+      groupId,
+      data: { previousOwner: uid },
+    });
+
+    res.status(200).json({ message: "Ownership transferred", owner: memberId });
+  } catch (error) {
+    console.error("Transfer Ownership Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Set or extend one member's expiry (owner only). Body: { days } extends, { expiresAt: null } removes the expiry
+exports.updateMemberExpiry = async (req, res) => {
+  try {
+    const { groupId, memberId } = req.params;
+    const { uid } = req.user;
+    const { days, expiresAt } = req.body || {};
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can change membership expiry" });
+    }
+
+    if (!groupData.members || !groupData.members.includes(memberId)) {
+      return res.status(404).json({ message: "Member not found in group" });
+    }
+
+    if (isGroupManager(groupData, memberId)) {
+      return res.status(400).json({ message: "Owners and admins do not expire" });
+    }
+
+    let newExpiry;
+    if (days !== undefined) {
+      if (!isValidExtension(days)) {
+        return res.status(400).json({ message: `days must be a whole number from 1 to ${MAX_EXTENSION_DAYS}` });
+      }
+      newExpiry = extendedExpiry(groupData, memberId, days);
+    } else if (expiresAt === null) {
+      newExpiry = null;
+    } else {
+      const date = new Date(expiresAt);
+      if (!expiresAt || Number.isNaN(date.getTime()) || date <= new Date()) {
+        return res.status(400).json({ message: "Provide days to extend by, or a future expiresAt (null for no expiry)" });
+      }
+      newExpiry = date.toISOString();
+    }
+
+    await repositories.groups.setMemberExpiry(groupId, memberId, newExpiry);
+    await resolveRenewalRequest(groupId, memberId, uid, "approved");
+
+    await notifyUser(memberId, {
+      type: "MEMBERSHIP_EXTENDED",
+      message: newExpiry
+        ? `[${groupData.name}] Your access now runs until ${new Date(newExpiry).toLocaleDateString()}.`
+        : `[${groupData.name}] Your access no longer expires.`,
+      groupId,
+      data: { expiresAt: newExpiry, changedBy: uid },
+    });
+
+    res.status(200).json({ message: "Membership expiry updated", uid: memberId, expiresAt: newExpiry });
+  } catch (error) {
+    console.error("Update Member Expiry Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Extend several members at once (owner only). Body: { memberIds, days }; owners/admins are skipped
+exports.extendMembers = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+    const { memberIds, days } = req.body || {};
+
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      return res.status(400).json({ message: "memberIds must be a non-empty list" });
+    }
+    if (!isValidExtension(days)) {
+      return res.status(400).json({ message: `days must be a whole number from 1 to ${MAX_EXTENSION_DAYS}` });
+    }
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can change membership expiry" });
+    }
+
+    const updated = [];
+    const skipped = [];
+    for (const memberId of new Set(memberIds)) {
+      const isMember = groupData.members && groupData.members.includes(memberId);
+      if (!isMember || isGroupManager(groupData, memberId)) {
+        skipped.push(memberId);
+        continue;
+      }
+
+      const expiresAt = extendedExpiry(groupData, memberId, days);
+      await repositories.groups.setMemberExpiry(groupId, memberId, expiresAt);
+      await resolveRenewalRequest(groupId, memberId, uid, "approved");
+
+      await notifyUser(memberId, {
+        type: "MEMBERSHIP_EXTENDED",
+        message: `[${groupData.name}] Your access now runs until ${new Date(expiresAt).toLocaleDateString()}.`,
+        groupId,
+        data: { expiresAt, changedBy: uid },
+      });
+
+      updated.push({ uid: memberId, expiresAt });
+    }
+
+    res.status(200).json({ message: `Extended ${updated.length} member(s)`, updated, skipped });
+  } catch (error) {
+    console.error("Extend Members Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// A member (usually one whose access lapsed) asks the owners for more time. Body: { message }
+exports.requestRenewal = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid, email } = req.user;
+    const message = typeof (req.body || {}).message === "string" ? req.body.message.trim() : "";
+
+    const access = await accessControl.loadGroup(uid, groupId, { allowExpired: true });
+    if (access.error) {
+      return res.status(access.status).json({ message: access.error, ...access.details });
+    }
+
+    const { groupData } = access;
+    if (isGroupManager(groupData, uid)) {
+      return res.status(400).json({ message: "Owners and admins do not expire" });
+    }
+
+    const requestId = renewalRequestId(groupId, uid);
+    const existing = await repositories.renewalRequests.get(requestId);
+    if (existing && existing.status === "pending") {
+      return res.status(409).json({ message: "A renewal request is already pending", request: existing });
+    }
+
+    const request = {
+      id: requestId,
+      groupId,
+      userId: uid,
+      email: email || null,
+      message: message.slice(0, MAX_RENEWAL_MESSAGE_LENGTH),
+      expiresAt: accessControl.membershipExpiry(groupData, uid),
+      status: "pending",
+      createdAt: new Date().toISOString(),
     };
 
-    // Remove from roles + memberExpiry
-    if (groupData.roles && groupData.roles[memberId]) {
-      updateData[`roles.${memberId}`] = admin.firestore.FieldValue.delete();
+    await repositories.renewalRequests.set(requestId, request);
+
+    await notifyGroupOwners([groupId], {
+      type: "RENEWAL_REQUESTED",
+      message: `${email || uid} asked for their access to be renewed.`,
+      data: { subjectUserId: uid },
+    });
+
+    res.status(201).json({ message: "Renewal requested", request });
+  } catch (error) {
+    console.error("Request Renewal Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Pending renewal requests for the group (owner only)
+exports.getRenewalRequests = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
     }
-    if (groupData.memberExpiry && groupData.memberExpiry[memberId]) {
-      updateData[`memberExpiry.${memberId}`] = admin.firestore.FieldValue.delete();
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can view renewal requests" });
     }
 
-    await groupRef.update(updateData);
+    const requests = await repositories.renewalRequests.find([
+      ["groupId", "==", groupId],
+      ["status", "==", "pending"],
+    ]);
+    requests.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
 
-    res.status(200).json({ message: "Member removed successfully" });
+    res.status(200).json(requests);
   } catch (error) {
-    console.error("Remove Member Error:", error);
+    console.error("Get Renewal Requests Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Approve (Body: { days }) or deny a member's renewal request (owner only)
+exports.resolveRenewal = async (req, res) => {
+  try {
+    const { groupId, memberId, decision } = req.params;
+    const { uid } = req.user;
+    const { days } = req.body || {};
+
+    if (decision !== "approve" && decision !== "deny") {
+      return res.status(404).json({ message: "Unknown action" });
+    }
+    if (decision === "approve" && !isValidExtension(days)) {
+      return res.status(400).json({ message: `days must be a whole number from 1 to ${MAX_EXTENSION_DAYS}` });
+    }
+
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can resolve renewal requests" });
+    }
+
+    const request = await repositories.renewalRequests.get(renewalRequestId(groupId, memberId));
+    if (!request || request.status !== "pending") {
+      return res.status(404).json({ message: "No pending renewal request for this member" });
+    }
+
+    if (!groupData.members || !groupData.members.includes(memberId)) {
+      await resolveRenewalRequest(groupId, memberId, uid, "denied");
+      return res.status(404).json({ message: "Member not found in group" });
+    }
+
+    let expiresAt = accessControl.membershipExpiry(groupData, memberId);
+    if (decision === "approve") {
+      expiresAt = extendedExpiry(groupData, memberId, days);
+      await repositories.groups.setMemberExpiry(groupId, memberId, expiresAt);
+    }
+
+    const status = decision === "approve" ? "approved" : "denied";
+    await resolveRenewalRequest(groupId, memberId, uid, status);
+
+    await notifyUser(memberId, {
+      type: decision === "approve" ? "RENEWAL_APPROVED" : "RENEWAL_DENIED",
+      message: decision === "approve"
+        ? `[${groupData.name}] Your renewal was approved. Access runs until ${new Date(expiresAt).toLocaleDateString()}.`
+        : `[${groupData.name}] Your renewal request was declined.`,
+      groupId,
+      data: { expiresAt, resolvedBy: uid },
+    });
+
+    res.status(200).json({ message: `Renewal ${status}`, uid: memberId, status, expiresAt });
+  } catch (error) {
+    console.error("Resolve Renewal Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Effective security policy for the viewer (any member)
+exports.getSecurityPolicy = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+
+    const access = await accessControl.loadGroup(uid, groupId);
+    if (access.error) {
+      return res.status(access.status).json({ message: access.error, ...access.details });
+    }
+
+    const { groupData } = access;
+
+    res.status(200).json({
+      policy: securityPolicy.resolvePolicy(groupData),
+      defaults: securityPolicy.getDefaultPolicy(),
+      limits: securityPolicy.LIMITS,
+      updatedAt: groupData.securityPolicyUpdatedAt || null,
+    });
+  } catch (error) {
+    console.error("Get Security Policy Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Update the group's security policy (owner only)
+exports.updateSecurityPolicy = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { uid } = req.user;
+
+    const groupData = await repositories.groups.get(groupId);
+
+    if (!groupData) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+    if (!isGroupOwner(groupData, uid)) {
+      return res.status(403).json({ message: "Only the group owner can change the security policy" });
+    }
+
+    const { policy, error } = securityPolicy.validatePolicy(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const stored = groupData.securityPolicy || {};
+    const merged = {
+      ...stored,
+      ...policy,
+      layers: { ...(stored.layers || {}), ...(policy.layers || {}) },
+    };
+
+    await repositories.groups.update(groupId, {
+      securityPolicy: merged,
+      securityPolicyUpdatedAt: new Date().toISOString(),
+      securityPolicyUpdatedBy: uid,
+    });
+
+    res.status(200).json({
+      message: "Security policy updated",
+      policy: securityPolicy.resolvePolicy({ securityPolicy: merged }),
+    });
+  } catch (error) {
+    console.error("Update Security Policy Error:", error);
     res.status(500).json({ message: "Internal Server Error" });
   }
 };
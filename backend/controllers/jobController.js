@@ -0,0 +1,79 @@
+// controllers/jobController.js
+
+const crypto = require("crypto");
+const emailNotifications = require("../services/emailNotifications");
+const auditChain = require("../services/auditChain");
+
+/**
+ * Job Controller
+ *
+ * Scheduled work triggered over HTTP (Vercel Cron, see vercel.json, or any
+ * scheduler). Callers authenticate with `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+function isAuthorized(req) {
+    const secret = process.env.CRON_SECRET;
+    const header = req.headers.authorization || '';
+    if (!secret || !header.startsWith('Bearer ')) return false;
+
+    const given = Buffer.from(header.slice('Bearer '.length));
+    const expected = Buffer.from(secret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Run Mail Jobs
+ *
+ * Sends queued upload digests and membership expiry reminders.
+ */
+exports.runMailJobs = async (req, res) => {
+    try {
+        if (!process.env.CRON_SECRET) {
+            return res.status(503).json({ message: 'Scheduled jobs are not configured' });
+        }
+        if (!isAuthorized(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+
+        const result = await emailNotifications.runMailJobs();
+        console.log(`[Jobs] Mail: ${result.digests} digest(s), ${result.reminders} reminder(s)`);
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Mail Job Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Run Audit Checkpoints
+ *
+ * Verifies every audit chain and signs a checkpoint at the end of each
+ * intact one. Chains that fail verification are logged and left unsigned.
+ */
+exports.runAuditCheckpoints = async (req, res) => {
+    try {
+        if (!process.env.CRON_SECRET) {
+            return res.status(503).json({ message: 'Scheduled jobs are not configured' });
+        }
+        if (!isAuthorized(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        if (!auditChain.isSigningConfigured()) {
+            return res.status(503).json({ message: 'Audit checkpoints are not configured' });
+        }
+
+        const result = await auditChain.createCheckpoints();
+        console.log(`[Jobs] Audit: ${result.checkpoints} checkpoint(s), ${result.failed.length} chain(s) failed verification`);
+        for (const failure of result.failed) {
+            console.error(`[Jobs] Audit chain ${failure.chainId} failed verification with ${failure.issues} issue(s)`);
+        }
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Audit Checkpoint Job Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+module.exports = exports;
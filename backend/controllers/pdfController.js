@@ -1,7 +1,20 @@
 // controllers/pdfController.js
 
-const cloudinary = require("../config/cloudinary");
-const { db } = require("../config/firebase");
+const repositories = require("../repositories");
+const securityPolicy = require("../services/securityPolicy");
+const pdfRenderer = require("../services/pdfRenderer");
+const documentSearch = require("../services/documentSearch");
+const documentNavigation = require("../services/documentNavigation");
+const forensicWatermark = require("../services/forensicWatermark");
+const pdfStamper = require("../services/pdfStamper");
+const storage = require("../services/storage");
+const pdfVersions = require("../services/pdfVersions");
+const accessControl = require("../services/accessControl");
+const documentAccess = require("../services/documentAccess");
+const documentAvailability = require("../services/documentAvailability");
+const emailNotifications = require("../services/emailNotifications");
+const auditChain = require("../services/auditChain");
+const sessionRegistry = require("../services/sessionRegistry");
 
 // ✅ FIX: replace `uuid` (ESM-only on v9+) with Node built-in UUID
 const { randomUUID } = require("crypto");
@@ -16,6 +29,9 @@ const uuidv4 = () => randomUUID();
  * - Expiry checking
  * - Rate limiting on URL generation
  * - Short-lived signed URLs
+ * - Server-side rendered, watermarked page images
+ * - Server-side full-text search (highlight rectangles only)
+ * - Stamped, encrypted personal copies for offline use
  * - Activity logging
  */
 
@@ -24,11 +40,24 @@ const uuidv4 = () => randomUUID();
 const urlGenerationRateLimit = new Map();
 const RATE_LIMIT_WINDOW = 60_000; // 1 minute
 const RATE_LIMIT_MAX = 30; // Max 30 URL generations per minute
+const SIGNED_URL_TTL_SECONDS = 5 * 60;
+
+// Rate limiting for page image rendering (userId -> { count, windowStart })
+const pageRenderRateLimit = new Map();
+const PAGE_RENDER_LIMIT_MAX = 120; // Max 120 rendered pages per minute
+
+// Rate limiting for document search (userId -> { count, windowStart })
+const searchRateLimit = new Map();
+const SEARCH_LIMIT_MAX = 30; // Max 30 searches per minute
+
+// Rate limiting for personal copy downloads (userId -> { count, windowStart })
+const copyDownloadRateLimit = new Map();
+const COPY_DOWNLOAD_LIMIT_MAX = 5; // Max 5 copies per minute
 
 /**
  * Upload PDF
  *
- * Uploads a PDF to Cloudinary and saves metadata to Firestore.
+ * Uploads a PDF to storage and saves its metadata.
  * Only group owners can upload.
  */
 exports.uploadPDF = async (req, res) => {
@@ -37,72 +66,82 @@ exports.uploadPDF = async (req, res) => {
             return res.status(400).json({ message: 'No file uploaded' });
         }
 
-        const { title, groupId, expiryDate } = req.body;
+        const { title, groupId, access } = req.body;
         const { uid } = req.user;
 
         // Check if user is owner
-        const groupDoc = await db.collection('groups').doc(groupId).get();
-        if (!groupDoc.exists) {
+        const groupData = await repositories.groups.get(groupId);
+        if (!groupData) {
             return res.status(404).json({ message: 'Group not found' });
         }
-        const groupData = groupDoc.data();
-
-        const userRole = groupData.roles ? groupData.roles[uid] : null;
-        const isOwner = groupData.createdBy === uid;
 
         // Strict Check: Must be 'owner' or createdBy
-        if (!isOwner && userRole !== 'owner') {
-            console.log(`Upload Blocked: User ${uid} is not owner. Role: ${userRole}, CreatedBy: ${groupData.createdBy}`);
+        if (!accessControl.isGroupOwner(groupData, uid)) {
+            console.log(`Upload Blocked: User ${uid} is not owner. Role: ${accessControl.roleOf(groupData, uid)}, CreatedBy: ${groupData.createdBy}`);
             return res.status(403).json({ message: 'Only the group owner can upload documents' });
         }
 
-        // Upload to Cloudinary with unique folder for security
-        console.log('[PDF] Starting Cloudinary Upload...');
-        const uploadStream = cloudinary.uploader.upload_stream(
-            {
-                resource_type: 'raw', // PDFs must use 'raw' for proper signed URL access
-                folder: 'pdf-documents',
-                type: 'authenticated', // CHANGED: Use authenticated delivery type for stricter security and to fix access issues
-                public_id: `${groupId}/${uuidv4()}`
-            },
-
-            async (error, result) => {
-                if (error) {
-                    console.error('Cloudinary Upload Error:', error);
-                    return res.status(500).json({ message: 'Upload failed' });
-                }
+        // Optional access list (multipart field, JSON string)
+        const validated = documentAccess.validateAccess(access, groupData);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
 
-                console.log('[PDF] Upload successful:', result.public_id);
-
-                // Save metadata to Firestore
-                const pdfData = {
-                    id: uuidv4(),
-                    title: title || 'Untitled Document',
-                    groupId,
-                    uploadedBy: uid,
-                    cloudinaryId: result.public_id,
-                    secureUrl: result.secure_url,
-                    format: result.format || 'pdf',
-                    pages: result.pages || null,
-                    bytes: result.bytes,
-                    resourceType: result.resource_type,
-                    deliveryType: result.type,
-                    createdAt: new Date().toISOString(),
-                    expiryDate: expiryDate || null,
-                    viewCount: 0
-                };
-
-                await db.collection('pdfs').doc(pdfData.id).set(pdfData);
-
-                // Log upload event
-                await logPDFEvent(uid, 'UPLOAD', pdfData.id, { title, groupId });
-
-                res.status(201).json({ message: 'PDF uploaded successfully', pdf: pdfData });
-            }
-        );
+        // Optional availability window
+        const scheduled = documentAvailability.validateSchedule(req.body);
+        if (scheduled.error) {
+            return res.status(400).json({ message: scheduled.error });
+        }
+
+        // Upload to the configured storage provider, one folder per group
+        console.log('[PDF] Starting Upload...');
+        let file;
+        try {
+            file = await storage.put(req.file.buffer, { folder: groupId });
+        } catch (uploadError) {
+            console.error('Storage Upload Error:', uploadError);
+            return res.status(500).json({ message: 'Upload failed' });
+        }
+
+        console.log('[PDF] Upload successful:', file.storageProvider, file.storageKey);
+
+        // The provider may not report it (local disk never does)
+        file.pages = await pdfRenderer.countPages(req.file.buffer);
+
+        // Outline and internal links for the viewer
+        const navigation = await documentNavigation.extract(req.file.buffer);
+
+        // Save metadata
+        const now = new Date().toISOString();
+        const pdfData = {
+            id: uuidv4(),
+            title: title || 'Untitled Document',
+            groupId,
+            uploadedBy: uid,
+            ...file,
+            createdAt: now,
+            ...scheduled.schedule,
+            archived: false,
+            access: validated.access,
+            viewCount: 0,
+            version: 1,
+            latestVersion: 1,
+            updatedAt: now,
+            updatedBy: uid,
+            changelog: null,
+            navigation
+        };
+
+        await repositories.pdfs.set(pdfData.id, pdfData);
+        await pdfVersions.saveVersion(pdfData, { version: 1, file, uploadedBy: uid, changelog: 'Initial upload' });
+
+        // Log upload event
+        await logPDFEvent(uid, 'UPLOAD', pdfData, { title, groupId });
 
-        uploadStream.end(req.file.buffer);
+        // Members hear about it in their next upload digest
+        await emailNotifications.queueUploadDigest(groupData, pdfData);
 
+        res.status(201).json({ message: 'PDF uploaded successfully', pdf: pdfData });
     } catch (error) {
         console.error('PDF Upload Error:', error);
         res.status(500).json({ message: 'Internal Server Error' });
@@ -112,8 +151,10 @@ exports.uploadPDF = async (req, res) => {
 /**
  * Get Group PDFs
  *
- * Retrieves all PDFs for a group.
- * Verifies membership and checks expiry.
+ * Retrieves the group's PDFs the user may see, each with its current
+ * availability. Expired documents are archived on the way and only
+ * shown to owners/admins.
+ * Verifies membership and checks expiry (services/accessControl).
  */
 exports.getGroupPDFs = async (req, res) => {
     try {
@@ -121,35 +162,15 @@ exports.getGroupPDFs = async (req, res) => {
         const { uid } = req.user;
 
         // Check Group Membership & Expiry
-        const groupDoc = await db.collection('groups').doc(groupId).get();
-        if (!groupDoc.exists) {
-            return res.status(404).json({ message: 'Group not found' });
-        }
-
-        const groupData = groupDoc.data();
-
-        // Check if member
-        if (!groupData.members || !groupData.members.includes(uid)) {
-            return res.status(403).json({ message: 'Access denied - not a member' });
+        const access = await accessControl.loadGroup(uid, groupId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
         }
 
-        // Check Expiry (skip for owners/admins)
-        const userRole = groupData.roles ? groupData.roles[uid] : null;
-        const isOwnerOrAdmin = groupData.createdBy === uid || userRole === 'owner' || userRole === 'admin';
-
-        if (!isOwnerOrAdmin && groupData.memberExpiry && groupData.memberExpiry[uid]) {
-            const expiry = new Date(groupData.memberExpiry[uid]);
-            if (expiry < new Date()) {
-                return res.status(403).json({ message: 'Membership expired' });
-            }
-        }
-
-        const snapshot = await db.collection('pdfs').where('groupId', '==', groupId).get();
-
-        const pdfs = [];
-        snapshot.forEach(doc => {
-            pdfs.push(doc.data());
-        });
+        const archived = await archiveExpired(await repositories.pdfs.listByGroup(groupId));
+        // Navigation is only needed by the viewer (see getPDFMetadata)
+        const pdfs = accessControl.visibleDocuments(archived, access.groupData, uid)
+            .map(({ navigation, ...pdf }) => ({ ...pdf, availability: documentAvailability.getAvailability(pdf) }));
 
         res.status(200).json(pdfs);
     } catch (error) {
@@ -161,7 +182,8 @@ exports.getGroupPDFs = async (req, res) => {
 /**
  * Get PDF Metadata
  *
- * Retrieves metadata for a specific PDF.
+ * Retrieves metadata for a specific PDF, including its outline and
+ * internal links (`navigation`).
  * Verifies group membership before returning data.
  */
 exports.getPDFMetadata = async (req, res) => {
@@ -169,39 +191,17 @@ exports.getPDFMetadata = async (req, res) => {
         const { pdfId } = req.params;
         const { uid } = req.user;
 
-        const doc = await db.collection('pdfs').doc(pdfId).get();
-
-        if (!doc.exists) {
-            return res.status(404).json({ message: 'PDF not found' });
-        }
-
-        const pdfData = doc.data();
-
-        // Verify group membership
-        const groupDoc = await db.collection('groups').doc(pdfData.groupId).get();
-        if (!groupDoc.exists) {
-            return res.status(404).json({ message: 'Group not found' });
-        }
-
-        const groupData = groupDoc.data();
-
-        // Check if member
-        if (!groupData.members || !groupData.members.includes(uid)) {
-            return res.status(403).json({ message: 'Access denied - not a member' });
+        // Verify group membership, expiry, access list and availability
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
         }
 
-        // Check membership expiry (skip for owners/admins)
-        const userRole = groupData.roles ? groupData.roles[uid] : null;
-        const isOwnerOrAdmin = groupData.createdBy === uid || userRole === 'owner' || userRole === 'admin';
+        const { pdfData, groupData } = access;
+        await ensureNavigation(pdfData);
 
-        if (!isOwnerOrAdmin && groupData.memberExpiry && groupData.memberExpiry[uid]) {
-            const expiry = new Date(groupData.memberExpiry[uid]);
-            if (expiry < new Date()) {
-                return res.status(403).json({ message: 'Membership expired' });
-            }
-        }
-
-        res.status(200).json(pdfData);
+        // Viewer applies the group's policy (layers, watermark, heartbeat)
+        res.status(200).json({ ...pdfData, securityPolicy: securityPolicy.resolvePolicy(groupData) });
     } catch (error) {
         console.error('Get PDF Metadata Error:', error);
         res.status(500).json({ message: 'Internal Server Error' });
@@ -227,28 +227,19 @@ exports.generateSignedUrl = async (req, res) => {
         }
 
         // 1. Verify Access Rights & Fetch Metadata
-        const doc = await db.collection('pdfs').doc(pdfId).get();
-        if (!doc.exists) return res.status(404).json({ message: 'PDF not found' });
-
-        const pdfData = doc.data();
-
-        // Check Group Membership
-        const groupDoc = await db.collection('groups').doc(pdfData.groupId).get();
-        if (!groupDoc.exists) return res.status(404).json({ message: 'Group not found' });
-
-        const groupData = groupDoc.data();
-        if (!groupData.members || !groupData.members.includes(uid)) {
-            return res.status(403).json({ message: 'Access denied' });
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
         }
 
-        // Check Expiry (skip for owners/admins)
-        const userRole = groupData.roles ? groupData.roles[uid] : null;
-        const isOwnerOrAdmin = groupData.createdBy === uid || userRole === 'owner' || userRole === 'admin';
-        if (!isOwnerOrAdmin && groupData.memberExpiry && groupData.memberExpiry[uid]) {
-            const expiry = new Date(groupData.memberExpiry[uid]);
-            if (expiry < new Date()) {
-                return res.status(403).json({ message: 'Membership expired' });
-            }
+        const { pdfData, groupData } = access;
+
+        // Image-only groups never hand out the original file to members
+        if (isOriginalFileBlocked(groupData, uid)) {
+            return res.status(403).json({
+                message: 'This document can only be viewed as page images',
+                pageImagesOnly: true
+            });
         }
 
         // Rate limiting check
@@ -272,26 +263,16 @@ exports.generateSignedUrl = async (req, res) => {
             urlGenerationRateLimit.set(uid, { count: 1, windowStart: now });
         }
 
-        // Use trusted metadata from DB
-        const actualResourceType = pdfData.resourceType || 'raw';
-        const deliveryType = pdfData.deliveryType || 'authenticated';
-        const publicId = pdfData.cloudinaryId;
-
-        console.log('[PDF] Generating signed URL for:', publicId, 'resourceType:', actualResourceType);
-
-        // ALWAYS use signed URLs - Cloudinary account has strict access controls
-        const url = cloudinary.url(publicId, {
-            resource_type: actualResourceType,
-            type: deliveryType,
-            sign_url: true,
-            secure: true
+        // Use trusted metadata from DB - ALWAYS a signed URL
+        const url = storage.getSignedUrl(pdfData, {
+            expiresIn: SIGNED_URL_TTL_SECONDS,
+            baseUrl: `${req.protocol}://${req.get('host')}`
         });
 
-        console.log('[PDF] Generated signed URL:', url);
-
+        console.log('[PDF] Generated signed URL for:', storage.storageKeyOf(pdfData));
 
         // Log URL generation
-        await logPDFEvent(uid, 'URL_GENERATED', pdfId, { publicId });
+        await logPDFEvent(uid, 'URL_GENERATED', pdfData, { storageKey: storage.storageKeyOf(pdfData) });
 
         res.status(200).json({
             url,
@@ -303,10 +284,111 @@ exports.generateSignedUrl = async (req, res) => {
     }
 };
 
+/**
+ * Update Document Access
+ *
+ * Restricts a PDF to some roles and/or named members, or opens it to
+ * the whole group again. Only group owners can change access.
+ *
+ * Body: { access: { roles: ['admin', 'member'], users: [uid] } | null }
+ */
+exports.updateDocumentAccess = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+        const { access } = req.body || {};
+
+        const pdfData = await repositories.pdfs.get(pdfId);
+        if (!pdfData) {
+            return res.status(404).json({ message: 'PDF not found' });
+        }
+
+        const groupData = await repositories.groups.get(pdfData.groupId);
+        if (!groupData) {
+            return res.status(404).json({ message: 'Group not found' });
+        }
+
+        if (!accessControl.isGroupOwner(groupData, uid)) {
+            return res.status(403).json({ message: 'Only owners can change document access' });
+        }
+
+        const validated = documentAccess.validateAccess(access, groupData);
+        if (validated.error) {
+            return res.status(400).json({ message: validated.error });
+        }
+
+        await repositories.pdfs.update(pdfId, { access: validated.access });
+
+        await logPDFEvent(uid, 'ACCESS_UPDATED', pdfData, { groupId: pdfData.groupId, access: validated.access });
+
+        res.status(200).json({ message: 'Document access updated', access: validated.access });
+    } catch (error) {
+        console.error('Update Document Access Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update Document Availability
+ *
+ * Sets when members can open a PDF: not before `availableFrom`, not
+ * after `expiryDate`, and only inside `dailyWindow` if one is given.
+ * Moving the expiry into the future takes a document out of the archive.
+ * Only group owners can change availability.
+ *
+ * Body: { availableFrom, expiryDate, dailyWindow: { start, end, timeZone } | null }
+ */
+exports.updateDocumentAvailability = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const pdfData = await repositories.pdfs.get(pdfId);
+        if (!pdfData) {
+            return res.status(404).json({ message: 'PDF not found' });
+        }
+
+        const groupData = await repositories.groups.get(pdfData.groupId);
+        if (!groupData) {
+            return res.status(404).json({ message: 'Group not found' });
+        }
+
+        if (!accessControl.isGroupOwner(groupData, uid)) {
+            return res.status(403).json({ message: 'Only owners can change document availability' });
+        }
+
+        const { schedule, error } = documentAvailability.validateSchedule(req.body || {});
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const archived = documentAvailability.shouldArchive(schedule);
+        const updates = {
+            ...schedule,
+            archived,
+            archivedAt: archived ? new Date().toISOString() : null
+        };
+
+        await repositories.pdfs.update(pdfId, updates);
+
+        await logPDFEvent(uid, 'AVAILABILITY_UPDATED', pdfData, { groupId: pdfData.groupId, ...schedule });
+
+        const updated = { ...pdfData, ...updates };
+        res.status(200).json({
+            message: 'Document availability updated',
+            ...updates,
+            availability: documentAvailability.getAvailability(updated)
+        });
+    } catch (error) {
+        console.error('Update Document Availability Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
 /**
  * Delete PDF
  *
- * Deletes a PDF from Cloudinary and Firestore.
+ * Deletes a PDF's stored files and its metadata records.
  * Only group owners can delete.
  */
 exports.deletePDF = async (req, res) => {
@@ -315,42 +397,54 @@ exports.deletePDF = async (req, res) => {
         const { uid } = req.user;
 
         // Get PDF metadata
-        const pdfDoc = await db.collection('pdfs').doc(pdfId).get();
-        if (!pdfDoc.exists) {
+        const pdfData = await repositories.pdfs.get(pdfId);
+        if (!pdfData) {
             return res.status(404).json({ message: 'PDF not found' });
         }
 
-        const pdfData = pdfDoc.data();
-
         // Verify ownership
-        const groupDoc = await db.collection('groups').doc(pdfData.groupId).get();
-        if (!groupDoc.exists) {
+        const groupData = await repositories.groups.get(pdfData.groupId);
+        if (!groupData) {
             return res.status(404).json({ message: 'Group not found' });
         }
 
-        const groupData = groupDoc.data();
-        const userRole = groupData.roles ? groupData.roles[uid] : null;
-        const isOwner = groupData.createdBy === uid || userRole === 'owner';
-
-        if (!isOwner) {
+        if (!accessControl.isGroupOwner(groupData, uid)) {
             return res.status(403).json({ message: 'Only owners can delete documents' });
         }
 
-        // Delete from Cloudinary
-        try {
-            await cloudinary.uploader.destroy(pdfData.cloudinaryId, {
-                resource_type: 'image'
-            });
-        } catch (cloudinaryError) {
-            console.error('Cloudinary delete error:', cloudinaryError);
-            // Continue with Firestore deletion even if Cloudinary fails
+        // Delete every version's file from storage, then the version records.
+        // Storage failures are logged and metadata deletion continues.
+        const versions = await pdfVersions.listVersions(pdfId);
+        const storedKeys = new Set();
+        for (const record of [pdfData, ...versions]) {
+            const storageKey = storage.storageKeyOf(record);
+            if (!storageKey || storedKeys.has(storageKey)) continue;
+            storedKeys.add(storageKey);
+            await storage.delete(record);
+        }
+        for (const record of versions) {
+            await pdfVersions.deleteVersion(pdfId, record.version);
+        }
+
+        // Readers' private annotations go with the document
+        for (const annotation of await repositories.annotations.listByPdf(pdfId)) {
+            await repositories.annotations.delete(annotation.id);
+        }
+
+        // So does its discussion
+        for (const comment of await repositories.comments.listByPdf(pdfId)) {
+            await repositories.comments.delete(comment.id);
+        }
+        for (const marker of await repositories.commentReads.find([['pdfId', '==', pdfId]])) {
+            await repositories.commentReads.delete(`${pdfId}_${marker.userId}`);
         }
 
-        // Delete from Firestore
-        await db.collection('pdfs').doc(pdfId).delete();
+        // Delete the metadata
+        await repositories.pdfs.delete(pdfId);
+        pdfRenderer.evictDocument(pdfId);
 
         // Log deletion
-        await logPDFEvent(uid, 'DELETE', pdfId, { title: pdfData.title });
+        await logPDFEvent(uid, 'DELETE', pdfData, { title: pdfData.title });
 
         res.status(200).json({ message: 'PDF deleted successfully' });
     } catch (error) {
@@ -363,21 +457,84 @@ exports.deletePDF = async (req, res) => {
 // Helper Functions
 // ============================================
 
+/**
+ * Whether the group's policy hides the original file from this user.
+ * Owners/admins can always fetch the original.
+ */
+function isOriginalFileBlocked(groupData, uid) {
+    if (!securityPolicy.resolvePolicy(groupData).pageImagesOnly) return false;
+
+    return !accessControl.isGroupManager(groupData, uid);
+}
+
+/**
+ * Extract the outline and links of documents uploaded before navigation
+ * was stored, on their first view. Leaves the document as it is when the
+ * file can't be fetched.
+ */
+async function ensureNavigation(pdfData) {
+    if (pdfData.navigation !== undefined) return;
+
+    try {
+        const buffer = await pdfRenderer.getCachedDocument(pdfData.id, () => storage.getBuffer(pdfData));
+        pdfData.navigation = await documentNavigation.extract(buffer);
+        await repositories.pdfs.update(pdfData.id, { navigation: pdfData.navigation });
+    } catch (error) {
+        console.error('[PDF] Failed to back-fill navigation:', error);
+    }
+}
+
+/**
+ * Fixed-window rate limit check. Returns false when the user is over `max`.
+ */
+function consumeRateLimit(limits, uid, max) {
+    const now = Date.now();
+    const userLimit = limits.get(uid);
+
+    if (!userLimit || now - userLimit.windowStart >= RATE_LIMIT_WINDOW) {
+        limits.set(uid, { count: 1, windowStart: now });
+        return true;
+    }
+
+    if (userLimit.count >= max) return false;
+    userLimit.count++;
+    return true;
+}
+
+/**
+ * Archive documents whose expiry date has passed. Returns the list with
+ * the archived flags applied.
+ */
+async function archiveExpired(pdfs) {
+    const now = new Date();
+
+    return Promise.all(pdfs.map(async (pdf) => {
+        if (!documentAvailability.shouldArchive(pdf, now)) return pdf;
+
+        const archivedAt = now.toISOString();
+        await repositories.pdfs.update(pdf.id, { archived: true, archivedAt });
+        await logPDFEvent('system', 'AUTO_ARCHIVED', pdf, { groupId: pdf.groupId, expiryDate: pdf.expiryDate });
+
+        return { ...pdf, archived: true, archivedAt };
+    }));
+}
+
 /**
  * Log PDF-related events
  */
-async function logPDFEvent(userId, action, pdfId, details = {}) {
+async function logPDFEvent(userId, action, pdfData, details = {}) {
     try {
         const event = {
             id: uuidv4(),
             userId,
             action,
-            pdfId,
+            pdfId: pdfData.id,
+            groupId: pdfData.groupId,
             details,
             timestamp: new Date().toISOString()
         };
 
-        await db.collection('pdf_events').doc(event.id).set(event);
+        await auditChain.append(event);
     } catch (error) {
         console.error('Failed to log PDF event:', error);
     }
@@ -388,18 +545,20 @@ async function logPDFEvent(userId, action, pdfId, details = {}) {
 // For stronger limits, store counters in Redis/Firestore.
 setInterval(() => {
     const now = Date.now();
-    for (const [userId, data] of urlGenerationRateLimit.entries()) {
-        if (now - data.windowStart > RATE_LIMIT_WINDOW * 2) {
-            urlGenerationRateLimit.delete(userId);
+    for (const limits of [urlGenerationRateLimit, pageRenderRateLimit, searchRateLimit, copyDownloadRateLimit]) {
+        for (const [userId, data] of limits.entries()) {
+            if (now - data.windowStart > RATE_LIMIT_WINDOW * 2) {
+                limits.delete(userId);
+            }
         }
     }
-}, 60000);
+}, 60000).unref(); // never keep the process (or a test run) alive on its own
 
 /**
  * Proxy PDF Content
  *
- * Fetches PDF from Cloudinary server-side and streams to client.
- * This bypasses any browser-side Cloudinary access restrictions.
+ * Fetches the PDF from storage server-side and streams it to the client.
+ * This bypasses any browser-side storage access restrictions.
  */
 exports.proxyPDF = async (req, res) => {
     try {
@@ -408,92 +567,283 @@ exports.proxyPDF = async (req, res) => {
 
         console.log('[PDF Proxy] Request for pdfId:', pdfId, 'by user:', uid);
 
-        // 1. Get PDF metadata from Firestore
-        const doc = await db.collection('pdfs').doc(pdfId).get();
-        if (!doc.exists) {
-            return res.status(404).json({ message: 'PDF not found' });
+        // 1. Get PDF metadata and verify group membership, expiry,
+        // access list and availability
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
         }
 
-        const pdfData = doc.data();
+        const { pdfData, groupData } = access;
 
-        // 2. Verify group membership
-        const groupDoc = await db.collection('groups').doc(pdfData.groupId).get();
-        if (!groupDoc.exists) {
-            return res.status(404).json({ message: 'Group not found' });
+        if (isOriginalFileBlocked(groupData, uid)) {
+            return res.status(403).json({
+                message: 'This document can only be viewed as page images',
+                pageImagesOnly: true
+            });
+        }
+
+        // 2. Open the stored file through its storage provider
+        if (!storage.storageKeyOf(pdfData)) {
+            return res.status(500).json({ message: 'Storage key not found in metadata' });
+        }
+
+        let fileStream;
+        try {
+            fileStream = await storage.getStream(pdfData);
+        } catch (storageError) {
+            console.error('[PDF Proxy] Error fetching PDF:', storageError);
+            const status = storageError.statusCode || 500;
+            return res.status(status).json({
+                message: 'Failed to fetch PDF from storage',
+                status
+            });
+        }
+
+        // Set headers for PDF response
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${pdfData.title || 'document'}.pdf"`);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+
+        // 3. Stream the PDF data directly to the response
+        fileStream.pipe(res);
+
+        // Log successful proxy
+        logPDFEvent(uid, 'PDF_PROXY_ACCESS', pdfData, { title: pdfData.title });
+
+    } catch (error) {
+        console.error('[PDF Proxy] Error:', error);
+        res.status(500).json({ message: 'Failed to proxy PDF', error: error.message });
+    }
+};
+
+/**
+ * Get Page Info
+ *
+ * Returns the page count and page sizes (PDF points) so image-mode
+ * viewers can lay out pages without downloading the document.
+ */
+exports.getPageInfo = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const buffer = await pdfRenderer.getCachedDocument(pdfId, () => storage.getBuffer(access.pdfData));
+        const info = await pdfRenderer.getPageInfo(buffer);
+
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).json(info);
+    } catch (error) {
+        console.error('[PDF Pages] Info Error:', error);
+        res.status(500).json({ message: 'Failed to read document pages' });
+    }
+};
+
+/**
+ * Get Page Image
+ *
+ * Renders a single page server-side at the requested width and burns the
+ * requesting user's watermark into the pixels, plus the invisible forensic
+ * mark of their session. Only the PNG leaves the server, never the
+ * original PDF.
+ *
+ * Query: width (px, clamped), sessionId (live viewer session registered
+ * by the heartbeat, shown in watermark; 409 once it has ended)
+ */
+exports.getPageImage = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid, email } = req.user;
+        const pageNumber = Number(req.params.pageNumber);
+        const sessionId = typeof req.query.sessionId === 'string' ? req.query.sessionId.slice(0, 128) : '';
+
+        if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+            return res.status(400).json({ message: 'Invalid page number' });
         }
 
-        const groupData = groupDoc.data();
-        if (!groupData.members || !groupData.members.includes(uid)) {
-            return res.status(403).json({ message: 'Access denied - not a member' });
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
         }
 
-        // 3. Generate a properly signed URL using Cloudinary SDK
-        // This ensures authenticated access even with strict security settings
-        const cloudinaryId = pdfData.cloudinaryId;
+        // Pages are only rendered for a live viewer session, so the session
+        // limit and takeover policy hold in image-only mode too
+        if (!sessionId) {
+            return res.status(400).json({ message: 'Viewer session required' });
+        }
 
-        if (!cloudinaryId) {
-            return res.status(500).json({ message: 'Cloudinary ID not found in metadata' });
+        const session = await repositories.viewerSessions.get(sessionId);
+        const reason = session ? sessionRegistry.getInvalidReason(session, uid, pdfId) : 'session_not_found';
+        if (reason === 'session_owner_mismatch') {
+            return res.status(403).json({ message: 'Invalid session' });
+        }
+        if (reason) {
+            return res.status(409).json({ message: 'Viewer session has ended', reason });
         }
 
-        // Log all metadata for debugging
-        console.log('[PDF Proxy] PDF Metadata:', JSON.stringify({
-            cloudinaryId,
-            resourceType: pdfData.resourceType,
-            deliveryType: pdfData.deliveryType,
-            secureUrl: pdfData.secureUrl
-        }, null, 2));
+        if (!consumeRateLimit(pageRenderRateLimit, uid, PAGE_RENDER_LIMIT_MAX)) {
+            console.warn(`[RateLimit] User ${uid} exceeded page render limit`);
+            return res.status(429).json({
+                message: 'Too many requests. Please wait before viewing more pages.'
+            });
+        }
+
+        const policy = securityPolicy.resolvePolicy(access.groupData);
+        const buffer = await pdfRenderer.getCachedDocument(pdfId, () => storage.getBuffer(access.pdfData));
+
+        const shortSessionId = sessionId.slice(0, 8).toUpperCase();
+        const watermarkText = `${email || uid} • ID:${shortSessionId} • ${new Date().toLocaleString()}`;
 
-        // Try with the stored resource type and delivery type
-        // Most PDFs in Cloudinary are auto-detected as 'image' resource type if not forced to 'raw'
-        const resourceType = pdfData.resourceType || 'image';
-        const deliveryType = pdfData.deliveryType || 'authenticated';
+        const forensicMarkId = await forensicWatermark.getSessionMark({ ...session, email: email || null }, 'page_image');
 
-        // Generate signed URL with the Cloudinary SDK
-        const pdfUrl = cloudinary.url(cloudinaryId, {
-            resource_type: resourceType,
-            type: deliveryType,
-            sign_url: true,
-            secure: true
+        const rendered = await pdfRenderer.renderPage(buffer, pageNumber, {
+            width: req.query.width,
+            watermarkText,
+            watermarkOpacity: policy.watermarkOpacity,
+            forensicMarkId
         });
 
-        console.log('[PDF Proxy] Fetching PDF from signed URL:', pdfUrl);
-        console.log('[PDF Proxy] Using resourceType:', resourceType, 'deliveryType:', deliveryType);
+        await logPDFEvent(uid, 'PAGE_IMAGE_ACCESS', access.pdfData, {
+            page: pageNumber,
+            width: rendered.width,
+            sessionId,
+            forensicMarkId
+        });
 
-        // 4. Fetch PDF from Cloudinary server-side
-        const https = require('https');
-        const http = require('http');
-        const protocol = pdfUrl.startsWith('https') ? https : http;
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).send(rendered.image);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return res.status(404).json({ message: 'Page not found' });
+        }
+        console.error('[PDF Pages] Render Error:', error);
+        res.status(500).json({ message: 'Failed to render page' });
+    }
+};
 
-        protocol.get(pdfUrl, (cloudinaryRes) => {
-            console.log('[PDF Proxy] Cloudinary response status:', cloudinaryRes.statusCode);
+/**
+ * Search Document
+ *
+ * Finds text in a document on the server. Returns the page and highlight
+ * rectangles of every match (fractions of the page size) but none of the
+ * document's text, so the viewer can search without a text layer.
+ *
+ * Query: q (search text)
+ */
+exports.searchDocument = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+        const query = documentSearch.normalizeQuery(req.query.q);
 
-            if (cloudinaryRes.statusCode !== 200) {
-                return res.status(cloudinaryRes.statusCode).json({
-                    message: 'Failed to fetch PDF from storage',
-                    status: cloudinaryRes.statusCode
-                });
-            }
+        if (query.length < documentSearch.MIN_QUERY_LENGTH) {
+            return res.status(400).json({ message: `Search for at least ${documentSearch.MIN_QUERY_LENGTH} characters` });
+        }
+        if (query.length > documentSearch.MAX_QUERY_LENGTH) {
+            return res.status(400).json({ message: `Search for at most ${documentSearch.MAX_QUERY_LENGTH} characters` });
+        }
 
-            // Set headers for PDF response
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `inline; filename="${pdfData.title || 'document'}.pdf"`);
-            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-            res.setHeader('Access-Control-Allow-Origin', '*');
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
 
-            // Pipe the PDF data directly to the response
-            cloudinaryRes.pipe(res);
+        if (!consumeRateLimit(searchRateLimit, uid, SEARCH_LIMIT_MAX)) {
+            console.warn(`[RateLimit] User ${uid} exceeded search limit`);
+            return res.status(429).json({
+                message: 'Too many searches. Please wait a moment.'
+            });
+        }
 
-            // Log successful proxy
-            logPDFEvent(uid, 'PDF_PROXY_ACCESS', pdfId, { title: pdfData.title });
+        const buffer = await pdfRenderer.getCachedDocument(pdfId, () => storage.getBuffer(access.pdfData));
+        const result = await documentSearch.search(buffer, query);
 
-        }).on('error', (err) => {
-            console.error('[PDF Proxy] Error fetching PDF:', err);
-            res.status(500).json({ message: 'Failed to proxy PDF', error: err.message });
+        await logPDFEvent(uid, 'SEARCH', access.pdfData, { query, hits: result.total });
+
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('[PDF Search] Error:', error);
+        res.status(500).json({ message: 'Failed to search document' });
+    }
+};
+
+/**
+ * Download Personal Copy
+ *
+ * Issues an offline copy of a PDF when the group's policy allows it
+ * (owners/admins always may). Each copy is stamped with the recipient's
+ * email, the issue time and a unique copy ID, has print/copy permissions
+ * removed and is encrypted with the password the recipient chooses.
+ *
+ * Body: { password }
+ */
+exports.downloadCopy = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid, email } = req.user;
+        const { password } = req.body || {};
+
+        if (!pdfStamper.isValidPassword(password)) {
+            return res.status(400).json({
+                message: `Password must be ${pdfStamper.MIN_PASSWORD_LENGTH}-${pdfStamper.MAX_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const { pdfData, groupData } = access;
+
+        if (!accessControl.isGroupManager(groupData, uid) && !securityPolicy.resolvePolicy(groupData).allowDownload) {
+            return res.status(403).json({ message: 'Downloads are disabled for this group' });
+        }
+
+        if (!consumeRateLimit(copyDownloadRateLimit, uid, COPY_DOWNLOAD_LIMIT_MAX)) {
+            console.warn(`[RateLimit] User ${uid} exceeded copy download limit`);
+            return res.status(429).json({
+                message: 'Too many requests. Please wait before downloading again.'
+            });
+        }
+
+        const copyId = pdfStamper.generateCopyId();
+        const issuedAt = new Date().toISOString();
+
+        const original = await pdfRenderer.getCachedDocument(pdfId, () => storage.getBuffer(pdfData));
+        const copy = await pdfStamper.createPersonalCopy(original, {
+            email: email || uid,
+            copyId,
+            issuedAt,
+            password,
+            title: pdfData.title
+        });
+
+        await logPDFEvent(uid, 'DOWNLOAD_COPY', pdfData, {
+            copyId,
+            groupId: pdfData.groupId,
+            email: email || null,
+            issuedAt,
+            bytes: copy.length
         });
 
+        const fileName = `${(pdfData.title || 'document').replace(/[^A-Za-z0-9 _.-]/g, '').trim() || 'document'} (${copyId}).pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).send(copy);
     } catch (error) {
-        console.error('[PDF Proxy] Error:', error);
-        res.status(500).json({ message: 'Failed to proxy PDF', error: error.message });
+        console.error('[PDF Copy] Error:', error);
+        res.status(500).json({ message: 'Failed to generate copy' });
     }
 };
 
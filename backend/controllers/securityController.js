@@ -1 +1,683 @@
+// controllers/securityController.js
 
+const repositories = require("../repositories");
+const accessControl = require("../services/accessControl");
+const sessionRegistry = require("../services/sessionRegistry");
+const violationScoring = require("../services/violationScoring");
+const securityPolicy = require("../services/securityPolicy");
+const forensicWatermark = require("../services/forensicWatermark");
+const leakTracer = require("../services/leakTracer");
+const { notifyUser, notifyGroupOwners } = require("../services/notifications");
+const auditChain = require("../services/auditChain");
+
+const { randomUUID } = require("crypto");
+const uuidv4 = () => randomUUID();
+
+/**
+ * Security Controller
+ *
+ * Backs the protected viewer's session and telemetry calls:
+ * - Viewing session heartbeat + validation
+ * - Security / activity event logging (pdf_events)
+ * - Session lookup and termination
+ * - Per-user event audit
+ * - Live session listing / termination for group owners
+ * - Violation scoring hook, suspension appeals and reinstatement
+ * - Forensic mark issuing and leak tracing
+ *
+ * Viewing sessions live in the `viewer_sessions` collection keyed by the
+ * client-generated sessionId (see services/sessionRegistry). A session is
+ * bound to the user and PDF that first registered it and can never be
+ * re-used for another user or document.
+ */
+
+// Client input limits
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+// Events the viewer reports; everything else in pdf_events is written by the server
+const VIEWER_EVENT_TYPES = new Set([
+    'VIEW_START',
+    'VIEW_END',
+    'PAGE_TURN',
+    'PAGE_JUMP',
+    ...Object.keys(violationScoring.VIOLATION_RULES)
+]);
+const MAX_DETAILS_BYTES = 4096;
+const DEFAULT_EVENT_LIMIT = 100;
+const MAX_EVENT_LIMIT = 500;
+const MAX_APPEAL_LENGTH = 2000;
+
+/**
+ * Heartbeat
+ *
+ * Registers or refreshes a viewing session for a PDF.
+ * Re-validates group membership and expiry on every call so access that is
+ * revoked mid-session ends the session at the next heartbeat.
+ */
+exports.heartbeat = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { sessionId, pdfId } = req.body;
+
+        if (!isValidSessionId(sessionId) || !pdfId) {
+            return res.status(400).json({ message: 'Valid sessionId and pdfId required' });
+        }
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        const policy = securityPolicy.resolvePolicy(access.groupData);
+
+        let session = await repositories.viewerSessions.get(sessionId);
+        const now = new Date().toISOString();
+
+        if (session) {
+            const reason = sessionRegistry.getInvalidReason(session, uid, pdfId);
+
+            if (reason) {
+                return res.status(200).json({ valid: false, reason });
+            }
+
+            await repositories.viewerSessions.update(sessionId, {
+                lastHeartbeat: now,
+                heartbeatCount: (session.heartbeatCount || 0) + 1
+            });
+        } else {
+            session = {
+                sessionId,
+                userId: uid,
+                pdfId,
+                groupId: access.pdfData.groupId,
+                userAgent: req.headers['user-agent'] || null
+            };
+            const result = await sessionRegistry.registerSession(session, {
+                mode: policy.sessionMode,
+                maxSessions: policy.maxConcurrentSessions
+            });
+
+            if (!result.valid) {
+                return res.status(200).json({ valid: false, reason: result.reason });
+            }
+        }
+
+        // Invisible per-session mark the viewer tiles over the page
+        const markId = await forensicWatermark.getSessionMark({ ...session, email: req.user.email || null }, 'viewer');
+
+        res.status(200).json({
+            valid: true,
+            sessionId,
+            serverTime: now,
+            heartbeatIntervalSeconds: policy.heartbeatIntervalSeconds,
+            forensicPattern: forensicWatermark.getPattern(markId).join('')
+        });
+    } catch (error) {
+        console.error('Heartbeat Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Log Event
+ *
+ * Persists a viewer event (security violation or reading activity) to
+ * `pdf_events`. Identity always comes from the verified token, never from
+ * the client-supplied `userInfo` payload, and only viewer event types are
+ * accepted, so a client cannot forge server actions (UPLOAD, DELETE, ...).
+ * A VIEW_START counts towards the view count once per session.
+ */
+exports.logEvent = async (req, res) => {
+    try {
+        const { uid, email } = req.user;
+        const { type, details, sessionId, pdfId, timestamp } = req.body;
+
+        if (!VIEWER_EVENT_TYPES.has(type)) {
+            return res.status(400).json({ message: 'Valid event type required' });
+        }
+
+        if (!pdfId) {
+            return res.status(400).json({ message: 'PDF ID required' });
+        }
+
+        if (sessionId && !isValidSessionId(sessionId)) {
+            return res.status(400).json({ message: 'Invalid session ID' });
+        }
+
+        const access = await accessControl.loadDocument(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error, ...access.details });
+        }
+
+        // A session that reports VIEW_START again (reload, reconnect) is one view
+        let countsAsView = type === 'VIEW_START';
+        if (countsAsView && sessionId) {
+            const sessionEvents = await repositories.pdfEvents.listBySession(sessionId);
+            countsAsView = !sessionEvents.some((logged) => logged.action === 'VIEW_START' && logged.pdfId === pdfId && logged.userId === uid);
+        }
+
+        const event = {
+            id: uuidv4(),
+            userId: uid,
+            email: email || null,
+            action: type,
+            pdfId,
+            groupId: access.pdfData.groupId,
+            sessionId: sessionId || null,
+            details: sanitizeDetails(details),
+            clientTimestamp: typeof timestamp === 'string' ? timestamp : null,
+            userAgent: req.headers['user-agent'] || null,
+            ip: req.ip || null,
+            timestamp: new Date().toISOString()
+        };
+
+        await auditChain.append(event);
+
+        if (countsAsView) {
+            await repositories.pdfs.incrementViewCount(pdfId);
+        }
+
+        // Score the event - a failure here must not lose the logged event
+        let suspended = false;
+        try {
+            const result = await violationScoring.recordEvent({
+                userId: uid,
+                email,
+                type,
+                groupId: access.pdfData.groupId,
+                pdfId,
+                sessionId: event.sessionId
+            }, { threshold: securityPolicy.resolvePolicy(access.groupData).violationThreshold });
+            suspended = result.suspended;
+        } catch (scoringError) {
+            console.error('Violation Scoring Error:', scoringError);
+        }
+
+        res.status(201).json({ logged: true, id: event.id, suspended });
+    } catch (error) {
+        console.error('Log Event Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Check Session
+ *
+ * Reports whether a session is still current for the calling user.
+ */
+exports.checkSession = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { sessionId } = req.body;
+
+        if (!isValidSessionId(sessionId)) {
+            return res.status(400).json({ message: 'Valid sessionId required' });
+        }
+
+        const session = await repositories.viewerSessions.get(sessionId);
+        if (!session) {
+            return res.status(200).json({ valid: false, reason: 'not_found' });
+        }
+
+        const reason = sessionRegistry.getInvalidReason(session, uid, session.pdfId);
+
+        if (reason) {
+            return res.status(200).json({ valid: false, reason });
+        }
+
+        res.status(200).json({
+            valid: true,
+            session: {
+                sessionId: session.sessionId,
+                pdfId: session.pdfId,
+                startedAt: session.startedAt,
+                lastHeartbeat: session.lastHeartbeat
+            }
+        });
+    } catch (error) {
+        console.error('Check Session Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * End Session
+ *
+ * Marks a viewing session as ended. Idempotent.
+ */
+exports.endSession = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { sessionId } = req.body;
+
+        if (!isValidSessionId(sessionId)) {
+            return res.status(400).json({ message: 'Valid sessionId required' });
+        }
+
+        const session = await repositories.viewerSessions.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        if (session.userId !== uid) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        if (session.active) {
+            await sessionRegistry.endSession(sessionId, 'ended_by_user');
+        }
+
+        res.status(200).json({ message: 'Session ended' });
+    } catch (error) {
+        console.error('End Session Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get User Events
+ *
+ * Returns a user's logged events, newest first.
+ * Users may read their own events. Group owners/admins may read the events a
+ * user generated inside the groups they manage.
+ */
+exports.getUserEvents = async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { userId } = req.params;
+
+        const requested = parseInt(req.query.limit, 10);
+        const limit = Number.isFinite(requested) && requested > 0
+            ? Math.min(requested, MAX_EVENT_LIMIT)
+            : DEFAULT_EVENT_LIMIT;
+
+        let allowedGroups = null; // null = unrestricted (own events)
+
+        if (userId !== uid) {
+            const groups = await repositories.groups.listForMember(userId);
+
+            allowedGroups = new Set();
+            groups.forEach(group => {
+                if (accessControl.isGroupManager(group, uid)) {
+                    allowedGroups.add(group.id);
+                }
+            });
+
+            if (allowedGroups.size === 0) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+        }
+
+        const userEvents = await repositories.pdfEvents.listByUser(userId);
+
+        const events = [];
+        userEvents.forEach(event => {
+            if (!allowedGroups || allowedGroups.has(event.groupId)) {
+                events.push(event);
+            }
+        });
+
+        // Sorted in memory to avoid requiring a composite index
+        events.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+
+        res.status(200).json(events.slice(0, limit));
+    } catch (error) {
+        console.error('Get User Events Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get Group Sessions
+ *
+ * Lists live viewing sessions on a group's documents.
+ * Only group owners/admins can view sessions.
+ */
+exports.getGroupSessions = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { uid } = req.user;
+
+        const groupData = await repositories.groups.get(groupId);
+        if (!groupData) {
+            return res.status(404).json({ message: 'Group not found' });
+        }
+
+        if (!accessControl.isGroupManager(groupData, uid)) {
+            return res.status(403).json({ message: 'Only admins can view sessions' });
+        }
+
+        const sessions = await sessionRegistry.listGroupSessions(groupId);
+
+        // Resolve user + document details once per id
+        const users = new Map();
+        const pdfs = new Map();
+        for (const session of sessions) {
+            if (!users.has(session.userId)) {
+                users.set(session.userId, (await repositories.users.get(session.userId)) || {});
+            }
+            if (!pdfs.has(session.pdfId)) {
+                pdfs.set(session.pdfId, (await repositories.pdfs.get(session.pdfId)) || {});
+            }
+        }
+
+        res.status(200).json(sessions.map(session => {
+            const userData = users.get(session.userId);
+            return {
+                sessionId: session.sessionId,
+                userId: session.userId,
+                name: userData.name || userData.displayName || 'Unknown',
+                email: userData.email || '',
+                pdfId: session.pdfId,
+                pdfTitle: pdfs.get(session.pdfId).title || 'Untitled Document',
+                startedAt: session.startedAt,
+                lastHeartbeat: session.lastHeartbeat,
+                userAgent: session.userAgent || null
+            };
+        }));
+    } catch (error) {
+        console.error('Get Group Sessions Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Terminate Session
+ *
+ * Kills a live viewing session on one of the group's documents.
+ * The viewer is locked out at its next heartbeat.
+ */
+exports.terminateSession = async (req, res) => {
+    try {
+        const { groupId, sessionId } = req.params;
+        const { uid } = req.user;
+
+        const groupData = await repositories.groups.get(groupId);
+        if (!groupData) {
+            return res.status(404).json({ message: 'Group not found' });
+        }
+
+        if (!accessControl.isGroupManager(groupData, uid)) {
+            return res.status(403).json({ message: 'Only admins can terminate sessions' });
+        }
+
+        const session = isValidSessionId(sessionId)
+            ? await repositories.viewerSessions.get(sessionId)
+            : null;
+
+        if (!session || session.groupId !== groupId) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        if (session.active) {
+            await sessionRegistry.endSession(sessionId, 'terminated_by_owner', { terminatedBy: uid });
+        }
+
+        res.status(200).json({ message: 'Session terminated' });
+    } catch (error) {
+        console.error('Terminate Session Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get Appeal Status
+ *
+ * Lets a (possibly suspended) user see their suspension and appeal state.
+ */
+exports.getAppealStatus = async (req, res) => {
+    try {
+        const { uid, disabled, disabledReason } = req.user;
+
+        const appeal = await repositories.violationAppeals.get(uid);
+
+        res.status(200).json({
+            suspended: !!disabled,
+            reason: disabledReason || null,
+            appeal
+        });
+    } catch (error) {
+        console.error('Get Appeal Status Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Submit Appeal
+ *
+ * A suspended user asks the owners of the groups where the violations
+ * happened to reinstate them.
+ * One open appeal per user; re-submitting replaces the message.
+ */
+exports.submitAppeal = async (req, res) => {
+    try {
+        const { uid, email, disabled, disabledReason } = req.user;
+        const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+        if (!disabled) {
+            return res.status(400).json({ message: 'Account is not suspended' });
+        }
+
+        if (!message) {
+            return res.status(400).json({ message: 'Appeal message is required' });
+        }
+
+        const appeal = {
+            userId: uid,
+            email: email || null,
+            message: message.slice(0, MAX_APPEAL_LENGTH),
+            disabledReason: disabledReason || null,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+
+        await repositories.violationAppeals.set(uid, appeal);
+
+        // Owners who can reinstate: those of the groups the violations came from
+        const scoreData = await repositories.violationScores.get(uid);
+        const groups = await repositories.groups.listForMember(uid);
+        const groupIds = groups
+            .map(group => group.id)
+            .filter(groupId => scoreData && scoreData.groups && scoreData.groups[groupId]);
+
+        await notifyGroupOwners(groupIds, {
+            type: 'SUSPENSION_APPEAL',
+            message: `${email || uid} appealed their suspension.`,
+            data: { subjectUserId: uid }
+        });
+
+        res.status(201).json({ message: 'Appeal submitted', appeal });
+    } catch (error) {
+        console.error('Submit Appeal Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get Group Suspensions
+ *
+ * Lists suspended members of a group with their score, appeal and
+ * whether this group's owner may reinstate them.
+ * Only group owners/admins can view suspensions.
+ */
+exports.getGroupSuspensions = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { uid } = req.user;
+
+        const groupData = await repositories.groups.get(groupId);
+        if (!groupData) {
+            return res.status(404).json({ message: 'Group not found' });
+        }
+
+        if (!accessControl.isGroupManager(groupData, uid)) {
+            return res.status(403).json({ message: 'Only admins can view suspensions' });
+        }
+
+        const suspensions = [];
+        for (const memberId of groupData.members || []) {
+            const userData = await repositories.users.get(memberId);
+            if (!userData || !userData.disabled) continue;
+
+            const score = await repositories.violationScores.get(memberId);
+            const appeal = await repositories.violationAppeals.get(memberId);
+
+            suspensions.push({
+                uid: memberId,
+                name: userData.name || userData.displayName || 'Unknown',
+                email: userData.email || '',
+                reason: userData.disabledReason || null,
+                suspendedAt: userData.disabledAt || null,
+                score: score ? Math.round(score.score || 0) : null,
+                reinstatable: !!(score && score.groups && score.groups[groupId]),
+                appeal
+            });
+        }
+
+        res.status(200).json(suspensions);
+    } catch (error) {
+        console.error('Get Group Suspensions Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Reinstate Member
+ *
+ * Lifts a member's suspension and resets their violation score.
+ * Only owners of a group where the violations happened can reinstate.
+ */
+exports.reinstateMember = async (req, res) => {
+    try {
+        const { groupId, memberId } = req.params;
+        const { uid } = req.user;
+
+        const groupData = await repositories.groups.get(groupId);
+        if (!groupData) {
+            return res.status(404).json({ message: 'Group not found' });
+        }
+
+        if (!accessControl.isGroupOwner(groupData, uid)) {
+            return res.status(403).json({ message: 'Only the group owner can reinstate members' });
+        }
+
+        if (!groupData.members || !groupData.members.includes(memberId)) {
+            return res.status(404).json({ message: 'Member not found in group' });
+        }
+
+        const member = await repositories.users.get(memberId);
+        if (!member || !member.disabled) {
+            return res.status(400).json({ message: 'Member is not suspended' });
+        }
+
+        if (!await violationScoring.scoredInGroup(memberId, groupId)) {
+            return res.status(403).json({ message: 'Only owners of the groups where the violations happened can reinstate this member' });
+        }
+
+        await violationScoring.reinstateUser(memberId, uid);
+
+        const appeal = await repositories.violationAppeals.get(memberId);
+        if (appeal && appeal.status === 'pending') {
+            await repositories.violationAppeals.update(memberId, {
+                status: 'approved',
+                resolvedBy: uid,
+                resolvedAt: new Date().toISOString()
+            });
+        }
+
+        await notifyUser(memberId, {
+            type: 'ACCOUNT_REINSTATED',
+            message: `Your account was reinstated by the owner of ${groupData.name}.`,
+            groupId
+        });
+
+        res.status(200).json({ message: 'Member reinstated' });
+    } catch (error) {
+        console.error('Reinstate Member Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Trace Leak
+ *
+ * Recovers the forensic mark from an uploaded screenshot or PDF and
+ * returns the user, session and event trail it belongs to. Only owners
+ * and admins of the document's group may see the result.
+ *
+ * Multipart field: `file` (PDF, PNG, JPEG or WebP)
+ */
+exports.traceLeak = async (req, res) => {
+    try {
+        const { uid } = req.user;
+
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded' });
+        }
+
+        const result = await leakTracer.traceLeak(req.file.buffer);
+
+        if (!result.found) {
+            return res.status(200).json({
+                found: false,
+                message: result.decoded
+                    ? 'A mark was decoded but it was not issued by this server'
+                    : 'No forensic mark could be recovered from this file'
+            });
+        }
+
+        const groupData = await repositories.groups.get(result.mark.groupId);
+        if (!groupData || !accessControl.isGroupManager(groupData, uid)) {
+            return res.status(403).json({ message: 'Only group owners can trace leaks of this document' });
+        }
+
+        const event = {
+            id: uuidv4(),
+            userId: uid,
+            action: 'FORENSIC_TRACE',
+            pdfId: result.mark.pdfId,
+            groupId: result.mark.groupId,
+            details: {
+                markId: result.mark.markId,
+                subjectUserId: result.mark.userId,
+                subjectSessionId: result.mark.sessionId
+            },
+            timestamp: new Date().toISOString()
+        };
+        await auditChain.append(event);
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Trace Leak Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+// ============================================
+// Helper Functions
+// ============================================
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Keep client-supplied details to a bounded, JSON-safe object
+ */
+function sanitizeDetails(details) {
+    if (!details || typeof details !== 'object' || Array.isArray(details)) {
+        return {};
+    }
+
+    try {
+        const json = JSON.stringify(details);
+        if (Buffer.byteLength(json) > MAX_DETAILS_BYTES) {
+            return { truncated: true };
+        }
+        return JSON.parse(json);
+    } catch (error) {
+        return { invalid: true };
+    }
+}
+
+module.exports = exports;
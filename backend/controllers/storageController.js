@@ -0,0 +1,46 @@
+// controllers/storageController.js
+
+const localDiskStorage = require("../services/storage/localDiskStorage");
+
+/**
+ * Storage Controller
+ *
+ * Delivers files from the local disk provider through expiring,
+ * HMAC-signed links (the local counterpart of Cloudinary signed URLs).
+ */
+
+/**
+ * Serve Local File
+ *
+ * Query: expires (unix seconds), signature
+ */
+exports.serveLocalFile = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { expires, signature } = req.query;
+
+        const invalid = localDiskStorage.verifySignature(key, expires, signature);
+        if (invalid) {
+            return res.status(403).json({ message: invalid });
+        }
+
+        let fileStream;
+        try {
+            fileStream = await localDiskStorage.openStream(key);
+        } catch (storageError) {
+            if (storageError.statusCode) {
+                return res.status(storageError.statusCode).json({ message: 'File not found' });
+            }
+            throw storageError;
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Cache-Control', 'private, no-store');
+        fileStream.pipe(res);
+    } catch (error) {
+        console.error('Serve Local File Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+module.exports = exports;
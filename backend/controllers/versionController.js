@@ -0,0 +1,288 @@
+// controllers/versionController.js
+
+const repositories = require("../repositories");
+const accessControl = require("../services/accessControl");
+const storage = require("../services/storage");
+const pdfVersions = require("../services/pdfVersions");
+const pdfRenderer = require("../services/pdfRenderer");
+const documentNavigation = require("../services/documentNavigation");
+const auditChain = require("../services/auditChain");
+
+const { randomUUID } = require("crypto");
+const uuidv4 = () => randomUUID();
+
+/**
+ * Version Controller
+ *
+ * Document versioning for group owners:
+ * - Upload a new version of an existing document (keeps its pdfId,
+ *   view history and events)
+ * - List, view, restore and purge previous versions
+ *
+ * Members always get the current version through the regular PDF routes.
+ */
+
+const MAX_CHANGELOG_LENGTH = 1000;
+
+/**
+ * List Versions
+ *
+ * Returns every version of a document, newest first.
+ */
+exports.listVersions = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await loadOwnedPDF(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error });
+        }
+
+        await pdfVersions.ensureHistory(access.pdfData);
+        const versions = await pdfVersions.listVersions(pdfId);
+
+        res.status(200).json({
+            currentVersion: access.pdfData.version,
+            versions: versions.map(record => ({
+                ...record,
+                current: record.version === access.pdfData.version
+            }))
+        });
+    } catch (error) {
+        console.error('List Versions Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Upload Version
+ *
+ * Uploads a replacement file for an existing document. The new file
+ * becomes the current version; the previous one stays in storage.
+ *
+ * Multipart: pdf (file), changelog
+ */
+exports.uploadVersion = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded' });
+        }
+
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+        const changelog = typeof req.body.changelog === 'string' ? req.body.changelog.trim() : '';
+
+        if (changelog.length > MAX_CHANGELOG_LENGTH) {
+            return res.status(400).json({ message: `Changelog must be at most ${MAX_CHANGELOG_LENGTH} characters` });
+        }
+
+        const access = await loadOwnedPDF(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error });
+        }
+
+        let file;
+        try {
+            file = await storage.put(req.file.buffer, { folder: access.pdfData.groupId });
+        } catch (uploadError) {
+            console.error('Storage Upload Error:', uploadError);
+            return res.status(500).json({ message: 'Upload failed' });
+        }
+        file.pages = await pdfRenderer.countPages(req.file.buffer);
+
+        const record = await pdfVersions.publishVersion(access.pdfData, {
+            file,
+            uploadedBy: uid,
+            changelog: changelog || null,
+            navigation: await documentNavigation.extract(req.file.buffer)
+        });
+        pdfRenderer.evictDocument(pdfId);
+
+        await logVersionEvent(uid, 'VERSION_UPLOAD', access.pdfData, { version: record.version, changelog: record.changelog });
+
+        res.status(201).json({ message: 'New version uploaded', version: record });
+    } catch (error) {
+        console.error('Upload Version Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * View Version
+ *
+ * Streams the file of a specific version to the owner.
+ */
+exports.viewVersion = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await loadOwnedPDF(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error });
+        }
+
+        const record = await findVersion(access.pdfData, req.params.version);
+        if (!record) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        const buffer = await storage.getBuffer(record);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${access.pdfData.title || 'document'} (v${record.version}).pdf"`);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).send(buffer);
+
+        logVersionEvent(uid, 'VERSION_VIEW', access.pdfData, { version: record.version });
+    } catch (error) {
+        console.error('View Version Error:', error);
+        res.status(500).json({ message: 'Failed to fetch version' });
+    }
+};
+
+/**
+ * Restore Version
+ *
+ * Makes an old version current again by publishing it as a new version,
+ * so the history stays linear and nothing is overwritten.
+ */
+exports.restoreVersion = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await loadOwnedPDF(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error });
+        }
+
+        const record = await findVersion(access.pdfData, req.params.version);
+        if (!record) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        if (record.version === access.pdfData.version) {
+            return res.status(400).json({ message: 'This version is already current' });
+        }
+
+        // Versions stored before page counts were recorded get theirs here
+        const buffer = await storage.getBuffer(record);
+        const restored = await pdfVersions.publishVersion(access.pdfData, {
+            file: { ...record, pages: record.pages || await pdfRenderer.countPages(buffer) },
+            uploadedBy: uid,
+            changelog: `Restored from version ${record.version}`,
+            restoredFrom: record.version,
+            navigation: await documentNavigation.extract(buffer)
+        });
+        pdfRenderer.evictDocument(pdfId);
+
+        await logVersionEvent(uid, 'VERSION_RESTORE', access.pdfData, {
+            version: restored.version,
+            restoredFrom: record.version
+        });
+
+        res.status(200).json({ message: `Version ${record.version} restored`, version: restored });
+    } catch (error) {
+        console.error('Restore Version Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Purge Version
+ *
+ * Permanently deletes an old version. The current version cannot be
+ * purged; its file is only removed from storage when no other version
+ * (e.g. a restore) still uses it.
+ */
+exports.purgeVersion = async (req, res) => {
+    try {
+        const { pdfId } = req.params;
+        const { uid } = req.user;
+
+        const access = await loadOwnedPDF(uid, pdfId);
+        if (access.error) {
+            return res.status(access.status).json({ message: access.error });
+        }
+
+        const record = await findVersion(access.pdfData, req.params.version);
+        if (!record) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        if (record.version === access.pdfData.version) {
+            return res.status(400).json({ message: 'The current version cannot be purged' });
+        }
+
+        const storageKey = storage.storageKeyOf(record);
+        const shared = storageKey === storage.storageKeyOf(access.pdfData)
+            || await pdfVersions.isFileShared(pdfId, record.version, storageKey);
+        if (!shared) {
+            await storage.delete(record);
+        }
+
+        await pdfVersions.deleteVersion(pdfId, record.version);
+
+        await logVersionEvent(uid, 'VERSION_PURGE', access.pdfData, { version: record.version });
+
+        res.status(200).json({ message: `Version ${record.version} purged` });
+    } catch (error) {
+        console.error('Purge Version Error:', error);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+};
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Load a PDF and verify the user owns its group
+ */
+async function loadOwnedPDF(uid, pdfId) {
+    const pdfData = await repositories.pdfs.get(pdfId);
+    if (!pdfData) {
+        return { error: 'PDF not found', status: 404 };
+    }
+
+    const groupData = await repositories.groups.get(pdfData.groupId);
+    if (!groupData) {
+        return { error: 'Group not found', status: 404 };
+    }
+
+    if (!accessControl.isGroupOwner(groupData, uid)) {
+        return { error: 'Only owners can manage document versions', status: 403 };
+    }
+
+    return { pdfData, groupData };
+}
+
+async function findVersion(pdfData, versionParam) {
+    const version = Number(versionParam);
+    if (!Number.isInteger(version) || version < 1) return null;
+
+    await pdfVersions.ensureHistory(pdfData);
+    return pdfVersions.getVersion(pdfData.id, version);
+}
+
+async function logVersionEvent(userId, action, pdfData, details) {
+    try {
+        const event = {
+            id: uuidv4(),
+            userId,
+            action,
+            pdfId: pdfData.id,
+            groupId: pdfData.groupId,
+            details: { ...details, title: pdfData.title, groupId: pdfData.groupId },
+            timestamp: new Date().toISOString()
+        };
+
+        await auditChain.append(event);
+    } catch (error) {
+        console.error('Failed to log version event:', error);
+    }
+}
+
+module.exports = exports;
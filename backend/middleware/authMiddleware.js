@@ -1,6 +1,7 @@
-const { admin, db } = require('../config/firebase');
+const repositories = require('../repositories');
+const tokenVerifier = require('../services/tokenVerifier');
 
-const authMiddleware = async (req, res, next) => {
+const verifyRequest = async (req, res, next, { allowDisabled = false } = {}) => {
     const authHeader = req.headers.authorization;
     
     let token;
@@ -12,18 +13,23 @@ const authMiddleware = async (req, res, next) => {
     }
 
     try {
-        const decodedToken = await admin.auth().verifyIdToken(token);
+        const decodedToken = await tokenVerifier.verifyIdToken(token);
         req.user = decodedToken;
 
         // Check availability strictly against database state
-        const userDoc = await db.collection('users').doc(decodedToken.uid).get();
-        if (userDoc.exists) {
-            const userData = userDoc.data();
+        const userData = await repositories.users.get(decodedToken.uid);
+        if (userData) {
             if (userData.disabled) {
-                return res.status(403).json({ 
-                    message: 'Account suspended due to security violations.',
-                    reason: userData.disabledReason || 'Terms verification pending'
-                });
+                if (allowDisabled) {
+                    req.user.disabled = true;
+                    req.user.disabledReason = userData.disabledReason || null;
+                } else {
+                    return res.status(403).json({ 
+                        message: 'Account suspended due to security violations.',
+                        reason: userData.disabledReason || 'Terms verification pending',
+                        suspended: true
+                    });
+                }
             }
         }
 
@@ -34,4 +40,13 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
+const authMiddleware = (req, res, next) => verifyRequest(req, res, next);
+
+/**
+ * Same token verification, but lets suspended accounts through
+ * (flagged via req.user.disabled). Only for routes a suspended
+ * user still needs, e.g. filing an appeal.
+ */
+authMiddleware.allowSuspended = (req, res, next) => verifyRequest(req, res, next, { allowDisabled: true });
+
 module.exports = authMiddleware;
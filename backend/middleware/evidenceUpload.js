@@ -0,0 +1,22 @@
+const multer = require('multer');
+
+// Leaked screenshots or PDFs submitted for forensic tracing
+const ALLOWED_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/webp'];
+
+const storage = multer.memoryStorage();
+
+const evidenceUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 15 * 1024 * 1024 // 15MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only PDF, PNG, JPEG or WebP files are allowed!'), false);
+        }
+    }
+});
+
+module.exports = evidenceUpload;
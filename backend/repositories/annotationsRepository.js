@@ -0,0 +1,31 @@
+// repositories/annotationsRepository.js
+
+const createRepository = require("./createRepository");
+
+/**
+ * Annotations Repository
+ *
+ * Private highlights and notes, `pdf_annotations/{annotationId}`:
+ * { id, userId, pdfId, groupId, page, type, rects, color, note, version,
+ *   createdAt, updatedAt }
+ *
+ * Kept apart from the PDF itself, which is never modified.
+ */
+
+function createAnnotationsRepository(getStore) {
+    const base = createRepository(getStore, 'pdf_annotations');
+
+    return {
+        ...base,
+
+        listByUserAndPdf(userId, pdfId) {
+            return base.find([['userId', '==', userId], ['pdfId', '==', pdfId]]);
+        },
+
+        listByPdf(pdfId) {
+            return base.find([['pdfId', '==', pdfId]]);
+        }
+    };
+}
+
+module.exports = createAnnotationsRepository;
@@ -0,0 +1,33 @@
+// repositories/commentsRepository.js
+
+const createRepository = require("./createRepository");
+
+/**
+ * Comments Repository
+ *
+ * Group discussion on documents, `pdf_comments/{commentId}`:
+ * { id, pdfId, groupId, threadId, authorId, authorName, body, mentions,
+ *   createdAt, updatedAt, editedAt, removed }
+ *
+ * A thread is its first comment (threadId === id), which also carries the
+ * anchor and status: { page, rect, version, resolved, resolvedBy,
+ * resolvedAt }. Replies share its threadId.
+ */
+
+function createCommentsRepository(getStore) {
+    const base = createRepository(getStore, 'pdf_comments');
+
+    return {
+        ...base,
+
+        listByPdf(pdfId) {
+            return base.find([['pdfId', '==', pdfId]]);
+        },
+
+        listByGroup(groupId) {
+            return base.find([['groupId', '==', groupId]]);
+        }
+    };
+}
+
+module.exports = createCommentsRepository;
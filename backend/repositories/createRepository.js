@@ -0,0 +1,66 @@
+// repositories/createRepository.js
+
+/**
+ * Base Repository
+ *
+ * Document operations on one collection, delegated to whichever store is
+ * configured. Reads return plain data objects (or null), never store
+ * snapshots, so callers work the same on Firestore and the memory store.
+ *
+ * Query filters are `[fieldPath, operator, value]` triples using Firestore
+ * operators ('==', 'array-contains', 'in', ...).
+ *
+ * Document operations take an optional `transaction` (see
+ * repositories.runTransaction) as their last argument; its writes are
+ * then committed together with the rest of the transaction, or not at all.
+ */
+
+function createRepository(getStore, collection) {
+    return {
+        collection,
+
+        get(id, transaction) {
+            return (transaction || getStore()).get(collection, id);
+        },
+
+        /**
+         * Write the whole document, replacing any existing one
+         */
+        set(id, data, transaction) {
+            return (transaction || getStore()).set(collection, id, data);
+        },
+
+        /**
+         * Write a new document. Fails with code 'already-exists' if one is
+         * already stored under `id`.
+         */
+        create(id, data, transaction) {
+            return (transaction || getStore()).create(collection, id, data);
+        },
+
+        /**
+         * Deep-merge fields into the document, creating it if needed
+         */
+        merge(id, data, transaction) {
+            return (transaction || getStore()).set(collection, id, data, { merge: true });
+        },
+
+        /**
+         * Update fields of an existing document (dotted paths allowed).
+         * Fails if the document does not exist.
+         */
+        update(id, patch, transaction) {
+            return (transaction || getStore()).update(collection, id, patch);
+        },
+
+        delete(id, transaction) {
+            return (transaction || getStore()).delete(collection, id);
+        },
+
+        find(filters = [], options = {}) {
+            return getStore().find(collection, filters, options);
+        }
+    };
+}
+
+module.exports = createRepository;
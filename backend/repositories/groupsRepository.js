@@ -0,0 +1,91 @@
+// repositories/groupsRepository.js
+
+const createRepository = require("./createRepository");
+
+/**
+ * Groups Repository
+ *
+ * `groups/{groupId}`: { id, name, description, createdBy, roles, members,
+ * memberExpiry, inviteCode, securityPolicy, createdAt }
+ */
+
+function createGroupsRepository(getStore) {
+    const base = createRepository(getStore, 'groups');
+
+    return {
+        ...base,
+
+        listForMember(uid) {
+            return base.find([['members', 'array-contains', uid]]);
+        },
+
+        /**
+         * Group with a legacy (group-level) invite code, or null
+         */
+        async findByInviteCode(inviteCode) {
+            const [group] = await base.find([['inviteCode', '==', inviteCode]], { limit: 1 });
+            return group || null;
+        },
+
+        /**
+         * Remove the legacy invite code so it can no longer be used
+         */
+        clearInviteCode(groupId) {
+            return base.update(groupId, { inviteCode: getStore().ops.deleteField() });
+        },
+
+        /**
+         * Add (or re-add) a member with a role and optional expiry
+         */
+        addMember(groupId, uid, { role = 'member', expiresAt = null } = {}) {
+            const patch = {
+                members: getStore().ops.arrayUnion(uid),
+                [`roles.${uid}`]: role
+            };
+            if (expiresAt) {
+                patch[`memberExpiry.${uid}`] = expiresAt;
+            }
+            return base.update(groupId, patch);
+        },
+
+        setRole(groupId, uid, role) {
+            return base.update(groupId, { [`roles.${uid}`]: role });
+        },
+
+        /**
+         * Set a member's expiry; null removes it (access never lapses)
+         */
+        setMemberExpiry(groupId, uid, expiresAt) {
+            return base.update(groupId, {
+                [`memberExpiry.${uid}`]: expiresAt || getStore().ops.deleteField()
+            });
+        },
+
+        /**
+         * Hand the group to another member; the previous owner stays on
+         * as an admin. Owners never expire, so the new owner's expiry goes.
+         */
+        transferOwnership(groupId, fromUid, toUid) {
+            return base.update(groupId, {
+                createdBy: toUid,
+                [`roles.${toUid}`]: 'owner',
+                [`roles.${fromUid}`]: 'admin',
+                [`memberExpiry.${toUid}`]: getStore().ops.deleteField()
+            });
+        },
+
+        /**
+         * Remove a member along with their role and expiry
+         */
+        removeMember(groupId, uid) {
+            const { ops } = getStore();
+            return base.update(groupId, {
+                members: ops.arrayRemove(uid),
+                [`roles.${uid}`]: ops.deleteField(),
+                [`memberExpiry.${uid}`]: ops.deleteField()
+            });
+        }
+    };
+}
+
+module.exports = createGroupsRepository;
@@ -0,0 +1,77 @@
+// repositories/index.js
+
+const createRepository = require("./createRepository");
+const createGroupsRepository = require("./groupsRepository");
+const createInvitesRepository = require("./invitesRepository");
+const createPdfsRepository = require("./pdfsRepository");
+const createPdfEventsRepository = require("./pdfEventsRepository");
+const createAnnotationsRepository = require("./annotationsRepository");
+const createCommentsRepository = require("./commentsRepository");
+
+/**
+ * Repositories
+ *
+ * The data layer for the whole backend. Controllers and services read and
+ * write through these repositories instead of calling Firestore directly.
+ *
+ * The store behind them is chosen with DATA_STORE:
+ * - firestore (default): Cloud Firestore via firebase-admin
+ * - memory: embedded store, optionally persisted to LOCAL_DATA_FILE;
+ *   needs no Firebase credentials (local development and CI)
+ *
+ * The store is created on first use, so requiring this module never
+ * touches Firebase by itself.
+ */
+
+const STORES = {
+    firestore: () => require("./stores/firestoreStore").createFirestoreStore(),
+    memory: () => require("./stores/memoryStore").createMemoryStore()
+};
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        const name = process.env.DATA_STORE || 'firestore';
+        if (!STORES[name]) {
+            throw new Error(`Unknown DATA_STORE "${name}" (expected: ${Object.keys(STORES).join(', ')})`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+}
+
+/**
+ * Run `fn(transaction)` atomically: pass `transaction` to repository
+ * methods and their writes commit together, or none of them do. Reads
+ * must come before writes, and `fn` may run again if what it read changed.
+ */
+function runTransaction(fn) {
+    return getStore().runTransaction(fn);
+}
+
+module.exports = {
+    getStore,
+    runTransaction,
+
+    users: createRepository(getStore, 'users'),
+    groups: createGroupsRepository(getStore),
+    invites: createInvitesRepository(getStore),
+    pdfs: createPdfsRepository(getStore),
+    pdfEvents: createPdfEventsRepository(getStore),
+    annotations: createAnnotationsRepository(getStore),
+    comments: createCommentsRepository(getStore),
+
+    pdfVersions: createRepository(getStore, 'pdf_versions'),
+    viewerSessions: createRepository(getStore, 'viewer_sessions'),
+    forensicMarks: createRepository(getStore, 'forensic_marks'),
+    notifications: createRepository(getStore, 'notifications'),
+    violationScores: createRepository(getStore, 'violation_scores'),
+    violationAppeals: createRepository(getStore, 'violation_appeals'),
+    renewalRequests: createRepository(getStore, 'renewal_requests'),
+    mailDigests: createRepository(getStore, 'mail_digests'),
+    auditChains: createRepository(getStore, 'audit_chains'),
+    auditChainLinks: createRepository(getStore, 'audit_chain_links'),
+    auditCheckpoints: createRepository(getStore, 'audit_checkpoints'),
+    commentReads: createRepository(getStore, 'comment_reads')
+};
@@ -0,0 +1,52 @@
+// repositories/invitesRepository.js
+
+const createRepository = require("./createRepository");
+
+/**
+ * Invites Repository
+ *
+ * `invites/{code}`: { groupId, code, durationDays, role, maxUses, uses,
+ * expiresAt, allowedEmails, allowedDomains, createdBy, createdAt,
+ * used, usedBy, usedAt, redemptions: [{ uid, email, at }],
+ * revoked, revokedBy, revokedAt }
+ *
+ * See services/invites for the meaning of the options.
+ */
+
+function createInvitesRepository(getStore) {
+    const base = createRepository(getStore, 'invites');
+
+    return {
+        ...base,
+
+        listByGroup(groupId) {
+            return base.find([['groupId', '==', groupId]]);
+        },
+
+        /**
+         * Record who redeemed the code. The caller works out the new use
+         * count and whether that spent the last use, in the same
+         * `transaction` it read them in (see services/invites.redeem).
+         */
+        recordRedemption(code, { uid, email = null }, { uses, used }, transaction) {
+            const at = new Date().toISOString();
+            return base.update(code, {
+                uses,
+                used,
+                usedBy: uid,
+                usedAt: at,
+                redemptions: getStore().ops.arrayUnion({ uid, email, at })
+            }, transaction);
+        },
+
+        revoke(code, uid) {
+            return base.update(code, {
+                revoked: true,
+                revokedBy: uid,
+                revokedAt: new Date().toISOString()
+            });
+        }
+    };
+}
+
+module.exports = createInvitesRepository;
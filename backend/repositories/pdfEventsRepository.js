@@ -0,0 +1,65 @@
+// repositories/pdfEventsRepository.js
+
+const createRepository = require("./createRepository");
+
+/**
+ * PDF Events Repository
+ *
+ * Activity log, `pdf_events/{eventId}`:
+ * { id, userId, action, pdfId, groupId, details, timestamp }
+ *
+ * Viewer events also carry email, sessionId, userAgent and ip. Events
+ * logged before `groupId` was recorded on every row may lack it.
+ *
+ * New events are written through services/auditChain, which adds
+ * { chainId, seq, prevHash, hash } so edits and deletions can be detected.
+ */
+
+function createPdfEventsRepository(getStore) {
+    const base = createRepository(getStore, 'pdf_events');
+
+    return {
+        ...base,
+
+        /**
+         * Store an event under its own id
+         */
+        record(event, transaction) {
+            return base.set(event.id, event, transaction);
+        },
+
+        listByUser(userId) {
+            return base.find([['userId', '==', userId]]);
+        },
+
+        listByGroup(groupId) {
+            return base.find([['groupId', '==', groupId]]);
+        },
+
+        listByPdf(pdfId) {
+            return base.find([['pdfId', '==', pdfId]]);
+        },
+
+        listBySession(sessionId) {
+            return base.find([['sessionId', '==', sessionId]]);
+        },
+
+        listByChain(chainId) {
+            return base.find([['chainId', '==', chainId]]);
+        },
+
+        /**
+         * Events of any of the given documents (chunked for Firestore's
+         * 30-value limit on 'in')
+         */
+        async listByPdfs(pdfIds) {
+            const events = [];
+            for (let i = 0; i < pdfIds.length; i += 30) {
+                events.push(...await base.find([['pdfId', 'in', pdfIds.slice(i, i + 30)]]));
+            }
+            return events;
+        }
+    };
+}
+
+module.exports = createPdfEventsRepository;
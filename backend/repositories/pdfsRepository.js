@@ -0,0 +1,28 @@
+// repositories/pdfsRepository.js
+
+const createRepository = require("./createRepository");
+
+/**
+ * PDFs Repository
+ *
+ * `pdfs/{pdfId}`: document metadata describing the current version
+ * (title, groupId, stored file fields, version, expiryDate, viewCount, ...).
+ */
+
+function createPdfsRepository(getStore) {
+    const base = createRepository(getStore, 'pdfs');
+
+    return {
+        ...base,
+
+        listByGroup(groupId) {
+            return base.find([['groupId', '==', groupId]]);
+        },
+
+        incrementViewCount(pdfId) {
+            return base.update(pdfId, { viewCount: getStore().ops.increment(1) });
+        }
+    };
+}
+
+module.exports = createPdfsRepository;
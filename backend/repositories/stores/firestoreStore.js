@@ -0,0 +1,101 @@
+// repositories/stores/firestoreStore.js
+
+/**
+ * Firestore Store
+ *
+ * Thin adapter from the repository store interface to Firestore. Firebase
+ * is only initialized when this store is created, so the API can run on
+ * the memory store without any Firebase credentials.
+ */
+
+function createFirestoreStore() {
+    const { admin, db } = require("../../config/firebase");
+    const { FieldValue } = admin.firestore;
+
+    return {
+        name: 'firestore',
+
+        ops: {
+            arrayUnion: (...values) => FieldValue.arrayUnion(...values),
+            arrayRemove: (...values) => FieldValue.arrayRemove(...values),
+            increment: (amount) => FieldValue.increment(amount),
+            deleteField: () => FieldValue.delete()
+        },
+
+        async get(name, id) {
+            const doc = await db.collection(name).doc(id).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        async set(name, id, data, { merge = false } = {}) {
+            await db.collection(name).doc(id).set(data, merge ? { merge: true } : {});
+        },
+
+        async create(name, id, data) {
+            try {
+                await db.collection(name).doc(id).create(data);
+            } catch (error) {
+                // gRPC ALREADY_EXISTS, reported the same way as the memory store
+                if (error.code === 6) error.code = 'already-exists';
+                throw error;
+            }
+        },
+
+        async update(name, id, patch) {
+            await db.collection(name).doc(id).update(patch);
+        },
+
+        async delete(name, id) {
+            await db.collection(name).doc(id).delete();
+        },
+
+        /**
+         * Run `fn(transaction)` in a Firestore transaction. The transaction
+         * has get, set, create, update and delete like the store; reads
+         * must come first.
+         *
+         * @returns {Promise<*>} what `fn` returned
+         */
+        async runTransaction(fn) {
+            try {
+                return await db.runTransaction((t) => fn({
+                    async get(name, id) {
+                        const doc = await t.get(db.collection(name).doc(id));
+                        return doc.exists ? doc.data() : null;
+                    },
+                    async set(name, id, data, { merge = false } = {}) {
+                        t.set(db.collection(name).doc(id), data, merge ? { merge: true } : {});
+                    },
+                    async create(name, id, data) {
+                        t.create(db.collection(name).doc(id), data);
+                    },
+                    async update(name, id, patch) {
+                        t.update(db.collection(name).doc(id), patch);
+                    },
+                    async delete(name, id) {
+                        t.delete(db.collection(name).doc(id));
+                    }
+                }));
+            } catch (error) {
+                // A create inside the transaction hit an existing document
+                if (error.code === 6) error.code = 'already-exists';
+                throw error;
+            }
+        },
+
+        async find(name, filters = [], { limit } = {}) {
+            let query = db.collection(name);
+            for (const [fieldPath, operator, value] of filters) {
+                query = query.where(fieldPath, operator, value);
+            }
+            if (limit) {
+                query = query.limit(limit);
+            }
+
+            const snapshot = await query.get();
+            return snapshot.docs.map(doc => doc.data());
+        }
+    };
+}
+
+module.exports = { createFirestoreStore };
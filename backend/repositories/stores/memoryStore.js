@@ -0,0 +1,315 @@
+// repositories/stores/memoryStore.js
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Memory Store
+ *
+ * Embedded document store with the subset of Firestore semantics the
+ * repositories rely on: whole-document set, create-if-absent, merge (deep,
+ * like Firestore), dotted-path updates, field operations and simple
+ * equality / array queries. Documents are kept as JSON copies, so callers
+ * can never mutate stored state by accident.
+ *
+ * Transactions buffer their writes and apply them all at once when the
+ * callback returns. Like Firestore, a transaction whose reads were changed
+ * by another write in the meantime runs again.
+ *
+ * With LOCAL_DATA_FILE set, the data is loaded from and written back to
+ * that JSON file, so a local API survives restarts.
+ */
+
+class FieldOperation {
+    constructor(kind, values = []) {
+        this.kind = kind;
+        this.values = values;
+    }
+}
+
+const ops = {
+    arrayUnion: (...values) => new FieldOperation('arrayUnion', values),
+    arrayRemove: (...values) => new FieldOperation('arrayRemove', values),
+    increment: (amount) => new FieldOperation('increment', [amount]),
+    deleteField: () => new FieldOperation('delete')
+};
+
+// Attempts before a contended transaction gives up (Firestore's default)
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const FILTER_OPERATORS = {
+    '==': (field, value) => isEqual(field, value),
+    '!=': (field, value) => field !== undefined && !isEqual(field, value),
+    '<': (field, value) => field !== undefined && field < value,
+    '<=': (field, value) => field !== undefined && field <= value,
+    '>': (field, value) => field !== undefined && field > value,
+    '>=': (field, value) => field !== undefined && field >= value,
+    'in': (field, value) => value.some(item => isEqual(field, item)),
+    'not-in': (field, value) => field !== undefined && !value.some(item => isEqual(field, item)),
+    'array-contains': (field, value) => Array.isArray(field) && field.some(item => isEqual(item, value)),
+    'array-contains-any': (field, value) => Array.isArray(field) && field.some(item => value.some(v => isEqual(item, v)))
+};
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof FieldOperation);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function readPath(data, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+}
+
+/**
+ * Resolve a value being written, applying field operations against the
+ * current value. Returns undefined when the field should be removed.
+ */
+function resolveValue(current, value) {
+    if (value instanceof FieldOperation) {
+        const existing = Array.isArray(current) ? current : [];
+        switch (value.kind) {
+            case 'arrayUnion':
+                return [...existing, ...value.values.filter(v => !existing.some(item => isEqual(item, v)))];
+            case 'arrayRemove':
+                return existing.filter(item => !value.values.some(v => isEqual(item, v)));
+            case 'increment':
+                return (typeof current === 'number' ? current : 0) + value.values[0];
+            case 'delete':
+                return undefined;
+        }
+    }
+
+    if (isPlainObject(value)) {
+        return Object.entries(value).reduce((acc, [key, nested]) => {
+            const resolved = resolveValue(undefined, nested);
+            if (resolved !== undefined) acc[key] = resolved;
+            return acc;
+        }, {});
+    }
+
+    return clone(value);
+}
+
+function writeField(target, key, current, value) {
+    const resolved = resolveValue(current, value);
+    if (resolved === undefined) {
+        delete target[key];
+    } else {
+        target[key] = resolved;
+    }
+}
+
+function deepMerge(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            deepMerge(target[key], value);
+        } else {
+            writeField(target, key, target[key], value);
+        }
+    }
+    return target;
+}
+
+function applyUpdate(data, patch) {
+    for (const [fieldPath, value] of Object.entries(patch)) {
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+
+        let target = data;
+        for (const key of keys) {
+            if (!isPlainObject(target[key])) target[key] = {};
+            target = target[key];
+        }
+
+        writeField(target, last, target[last], value);
+    }
+    return data;
+}
+
+function createMemoryStore({ dataFile = process.env.LOCAL_DATA_FILE } = {}) {
+    const collections = new Map();
+
+    if (dataFile && fs.existsSync(dataFile)) {
+        const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        for (const [name, docs] of Object.entries(saved)) {
+            collections.set(name, new Map(Object.entries(docs)));
+        }
+    }
+
+    function collection(name) {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    }
+
+    function persist() {
+        if (!dataFile) return;
+
+        const snapshot = {};
+        for (const [name, docs] of collections) {
+            snapshot[name] = Object.fromEntries(docs);
+        }
+
+        fs.mkdirSync(path.dirname(path.resolve(dataFile)), { recursive: true });
+        fs.writeFileSync(`${dataFile}.tmp`, JSON.stringify(snapshot));
+        fs.renameSync(`${dataFile}.tmp`, dataFile);
+    }
+
+    // Synchronous writes, shared by the store methods and transaction commits
+    const writes = {
+        set(name, id, data, { merge = false } = {}) {
+            const docs = collection(name);
+            const next = merge && docs.has(id)
+                ? deepMerge(clone(docs.get(id)), data)
+                : resolveValue(undefined, data);
+
+            docs.set(id, next);
+        },
+
+        create(name, id, data) {
+            const docs = collection(name);
+            if (docs.has(id)) {
+                const error = new Error(`Document already exists: ${name}/${id}`);
+                error.code = 'already-exists';
+                throw error;
+            }
+
+            docs.set(id, resolveValue(undefined, data));
+        },
+
+        update(name, id, patch) {
+            const docs = collection(name);
+            if (!docs.has(id)) {
+                const error = new Error(`No document to update: ${name}/${id}`);
+                error.code = 'not-found';
+                throw error;
+            }
+
+            docs.set(id, applyUpdate(clone(docs.get(id)), patch));
+        },
+
+        delete(name, id) {
+            collection(name).delete(id);
+        }
+    };
+
+    /**
+     * Apply a transaction's writes, all or none
+     */
+    function commit(pending) {
+        const originals = pending.map(({ name, id }) => ({ name, id, data: collection(name).get(id) }));
+
+        try {
+            for (const { kind, name, id, args } of pending) {
+                writes[kind](name, id, ...args);
+            }
+        } catch (error) {
+            for (const { name, id, data } of originals.reverse()) {
+                if (data === undefined) collection(name).delete(id);
+                else collection(name).set(id, data);
+            }
+            throw error;
+        }
+        persist();
+    }
+
+    return {
+        name: 'memory',
+        ops,
+
+        async get(name, id) {
+            const data = collection(name).get(id);
+            return data === undefined ? null : clone(data);
+        },
+
+        async set(name, id, data, options) {
+            writes.set(name, id, data, options);
+            persist();
+        },
+
+        async create(name, id, data) {
+            writes.create(name, id, data);
+            persist();
+        },
+
+        async update(name, id, patch) {
+            writes.update(name, id, patch);
+            persist();
+        },
+
+        async delete(name, id) {
+            writes.delete(name, id);
+            persist();
+        },
+
+        /**
+         * Run `fn(transaction)`. The transaction has get, set, create,
+         * update and delete like the store; reads must come first.
+         *
+         * @returns {Promise<*>} what `fn` returned
+         */
+        async runTransaction(fn) {
+            for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt++) {
+                const reads = [];
+                const pending = [];
+                const buffer = (kind) => async (name, id, ...args) => {
+                    pending.push({ kind, name, id, args });
+                };
+
+                const transaction = {
+                    async get(name, id) {
+                        if (pending.length > 0) throw new Error('Transactions must read before they write');
+
+                        const data = collection(name).get(id);
+                        reads.push({ name, id, seen: JSON.stringify(data ?? null) });
+                        return data === undefined ? null : clone(data);
+                    },
+                    set: buffer('set'),
+                    create: buffer('create'),
+                    update: buffer('update'),
+                    delete: buffer('delete')
+                };
+
+                const result = await fn(transaction);
+
+                const contended = reads.some(({ name, id, seen }) => JSON.stringify(collection(name).get(id) ?? null) !== seen);
+                if (contended) continue;
+
+                commit(pending);
+                return result;
+            }
+
+            throw new Error(`Transaction failed after ${MAX_TRANSACTION_ATTEMPTS} attempts`);
+        },
+
+        async find(name, filters = [], { limit } = {}) {
+            const results = [];
+            for (const data of collection(name).values()) {
+                const matches = filters.every(([fieldPath, operator, value]) => {
+                    const test = FILTER_OPERATORS[operator];
+                    if (!test) throw new Error(`Unsupported filter operator "${operator}"`);
+                    return test(readPath(data, fieldPath), value);
+                });
+
+                if (matches) results.push(clone(data));
+                if (limit && results.length >= limit) break;
+            }
+            return results;
+        },
+
+        /**
+         * Drop all data (tests and local resets)
+         */
+        async clear() {
+            collections.clear();
+            persist();
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
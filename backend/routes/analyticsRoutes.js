@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Analytics Routes
+ *
+ * Reading analytics, for group owners.
+ */
+
+// Summary for every document of a group
+// GET /api/analytics/groups/:groupId
+router.get('/groups/:groupId', authMiddleware, analyticsController.getGroupAnalytics);
+
+// Page-level detail for one document
+// GET /api/analytics/pdfs/:pdfId
+router.get('/pdfs/:pdfId', authMiddleware, analyticsController.getDocumentAnalytics);
+
+module.exports = router;
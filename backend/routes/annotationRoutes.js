@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const annotationController = require('../controllers/annotationController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Annotation Routes
+ *
+ * A reader's private highlights and notes; always the caller's own.
+ */
+
+// The caller's annotations on a document
+// GET /api/annotations/pdfs/:pdfId
+router.get('/pdfs/:pdfId', authMiddleware, annotationController.listAnnotations);
+
+// Add a highlight or note
+// POST /api/annotations/pdfs/:pdfId
+router.post('/pdfs/:pdfId', authMiddleware, annotationController.createAnnotation);
+
+// Edit the note or color
+// PUT /api/annotations/:annotationId
+router.put('/:annotationId', authMiddleware, annotationController.updateAnnotation);
+
+// DELETE /api/annotations/:annotationId
+router.delete('/:annotationId', authMiddleware, annotationController.deleteAnnotation);
+
+module.exports = router;
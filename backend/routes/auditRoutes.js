@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Audit Routes
+ *
+ * A group's activity log, for its owner.
+ */
+
+// Paginated, filterable audit log
+// GET /api/audit/groups/:groupId?pdfId=&userId=&action=&from=&to=&page=&pageSize=
+router.get('/groups/:groupId', authMiddleware, auditController.getGroupAuditLog);
+
+// Export the (filtered) audit log
+// GET /api/audit/groups/:groupId/export?format=csv|json&...filters
+router.get('/groups/:groupId/export', authMiddleware, auditController.exportGroupAuditLog);
+
+// Check the log's hash chain for gaps and modifications
+// GET /api/audit/groups/:groupId/verify
+router.get('/groups/:groupId/verify', authMiddleware, auditController.verifyGroupAuditLog);
+
+module.exports = router;
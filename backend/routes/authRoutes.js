@@ -5,6 +5,10 @@ const authMiddleware = require('../middleware/authMiddleware');
 
 router.post('/sync', authMiddleware, authController.syncUser);
 router.put('/profile', authMiddleware, authController.updateProfile);
+router.get('/email-preferences', authMiddleware, authController.getEmailPreferences);
+router.put('/email-preferences', authMiddleware, authController.updateEmailPreferences);
+router.get('/notifications', authMiddleware, authController.getNotifications);
+router.put('/notifications/:notificationId/read', authMiddleware, authController.markNotificationRead);
 
 
 module.exports = router;
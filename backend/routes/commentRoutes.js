@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const commentController = require('../controllers/commentController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Comment Routes
+ *
+ * Discussion threads anchored to document pages, shared with the
+ * document's readers and moderated by owners and admins.
+ */
+
+// Unread comments per document of a group
+// GET /api/comments/groups/:groupId/unread
+router.get('/groups/:groupId/unread', authMiddleware, commentController.getUnreadCounts);
+
+// A document's threads
+// GET /api/comments/pdfs/:pdfId
+router.get('/pdfs/:pdfId', authMiddleware, commentController.listComments);
+
+// Start a thread on a page (or a region of it)
+// POST /api/comments/pdfs/:pdfId
+router.post('/pdfs/:pdfId', authMiddleware, commentController.createThread);
+
+// People who can be mentioned on the document
+// GET /api/comments/pdfs/:pdfId/participants
+router.get('/pdfs/:pdfId/participants', authMiddleware, commentController.getParticipants);
+
+// POST /api/comments/pdfs/:pdfId/read
+router.post('/pdfs/:pdfId/read', authMiddleware, commentController.markRead);
+
+// POST /api/comments/threads/:threadId/replies
+router.post('/threads/:threadId/replies', authMiddleware, commentController.reply);
+
+// Resolve or reopen a thread
+// PUT /api/comments/threads/:threadId/resolved
+router.put('/threads/:threadId/resolved', authMiddleware, commentController.setResolved);
+
+// Edit a comment (author)
+// PUT /api/comments/:commentId
+router.put('/:commentId', authMiddleware, commentController.updateComment);
+
+// Remove a comment (author, owners and admins)
+// DELETE /api/comments/:commentId
+router.delete('/:commentId', authMiddleware, commentController.removeComment);
+
+module.exports = router;
@@ -9,8 +9,27 @@ router.get('/', authMiddleware, groupController.getUserGroups);
 router.get('/:groupId', authMiddleware, groupController.getGroup);
 router.post('/:groupId/invite', authMiddleware, groupController.generateInvite);
 
+// Invite links
+router.get('/:groupId/invites', authMiddleware, groupController.getInvites);
+router.delete('/:groupId/invites/:code', authMiddleware, groupController.revokeInvite);
+router.post('/:groupId/invites/:code/rotate', authMiddleware, groupController.rotateInvite);
+router.post('/:groupId/invite-code/rotate', authMiddleware, groupController.rotateGroupInviteCode);
+router.delete('/:groupId/invite-code', authMiddleware, groupController.disableGroupInviteCode);
+
 router.get('/:groupId/members', authMiddleware, groupController.getGroupMembers);
 router.delete('/:groupId/members/:memberId', authMiddleware, groupController.removeMember);
+router.put('/:groupId/members/:memberId/role', authMiddleware, groupController.updateMemberRole);
+router.post('/:groupId/transfer-ownership', authMiddleware, groupController.transferOwnership);
+
+// Membership expiry and renewals
+router.put('/:groupId/members/:memberId/expiry', authMiddleware, groupController.updateMemberExpiry);
+router.post('/:groupId/members/extend', authMiddleware, groupController.extendMembers);
+router.get('/:groupId/renewal-requests', authMiddleware, groupController.getRenewalRequests);
+router.post('/:groupId/renewal-requests', authMiddleware, groupController.requestRenewal);
+router.post('/:groupId/renewal-requests/:memberId/:decision', authMiddleware, groupController.resolveRenewal);
+
+router.get('/:groupId/security-policy', authMiddleware, groupController.getSecurityPolicy);
+router.put('/:groupId/security-policy', authMiddleware, groupController.updateSecurityPolicy);
 
 
 
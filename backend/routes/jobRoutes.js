@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+/**
+ * Job Routes
+ *
+ * Scheduled jobs, authorized with the CRON_SECRET bearer token rather than
+ * a user session.
+ */
+
+// Upload digests and expiry reminders
+// GET /api/jobs/mail
+router.get('/mail', jobController.runMailJobs);
+
+// Signed audit chain checkpoints
+// GET /api/jobs/audit-checkpoints
+router.get('/audit-checkpoints', jobController.runAuditCheckpoints);
+
+module.exports = router;
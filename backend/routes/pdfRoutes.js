@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const pdfController = require('../controllers/pdfController');
+const versionController = require('../controllers/versionController');
 const authMiddleware = require('../middleware/authMiddleware');
 const upload = require('../middleware/upload');
 
@@ -8,8 +9,21 @@ router.post('/upload', authMiddleware, upload.single('pdf'), pdfController.uploa
 router.get('/:groupId', authMiddleware, pdfController.getGroupPDFs);
 router.get('/metadata/:pdfId', authMiddleware, pdfController.getPDFMetadata);
 router.post('/sign-url', authMiddleware, pdfController.generateSignedUrl);
+router.put('/:pdfId/access', authMiddleware, pdfController.updateDocumentAccess);
+router.put('/:pdfId/availability', authMiddleware, pdfController.updateDocumentAvailability);
 router.delete('/:pdfId', authMiddleware, pdfController.deletePDF);
 router.get('/proxy/:pdfId', authMiddleware, pdfController.proxyPDF);
+router.get('/:pdfId/pages', authMiddleware, pdfController.getPageInfo);
+router.get('/:pdfId/pages/:pageNumber', authMiddleware, pdfController.getPageImage);
+router.get('/:pdfId/search', authMiddleware, pdfController.searchDocument);
+router.post('/:pdfId/download', authMiddleware, pdfController.downloadCopy);
+
+// Document versions (owners)
+router.get('/:pdfId/versions', authMiddleware, versionController.listVersions);
+router.post('/:pdfId/versions', authMiddleware, upload.single('pdf'), versionController.uploadVersion);
+router.get('/:pdfId/versions/:version/file', authMiddleware, versionController.viewVersion);
+router.post('/:pdfId/versions/:version/restore', authMiddleware, versionController.restoreVersion);
+router.delete('/:pdfId/versions/:version', authMiddleware, versionController.purgeVersion);
 
 
 module.exports = router;
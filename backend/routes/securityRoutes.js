@@ -1,37 +1,64 @@
-// const express = require('express');
-// const router = express.Router();
-// const securityController = require('../controllers/securityController');
-// const authMiddleware = require('../middleware/authMiddleware');
-
-// /**
-//  * Security Routes
-//  *
-//  * All routes require authentication.
-//  * These endpoints handle session management and security event logging.
-//  */
-
-// // Session heartbeat - validates active viewing session
-// // POST /api/security/heartbeat
-// // Body: { sessionId, pdfId }
-// router.post('/heartbeat', authMiddleware, securityController.heartbeat);
-
-// // Log security event
-// // POST /api/security/log-event
-// // Body: { type, details, sessionId, pdfId, groupId, ... }
-// router.post('/log-event', authMiddleware, securityController.logEvent);
-
-// // Check if session is current
-// // POST /api/security/check-session
-// // Body: { sessionId }
-// router.post('/check-session', authMiddleware, securityController.checkSession);
-
-// // End viewing session
-// // POST /api/security/end-session
-// // Body: { sessionId }
-// router.post('/end-session', authMiddleware, securityController.endSession);
-
-// // Get user's security events (for audit)
-// // GET /api/security/events/:userId
-// router.get('/events/:userId', authMiddleware, securityController.getUserEvents);
-
-// module.exports = router;
+const express = require('express');
+const router = express.Router();
+const securityController = require('../controllers/securityController');
+const authMiddleware = require('../middleware/authMiddleware');
+const evidenceUpload = require('../middleware/evidenceUpload');
+
+/**
+ * Security Routes
+ *
+ * All routes require authentication.
+ * These endpoints handle session management and security event logging.
+ */
+
+// Session heartbeat - validates active viewing session
+// POST /api/security/heartbeat
+// Body: { sessionId, pdfId }
+router.post('/heartbeat', authMiddleware, securityController.heartbeat);
+
+// Log security event
+// POST /api/security/log-event
+// Body: { type, details, sessionId, pdfId, groupId, ... }
+router.post('/log-event', authMiddleware, securityController.logEvent);
+
+// Check if session is current
+// POST /api/security/check-session
+// Body: { sessionId }
+router.post('/check-session', authMiddleware, securityController.checkSession);
+
+// End viewing session
+// POST /api/security/end-session
+// Body: { sessionId }
+router.post('/end-session', authMiddleware, securityController.endSession);
+
+// Get user's security events (for audit)
+// GET /api/security/events/:userId
+router.get('/events/:userId', authMiddleware, securityController.getUserEvents);
+
+// List live viewing sessions on a group's documents (owners/admins)
+// GET /api/security/groups/:groupId/sessions
+router.get('/groups/:groupId/sessions', authMiddleware, securityController.getGroupSessions);
+
+// Terminate a live viewing session (owners/admins)
+// DELETE /api/security/groups/:groupId/sessions/:sessionId
+router.delete('/groups/:groupId/sessions/:sessionId', authMiddleware, securityController.terminateSession);
+
+// Suspension appeal status / submission (reachable while suspended)
+// GET  /api/security/appeal
+// POST /api/security/appeal  Body: { message }
+router.get('/appeal', authMiddleware.allowSuspended, securityController.getAppealStatus);
+router.post('/appeal', authMiddleware.allowSuspended, securityController.submitAppeal);
+
+// Suspended members of a group, with score + appeal (owners/admins)
+// GET /api/security/groups/:groupId/suspensions
+router.get('/groups/:groupId/suspensions', authMiddleware, securityController.getGroupSuspensions);
+
+// Lift a member's suspension (owners)
+// POST /api/security/groups/:groupId/members/:memberId/reinstate
+router.post('/groups/:groupId/members/:memberId/reinstate', authMiddleware, securityController.reinstateMember);
+
+// Identify who leaked a screenshot/PDF from its forensic mark (owners/admins)
+// POST /api/security/forensics/trace  multipart: file
+router.post('/forensics/trace', authMiddleware, evidenceUpload.single('file'), securityController.traceLeak);
+
+module.exports = router;
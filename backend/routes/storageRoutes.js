@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const storageController = require('../controllers/storageController');
+
+/**
+ * Storage Routes
+ *
+ * Serves files kept by the local disk storage provider. These links are
+ * handed out by POST /api/pdfs/sign-url; the HMAC signature in the query
+ * string is the authorization, so there is no auth middleware here.
+ */
+
+// Download a locally stored file
+// GET /api/storage/local/:key?expires=...&signature=...
+router.get('/local/:key', storageController.serveLocalFile);
+
+module.exports = router;
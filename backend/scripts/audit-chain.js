@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// scripts/audit-chain.js
+
+/**
+ * Audit Chain CLI
+ *
+ * Verifies the hash-chained activity log, the same check as
+ * GET /api/audit/groups/:groupId/verify, or signs checkpoints like
+ * GET /api/jobs/audit-checkpoints. Uses the server's data store
+ * configuration and AUDIT_SIGNING_KEY.
+ *
+ * Usage: npm run audit-chain -- verify <groupId> [--json]
+ *        npm run audit-chain -- verify --all [--json]
+ *        npm run audit-chain -- checkpoint
+ *
+ * Exits with 1 when any verified chain has issues.
+ */
+
+require("dotenv").config();
+const auditChain = require("../services/auditChain");
+
+const USAGE = 'Usage: npm run audit-chain -- verify <groupId>|--all [--json] | checkpoint';
+
+function describeIssue(issue) {
+    const subject = issue.eventId || (issue.eventIds && issue.eventIds.join(', ')) || issue.checkpointId || '-';
+    return `  #${issue.seq}  ${issue.type}${issue.reason ? ` (${issue.reason})` : ''}  ${subject}`;
+}
+
+function printResult(result) {
+    console.log(`${result.chainId}: ${result.length} event(s), ${result.intact ? 'intact' : `${result.issues.length} issue(s)`}`);
+    if (result.unchained) {
+        console.log(`  ${result.unchained} older event(s) predate the chain and cannot be verified`);
+    }
+    if (result.lastCheckpoint) {
+        console.log(`  last checkpoint at #${result.lastCheckpoint.seq} (${result.lastCheckpoint.createdAt})`);
+    }
+    if (result.checkpoints && !result.signaturesChecked) {
+        console.log('  AUDIT_SIGNING_KEY not set - checkpoint signatures were not checked');
+    }
+    for (const issue of result.issues) {
+        console.log(describeIssue(issue));
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const [command, target] = args.filter(arg => arg !== '--json');
+
+    if (command === 'checkpoint') {
+        if (!auditChain.isSigningConfigured()) {
+            console.error('AUDIT_SIGNING_KEY is not set.');
+            return 2;
+        }
+        const result = await auditChain.createCheckpoints();
+        console.log(`Signed ${result.checkpoints} checkpoint(s).`);
+        for (const failure of result.failed) {
+            console.log(`Skipped ${failure.chainId}: failed verification with ${failure.issues} issue(s)`);
+        }
+        return result.failed.length > 0 ? 1 : 0;
+    }
+
+    if (command !== 'verify' || !target) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const results = target === '--all'
+        ? await Promise.all((await auditChain.listChainIds()).map(chainId => auditChain.verifyChain(chainId)))
+        : [await auditChain.verifyGroup(target)];
+
+    if (asJson) {
+        console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+    } else {
+        results.forEach(printResult);
+    }
+
+    return results.every(result => result.intact) ? 0 : 1;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Audit chain check failed:', error.message);
+        process.exit(1);
+    });
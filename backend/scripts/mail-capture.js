@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// scripts/mail-capture.js
+
+/**
+ * Local Mail Capture
+ *
+ * Runs an SMTP server that accepts every message and prints it instead of
+ * delivering it. Start it, then run the backend with
+ * SMTP_HOST=127.0.0.1 SMTP_PORT=<port>.
+ *
+ * Usage: npm run mail-capture -- [port]   (default 1025)
+ */
+
+const { createCaptureServer } = require("../services/mail/captureServer");
+
+const port = Number(process.argv[2]) || 1025;
+
+const server = createCaptureServer({
+    onMessage(message) {
+        const text = message.body.split('\r\n\r\n').slice(1).join('\n\n');
+        console.log('='.repeat(72));
+        console.log(`From:    ${message.from}`);
+        console.log(`To:      ${message.to.join(', ')}`);
+        console.log(`Subject: ${message.subject}`);
+        console.log('-'.repeat(72));
+        console.log(text.trim());
+    }
+});
+
+server.listen(port)
+    .then(bound => console.log(`Capturing mail on 127.0.0.1:${bound} (Ctrl+C to stop)`))
+    .catch(error => {
+        console.error('Mail capture failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// scripts/mail-jobs.js
+
+/**
+ * Mail Jobs CLI
+ *
+ * Sends queued upload digests and membership expiry reminders once, the
+ * same work as GET /api/jobs/mail. Handy for a system cron or for trying
+ * the emails locally against `npm run mail-capture`. Uses the server's
+ * data store and SMTP configuration.
+ *
+ * Usage: npm run mail-jobs
+ */
+
+require("dotenv").config();
+const emailNotifications = require("../services/emailNotifications");
+
+async function main() {
+    const result = await emailNotifications.runMailJobs();
+    console.log(`Sent ${result.digests} upload digest(s) and ${result.reminders} expiry reminder(s).`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Mail jobs failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// scripts/trace-leak.js
+
+/**
+ * Leak Tracing CLI
+ *
+ * Recovers the forensic mark from a leaked screenshot or PDF and prints the
+ * user, viewing session and pdf_events trail it belongs to. Uses the same
+ * data store configuration as the server (DATA_STORE, Firebase credentials).
+ *
+ * Usage: npm run trace-leak -- <file> [--json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const leakTracer = require("../services/leakTracer");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const file = args.find(arg => !arg.startsWith('--'));
+
+    if (!file) {
+        console.error('Usage: npm run trace-leak -- <image-or-pdf> [--json]');
+        return 2;
+    }
+
+    const result = await leakTracer.traceLeak(fs.readFileSync(path.resolve(file)));
+
+    if (asJson) {
+        console.log(JSON.stringify(result, null, 2));
+        return result.found ? 0 : 1;
+    }
+
+    if (!result.found) {
+        console.log(result.decoded
+            ? `Decoded mark ${result.decoded.markId}, but it was not issued by this deployment.`
+            : 'No forensic mark could be recovered from this file.');
+        return 1;
+    }
+
+    const { decoded, mark, events } = result;
+    console.log(`Mark:       ${mark.markId} (page ${decoded.page}, scale ${decoded.scale}, contrast ${decoded.contrast})`);
+    console.log(`User:       ${mark.email || '-'} (${mark.userId})`);
+    console.log(`Session:    ${mark.sessionId || '-'}`);
+    console.log(`Document:   ${mark.pdfId} in group ${mark.groupId}`);
+    console.log(`Issued:     ${mark.createdAt} via ${mark.source}`);
+    console.log(`\nEvents (${events.length}):`);
+
+    for (const event of events) {
+        console.log(`  ${event.timestamp}  ${event.action}`);
+    }
+
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Trace failed:', error.message);
+        process.exit(1);
+    });
@@ -66,7 +66,13 @@ app.use(express.urlencoded({ extended: true }));
 app.use("/api/auth", require("./routes/authRoutes"));
 app.use("/api/pdfs", require("./routes/pdfRoutes"));
 app.use("/api/groups", require("./routes/groupRoutes"));
-// app.use("/api/security", require("./routes/securityRoutes"));
+app.use("/api/security", require("./routes/securityRoutes"));
+app.use("/api/storage", require("./routes/storageRoutes"));
+app.use("/api/audit", require("./routes/auditRoutes"));
+app.use("/api/analytics", require("./routes/analyticsRoutes"));
+app.use("/api/annotations", require("./routes/annotationRoutes"));
+app.use("/api/comments", require("./routes/commentRoutes"));
+app.use("/api/jobs", require("./routes/jobRoutes"));
 
 app.get("/", (req, res) => {
     res.send("Secure PDF Viewer API is running");
@@ -0,0 +1,152 @@
+// services/accessControl.js
+
+const repositories = require("../repositories");
+const documentAccess = require("./documentAccess");
+const documentAvailability = require("./documentAvailability");
+
+/**
+ * Access Control
+ *
+ * The one place that decides who may reach a group or a document. Every
+ * route that serves group content goes through `loadGroup` or
+ * `loadDocument`, so membership, membership expiry, document access lists
+ * and availability windows are enforced the same way everywhere.
+ *
+ * Denials come back as { error, status, details? }; controllers reply with
+ * `res.status(status).json({ message: error, ...details })`.
+ */
+
+/**
+ * The user's role in a group: 'owner', 'admin', 'member', or null when
+ * they are not a member
+ */
+function roleOf(groupData, uid) {
+    const userRole = groupData.roles ? groupData.roles[uid] : null;
+    if (groupData.createdBy === uid || userRole === 'owner') return 'owner';
+    if (!groupData.members || !groupData.members.includes(uid)) return null;
+    return userRole || 'member';
+}
+
+function isGroupOwner(groupData, uid) {
+    return roleOf(groupData, uid) === 'owner';
+}
+
+/**
+ * Owners and admins: they manage the group and are never held back by
+ * expiry or availability
+ */
+function isGroupManager(groupData, uid) {
+    const role = roleOf(groupData, uid);
+    return role === 'owner' || role === 'admin';
+}
+
+function membershipExpiry(groupData, uid) {
+    return (groupData.memberExpiry && groupData.memberExpiry[uid]) || null;
+}
+
+function isMembershipExpired(groupData, uid, now = new Date()) {
+    if (isGroupManager(groupData, uid)) return false;
+
+    const expiry = membershipExpiry(groupData, uid);
+    return !!expiry && new Date(expiry) < now;
+}
+
+/**
+ * Check that `uid` is a current member of the group.
+ * `allowExpired` lets lapsed members through (e.g. to ask for a renewal).
+ *
+ * @returns {{error: string, status: number, details?: Object}|null}
+ */
+function checkMembership(groupData, uid, { allowExpired = false } = {}) {
+    if (!roleOf(groupData, uid)) {
+        return { error: 'Access denied - not a member', status: 403 };
+    }
+
+    if (!allowExpired && isMembershipExpired(groupData, uid)) {
+        return {
+            error: 'Membership expired',
+            status: 403,
+            details: { membershipExpired: true, expiredAt: membershipExpiry(groupData, uid) }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check that a member may open a specific document of the group
+ */
+function checkDocument(pdfData, groupData, uid) {
+    const denied = checkMembership(groupData, uid);
+    if (denied) return denied;
+
+    if (!documentAccess.canAccessDocument(pdfData, roleOf(groupData, uid), uid)) {
+        return { error: 'You do not have access to this document', status: 403 };
+    }
+
+    if (!isGroupManager(groupData, uid)) {
+        return documentAvailability.checkAvailability(pdfData);
+    }
+
+    return null;
+}
+
+/**
+ * Load a group the user belongs to
+ *
+ * @returns {Promise<{groupData?: Object, error?: string, status?: number, details?: Object}>}
+ */
+async function loadGroup(uid, groupId, options = {}) {
+    const groupData = await repositories.groups.get(groupId);
+    if (!groupData) return { error: 'Group not found', status: 404 };
+
+    const denied = checkMembership(groupData, uid, options);
+    if (denied) return denied;
+
+    return { groupData };
+}
+
+/**
+ * Load a document (and its group) the user may read: membership, expiry,
+ * access list and availability
+ *
+ * @returns {Promise<{pdfData?: Object, groupData?: Object, error?: string, status?: number, details?: Object}>}
+ */
+async function loadDocument(uid, pdfId) {
+    const pdfData = await repositories.pdfs.get(pdfId);
+    if (!pdfData) return { error: 'PDF not found', status: 404 };
+
+    const groupData = await repositories.groups.get(pdfData.groupId);
+    if (!groupData) return { error: 'Group not found', status: 404 };
+
+    const denied = checkDocument(pdfData, groupData, uid);
+    if (denied) return denied;
+
+    return { pdfData, groupData };
+}
+
+/**
+ * The documents of a group the user may see in listings. Managers also
+ * see archived documents.
+ */
+function visibleDocuments(pdfs, groupData, uid) {
+    const role = roleOf(groupData, uid);
+    const manager = isGroupManager(groupData, uid);
+
+    return pdfs
+        .filter((pdf) => documentAccess.canAccessDocument(pdf, role, uid))
+        .filter((pdf) => manager || !pdf.archived);
+}
+
+module.exports = {
+    roleOf,
+    isGroupOwner,
+    isGroupManager,
+    membershipExpiry,
+    isMembershipExpired,
+    checkMembership,
+    checkDocument,
+    loadGroup,
+    loadDocument,
+    visibleDocuments
+};
@@ -0,0 +1,153 @@
+// services/annotations.js
+
+/**
+ * Annotations
+ *
+ * Private highlights and notes a reader keeps on a document. They belong
+ * to one user, are stored as records next to the document (the PDF is
+ * never touched) and are only served to their author while they can open
+ * the document, so notes stay inside the protected viewer.
+ *
+ * An annotation is placed on a page by rectangles in fractions (0-1) of
+ * the page as displayed at scale 1, like search highlights and links:
+ * - highlight: one or more rectangles, with an optional note
+ * - note: a single rectangle marking where the note is pinned
+ */
+
+const TYPES = ['highlight', 'note'];
+const COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+const MAX_RECTS = 50;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_PAGE = 100000;
+const MAX_PER_DOCUMENT = 1000; // per user
+
+// Rounding slack when a rectangle reaches the page edge
+const EDGE_TOLERANCE = 0.001;
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function validateRect(rect, { allowEmpty }) {
+    if (!rect || typeof rect !== 'object') return null;
+
+    const { x, y, width, height } = rect;
+    if (![x, y, width, height].every(Number.isFinite)) return null;
+    if (x < 0 || y < 0 || width < 0 || height < 0) return null;
+    if (x + width > 1 + EDGE_TOLERANCE || y + height > 1 + EDGE_TOLERANCE) return null;
+    if (!allowEmpty && (width === 0 || height === 0)) return null;
+
+    return { x: round(x), y: round(y), width: round(width), height: round(height) };
+}
+
+function validateNote(note) {
+    if (note === undefined || note === null) return { note: null };
+    if (typeof note !== 'string') return { error: 'note must be text' };
+
+    const trimmed = note.trim();
+    if (trimmed.length > MAX_NOTE_LENGTH) {
+        return { error: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    return { note: trimmed || null };
+}
+
+function validateColor(color) {
+    if (color === undefined || color === null) return { color: COLORS[0] };
+    if (!COLORS.includes(color)) return { error: `color must be one of: ${COLORS.join(', ')}` };
+    return { color };
+}
+
+/**
+ * Validate a new annotation from the viewer
+ *
+ * @returns {{annotation?: {page, type, rects, color, note}, error?: string}}
+ */
+function validateAnnotation(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Annotation required' };
+    }
+
+    const { page, type } = input;
+
+    if (!Number.isInteger(page) || page < 1 || page > MAX_PAGE) {
+        return { error: 'page must be a page number' };
+    }
+    if (!TYPES.includes(type)) {
+        return { error: `type must be one of: ${TYPES.join(', ')}` };
+    }
+
+    const maxRects = type === 'note' ? 1 : MAX_RECTS;
+    if (!Array.isArray(input.rects) || input.rects.length === 0 || input.rects.length > maxRects) {
+        return { error: type === 'note' ? 'A note needs exactly one rectangle' : `A highlight needs 1 to ${MAX_RECTS} rectangles` };
+    }
+
+    const rects = input.rects.map((rect) => validateRect(rect, { allowEmpty: type === 'note' }));
+    if (rects.includes(null)) {
+        return { error: 'rects must lie within the page (fractions from 0 to 1)' };
+    }
+
+    const note = validateNote(input.note);
+    if (note.error) return { error: note.error };
+    if (type === 'note' && !note.note) {
+        return { error: 'A note cannot be empty' };
+    }
+
+    const color = validateColor(input.color);
+    if (color.error) return { error: color.error };
+
+    return { annotation: { page, type, rects, color: color.color, note: note.note } };
+}
+
+/**
+ * Validate an edit: only the note and color can change
+ *
+ * @returns {{changes?: Object, error?: string}}
+ */
+function validateChanges(input, annotation) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Changes required' };
+    }
+
+    const changes = {};
+
+    if (input.note !== undefined) {
+        const note = validateNote(input.note);
+        if (note.error) return { error: note.error };
+        if (annotation.type === 'note' && !note.note) {
+            return { error: 'A note cannot be empty' };
+        }
+        changes.note = note.note;
+    }
+
+    if (input.color !== undefined) {
+        const color = validateColor(input.color);
+        if (color.error) return { error: color.error };
+        changes.color = color.color;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: 'Nothing to change (note, color)' };
+    }
+
+    return { changes };
+}
+
+/**
+ * Reading order: by page, then top to bottom
+ */
+function sortAnnotations(annotations) {
+    const topOf = (annotation) => Math.min(...annotation.rects.map((rect) => rect.y));
+
+    return annotations.sort((a, b) => (a.page - b.page) || (topOf(a) - topOf(b)) || (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+module.exports = {
+    TYPES,
+    COLORS,
+    MAX_PER_DOCUMENT,
+    validateRect,
+    validateAnnotation,
+    validateChanges,
+    sortAnnotations
+};
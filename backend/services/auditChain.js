@@ -0,0 +1,336 @@
+// services/auditChain.js
+
+const crypto = require("crypto");
+const repositories = require("../repositories");
+
+/**
+ * Audit Chain
+ *
+ * Makes `pdf_events` tamper-evident. Every event is appended to a hash
+ * chain - one per group, or per document for events without a group - and
+ * stores { chainId, seq, prevHash, hash }, where `hash` is the SHA-256 of
+ * the event itself (including `prevHash`). Editing an event breaks its
+ * hash, deleting one leaves a gap in `seq`, and reordering breaks
+ * `prevHash`.
+ *
+ * Alongside the events:
+ * - audit_chain_links/{chainId}_{seq}: { chainId, seq, eventId, hash },
+ *   created with create-if-absent, so two servers can never claim the
+ *   same position in a chain. The link, the event and the head are
+ *   written in one transaction, so a failed append leaves no trace.
+ * - audit_chains/{chainId}: { chainId, seq, hash, updatedAt }, the latest
+ *   position (a hint for the next append)
+ * - audit_checkpoints/{chainId}_{seq}: { chainId, seq, hash, createdAt,
+ *   signature }, HMAC-signed with AUDIT_SIGNING_KEY. Someone able to
+ *   rewrite a chain consistently still cannot forge the checkpoints.
+ *
+ * Events logged before chaining existed have no `chainId`; verification
+ * reports them as unchained rather than as tampering.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Appends retried after losing a position to another server
+const MAX_APPEND_ATTEMPTS = 20;
+
+const CHAIN_FIELDS = ['chainId', 'seq', 'prevHash', 'hash'];
+
+// In-process queue per chain, so one server never races itself
+const queues = new Map();
+
+/**
+ * The chain an event belongs to
+ */
+function chainIdOf({ groupId, pdfId }) {
+    if (groupId) return `group_${groupId}`;
+    if (pdfId) return `pdf_${pdfId}`;
+    return 'system';
+}
+
+function linkId(chainId, seq) {
+    return `${chainId}_${seq}`;
+}
+
+/**
+ * JSON with object keys sorted at every level, so a hash does not depend
+ * on how the store orders fields
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of everything in the event except its own hash
+ */
+function hashEvent(event) {
+    const { hash, ...content } = event;
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+function serialize(chainId, task) {
+    const previous = queues.get(chainId) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+
+    queues.set(chainId, tail);
+    tail.then(() => {
+        if (queues.get(chainId) === tail) queues.delete(chainId);
+    });
+    return run;
+}
+
+/**
+ * Link an event into its chain and store it
+ *
+ * @returns {Promise<Object>} the stored event
+ */
+function append(event) {
+    const content = { ...event };
+    for (const field of CHAIN_FIELDS) delete content[field];
+
+    const chainId = chainIdOf(content);
+
+    return serialize(chainId, async () => {
+        let head = (await repositories.auditChains.get(chainId)) || { seq: 0, hash: GENESIS_HASH };
+
+        for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+            const linked = { ...content, chainId, seq: head.seq + 1, prevHash: head.hash };
+            linked.hash = hashEvent(linked);
+
+            try {
+                await repositories.runTransaction(async (transaction) => {
+                    await repositories.auditChainLinks.create(linkId(chainId, linked.seq), {
+                        chainId,
+                        seq: linked.seq,
+                        eventId: linked.id,
+                        hash: linked.hash
+                    }, transaction);
+                    await repositories.pdfEvents.record(linked, transaction);
+                    await repositories.auditChains.set(chainId, {
+                        chainId,
+                        seq: linked.seq,
+                        hash: linked.hash,
+                        updatedAt: linked.timestamp || new Date().toISOString()
+                    }, transaction);
+                });
+            } catch (error) {
+                if (error.code !== 'already-exists') throw error;
+
+                // Another server took this position; continue after it
+                const taken = await repositories.auditChainLinks.get(linkId(chainId, linked.seq));
+                head = { seq: taken.seq, hash: taken.hash };
+                continue;
+            }
+
+            return linked;
+        }
+
+        throw new Error(`Could not append to audit chain ${chainId}`);
+    });
+}
+
+// ============================================
+// Checkpoints
+// ============================================
+
+function signingKey() {
+    return process.env.AUDIT_SIGNING_KEY || null;
+}
+
+function isSigningConfigured() {
+    return Boolean(signingKey());
+}
+
+function signCheckpoint({ chainId, seq, hash, createdAt }) {
+    return crypto
+        .createHmac('sha256', signingKey())
+        .update(`${chainId}:${seq}:${hash}:${createdAt}`)
+        .digest('hex');
+}
+
+function hasValidSignature(checkpoint) {
+    const expected = Buffer.from(signCheckpoint(checkpoint));
+    const given = Buffer.from(String(checkpoint.signature || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ============================================
+// Verification
+// ============================================
+
+/**
+ * Walk a chain and report every gap or modification.
+ *
+ * Issue types:
+ * - missing:    no event at this position (deleted)
+ * - duplicate:  more than one event claims this position
+ * - modified:   the event no longer matches its hash or its link
+ * - unlinked:   an event whose link record is gone
+ * - broken:     prevHash does not match the event before it
+ * - checkpoint: a checkpoint with a bad signature, or whose hash no
+ *               longer matches the event it signed
+ *
+ * @returns {Promise<{chainId, length, headHash, intact, issues, checkpoints, lastCheckpoint, signaturesChecked}>}
+ */
+async function verifyChain(chainId) {
+    const [events, links, head, checkpoints] = await Promise.all([
+        repositories.pdfEvents.listByChain(chainId),
+        repositories.auditChainLinks.find([['chainId', '==', chainId]]),
+        repositories.auditChains.get(chainId),
+        repositories.auditCheckpoints.find([['chainId', '==', chainId]])
+    ]);
+
+    const eventsBySeq = new Map();
+    for (const event of events) {
+        eventsBySeq.set(event.seq, [...(eventsBySeq.get(event.seq) || []), event]);
+    }
+    const linksBySeq = new Map(links.map((link) => [link.seq, link]));
+
+    const length = [...events, ...links, ...checkpoints]
+        .reduce((max, doc) => Math.max(max, doc.seq), head ? head.seq : 0);
+
+    const issues = [];
+    let previousHash = GENESIS_HASH;
+
+    for (let seq = 1; seq <= length; seq++) {
+        const link = linksBySeq.get(seq);
+        const found = eventsBySeq.get(seq) || [];
+        const event = found[0];
+
+        if (!event) {
+            issues.push({ seq, type: 'missing', eventId: link ? link.eventId : null });
+            previousHash = link ? link.hash : null;
+            continue;
+        }
+
+        if (found.length > 1) {
+            issues.push({ seq, type: 'duplicate', eventIds: found.map((e) => e.id) });
+        }
+
+        if (hashEvent(event) !== event.hash || (link && (link.hash !== event.hash || link.eventId !== event.id))) {
+            issues.push({ seq, type: 'modified', eventId: event.id });
+        } else if (!link) {
+            issues.push({ seq, type: 'unlinked', eventId: event.id });
+        }
+
+        // Unknown after a deletion without a link to recover the hash from
+        if (previousHash !== null && event.prevHash !== previousHash) {
+            issues.push({ seq, type: 'broken', eventId: event.id });
+        }
+        previousHash = event.hash;
+    }
+
+    const signaturesChecked = isSigningConfigured();
+    let lastCheckpoint = null;
+
+    for (const checkpoint of checkpoints.sort((a, b) => a.seq - b.seq)) {
+        const [event] = eventsBySeq.get(checkpoint.seq) || [];
+
+        if (signaturesChecked && !hasValidSignature(checkpoint)) {
+            issues.push({ seq: checkpoint.seq, type: 'checkpoint', reason: 'invalid signature', checkpointId: checkpoint.id });
+        } else if (!event || event.hash !== checkpoint.hash) {
+            issues.push({ seq: checkpoint.seq, type: 'checkpoint', reason: 'hash mismatch', checkpointId: checkpoint.id });
+        } else {
+            lastCheckpoint = { seq: checkpoint.seq, createdAt: checkpoint.createdAt };
+        }
+    }
+
+    return {
+        chainId,
+        length,
+        headHash: previousHash,
+        intact: issues.length === 0,
+        issues: issues.sort((a, b) => a.seq - b.seq),
+        checkpoints: checkpoints.length,
+        lastCheckpoint,
+        signaturesChecked
+    };
+}
+
+/**
+ * Verify a group's chain, and count its events from before chaining
+ */
+async function verifyGroup(groupId) {
+    const result = await verifyChain(chainIdOf({ groupId }));
+    const events = await repositories.pdfEvents.listByGroup(groupId);
+
+    return {
+        groupId,
+        ...result,
+        unchained: events.filter((event) => !event.chainId).length
+    };
+}
+
+/**
+ * Every chain known from its head or its checkpoints
+ */
+async function listChainIds() {
+    const [heads, checkpoints] = await Promise.all([
+        repositories.auditChains.find(),
+        repositories.auditCheckpoints.find()
+    ]);
+    return [...new Set([...heads, ...checkpoints].map((doc) => doc.chainId))].sort();
+}
+
+/**
+ * Verify every chain, then sign a checkpoint at the end of each intact
+ * chain that has grown since its last checkpoint. Chains that fail
+ * verification are reported and left unsigned.
+ *
+ * @returns {Promise<{checkpoints: number, failed: Object[]}>}
+ */
+async function createCheckpoints() {
+    if (!isSigningConfigured()) {
+        throw new Error('AUDIT_SIGNING_KEY is not set');
+    }
+
+    let created = 0;
+    const failed = [];
+
+    for (const chainId of await listChainIds()) {
+        const result = await verifyChain(chainId);
+        if (!result.intact) {
+            failed.push({ chainId, issues: result.issues.length });
+            continue;
+        }
+        if (result.length === 0 || (result.lastCheckpoint && result.lastCheckpoint.seq === result.length)) {
+            continue;
+        }
+
+        const checkpoint = {
+            id: linkId(chainId, result.length),
+            chainId,
+            seq: result.length,
+            hash: result.headHash,
+            createdAt: new Date().toISOString()
+        };
+        checkpoint.signature = signCheckpoint(checkpoint);
+
+        await repositories.auditCheckpoints.set(checkpoint.id, checkpoint);
+        created++;
+    }
+
+    return { checkpoints: created, failed };
+}
+
+module.exports = {
+    GENESIS_HASH,
+    chainIdOf,
+    hashEvent,
+    append,
+    isSigningConfigured,
+    verifyChain,
+    verifyGroup,
+    listChainIds,
+    createCheckpoints
+};
@@ -0,0 +1,207 @@
+// services/auditLog.js
+
+const repositories = require("../repositories");
+
+/**
+ * Audit Log
+ *
+ * Reads a group's `pdf_events` back for owners: filtering, paging, display
+ * names and CSV/JSON export. Events are filtered and sorted in memory, so
+ * no composite Firestore index is needed.
+ *
+ * Filters: pdfId, userId, action (one or a comma-separated list), from/to
+ * (ISO dates, inclusive).
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Largest export in one file; narrow the date range for more
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = ['timestamp', 'action', 'userId', 'userName', 'userEmail', 'pdfId', 'pdfTitle', 'sessionId', 'ip', 'details'];
+
+function parseDate(value, field) {
+    if (value === undefined || value === '') return { value: null };
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+    return { value: date.toISOString() };
+}
+
+/**
+ * Validate filters from a query string
+ *
+ * @returns {{filters?: Object, error?: string}}
+ */
+function parseFilters(query = {}) {
+    const from = parseDate(query.from, 'from');
+    if (from.error) return { error: from.error };
+
+    const to = parseDate(query.to, 'to');
+    if (to.error) return { error: to.error };
+
+    if (from.value && to.value && from.value > to.value) {
+        return { error: 'from must be before to' };
+    }
+
+    const actions = query.action
+        ? String(query.action).split(',').map((action) => action.trim().toUpperCase()).filter(Boolean)
+        : [];
+
+    return {
+        filters: {
+            pdfId: query.pdfId || null,
+            userId: query.userId || null,
+            actions,
+            from: from.value,
+            to: to.value
+        }
+    };
+}
+
+/**
+ * @returns {{page?: number, pageSize?: number, error?: string}}
+ */
+function parsePaging(query = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a positive whole number' };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return { error: `pageSize must be from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    return { page, pageSize };
+}
+
+/**
+ * Every event of the group, newest first. Older rows without a groupId
+ * are found through the group's current documents.
+ */
+async function loadGroupEvents(groupId) {
+    const events = await repositories.pdfEvents.listByGroup(groupId);
+    const seen = new Set(events.map((event) => event.id));
+
+    const pdfIds = (await repositories.pdfs.listByGroup(groupId)).map((pdf) => pdf.id);
+    for (const event of await repositories.pdfEvents.listByPdfs(pdfIds)) {
+        if (!event.groupId && !seen.has(event.id)) {
+            events.push(event);
+            seen.add(event.id);
+        }
+    }
+
+    return events.sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+}
+
+function applyFilters(events, { pdfId, userId, actions, from, to }) {
+    return events.filter((event) =>
+        (!pdfId || event.pdfId === pdfId)
+        && (!userId || event.userId === userId)
+        && (actions.length === 0 || actions.includes(event.action))
+        && (!from || event.timestamp >= from)
+        && (!to || event.timestamp <= to)
+    );
+}
+
+/**
+ * Add user names/emails and document titles for display. Deleted
+ * documents fall back to the title recorded on the event.
+ */
+async function describeEvents(events) {
+    const users = new Map();
+    const pdfs = new Map();
+
+    const userOf = async (uid) => {
+        if (!users.has(uid)) users.set(uid, uid === 'system' ? null : await repositories.users.get(uid));
+        return users.get(uid);
+    };
+    const pdfOf = async (pdfId) => {
+        if (!pdfs.has(pdfId)) pdfs.set(pdfId, pdfId ? await repositories.pdfs.get(pdfId) : null);
+        return pdfs.get(pdfId);
+    };
+
+    const described = [];
+    for (const event of events) {
+        const userData = await userOf(event.userId);
+        const pdfData = await pdfOf(event.pdfId);
+        const details = event.details || {};
+
+        described.push({
+            id: event.id,
+            timestamp: event.timestamp,
+            action: event.action,
+            userId: event.userId,
+            userName: event.userId === 'system' ? 'System' : (userData && (userData.name || userData.displayName)) || null,
+            userEmail: (userData && userData.email) || event.email || null,
+            pdfId: event.pdfId || null,
+            pdfTitle: (pdfData && pdfData.title) || details.title || null,
+            sessionId: event.sessionId || null,
+            ip: event.ip || null,
+            details
+        });
+    }
+    return described;
+}
+
+/**
+ * One page of the group's audit log
+ *
+ * @returns {Promise<{events: Object[], total: number, page: number, pageSize: number, actions: string[]}>}
+ */
+async function queryAuditLog(groupId, filters, { page, pageSize }) {
+    const all = await loadGroupEvents(groupId);
+    const matching = applyFilters(all, filters);
+    const start = (page - 1) * pageSize;
+
+    return {
+        events: await describeEvents(matching.slice(start, start + pageSize)),
+        total: matching.length,
+        page,
+        pageSize,
+        // Every action seen in the group, for filter pickers
+        actions: [...new Set(all.map((event) => event.action))].sort()
+    };
+}
+
+/**
+ * All matching events for export, capped at MAX_EXPORT_ROWS
+ *
+ * @returns {Promise<{events: Object[], truncated: boolean}>}
+ */
+async function exportAuditLog(groupId, filters) {
+    const matching = applyFilters(await loadGroupEvents(groupId), filters);
+
+    return {
+        events: await describeEvents(matching.slice(0, MAX_EXPORT_ROWS)),
+        truncated: matching.length > MAX_EXPORT_ROWS
+    };
+}
+
+/**
+ * Quote a CSV field. Values that a spreadsheet would run as a formula
+ * are prefixed with a quote mark.
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(events) {
+    const rows = events.map((event) => CSV_COLUMNS.map((column) => csvField(event[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    MAX_EXPORT_ROWS,
+    parseFilters,
+    parsePaging,
+    queryAuditLog,
+    exportAuditLog,
+    toCsv
+};
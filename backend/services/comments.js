@@ -0,0 +1,154 @@
+// services/comments.js
+
+const { validateRect } = require("./annotations");
+
+/**
+ * Comments
+ *
+ * Discussion threads group members keep on a document. A thread is
+ * anchored to a page, and optionally to a region of it (a rectangle in
+ * fractions of the page, like annotations), and holds one level of
+ * replies. Comments can mention other readers of the document, who are
+ * notified in-app; the text itself never leaves the protected viewer.
+ *
+ * Owners and admins moderate: they can resolve any thread and remove any
+ * comment. Removed comments keep their place in the thread without text.
+ */
+
+const MAX_BODY_LENGTH = 5000;
+const MAX_MENTIONS = 20;
+const MAX_PAGE = 100000;
+const MAX_THREADS_PER_DOCUMENT = 2000;
+const MAX_REPLIES = 500;
+
+function validateBody(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return { error: 'A comment cannot be empty' };
+    }
+
+    const trimmed = body.trim();
+    if (trimmed.length > MAX_BODY_LENGTH) {
+        return { error: `A comment must be at most ${MAX_BODY_LENGTH} characters` };
+    }
+    return { body: trimmed };
+}
+
+/**
+ * Mentioned user IDs, deduplicated. Whether they may read the document is
+ * checked by the caller.
+ */
+function validateMentions(mentions) {
+    if (mentions === undefined || mentions === null) return { mentions: [] };
+    if (!Array.isArray(mentions) || !mentions.every((uid) => typeof uid === 'string' && uid)) {
+        return { error: 'mentions must be a list of user IDs' };
+    }
+
+    const unique = [...new Set(mentions)];
+    if (unique.length > MAX_MENTIONS) {
+        return { error: `A comment can mention at most ${MAX_MENTIONS} people` };
+    }
+    return { mentions: unique };
+}
+
+/**
+ * Validate a new thread: { page, rect?, body, mentions? }
+ *
+ * @returns {{thread?: {page, rect, body, mentions}, error?: string}}
+ */
+function validateThread(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Comment required' };
+    }
+
+    const { page } = input;
+    if (!Number.isInteger(page) || page < 1 || page > MAX_PAGE) {
+        return { error: 'page must be a page number' };
+    }
+
+    let rect = null;
+    if (input.rect !== undefined && input.rect !== null) {
+        rect = validateRect(input.rect, { allowEmpty: false });
+        if (!rect) return { error: 'rect must lie within the page (fractions from 0 to 1)' };
+    }
+
+    const comment = validateComment(input);
+    if (comment.error) return comment;
+
+    return { thread: { page, rect, ...comment.comment } };
+}
+
+/**
+ * Validate a reply or an edit: { body, mentions? }
+ *
+ * @returns {{comment?: {body, mentions}, error?: string}}
+ */
+function validateComment(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Comment required' };
+    }
+
+    const body = validateBody(input.body);
+    if (body.error) return body;
+
+    const mentions = validateMentions(input.mentions);
+    if (mentions.error) return mentions;
+
+    return { comment: { body: body.body, mentions: mentions.mentions } };
+}
+
+/**
+ * What readers see of a comment: removed ones lose their text and mentions
+ */
+function presentComment(comment) {
+    if (!comment.removed) return comment;
+    return { ...comment, body: null, mentions: [] };
+}
+
+/**
+ * Group a document's comments into threads, in reading order (page, then
+ * oldest first). Threads where every comment was removed are dropped.
+ *
+ * @returns {Object[]} threads: the first comment plus `replies`
+ */
+function buildThreads(comments) {
+    const byThread = new Map();
+    for (const comment of comments) {
+        if (!byThread.has(comment.threadId)) byThread.set(comment.threadId, []);
+        byThread.get(comment.threadId).push(comment);
+    }
+
+    const threads = [];
+    for (const [threadId, list] of byThread) {
+        const root = list.find((comment) => comment.id === threadId);
+        if (!root || list.every((comment) => comment.removed)) continue;
+
+        const replies = list
+            .filter((comment) => comment.id !== threadId)
+            .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+            .map(presentComment);
+
+        threads.push({ ...presentComment(root), replies });
+    }
+
+    return threads.sort((a, b) => (a.page - b.page) || (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+/**
+ * Comments by others, still standing, posted after `lastReadAt`
+ */
+function countUnread(comments, uid, lastReadAt) {
+    return comments.filter((comment) => (
+        comment.authorId !== uid &&
+        !comment.removed &&
+        (!lastReadAt || comment.createdAt > lastReadAt)
+    )).length;
+}
+
+module.exports = {
+    MAX_THREADS_PER_DOCUMENT,
+    MAX_REPLIES,
+    validateThread,
+    validateComment,
+    buildThreads,
+    countUnread
+};
@@ -0,0 +1,85 @@
+// services/documentAccess.js
+
+/**
+ * Document Access
+ *
+ * Optional per-document access list stored on `pdfs` documents as
+ * `access`: { roles: ['admin' | 'member'], users: [uid] }. Without one
+ * (null) a document is visible to every group member. With one, a member
+ * sees the document when their role or their uid is listed. The group
+ * owner and the document's uploader always see it.
+ */
+
+const ROLES = ['admin', 'member'];
+
+const MAX_USERS = 500;
+
+/**
+ * Validate an owner-submitted access list against the group.
+ * Accepts a JSON string (multipart upload field) or an object;
+ * null/empty means "every member".
+ *
+ * @returns {{access?: Object|null, error?: string}}
+ */
+function validateAccess(input, groupData) {
+    if (input === undefined || input === null || input === '') {
+        return { access: null };
+    }
+
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch {
+            return { error: 'access must be valid JSON' };
+        }
+        if (input === null) return { access: null };
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'access must be an object' };
+    }
+
+    const roles = input.roles === undefined ? [] : input.roles;
+    const users = input.users === undefined ? [] : input.users;
+
+    if (!Array.isArray(roles) || roles.some((role) => !ROLES.includes(role))) {
+        return { error: `access.roles must only contain: ${ROLES.join(', ')}` };
+    }
+    if (!Array.isArray(users) || users.some((uid) => typeof uid !== 'string')) {
+        return { error: 'access.users must be a list of user IDs' };
+    }
+    if (users.length > MAX_USERS) {
+        return { error: `access.users is limited to ${MAX_USERS} users` };
+    }
+
+    const members = groupData.members || [];
+    const outsider = users.find((uid) => !members.includes(uid));
+    if (outsider) {
+        return { error: `User ${outsider} is not a member of this group` };
+    }
+
+    if (roles.length === 0 && users.length === 0) {
+        return { error: 'Choose at least one role or member' };
+    }
+
+    return { access: { roles: [...new Set(roles)], users: [...new Set(users)] } };
+}
+
+/**
+ * Whether a group member with `role` may see a document. Membership and
+ * expiry are checked by services/accessControl.
+ */
+function canAccessDocument(pdfData, role, uid) {
+    const access = pdfData.access;
+    if (!access) return true;
+
+    if (role === 'owner' || pdfData.uploadedBy === uid) return true;
+
+    return (access.roles || []).includes(role) || (access.users || []).includes(uid);
+}
+
+module.exports = {
+    ROLES,
+    validateAccess,
+    canAccessDocument
+};
@@ -0,0 +1,193 @@
+// services/documentAvailability.js
+
+/**
+ * Document Availability
+ *
+ * Scheduling fields stored on `pdfs` documents:
+ * - availableFrom: ISO date before which members cannot open the document
+ * - expiryDate:    ISO date after which the document is archived
+ * - dailyWindow:   { start: 'HH:MM', end: 'HH:MM', timeZone } opening hours;
+ *                  a window may cross midnight (e.g. 22:00-06:00)
+ *
+ * All fields are optional. Group owners and admins are never blocked, so
+ * they can prepare and review documents outside the schedule (see
+ * services/accessControl).
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+function toMinutes(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Minutes since midnight of `date` in `timeZone`
+ */
+function minutesOfDay(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const value = (type) => Number(parts.find((part) => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+}
+
+function parseDate(input, field) {
+    if (input === undefined || input === null || input === '') return { value: null };
+
+    const date = new Date(input);
+    if (Number.isNaN(date.getTime())) {
+        return { error: `${field} must be a valid date` };
+    }
+    return { value: date.toISOString() };
+}
+
+/**
+ * Validate owner-submitted scheduling fields. `dailyWindow` may be a JSON
+ * string (multipart upload field) or an object; empty values clear a field.
+ *
+ * @returns {{schedule?: {availableFrom, expiryDate, dailyWindow}, error?: string}}
+ */
+function validateSchedule({ availableFrom, expiryDate, dailyWindow } = {}) {
+    const from = parseDate(availableFrom, 'availableFrom');
+    if (from.error) return { error: from.error };
+
+    const until = parseDate(expiryDate, 'expiryDate');
+    if (until.error) return { error: until.error };
+
+    if (from.value && until.value && from.value >= until.value) {
+        return { error: 'expiryDate must be after availableFrom' };
+    }
+
+    let window = dailyWindow;
+    if (typeof window === 'string') {
+        if (window === '') {
+            window = null;
+        } else {
+            try {
+                window = JSON.parse(window);
+            } catch {
+                return { error: 'dailyWindow must be valid JSON' };
+            }
+        }
+    }
+
+    if (window !== undefined && window !== null) {
+        if (typeof window !== 'object' || Array.isArray(window)) {
+            return { error: 'dailyWindow must be an object' };
+        }
+        if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+            return { error: 'dailyWindow start and end must be HH:MM times' };
+        }
+        if (window.start === window.end) {
+            return { error: 'dailyWindow start and end must differ' };
+        }
+
+        const timeZone = window.timeZone || 'UTC';
+        if (!isValidTimeZone(timeZone)) {
+            return { error: `Unknown time zone "${timeZone}"` };
+        }
+        window = { start: window.start, end: window.end, timeZone };
+    }
+
+    return {
+        schedule: {
+            availableFrom: from.value,
+            expiryDate: until.value,
+            dailyWindow: window || null
+        }
+    };
+}
+
+/**
+ * Where a document stands in its schedule at `now`.
+ *
+ * @returns {{status: 'available'|'scheduled'|'closed'|'expired', availableAt: string|null, expiresAt: string|null}}
+ *   `availableAt` is the next opening for scheduled/closed documents.
+ */
+function getAvailability(pdfData, now = new Date()) {
+    const expiresAt = pdfData.expiryDate || null;
+
+    if (pdfData.archived || (expiresAt && new Date(expiresAt) <= now)) {
+        return { status: 'expired', availableAt: null, expiresAt };
+    }
+
+    if (pdfData.availableFrom && new Date(pdfData.availableFrom) > now) {
+        return { status: 'scheduled', availableAt: nextOpening(pdfData, new Date(pdfData.availableFrom)), expiresAt };
+    }
+
+    const window = pdfData.dailyWindow;
+    if (window) {
+        const current = minutesOfDay(now, window.timeZone);
+        const start = toMinutes(window.start);
+        const end = toMinutes(window.end);
+        const open = start < end
+            ? current >= start && current < end
+            : current >= start || current < end;
+
+        if (!open) {
+            const wait = (start - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+            const opensAt = new Date(now.getTime() + wait * 60_000);
+            opensAt.setUTCSeconds(0, 0);
+            return { status: 'closed', availableAt: opensAt.toISOString(), expiresAt };
+        }
+    }
+
+    return { status: 'available', availableAt: null, expiresAt };
+}
+
+/**
+ * First moment at or after `from` that falls inside the daily window
+ */
+function nextOpening(pdfData, from) {
+    const availability = getAvailability({ ...pdfData, availableFrom: null }, from);
+    return availability.status === 'closed' ? availability.availableAt : from.toISOString();
+}
+
+/**
+ * Why a member cannot open a document right now, or null when they can.
+ *
+ * @returns {{error: string, status: number, details?: {availableAt: string}}|null}
+ */
+function checkAvailability(pdfData, now = new Date()) {
+    const availability = getAvailability(pdfData, now);
+    switch (availability.status) {
+        case 'expired':
+            return { error: 'This document has expired', status: 403 };
+        case 'scheduled':
+            return { error: 'This document is not available yet', status: 403, details: { availableAt: availability.availableAt } };
+        case 'closed':
+            return { error: 'This document is outside its viewing hours', status: 403, details: { availableAt: availability.availableAt } };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Whether a document should be moved to the archive
+ */
+function shouldArchive(pdfData, now = new Date()) {
+    return !pdfData.archived && !!pdfData.expiryDate && new Date(pdfData.expiryDate) <= now;
+}
+
+module.exports = {
+    validateSchedule,
+    getAvailability,
+    checkAvailability,
+    shouldArchive
+};
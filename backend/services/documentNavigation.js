@@ -0,0 +1,188 @@
+// services/documentNavigation.js
+
+const pdfRenderer = require("./pdfRenderer");
+
+/**
+ * Document Navigation
+ *
+ * The outline (table of contents) and internal links of a PDF, extracted
+ * when a version is uploaded and stored on the `pdfs` document as
+ * `navigation`:
+ *
+ *   {
+ *     outline: [{ title, target, items: [...] }],
+ *     links: [{ page, rect: { x, y, width, height }, target }]
+ *   }
+ *
+ * A target is { page, top }: the 1-based page and how far down it the
+ * destination points (fraction of the page height, or null for the top).
+ * Named destinations are resolved here, so the viewer needs nothing from
+ * the PDF itself. Link rectangles are fractions of the page as displayed
+ * at scale 1, like search highlights.
+ *
+ * Links that leave the document (web addresses, files, scripts) are
+ * dropped, and outline entries pointing outside it keep their title but
+ * no target: the viewer only ever navigates within the document.
+ */
+
+const MAX_OUTLINE_ITEMS = 1000;
+const MAX_OUTLINE_DEPTH = 8;
+const MAX_LINKS = 2000;
+const MAX_TITLE_LENGTH = 200;
+
+// Named actions that move within the document: (current page, page count) -> page
+const NAMED_ACTIONS = {
+    FirstPage: () => 1,
+    LastPage: (page, numPages) => numPages,
+    NextPage: (page) => page + 1,
+    PrevPage: (page) => page - 1
+};
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+async function viewportOf(context, pageNumber) {
+    if (!context.viewports.has(pageNumber)) {
+        const page = await context.doc.getPage(pageNumber);
+        context.viewports.set(pageNumber, page.getViewport({ scale: 1 }));
+    }
+    return context.viewports.get(pageNumber);
+}
+
+/**
+ * Resolve an explicit or named destination to { page, top }, or null
+ */
+async function resolveDestination(context, dest) {
+    const { doc } = context;
+
+    try {
+        const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+        if (!Array.isArray(explicit) || explicit.length === 0) return null;
+
+        const [ref, mode, ...args] = explicit;
+        const pageIndex = Number.isInteger(ref) ? ref : await doc.getPageIndex(ref);
+        if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= doc.numPages) return null;
+
+        const page = pageIndex + 1;
+
+        // Only some destination types name a position on the page
+        let left = 0;
+        let top = null;
+        switch (mode && mode.name) {
+            case 'XYZ':
+                [left, top] = args;
+                break;
+            case 'FitH':
+            case 'FitBH':
+                [top] = args;
+                break;
+            case 'FitR':
+                [left, , , top] = args;
+                break;
+        }
+        if (typeof top !== 'number') return { page, top: null };
+
+        const viewport = await viewportOf(context, page);
+        const [, y] = viewport.convertToViewportPoint(typeof left === 'number' ? left : 0, top);
+        return { page, top: round(clamp(y / viewport.height)) };
+    } catch {
+        // Dangling references and unknown names lead nowhere
+        return null;
+    }
+}
+
+async function readOutline(context, items, depth) {
+    const entries = [];
+
+    for (const item of items || []) {
+        if (context.outlineItems >= MAX_OUTLINE_ITEMS) break;
+        context.outlineItems++;
+
+        entries.push({
+            title: String(item.title || '').trim().slice(0, MAX_TITLE_LENGTH) || 'Untitled',
+            target: item.dest ? await resolveDestination(context, item.dest) : null,
+            items: depth < MAX_OUTLINE_DEPTH ? await readOutline(context, item.items, depth + 1) : []
+        });
+    }
+
+    return entries;
+}
+
+function linkRect(viewport, rect) {
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+    const left = clamp(Math.min(x1, x2) / viewport.width);
+    const top = clamp(Math.min(y1, y2) / viewport.height);
+
+    return {
+        x: round(left),
+        y: round(top),
+        width: round(clamp(Math.max(x1, x2) / viewport.width) - left),
+        height: round(clamp(Math.max(y1, y2) / viewport.height) - top)
+    };
+}
+
+async function readLinks(context) {
+    const { doc } = context;
+    const links = [];
+
+    for (let pageNumber = 1; pageNumber <= doc.numPages && links.length < MAX_LINKS; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const viewport = await viewportOf(context, pageNumber);
+
+        for (const annotation of await page.getAnnotations()) {
+            if (annotation.subtype !== 'Link' || links.length >= MAX_LINKS) continue;
+
+            let target = null;
+            if (annotation.dest) {
+                target = await resolveDestination(context, annotation.dest);
+            } else if (NAMED_ACTIONS[annotation.action]) {
+                const to = NAMED_ACTIONS[annotation.action](pageNumber, doc.numPages);
+                if (to >= 1 && to <= doc.numPages) target = { page: to, top: null };
+            }
+            if (!target) continue;
+
+            links.push({ page: pageNumber, rect: linkRect(viewport, annotation.rect), target });
+        }
+        page.cleanup();
+    }
+
+    return links;
+}
+
+/**
+ * Extract the outline and internal links of a PDF.
+ *
+ * Navigation is a convenience, so an unreadable file never fails the
+ * upload: it just has none (null).
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<{outline: Object[], links: Object[]}|null>}
+ */
+async function extract(buffer) {
+    let doc;
+    try {
+        doc = await pdfRenderer.openDocument(buffer);
+        const context = { doc, viewports: new Map(), outlineItems: 0 };
+
+        const links = await readLinks(context);
+        const outline = await readOutline(context, await doc.getOutline(), 1);
+
+        return { outline, links };
+    } catch (error) {
+        console.warn('[Navigation] Failed to extract outline and links:', error.message);
+        return null;
+    } finally {
+        if (doc) await doc.destroy();
+    }
+}
+
+module.exports = {
+    MAX_OUTLINE_ITEMS,
+    MAX_LINKS,
+    extract
+};
@@ -0,0 +1,186 @@
+// services/documentSearch.js
+
+const pdfRenderer = require("./pdfRenderer");
+
+/**
+ * Document Search
+ *
+ * Full-text search that runs on the server, so the viewer never needs a
+ * text layer. A hit is a page number and the rectangles to highlight on
+ * it - never the text itself.
+ *
+ * Rectangles are fractions (0-1) of the page as displayed at scale 1,
+ * with the page's own rotation applied and before any rotation the viewer
+ * adds, so the client can scale them to whatever size it draws the page.
+ *
+ * Matching is case-insensitive and treats any run of whitespace, including
+ * line breaks, as a single space.
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_HITS = 500;
+
+// Glyph extent above and below the baseline, as a fraction of font size
+const ASCENT = 0.85;
+const DESCENT = 0.2;
+
+// Search text per document, keyed by the cached PDF bytes so a new
+// version (fresh bytes) is indexed again and old indexes can be collected
+const indexes = new WeakMap();
+
+function lowerChar(char) {
+    // Keep offsets aligned: skip lower-casings that change the length
+    const lower = char.toLowerCase();
+    return lower.length === 1 ? lower : char;
+}
+
+/**
+ * Collapse whitespace and lower-case a query the same way page text is
+ */
+function normalizeQuery(query) {
+    return Array.from(String(query || '').trim().replace(/\s+/g, ' '), lowerChar).join('');
+}
+
+/**
+ * Flatten a page's text runs into one searchable string, remembering
+ * which run and character every position came from (null for the spaces
+ * that separate runs and lines)
+ */
+function indexPage(page) {
+    let text = '';
+    const positions = [];
+
+    const separate = () => {
+        if (text && !text.endsWith(' ')) {
+            text += ' ';
+            positions.push(null);
+        }
+    };
+
+    page.items.forEach((item, itemIndex) => {
+        for (let i = 0; i < item.str.length; i++) {
+            if (/\s/.test(item.str[i])) {
+                separate();
+                continue;
+            }
+            text += lowerChar(item.str[i]);
+            positions.push([itemIndex, i]);
+        }
+        if (item.hasEOL) separate();
+    });
+
+    return { ...page, text, positions };
+}
+
+function getIndex(buffer) {
+    if (!indexes.has(buffer)) {
+        const index = pdfRenderer.extractText(buffer).then((pages) => pages.map(indexPage));
+        index.catch(() => indexes.delete(buffer));
+        indexes.set(buffer, index);
+    }
+    return indexes.get(buffer);
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Rectangle covering characters [start, end) of a text run
+ */
+function runRect(page, item, start, end) {
+    const [a, b, c, d, e, f] = item.transform;
+    const length = Math.hypot(a, b) || 1;
+    const ux = a / length;
+    const uy = b / length;
+
+    const from = item.width * (start / item.str.length);
+    const to = item.width * (end / item.str.length);
+
+    const [m0, m1, m2, m3, m4, m5] = page.viewportTransform;
+    const xs = [];
+    const ys = [];
+
+    for (const along of [from, to]) {
+        for (const up of [-DESCENT, ASCENT]) {
+            const x = e + ux * along + c * up;
+            const y = f + uy * along + d * up;
+            xs.push(m0 * x + m2 * y + m4);
+            ys.push(m1 * x + m3 * y + m5);
+        }
+    }
+
+    const left = clamp(Math.min(...xs) / page.width);
+    const top = clamp(Math.min(...ys) / page.height);
+
+    return {
+        x: round(left),
+        y: round(top),
+        width: round(clamp(Math.max(...xs) / page.width) - left),
+        height: round(clamp(Math.max(...ys) / page.height) - top)
+    };
+}
+
+/**
+ * Highlight rectangles of one match, one per text run it touches
+ */
+function matchRects(page, start, end) {
+    const runs = new Map();
+
+    for (let i = start; i < end; i++) {
+        const position = page.positions[i];
+        if (!position) continue;
+
+        const [itemIndex, charIndex] = position;
+        const run = runs.get(itemIndex);
+        if (run) {
+            run.end = charIndex + 1;
+        } else {
+            runs.set(itemIndex, { start: charIndex, end: charIndex + 1 });
+        }
+    }
+
+    return [...runs.entries()].map(([itemIndex, run]) => runRect(page, page.items[itemIndex], run.start, run.end));
+}
+
+/**
+ * Search a document
+ *
+ * @param {Buffer} buffer - original PDF bytes (from pdfRenderer.getCachedDocument)
+ * @param {string} query - already validated with normalizeQuery
+ * @returns {Promise<{total: number, truncated: boolean, hits: Array<{page: number, rects: Object[]}>}>}
+ */
+async function search(buffer, query) {
+    const pages = await getIndex(buffer);
+    const hits = [];
+    let truncated = false;
+
+    for (let p = 0; p < pages.length && !truncated; p++) {
+        const page = pages[p];
+        let start = page.text.indexOf(query);
+
+        while (start !== -1) {
+            if (hits.length >= MAX_HITS) {
+                truncated = true;
+                break;
+            }
+            hits.push({ page: p + 1, rects: matchRects(page, start, start + query.length) });
+            start = page.text.indexOf(query, start + query.length);
+        }
+    }
+
+    return { total: hits.length, truncated, hits };
+}
+
+module.exports = {
+    MIN_QUERY_LENGTH,
+    MAX_QUERY_LENGTH,
+    MAX_HITS,
+    normalizeQuery,
+    search
+};
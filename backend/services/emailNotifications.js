@@ -0,0 +1,232 @@
+// services/emailNotifications.js
+
+const repositories = require("../repositories");
+const mail = require("./mail");
+const templates = require("./mail/templates");
+const accessControl = require("./accessControl");
+const documentAccess = require("./documentAccess");
+
+/**
+ * Email Notifications
+ *
+ * What gets emailed, to whom, and when:
+ * - invites:         invite links, sent straight from generateInvite
+ * - uploadDigest:    new documents, collected per user in `mail_digests/{uid}`
+ *                    and sent by the mail job as one digest
+ * - expiryReminders: membership expiring within REMINDER_DAYS, once per expiry
+ *                    (the group's `expiryReminders` map remembers which)
+ * - accountNotices:  suspension notices
+ *
+ * Each category can be switched off per user (`users/{uid}.emailPreferences`);
+ * everything is on by default.
+ */
+
+const CATEGORIES = ['invites', 'uploadDigest', 'expiryReminders', 'accountNotices'];
+
+const REMINDER_DAYS = 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function preferencesOf(userData) {
+    const stored = (userData && userData.emailPreferences) || {};
+    return Object.fromEntries(CATEGORIES.map((category) => [category, stored[category] !== false]));
+}
+
+/**
+ * Validate a (partial) preferences update
+ *
+ * @returns {{preferences?: Object, error?: string}}
+ */
+function validatePreferences(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Preferences must be an object' };
+    }
+
+    const preferences = {};
+    for (const [category, value] of Object.entries(input)) {
+        if (!CATEGORIES.includes(category)) {
+            return { error: `Unknown email category "${category}" (expected: ${CATEGORIES.join(', ')})` };
+        }
+        if (typeof value !== 'boolean') {
+            return { error: `${category} must be true or false` };
+        }
+        preferences[category] = value;
+    }
+    return { preferences };
+}
+
+function displayName(userData, fallback) {
+    return (userData && (userData.name || userData.displayName)) || fallback;
+}
+
+/**
+ * Email an invite link to each address. Addresses belonging to users who
+ * turned off invite emails are skipped.
+ *
+ * @returns {Promise<{sent: string[], skipped: string[], failed: string[]}>}
+ */
+async function sendInviteEmails(addresses, { groupData, inviteData, inviterName }) {
+    const result = { sent: [], skipped: [], failed: [] };
+
+    for (const address of addresses) {
+        const [userData] = await repositories.users.find([['email', '==', address]], { limit: 1 });
+        if (userData && !preferencesOf(userData).invites) {
+            result.skipped.push(address);
+            continue;
+        }
+
+        const { sent } = await mail.send({
+            to: address,
+            ...templates.invite({
+                groupName: groupData.name,
+                inviterName,
+                inviteCode: inviteData.code,
+                durationDays: inviteData.durationDays,
+                expiresAt: inviteData.expiresAt
+            })
+        });
+        result[sent ? 'sent' : 'failed'].push(address);
+    }
+
+    return result;
+}
+
+/**
+ * Queue a new document for the digest of every member who can see it
+ * (except the uploader)
+ */
+async function queueUploadDigest(groupData, pdfData) {
+    const item = {
+        groupId: groupData.id,
+        groupName: groupData.name,
+        pdfId: pdfData.id,
+        title: pdfData.title,
+        uploadedAt: pdfData.createdAt
+    };
+
+    for (const uid of groupData.members || []) {
+        if (uid === pdfData.uploadedBy) continue;
+        if (!documentAccess.canAccessDocument(pdfData, accessControl.roleOf(groupData, uid), uid)) continue;
+
+        await repositories.mailDigests.merge(uid, {
+            userId: uid,
+            items: repositories.getStore().ops.arrayUnion(item)
+        });
+    }
+}
+
+/**
+ * Send and clear every queued digest
+ *
+ * @returns {Promise<number>} digests sent
+ */
+async function sendUploadDigests() {
+    let sent = 0;
+
+    for (const digest of await repositories.mailDigests.find()) {
+        const items = digest.items || [];
+        if (items.length === 0) continue;
+
+        const userData = await repositories.users.get(digest.userId);
+
+        // Drop documents that were deleted since they were queued
+        const current = [];
+        for (const item of items) {
+            if (await repositories.pdfs.get(item.pdfId)) current.push(item);
+        }
+
+        if (userData && userData.email && !userData.disabled && preferencesOf(userData).uploadDigest && current.length > 0) {
+            const result = await mail.send({
+                to: userData.email,
+                ...templates.uploadDigest({ name: displayName(userData, userData.email), items: current })
+            });
+            // Keep the queue for the next run if delivery failed
+            if (!result.sent) continue;
+            sent++;
+        }
+
+        // Items queued while this digest was being sent stay for the next run
+        await repositories.mailDigests.update(digest.userId, {
+            items: repositories.getStore().ops.arrayRemove(...items)
+        });
+    }
+
+    return sent;
+}
+
+/**
+ * Remind members whose access runs out within REMINDER_DAYS
+ *
+ * @returns {Promise<number>} reminders sent
+ */
+async function sendExpiryReminders(now = new Date()) {
+    let sent = 0;
+    const horizon = new Date(now.getTime() + REMINDER_DAYS * DAY);
+
+    for (const groupData of await repositories.groups.find()) {
+        const reminded = groupData.expiryReminders || {};
+
+        for (const [uid, expiresAt] of Object.entries(groupData.memberExpiry || {})) {
+            const expiry = new Date(expiresAt);
+            if (expiry <= now || expiry > horizon || reminded[uid] === expiresAt) continue;
+            if (accessControl.roleOf(groupData, uid) !== 'member') continue;
+
+            const userData = await repositories.users.get(uid);
+            if (!userData || !userData.email || !preferencesOf(userData).expiryReminders) continue;
+
+            const result = await mail.send({
+                to: userData.email,
+                ...templates.membershipExpiring({
+                    name: displayName(userData, userData.email),
+                    groupName: groupData.name,
+                    groupId: groupData.id,
+                    expiresAt
+                })
+            });
+
+            if (result.sent) {
+                await repositories.groups.update(groupData.id, { [`expiryReminders.${uid}`]: expiresAt });
+                sent++;
+            }
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * Tell a user their account was suspended
+ */
+async function sendSuspensionNotice(userId, { reason, email = null }) {
+    const userData = await repositories.users.get(userId);
+    const to = (userData && userData.email) || email;
+    if (!to || !preferencesOf(userData).accountNotices) return { sent: false };
+
+    return mail.send({
+        to,
+        ...templates.accountSuspended({ name: displayName(userData, to), reason })
+    });
+}
+
+/**
+ * The scheduled mail job: digests and expiry reminders
+ */
+async function runMailJobs(now = new Date()) {
+    return {
+        digests: await sendUploadDigests(),
+        reminders: await sendExpiryReminders(now)
+    };
+}
+
+module.exports = {
+    CATEGORIES,
+    REMINDER_DAYS,
+    preferencesOf,
+    validatePreferences,
+    sendInviteEmails,
+    queueUploadDigest,
+    sendUploadDigests,
+    sendExpiryReminders,
+    sendSuspensionNotice,
+    runMailJobs
+};
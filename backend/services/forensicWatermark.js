@@ -0,0 +1,299 @@
+// services/forensicWatermark.js
+
+const crypto = require("crypto");
+const repositories = require("../repositories");
+
+/**
+ * Forensic Watermark
+ *
+ * Invisible per-session mark that survives cropping out the visible
+ * watermark. A random 32-bit mark id (registered in `forensic_marks` with
+ * the uid/sessionId/pdfId it was issued to) is encoded as a repeating
+ * 64x64 px tile of 8x8 px cells; "1" cells are darkened by a few grey
+ * levels, which is invisible on paper-white but adds up when every tile
+ * on the page is averaged during decoding.
+ *
+ * Tile layout (64 cells, row-major):
+ * - cells 0-23: fixed sync pattern (finds the tile origin after cropping)
+ * - cells 24-55: mark id, most significant bit first
+ * - cells 56-63: CRC-8 of the mark id
+ */
+
+const CELL_SIZE = 8;
+const GRID = 8;
+const TILE_SIZE = CELL_SIZE * GRID;
+const CELL_COUNT = GRID * GRID;
+
+// Grey levels subtracted from "1" cells
+const MARK_STRENGTH = 3;
+
+const SYNC_BITS = 24;
+const SYNC_PATTERN = 0xB2_5C_E3;
+
+// Only near-white pixels carry a readable signal; text and dark UI are skipped
+const MIN_BACKGROUND_LUMA = 180;
+
+// Screenshots are rarely at the rendered size (HiDPI, browser zoom)
+const DECODE_SCALES = [1, 0.5, 2, 0.8, 1.25, 0.75, 1.5, 2 / 3, 1 / 3, 3];
+
+function crc8(value) {
+    let crc = 0;
+    for (let shift = 24; shift >= 0; shift -= 8) {
+        crc ^= (value >>> shift) & 0xFF;
+        for (let i = 0; i < 8; i++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Cell bits for a mark id, as an array of 64 0/1 values
+ */
+function getPattern(markId) {
+    const value = parseInt(markId, 16) >>> 0;
+    const bits = [];
+
+    for (let i = SYNC_BITS - 1; i >= 0; i--) bits.push((SYNC_PATTERN >>> i) & 1);
+    for (let i = 31; i >= 0; i--) bits.push((value >>> i) & 1);
+
+    const checksum = crc8(value);
+    for (let i = 7; i >= 0; i--) bits.push((checksum >>> i) & 1);
+
+    return bits;
+}
+
+/**
+ * Embed the mark into a 2D canvas context in place
+ */
+function applyMark(ctx, width, height, markId) {
+    const bits = getPattern(markId);
+    const image = ctx.getImageData(0, 0, width, height);
+    const { data } = image;
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor((y % TILE_SIZE) / CELL_SIZE) * GRID;
+        for (let x = 0; x < width; x++) {
+            if (!bits[row + Math.floor((x % TILE_SIZE) / CELL_SIZE)]) continue;
+
+            const offset = (y * width + x) * 4;
+            data[offset] = Math.max(0, data[offset] - MARK_STRENGTH);
+            data[offset + 1] = Math.max(0, data[offset + 1] - MARK_STRENGTH);
+            data[offset + 2] = Math.max(0, data[offset + 2] - MARK_STRENGTH);
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Average every tile of the image into one 64x64 tile
+ */
+function foldTiles({ data, width, height }) {
+    const sums = new Float64Array(TILE_SIZE * TILE_SIZE);
+    const counts = new Uint32Array(TILE_SIZE * TILE_SIZE);
+
+    for (let y = 0; y < height; y++) {
+        const tileRow = (y % TILE_SIZE) * TILE_SIZE;
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            const luma = (data[offset] + data[offset + 1] + data[offset + 2]) / 3;
+            if (luma < MIN_BACKGROUND_LUMA) continue;
+
+            const slot = tileRow + (x % TILE_SIZE);
+            sums[slot] += luma;
+            counts[slot]++;
+        }
+    }
+
+    return { sums, counts };
+}
+
+/**
+ * Mean brightness of each cell for a given sub-cell phase
+ */
+function cellMeans({ sums, counts }, phaseX, phaseY) {
+    const means = new Float64Array(CELL_COUNT);
+
+    for (let cell = 0; cell < CELL_COUNT; cell++) {
+        const cellY = Math.floor(cell / GRID) * CELL_SIZE + phaseY;
+        const cellX = (cell % GRID) * CELL_SIZE + phaseX;
+        let sum = 0;
+        let count = 0;
+
+        // Skip the cell border: it blurs into neighbours after resampling
+        for (let dy = 1; dy < CELL_SIZE - 1; dy++) {
+            for (let dx = 1; dx < CELL_SIZE - 1; dx++) {
+                const slot = ((cellY + dy) % TILE_SIZE) * TILE_SIZE + ((cellX + dx) % TILE_SIZE);
+                sum += sums[slot];
+                count += counts[slot];
+            }
+        }
+
+        means[cell] = count > 0 ? sum / count : NaN;
+    }
+
+    return means;
+}
+
+/**
+ * Try every tile origin and return the best decodable mark, if any
+ */
+function decodeFolded(folded) {
+    let best = null;
+
+    for (let phaseY = 0; phaseY < CELL_SIZE; phaseY++) {
+        for (let phaseX = 0; phaseX < CELL_SIZE; phaseX++) {
+            const means = cellMeans(folded, phaseX, phaseY);
+            if (means.some(Number.isNaN)) return null;
+
+            for (let shiftY = 0; shiftY < GRID; shiftY++) {
+                for (let shiftX = 0; shiftX < GRID; shiftX++) {
+                    const values = [];
+                    for (let cell = 0; cell < CELL_COUNT; cell++) {
+                        const row = (Math.floor(cell / GRID) + shiftY) % GRID;
+                        const col = (cell % GRID + shiftX) % GRID;
+                        values.push(means[row * GRID + col]);
+                    }
+
+                    const result = readCells(values);
+                    if (result && (!best || result.contrast > best.contrast)) {
+                        best = result;
+                    }
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Read one aligned tile: check sync, threshold the payload and verify the CRC
+ */
+function readCells(values) {
+    let dark = 0;
+    let darkCount = 0;
+    let light = 0;
+    let lightCount = 0;
+
+    for (let i = 0; i < SYNC_BITS; i++) {
+        if ((SYNC_PATTERN >>> (SYNC_BITS - 1 - i)) & 1) {
+            dark += values[i];
+            darkCount++;
+        } else {
+            light += values[i];
+            lightCount++;
+        }
+    }
+
+    dark /= darkCount;
+    light /= lightCount;
+    const contrast = light - dark;
+
+    // Needs at least a quarter of the embedded strength to be trustworthy
+    if (contrast < MARK_STRENGTH / 4) return null;
+
+    const threshold = (dark + light) / 2;
+    for (let i = 0; i < SYNC_BITS; i++) {
+        const expected = (SYNC_PATTERN >>> (SYNC_BITS - 1 - i)) & 1;
+        if ((values[i] < threshold ? 1 : 0) !== expected) return null;
+    }
+
+    let value = 0;
+    for (let i = SYNC_BITS; i < SYNC_BITS + 32; i++) {
+        value = ((value << 1) | (values[i] < threshold ? 1 : 0)) >>> 0;
+    }
+
+    let checksum = 0;
+    for (let i = SYNC_BITS + 32; i < CELL_COUNT; i++) {
+        checksum = (checksum << 1) | (values[i] < threshold ? 1 : 0);
+    }
+
+    if (checksum !== crc8(value)) return null;
+
+    return {
+        markId: value.toString(16).padStart(8, '0'),
+        contrast: Math.round(contrast * 100) / 100
+    };
+}
+
+/**
+ * Recover a mark id from raw RGBA pixels.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @param {Function} [resample] - (image, scale) => image, used to undo screenshot scaling
+ * @returns {{markId: string, contrast: number, scale: number} | null}
+ */
+function decodeImageData(image, resample) {
+    for (const scale of DECODE_SCALES) {
+        let candidate = image;
+        if (scale !== 1) {
+            if (!resample) continue;
+            candidate = resample(image, scale);
+            if (candidate.width < TILE_SIZE * 2 || candidate.height < TILE_SIZE * 2) continue;
+        }
+
+        const result = decodeFolded(foldTiles(candidate));
+        if (result) {
+            return { ...result, scale };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Issue a new mark for a viewer and record who it belongs to
+ *
+ * @param {Object} owner - { userId, email, sessionId, pdfId, groupId, source }
+ * @returns {Promise<string>} the mark id (8 hex chars)
+ */
+async function issueMark({ userId, email = null, sessionId = null, pdfId, groupId, source }) {
+    let markId;
+
+    // 32-bit ids: retry the (unlikely) collision instead of reusing a mark
+    do {
+        markId = crypto.randomBytes(4).toString('hex');
+    } while (await repositories.forensicMarks.get(markId));
+
+    await repositories.forensicMarks.set(markId, {
+        markId,
+        userId,
+        email,
+        sessionId,
+        pdfId,
+        groupId,
+        source,
+        createdAt: new Date().toISOString()
+    });
+
+    return markId;
+}
+
+/**
+ * Mark for a viewer session, issued on first use and kept on the session
+ */
+async function getSessionMark(session, source) {
+    if (session.forensicMarkId) return session.forensicMarkId;
+
+    const markId = await issueMark({ ...session, source });
+    await repositories.viewerSessions.update(session.sessionId, { forensicMarkId: markId });
+    return markId;
+}
+
+function getMark(markId) {
+    return repositories.forensicMarks.get(markId);
+}
+
+module.exports = {
+    TILE_SIZE,
+    CELL_SIZE,
+    MARK_STRENGTH,
+    getPattern,
+    applyMark,
+    decodeImageData,
+    issueMark,
+    getSessionMark,
+    getMark
+};
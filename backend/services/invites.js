@@ -0,0 +1,218 @@
+// services/invites.js
+
+/**
+ * Invites
+ *
+ * Options and redemption rules for `invites/{code}` documents:
+ * - maxUses:        how many people may join with the code (null = unlimited)
+ * - expiresAt:      when the link itself stops working (null = never)
+ * - allowedEmails / allowedDomains: who may redeem it (empty = anyone)
+ * - role:           role given to people who join ('member' or 'admin')
+ * - durationDays:   membership length for members (0 = no expiry)
+ * - revoked:        set by revoke/rotate; a revoked code never works again
+ *
+ * Invites created before these options existed are single-use and never
+ * expire, which is exactly what the defaults describe.
+ */
+
+const repositories = require("../repositories");
+
+const ROLES = ['member', 'admin'];
+
+const LIMITS = {
+    durationDays: { min: 0, max: 3650 },
+    maxUses: { min: 1, max: 1000 },
+    expiresInHours: { min: 1, max: 24 * 365 }
+};
+
+const MAX_RESTRICTIONS = 100;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+function inRange(value, { min, max }) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function normalizeList(input, pattern, field) {
+    if (input === undefined || input === null || input === '') return { list: [] };
+
+    const raw = Array.isArray(input) ? input : String(input).split(/[\s,;]+/);
+    const list = [...new Set(raw.map((item) => String(item).trim().toLowerCase().replace(/^@/, '')).filter(Boolean))];
+
+    if (list.length > MAX_RESTRICTIONS) {
+        return { error: `${field} is limited to ${MAX_RESTRICTIONS} entries` };
+    }
+    const invalid = list.find((item) => !pattern.test(item));
+    if (invalid) {
+        return { error: `"${invalid}" is not a valid ${field === 'allowedDomains' ? 'domain' : 'email address'}` };
+    }
+    return { list };
+}
+
+/**
+ * Validate the options for a new invite.
+ *
+ * @returns {{options?: Object, error?: string}}
+ */
+function validateOptions(input = {}) {
+    const durationDays = input.durationDays === undefined ? 30 : Math.floor(Number(input.durationDays));
+    if (!inRange(durationDays, LIMITS.durationDays)) {
+        return { error: `durationDays must be a whole number from ${LIMITS.durationDays.min} to ${LIMITS.durationDays.max}` };
+    }
+
+    let maxUses = 1;
+    if (input.maxUses === null || input.maxUses === 0) {
+        maxUses = null;
+    } else if (input.maxUses !== undefined) {
+        maxUses = Number(input.maxUses);
+        if (!inRange(maxUses, LIMITS.maxUses)) {
+            return { error: `maxUses must be from ${LIMITS.maxUses.min} to ${LIMITS.maxUses.max}, or null for unlimited` };
+        }
+    }
+
+    let expiresAt = null;
+    if (input.expiresInHours !== undefined && input.expiresInHours !== null) {
+        const hours = Number(input.expiresInHours);
+        if (!inRange(hours, LIMITS.expiresInHours)) {
+            return { error: `expiresInHours must be from ${LIMITS.expiresInHours.min} to ${LIMITS.expiresInHours.max}` };
+        }
+        expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    } else if (input.expiresAt) {
+        const date = new Date(input.expiresAt);
+        if (Number.isNaN(date.getTime()) || date <= new Date()) {
+            return { error: 'expiresAt must be a future date' };
+        }
+        expiresAt = date.toISOString();
+    }
+
+    const role = input.role === undefined ? 'member' : input.role;
+    if (!ROLES.includes(role)) {
+        return { error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+
+    const emails = normalizeList(input.allowedEmails, EMAIL_PATTERN, 'allowedEmails');
+    if (emails.error) return { error: emails.error };
+
+    const domains = normalizeList(input.allowedDomains, DOMAIN_PATTERN, 'allowedDomains');
+    if (domains.error) return { error: domains.error };
+
+    return {
+        options: {
+            durationDays,
+            maxUses,
+            expiresAt,
+            role,
+            allowedEmails: emails.list,
+            allowedDomains: domains.list
+        }
+    };
+}
+
+/**
+ * Validate a list of email addresses (array or comma/space separated)
+ *
+ * @returns {{list?: string[], error?: string}}
+ */
+function validateEmailList(input) {
+    return normalizeList(input, EMAIL_PATTERN, 'emailTo');
+}
+
+function usesOf(invite) {
+    if (typeof invite.uses === 'number') return invite.uses;
+    return invite.used ? 1 : 0;
+}
+
+function maxUsesOf(invite) {
+    return invite.maxUses === undefined ? 1 : invite.maxUses;
+}
+
+/**
+ * Whether `email` passes the invite's email/domain restriction
+ */
+function isEmailAllowed(invite, email) {
+    const emails = invite.allowedEmails || [];
+    const domains = invite.allowedDomains || [];
+    if (emails.length === 0 && domains.length === 0) return true;
+    if (!email) return false;
+
+    const address = email.toLowerCase();
+    return emails.includes(address) || domains.includes(address.split('@').pop());
+}
+
+/**
+ * Current state of an invite: 'active', 'revoked', 'expired' or 'used_up'
+ */
+function statusOf(invite, now = new Date()) {
+    if (invite.revoked) return 'revoked';
+    if (invite.expiresAt && new Date(invite.expiresAt) <= now) return 'expired';
+
+    const maxUses = maxUsesOf(invite);
+    if (maxUses !== null && usesOf(invite) >= maxUses) return 'used_up';
+    return 'active';
+}
+
+/**
+ * Why `user` cannot redeem the invite, or null when they can. Used-up
+ * codes are refused to everyone, including people who redeemed them.
+ *
+ * @returns {{error: string, status: number}|null}
+ */
+function checkRedeemable(invite, { email }) {
+    switch (statusOf(invite)) {
+        case 'revoked':
+            return { error: 'This invite has been revoked.', status: 403 };
+        case 'expired':
+            return { error: 'This invite link has expired.', status: 403 };
+        case 'used_up':
+            return { error: 'This link is expired or has already been used.', status: 403 };
+        default:
+            break;
+    }
+
+    if (!isEmailAllowed(invite, email)) {
+        return { error: 'This invite is restricted to other email addresses.', status: 403 };
+    }
+
+    return null;
+}
+
+/**
+ * Claim one use of the code for `user`. The invite is read again and
+ * updated in one transaction, so concurrent joins cannot go past maxUses.
+ *
+ * @returns {Promise<{error: string, status: number}|null>} why the code
+ *   can no longer be redeemed, or null once the use is recorded
+ */
+function redeem(code, { uid, email }) {
+    return repositories.runTransaction(async (transaction) => {
+        const invite = await repositories.invites.get(code, transaction);
+        if (!invite) return { error: 'Invalid invite code', status: 404 };
+
+        const denied = checkRedeemable(invite, { email });
+        if (denied) return denied;
+
+        // The same person joining twice at once uses the code once
+        if ((invite.redemptions || []).some((redemption) => redemption.uid === uid)) return null;
+
+        const uses = usesOf(invite) + 1;
+        const maxUses = maxUsesOf(invite);
+        await repositories.invites.recordRedemption(code, { uid, email }, {
+            uses,
+            used: maxUses !== null && uses >= maxUses
+        }, transaction);
+        return null;
+    });
+}
+
+module.exports = {
+    ROLES,
+    LIMITS,
+    validateOptions,
+    validateEmailList,
+    usesOf,
+    maxUsesOf,
+    statusOf,
+    checkRedeemable,
+    redeem
+};
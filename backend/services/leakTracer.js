@@ -0,0 +1,112 @@
+// services/leakTracer.js
+
+const { createCanvas, loadImage } = require("@napi-rs/canvas");
+const repositories = require("../repositories");
+const forensicWatermark = require("./forensicWatermark");
+const pdfRenderer = require("./pdfRenderer");
+
+/**
+ * Leak Tracer
+ *
+ * Takes a leaked screenshot/photo-export (PNG, JPEG, WebP) or PDF, recovers
+ * the forensic mark and resolves it to the user + viewing session it was
+ * issued to, together with that session's `pdf_events` trail.
+ *
+ * Shared by the owner-only /api/security/forensics/trace endpoint and
+ * the `npm run trace-leak` CLI.
+ */
+
+const MAX_EVENTS = 200;
+
+function isPDF(buffer) {
+    return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Rescale raw pixels (undoes HiDPI / zoomed screenshots)
+ */
+function resample(image, scale) {
+    const source = createCanvas(image.width, image.height);
+    source.getContext('2d').putImageData(image, 0, 0);
+
+    const target = createCanvas(Math.round(image.width * scale), Math.round(image.height * scale));
+    target.getContext('2d').drawImage(source, 0, 0, target.width, target.height);
+
+    return target.getContext('2d').getImageData(0, 0, target.width, target.height);
+}
+
+async function loadPixels(buffer) {
+    if (isPDF(buffer)) {
+        return pdfRenderer.rasterizePages(buffer);
+    }
+
+    const image = await loadImage(buffer);
+    const canvas = createCanvas(image.width, image.height);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+
+    return [canvas.getContext('2d').getImageData(0, 0, image.width, image.height)];
+}
+
+/**
+ * Decode the forensic mark from a file.
+ *
+ * @param {Buffer} buffer - image or PDF bytes
+ * @returns {Promise<{markId: string, contrast: number, scale: number, page: number} | null>}
+ */
+async function decodeFile(buffer) {
+    const images = await loadPixels(buffer);
+
+    for (let i = 0; i < images.length; i++) {
+        const result = forensicWatermark.decodeImageData(images[i], resample);
+        if (result) {
+            return { ...result, page: i + 1 };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Events recorded by the marked session (or, for marks without a session,
+ * by the same user on the same document), oldest first
+ */
+async function getMarkEvents(mark) {
+    const events = await repositories.pdfEvents.listByUser(mark.userId);
+
+    return events
+        .filter(event => mark.sessionId
+            ? event.sessionId === mark.sessionId || (event.details && event.details.sessionId === mark.sessionId)
+            : event.pdfId === mark.pdfId)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(-MAX_EVENTS);
+}
+
+/**
+ * Decode a leaked file and resolve who it was issued to
+ *
+ * @returns {Promise<{found: boolean, decoded?: Object, mark?: Object, events?: Array}>}
+ */
+async function traceLeak(buffer) {
+    const decoded = await decodeFile(buffer);
+    if (!decoded) {
+        return { found: false };
+    }
+
+    const mark = await forensicWatermark.getMark(decoded.markId);
+    if (!mark) {
+        // Decodes cleanly but was never issued by this deployment
+        return { found: false, decoded };
+    }
+
+    return {
+        found: true,
+        decoded,
+        mark,
+        events: await getMarkEvents(mark)
+    };
+}
+
+module.exports = {
+    decodeFile,
+    traceLeak
+};
@@ -0,0 +1,143 @@
+// services/mail/captureServer.js
+
+const net = require("net");
+
+/**
+ * Mail Capture Server
+ *
+ * A minimal local SMTP server that accepts every message and keeps it in
+ * memory instead of delivering it. Used by the tests and by
+ * `npm run mail-capture` during development: set SMTP_HOST=127.0.0.1 and
+ * SMTP_PORT to its port.
+ *
+ * Speaks just enough SMTP for nodemailer (no TLS, no auth).
+ */
+
+/**
+ * Undo quoted-printable encoding so captured bodies read as plain text
+ */
+function decodeQuotedPrintable(raw) {
+    return raw
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function parseMessage(envelope, raw) {
+    const headerEnd = raw.indexOf('\r\n\r\n');
+    const headers = headerEnd === -1 ? raw : raw.slice(0, headerEnd);
+    const subject = /^Subject: (.*(?:\r\n[ \t].*)*)$/m.exec(headers);
+
+    return {
+        from: envelope.from,
+        to: envelope.to,
+        subject: subject ? subject[1].replace(/\r\n[ \t]/g, ' ') : '',
+        body: decodeQuotedPrintable(raw),
+        raw,
+        receivedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * @param {{onMessage?: Function}} options - called with each captured message
+ * @returns {{messages: Array, listen(port?, host?): Promise<number>, clear(), close(): Promise<void>}}
+ */
+function createCaptureServer({ onMessage } = {}) {
+    const messages = [];
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let inData = false;
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+
+            while (buffer.length > 0) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+
+                    const raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+
+                    const message = parseMessage(envelope, raw);
+                    messages.push(message);
+                    if (onMessage) onMessage(message);
+
+                    envelope = { from: null, to: [] };
+                    reply('250 OK: message captured');
+                    continue;
+                }
+
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1) return;
+
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                const command = line.slice(0, 4).toUpperCase();
+
+                switch (command) {
+                    case 'EHLO':
+                    case 'HELO':
+                        reply('250 capture');
+                        break;
+                    case 'MAIL':
+                        envelope.from = (/<(.*)>/.exec(line) || [])[1] || null;
+                        reply('250 OK');
+                        break;
+                    case 'RCPT':
+                        envelope.to.push((/<(.*)>/.exec(line) || [])[1]);
+                        reply('250 OK');
+                        break;
+                    case 'DATA':
+                        inData = true;
+                        reply('354 End data with <CR><LF>.<CR><LF>');
+                        break;
+                    case 'RSET':
+                        envelope = { from: null, to: [] };
+                        reply('250 OK');
+                        break;
+                    case 'NOOP':
+                        reply('250 OK');
+                        break;
+                    case 'QUIT':
+                        reply('221 Bye');
+                        socket.end();
+                        return;
+                    default:
+                        reply('502 Command not implemented');
+                }
+            }
+        });
+
+        socket.on('error', () => {
+            // Client went away mid-conversation; nothing to clean up
+        });
+
+        reply('220 capture ESMTP');
+    });
+
+    return {
+        messages,
+
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => resolve(server.address().port));
+            });
+        },
+
+        clear() {
+            messages.length = 0;
+        },
+
+        close() {
+            return new Promise((resolve) => server.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = { createCaptureServer };
@@ -0,0 +1,89 @@
+// services/mail/index.js
+
+const nodemailer = require("nodemailer");
+
+/**
+ * Mail
+ *
+ * Outgoing email over SMTP (nodemailer). Configured with:
+ * - SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS)
+ * - SMTP_USER, SMTP_PASS (optional; omit for servers without auth)
+ * - MAIL_FROM, the sender address
+ *
+ * Without SMTP_HOST mail is disabled: messages are skipped and logged, so
+ * development and CI need no mail server. Point SMTP_HOST/SMTP_PORT at the
+ * local capture server (npm run mail-capture) to see what would be sent.
+ *
+ * `send` never throws; callers get { sent, error? } and carry on, since a
+ * mail outage must not break the request that triggered the message.
+ */
+
+const DEFAULT_FROM = 'Secure PDF Viewer <no-reply@localhost>';
+
+let cached = null;
+
+function getConfig() {
+    const host = process.env.SMTP_HOST;
+    if (!host) return null;
+
+    return {
+        host,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+            : undefined
+    };
+}
+
+/**
+ * Transport for the current configuration; rebuilt when the environment
+ * changes (e.g. tests starting a capture server)
+ */
+function getTransport() {
+    const config = getConfig();
+    if (!config) return null;
+
+    const key = JSON.stringify(config);
+    if (!cached || cached.key !== key) {
+        cached = { key, transport: nodemailer.createTransport(config) };
+    }
+    return cached.transport;
+}
+
+function isEnabled() {
+    return getConfig() !== null;
+}
+
+/**
+ * Send one message.
+ *
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<{sent: boolean, error?: string}>}
+ */
+async function send({ to, subject, text, html }) {
+    const transport = getTransport();
+    if (!transport) {
+        console.log(`[Mail] Disabled (no SMTP_HOST); skipped "${subject}" to ${to}`);
+        return { sent: false, error: 'Mail is not configured' };
+    }
+
+    try {
+        await transport.sendMail({
+            from: process.env.MAIL_FROM || DEFAULT_FROM,
+            to,
+            subject,
+            text,
+            html
+        });
+        return { sent: true };
+    } catch (error) {
+        console.error(`[Mail] Failed to send "${subject}" to ${to}:`, error.message);
+        return { sent: false, error: error.message };
+    }
+}
+
+module.exports = {
+    isEnabled,
+    send
+};
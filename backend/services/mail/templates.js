@@ -0,0 +1,142 @@
+// services/mail/templates.js
+
+/**
+ * Mail Templates
+ *
+ * Each template takes plain data and returns { subject, text, html }.
+ * Links point at the frontend (APP_BASE_URL).
+ */
+
+const DEFAULT_APP_URL = 'http://localhost:5173';
+
+function appUrl(path = '') {
+    return `${(process.env.APP_BASE_URL || DEFAULT_APP_URL).replace(/\/+$/, '')}${path}`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDate(iso) {
+    return new Date(iso).toUTCString();
+}
+
+/**
+ * Wrap paragraphs (already escaped HTML) in the shared layout
+ */
+function layout(paragraphs) {
+    const footer = `You can change which emails you receive on your profile: ${appUrl('/profile')}`;
+    return [
+        '<div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;color:#0f172a">',
+        ...paragraphs.map((paragraph) => `<p style="line-height:1.5">${paragraph}</p>`),
+        `<p style="font-size:12px;color:#64748b">${escapeHtml(footer)}</p>`,
+        '</div>'
+    ].join('\n');
+}
+
+function textWithFooter(lines) {
+    return [...lines, '', `You can change which emails you receive on your profile: ${appUrl('/profile')}`].join('\n');
+}
+
+function invite({ groupName, inviterName, inviteCode, durationDays, expiresAt }) {
+    const link = appUrl(`/join/${inviteCode}`);
+    const access = durationDays ? `Membership lasts ${durationDays} days.` : 'Membership does not expire.';
+    const expiry = expiresAt ? `This link works until ${formatDate(expiresAt)}.` : null;
+
+    return {
+        subject: `${inviterName} invited you to ${groupName}`,
+        text: textWithFooter([
+            `${inviterName} invited you to join "${groupName}" on Secure PDF Viewer.`,
+            '',
+            `Join here: ${link}`,
+            access,
+            ...(expiry ? [expiry] : [])
+        ]),
+        html: layout([
+            `${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(groupName)}</strong> on Secure PDF Viewer.`,
+            `<a href="${escapeHtml(link)}">Join the group</a>`,
+            escapeHtml(access),
+            ...(expiry ? [escapeHtml(expiry)] : [])
+        ])
+    };
+}
+
+/**
+ * @param {{name: string, items: Array<{groupName, title}>}} data
+ */
+function uploadDigest({ name, items }) {
+    const byGroup = new Map();
+    for (const item of items) {
+        if (!byGroup.has(item.groupName)) byGroup.set(item.groupName, []);
+        byGroup.get(item.groupName).push(item.title);
+    }
+
+    const count = items.length === 1 ? '1 new document' : `${items.length} new documents`;
+    const text = [`Hi ${name},`, '', `${count} were shared with you:`];
+    const html = [`Hi ${escapeHtml(name)},`, `${count} were shared with you:`];
+
+    for (const [groupName, titles] of byGroup) {
+        text.push('', `${groupName}:`, ...titles.map((title) => `  - ${title}`));
+        html.push(`<strong>${escapeHtml(groupName)}</strong><br>${titles.map((title) => `&bull; ${escapeHtml(title)}`).join('<br>')}`);
+    }
+
+    text.push('', `Open them at ${appUrl('/dashboard')}`);
+    html.push(`<a href="${escapeHtml(appUrl('/dashboard'))}">Open your dashboard</a>`);
+
+    return {
+        subject: `${count} shared with you`,
+        text: textWithFooter(text),
+        html: layout(html)
+    };
+}
+
+function membershipExpiring({ name, groupName, groupId, expiresAt }) {
+    const link = appUrl(`/group/${groupId}`);
+    return {
+        subject: `Your access to ${groupName} expires soon`,
+        text: textWithFooter([
+            `Hi ${name},`,
+            '',
+            `Your membership of "${groupName}" expires on ${formatDate(expiresAt)}.`,
+            `If you still need access, ask the owner for a renewal: ${link}`
+        ]),
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `Your membership of <strong>${escapeHtml(groupName)}</strong> expires on ${escapeHtml(formatDate(expiresAt))}.`,
+            `If you still need access, <a href="${escapeHtml(link)}">ask the owner for a renewal</a>.`
+        ])
+    };
+}
+
+function accountSuspended({ name, reason }) {
+    const link = appUrl('/dashboard');
+    return {
+        subject: 'Your account has been suspended',
+        text: textWithFooter([
+            `Hi ${name},`,
+            '',
+            'Your Secure PDF Viewer account was suspended.',
+            `Reason: ${reason}`,
+            '',
+            `If you think this is a mistake, you can appeal from your dashboard: ${link}`
+        ]),
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            'Your Secure PDF Viewer account was suspended.',
+            `Reason: ${escapeHtml(reason)}`,
+            `If you think this is a mistake, you can appeal from <a href="${escapeHtml(link)}">your dashboard</a>.`
+        ])
+    };
+}
+
+module.exports = {
+    appUrl,
+    invite,
+    uploadDigest,
+    membershipExpiring,
+    accountSuspended
+};
@@ -0,0 +1,63 @@
+// services/notifications.js
+
+const repositories = require("../repositories");
+
+const { randomUUID } = require("crypto");
+const uuidv4 = () => randomUUID();
+
+/**
+ * Notifications
+ *
+ * In-app notifications stored in the `notifications` collection, one
+ * document per recipient. Read back through GET /api/auth/notifications.
+ */
+
+/**
+ * Create a notification for a single user
+ */
+async function notifyUser(userId, { type, message, groupId = null, data = {} }) {
+    const notification = {
+        id: uuidv4(),
+        userId,
+        type,
+        message,
+        groupId,
+        data,
+        read: false,
+        createdAt: new Date().toISOString()
+    };
+
+    await repositories.notifications.set(notification.id, notification);
+    return notification;
+}
+
+/**
+ * Notify the owners of each given group (deduplicated per owner + group)
+ */
+async function notifyGroupOwners(groupIds, { type, message, data = {} }) {
+    const sent = [];
+
+    for (const groupId of new Set(groupIds)) {
+        const groupData = await repositories.groups.get(groupId);
+        if (!groupData) continue;
+
+        const owners = new Set([groupData.createdBy]);
+        for (const [memberId, role] of Object.entries(groupData.roles || {})) {
+            if (role === 'owner') owners.add(memberId);
+        }
+
+        for (const ownerId of owners) {
+            if (!ownerId) continue;
+            sent.push(await notifyUser(ownerId, {
+                type,
+                message: `[${groupData.name}] ${message}`,
+                groupId,
+                data
+            }));
+        }
+    }
+
+    return sent;
+}
+
+module.exports = { notifyUser, notifyGroupOwners };
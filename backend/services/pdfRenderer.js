@@ -0,0 +1,303 @@
+// services/pdfRenderer.js
+
+const path = require("path");
+const { createCanvas } = require("@napi-rs/canvas");
+const forensicWatermark = require("./forensicWatermark");
+
+/**
+ * PDF Renderer
+ *
+ * Server-side rasterisation of single PDF pages with the viewer's
+ * watermark burned into the pixels, so image-only viewing never ships
+ * the original file to the browser. Also extracts positioned page text
+ * for server-side search (see documentSearch).
+ *
+ * pdfjs-dist is ESM-only, so it is loaded lazily through dynamic import().
+ */
+
+const MIN_WIDTH = 200;
+const MAX_WIDTH = 2000;
+const DEFAULT_WIDTH = 900;
+
+// Small in-memory cache of original PDF bytes (pdfId -> { buffer, expires })
+// so paging through a document doesn't re-download it for every page.
+const documentCache = new Map();
+const CACHE_TTL = 5 * 60_000; // 5 minutes
+const CACHE_MAX_ENTRIES = 10;
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import("pdfjs-dist/legacy/build/pdf.mjs");
+    }
+    return pdfjsPromise;
+}
+
+const STANDARD_FONT_DATA_URL = path.join(
+    path.dirname(require.resolve("pdfjs-dist/package.json")),
+    "standard_fonts"
+) + path.sep;
+
+/**
+ * Return cached PDF bytes, or load them with `loader` and cache them
+ */
+async function getCachedDocument(pdfId, loader) {
+    const cached = documentCache.get(pdfId);
+    if (cached && cached.expires > Date.now()) {
+        return cached.buffer;
+    }
+
+    const buffer = await loader();
+
+    if (documentCache.size >= CACHE_MAX_ENTRIES) {
+        // Evict the oldest entry (Map keeps insertion order)
+        documentCache.delete(documentCache.keys().next().value);
+    }
+    documentCache.set(pdfId, { buffer, expires: Date.now() + CACHE_TTL });
+
+    return buffer;
+}
+
+function evictDocument(pdfId) {
+    documentCache.delete(pdfId);
+}
+
+/**
+ * Open a PDF from raw bytes. Caller must call `doc.destroy()`.
+ */
+async function openDocument(buffer) {
+    const pdfjs = await loadPdfjs();
+    return pdfjs.getDocument({
+        // pdfjs transfers the buffer it is given, so hand it a copy
+        data: new Uint8Array(buffer),
+        standardFontDataUrl: STANDARD_FONT_DATA_URL,
+        isEvalSupported: false,
+        disableFontFace: true
+    }).promise;
+}
+
+/**
+ * Count pages and report each page's size in PDF points
+ */
+async function getPageInfo(buffer) {
+    const doc = await openDocument(buffer);
+    try {
+        const pages = [];
+        for (let i = 1; i <= doc.numPages; i++) {
+            const page = await doc.getPage(i);
+            const { width, height } = page.getViewport({ scale: 1 });
+            pages.push({ width, height });
+            page.cleanup();
+        }
+        return { numPages: doc.numPages, pages };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+/**
+ * Page count of a file being stored, or null when it can't be read
+ */
+async function countPages(buffer) {
+    try {
+        return (await getPageInfo(buffer)).numPages;
+    } catch (error) {
+        console.warn('[Renderer] Failed to count pages:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Text runs of every page, with the geometry needed to place them.
+ *
+ * `transform` and `width` are in PDF user space; `viewportTransform` maps
+ * user space to the page as displayed at scale 1 (page rotation and crop
+ * box applied), which is `width` x `height` points.
+ *
+ * @returns {Promise<Array<{width, height, viewportTransform, items: Array<{str, transform, width, hasEOL}>}>>}
+ */
+async function extractText(buffer) {
+    const doc = await openDocument(buffer);
+    try {
+        const pages = [];
+        for (let i = 1; i <= doc.numPages; i++) {
+            const page = await doc.getPage(i);
+            const viewport = page.getViewport({ scale: 1 });
+            const content = await page.getTextContent();
+
+            pages.push({
+                width: viewport.width,
+                height: viewport.height,
+                viewportTransform: viewport.transform,
+                items: content.items
+                    // Skip marked-content markers, which carry no text
+                    .filter((item) => typeof item.str === "string")
+                    .map(({ str, transform, width, hasEOL }) => ({ str, transform, width, hasEOL }))
+            });
+            page.cleanup();
+        }
+        return pages;
+    } finally {
+        await doc.destroy();
+    }
+}
+
+function clampWidth(width) {
+    const value = parseInt(width, 10);
+    if (!Number.isFinite(value)) return DEFAULT_WIDTH;
+    return Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, value));
+}
+
+/**
+ * Tile a diagonal text watermark across the canvas (mirrors the
+ * client-side Watermark component, but baked into the image).
+ */
+function drawWatermark(ctx, width, height, text, opacity) {
+    const fontSize = Math.max(12, Math.round(width / 60));
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = "#000000";
+    ctx.font = `500 ${fontSize}px monospace`;
+
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(-Math.PI / 6);
+
+    const textWidth = ctx.measureText(text).width;
+    const stepX = textWidth + fontSize * 4;
+    const stepY = fontSize * 8;
+    const span = Math.hypot(width, height);
+
+    for (let y = -span; y < span; y += stepY) {
+        // Offset alternate rows so the pattern has no clean vertical gaps
+        const shift = (Math.round(y / stepY) % 2) * (stepX / 2);
+        for (let x = -span - shift; x < span; x += stepX) {
+            ctx.fillText(text, x, y);
+        }
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Draw one page of an open document onto a fresh canvas
+ */
+async function drawPage(doc, pageNumber, width) {
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > doc.numPages) {
+        const error = new Error("Page out of range");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const page = await doc.getPage(pageNumber);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: clampWidth(width) / base.width });
+
+    const canvas = createCanvas(Math.round(viewport.width), Math.round(viewport.height));
+    const ctx = canvas.getContext("2d");
+
+    // PDFs assume a white page
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: ctx, viewport, canvas }).promise;
+    page.cleanup();
+
+    return canvas;
+}
+
+/**
+ * Render one page to PNG with the watermark burned in.
+ *
+ * @param {Buffer} buffer - original PDF bytes
+ * @param {number} pageNumber - 1-based page number
+ * @param {Object} options - { width, watermarkText, watermarkOpacity, forensicMarkId }
+ * @returns {Promise<{image: Buffer, width: number, height: number, numPages: number}>}
+ */
+async function renderPage(buffer, pageNumber, { width, watermarkText, watermarkOpacity = 0.12, forensicMarkId } = {}) {
+    const doc = await openDocument(buffer);
+
+    try {
+        const canvas = await drawPage(doc, pageNumber, width);
+        const ctx = canvas.getContext("2d");
+
+        if (watermarkText) {
+            drawWatermark(ctx, canvas.width, canvas.height, watermarkText, watermarkOpacity);
+        }
+
+        // Invisible mark goes last so nothing drawn on top dilutes it
+        if (forensicMarkId) {
+            forensicWatermark.applyMark(ctx, canvas.width, canvas.height, forensicMarkId);
+        }
+
+        return {
+            image: await canvas.encode("png"),
+            width: canvas.width,
+            height: canvas.height,
+            numPages: doc.numPages
+        };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+/**
+ * Pixel width of the widest raster image drawn on a page, or null
+ */
+async function getWidestImage(pdfjs, page) {
+    const { fnArray, argsArray } = await page.getOperatorList();
+    let widest = null;
+
+    for (let i = 0; i < fnArray.length; i++) {
+        let imageWidth = null;
+        if (fnArray[i] === pdfjs.OPS.paintImageXObject) {
+            imageWidth = argsArray[i][1];
+        } else if (fnArray[i] === pdfjs.OPS.paintInlineImageXObject) {
+            imageWidth = argsArray[i][0] && argsArray[i][0].width;
+        }
+        if (imageWidth && (!widest || imageWidth > widest)) widest = imageWidth;
+    }
+
+    return widest;
+}
+
+/**
+ * Rasterise the first `maxPages` pages to raw RGBA pixels (leak tracing).
+ *
+ * Leaked PDFs are usually page screenshots wrapped in a PDF, so pages with
+ * an embedded image are rendered at that image's own width to keep its
+ * pixels 1:1; text-only pages use `width`.
+ */
+async function rasterizePages(buffer, { width = DEFAULT_WIDTH, maxPages = 5 } = {}) {
+    const pdfjs = await loadPdfjs();
+    const doc = await openDocument(buffer);
+
+    try {
+        const images = [];
+        for (let i = 1; i <= Math.min(doc.numPages, maxPages); i++) {
+            const page = await doc.getPage(i);
+            const imageWidth = await getWidestImage(pdfjs, page);
+
+            const canvas = await drawPage(doc, i, imageWidth || width);
+            images.push(canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height));
+        }
+        return images;
+    } finally {
+        await doc.destroy();
+    }
+}
+
+module.exports = {
+    DEFAULT_WIDTH,
+    MAX_WIDTH,
+    clampWidth,
+    getCachedDocument,
+    evictDocument,
+    openDocument,
+    getPageInfo,
+    countPages,
+    extractText,
+    renderPage,
+    rasterizePages
+};
@@ -0,0 +1,115 @@
+// services/pdfVersions.js
+
+const repositories = require("../repositories");
+const storage = require("./storage");
+
+/**
+ * PDF Versions
+ *
+ * Version history for documents. The `pdfs/{pdfId}` document always
+ * describes the current version (so every reader keeps working unchanged)
+ * and each version - current one included - is recorded in `pdf_versions`
+ * as `{pdfId}_v{n}` with its stored file, uploader and changelog.
+ *
+ * Documents uploaded before versioning have no records; `ensureHistory`
+ * back-fills version 1 from the document itself.
+ */
+
+function versionDocId(pdfId, version) {
+    return `${pdfId}_v${version}`;
+}
+
+async function saveVersion(pdfData, { version, file, uploadedBy, changelog = null, restoredFrom = null, createdAt }) {
+    const record = {
+        pdfId: pdfData.id,
+        groupId: pdfData.groupId,
+        version,
+        ...storage.fileOf(file),
+        uploadedBy,
+        changelog,
+        restoredFrom,
+        createdAt: createdAt || new Date().toISOString()
+    };
+
+    await repositories.pdfVersions.set(versionDocId(pdfData.id, version), record);
+    return record;
+}
+
+async function getVersion(pdfId, version) {
+    return repositories.pdfVersions.get(versionDocId(pdfId, version));
+}
+
+/**
+ * All versions of a document, newest first
+ */
+async function listVersions(pdfId) {
+    const versions = await repositories.pdfVersions.find([['pdfId', '==', pdfId]]);
+    return versions.sort((a, b) => b.version - a.version);
+}
+
+async function deleteVersion(pdfId, version) {
+    await repositories.pdfVersions.delete(versionDocId(pdfId, version));
+}
+
+/**
+ * Back-fill version 1 for documents uploaded before versioning
+ */
+async function ensureHistory(pdfData) {
+    if (pdfData.version) return;
+
+    await saveVersion(pdfData, {
+        version: 1,
+        file: pdfData,
+        uploadedBy: pdfData.uploadedBy,
+        changelog: 'Initial upload',
+        createdAt: pdfData.createdAt
+    });
+
+    await repositories.pdfs.update(pdfData.id, { version: 1, latestVersion: 1 });
+    pdfData.version = 1;
+    pdfData.latestVersion = 1;
+}
+
+/**
+ * Record `file` as a new version and make it the document's current one.
+ * `navigation` is the new file's outline and links (documentNavigation).
+ *
+ * @returns {Promise<Object>} the new version record
+ */
+async function publishVersion(pdfData, { file, uploadedBy, changelog = null, restoredFrom = null, navigation = null }) {
+    await ensureHistory(pdfData);
+
+    // latestVersion only grows, so purged version numbers are never reused
+    const version = (pdfData.latestVersion || pdfData.version) + 1;
+    const record = await saveVersion(pdfData, { version, file, uploadedBy, changelog, restoredFrom });
+
+    await repositories.pdfs.update(pdfData.id, {
+        ...storage.fileOf(file),
+        version,
+        latestVersion: version,
+        updatedAt: record.createdAt,
+        updatedBy: uploadedBy,
+        changelog,
+        navigation
+    });
+
+    return record;
+}
+
+/**
+ * Whether any version other than `version` still points at the same file
+ */
+async function isFileShared(pdfId, version, storageKey) {
+    const versions = await listVersions(pdfId);
+    return versions.some(record => record.version !== version && storage.storageKeyOf(record) === storageKey);
+}
+
+module.exports = {
+    saveVersion,
+    getVersion,
+    listVersions,
+    deleteVersion,
+    ensureHistory,
+    publishVersion,
+    isFileShared
+};
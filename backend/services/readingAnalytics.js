@@ -0,0 +1,233 @@
+// services/readingAnalytics.js
+
+const repositories = require("../repositories");
+const accessControl = require("./accessControl");
+const documentAccess = require("./documentAccess");
+
+/**
+ * Reading Analytics
+ *
+ * Aggregates the viewer's VIEW_START / PAGE_TURN / PAGE_JUMP / VIEW_END
+ * events in `pdf_events` into per-document reading statistics.
+ *
+ * A "read" runs from VIEW_START to VIEW_END within one viewing session.
+ * Time on a page is the gap between the events that open and leave it,
+ * capped at MAX_PAGE_SECONDS so a tab left open overnight does not count
+ * as reading. Reads that never sent VIEW_END (closed tab, crash) keep the
+ * time up to their last page change.
+ *
+ * The group owner's own views are left out: the numbers describe whether
+ * members read what the owner published.
+ */
+
+const VIEWER_ACTIONS = ['VIEW_START', 'PAGE_TURN', 'PAGE_JUMP', 'VIEW_END'];
+
+const MAX_PAGE_SECONDS = 10 * 60;
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function pageOf(value, pageCount) {
+    const page = Number(value);
+    if (!Number.isInteger(page) || page < 1) return null;
+    if (pageCount && page > pageCount) return null;
+    return page;
+}
+
+/**
+ * Split viewer events into reads, in time order
+ *
+ * @returns {Array<{userId, startedAt, endedAt, pageSeconds: Map<number, number>, pages: Set<number>}>}
+ */
+function buildReads(events, pageCount) {
+    const sorted = events
+        .filter((event) => VIEWER_ACTIONS.includes(event.action))
+        .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+
+    const reads = [];
+    const open = new Map();
+
+    const leavePage = (read, at) => {
+        const seconds = Math.min(Math.max((new Date(at) - new Date(read.pageSince)) / 1000, 0), MAX_PAGE_SECONDS);
+        read.pageSeconds.set(read.page, (read.pageSeconds.get(read.page) || 0) + seconds);
+        read.pageSince = at;
+    };
+
+    for (const event of sorted) {
+        const key = event.sessionId || `user:${event.userId}`;
+        const details = event.details || {};
+
+        if (event.action === 'VIEW_START') {
+            const read = {
+                userId: event.userId,
+                startedAt: event.timestamp,
+                endedAt: null,
+                page: 1,
+                pageSince: event.timestamp,
+                pageSeconds: new Map(),
+                pages: new Set([1])
+            };
+            reads.push(read);
+            open.set(key, read);
+            continue;
+        }
+
+        const read = open.get(key);
+        if (!read) continue;
+
+        if (event.action === 'VIEW_END') {
+            leavePage(read, event.timestamp);
+            read.endedAt = event.timestamp;
+            open.delete(key);
+            continue;
+        }
+
+        const to = pageOf(details.to, pageCount);
+        if (to === null) continue;
+
+        leavePage(read, event.timestamp);
+        read.page = to;
+        read.pages.add(to);
+    }
+
+    return reads;
+}
+
+/**
+ * Reading statistics of one document
+ *
+ * @param {Object} pdfData - the document
+ * @param {Object[]} events - its pdf_events
+ * @param {Object} groupData - its group (to leave out the owner)
+ */
+function analyzeDocument(pdfData, events, groupData) {
+    const viewerEvents = events.filter((event) => accessControl.roleOf(groupData, event.userId) !== 'owner');
+    const reads = buildReads(viewerEvents, pdfData.pages || null);
+
+    // Documents stored before page counts were recorded: the furthest page reached
+    const pageCount = pdfData.pages
+        || reads.reduce((max, read) => Math.max(max, ...read.pages), 0);
+
+    const viewers = new Map();
+    const pageSeconds = new Map();
+    const pageReaders = new Map();
+
+    for (const read of reads) {
+        const viewer = viewers.get(read.userId) || { userId: read.userId, views: 0, seconds: 0, furthestPage: 0, completed: false, lastViewedAt: null };
+        viewer.views += 1;
+        viewer.lastViewedAt = read.startedAt;
+        viewer.furthestPage = Math.max(viewer.furthestPage, ...read.pages);
+        viewer.completed = viewer.completed || read.pages.has(pageCount);
+
+        for (const [page, seconds] of read.pageSeconds) {
+            viewer.seconds += seconds;
+            pageSeconds.set(page, (pageSeconds.get(page) || 0) + seconds);
+        }
+        for (const page of read.pages) {
+            if (!pageReaders.has(page)) pageReaders.set(page, new Set());
+            pageReaders.get(page).add(read.userId);
+        }
+
+        viewers.set(read.userId, viewer);
+    }
+
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+        const readers = pageReaders.has(page) ? pageReaders.get(page).size : 0;
+        const seconds = pageSeconds.get(page) || 0;
+        pages.push({
+            page,
+            readers,
+            totalSeconds: round(seconds),
+            averageSeconds: readers > 0 ? round(seconds / readers) : 0
+        });
+    }
+
+    // Where readers who never reached the end stopped
+    const dropOff = new Map();
+    for (const viewer of viewers.values()) {
+        if (!viewer.completed) dropOff.set(viewer.furthestPage, (dropOff.get(viewer.furthestPage) || 0) + 1);
+    }
+    const dropOffPages = [...dropOff.entries()]
+        .map(([page, count]) => ({ page, viewers: count }))
+        .sort((a, b) => a.page - b.page);
+    const dropOffPage = dropOffPages.reduce((top, entry) => (!top || entry.viewers > top.viewers ? entry : top), null);
+
+    const uniqueViewers = viewers.size;
+    const completed = [...viewers.values()].filter((viewer) => viewer.completed).length;
+    const totalSeconds = [...viewers.values()].reduce((sum, viewer) => sum + viewer.seconds, 0);
+
+    // Members (other than the owner) allowed to open the document
+    const audience = (groupData.members || []).filter((uid) => {
+        const role = accessControl.roleOf(groupData, uid);
+        return role && role !== 'owner' && documentAccess.canAccessDocument(pdfData, role, uid);
+    }).length;
+
+    return {
+        pdfId: pdfData.id,
+        title: pdfData.title,
+        pages: pageCount,
+        viewCount: pdfData.viewCount || 0,
+        totalViews: reads.length,
+        uniqueViewers,
+        audience,
+        reach: audience > 0 ? round(Math.min(uniqueViewers / audience, 1), 3) : 0,
+        completionRate: uniqueViewers > 0 ? round(completed / uniqueViewers, 3) : 0,
+        averageReadSeconds: uniqueViewers > 0 ? round(totalSeconds / uniqueViewers) : 0,
+        dropOffPage: dropOffPage ? dropOffPage.page : null,
+        pageStats: pages,
+        dropOff: dropOffPages,
+        viewers: [...viewers.values()].map((viewer) => ({ ...viewer, seconds: round(viewer.seconds) }))
+    };
+}
+
+/**
+ * Analytics for one document, with reader names
+ */
+async function documentAnalytics(pdfData, groupData) {
+    const analytics = analyzeDocument(pdfData, await repositories.pdfEvents.listByPdf(pdfData.id), groupData);
+
+    for (const viewer of analytics.viewers) {
+        const userData = await repositories.users.get(viewer.userId);
+        viewer.name = (userData && (userData.name || userData.displayName)) || null;
+        viewer.email = (userData && userData.email) || null;
+    }
+    analytics.viewers.sort((a, b) => (a.lastViewedAt < b.lastViewedAt ? 1 : -1));
+
+    return analytics;
+}
+
+/**
+ * Headline numbers for every document of a group
+ */
+async function groupAnalytics(groupData) {
+    const pdfs = await repositories.pdfs.listByGroup(groupData.id);
+    const events = await repositories.pdfEvents.listByGroup(groupData.id);
+
+    const byPdf = new Map();
+    for (const event of events) {
+        if (!VIEWER_ACTIONS.includes(event.action)) continue;
+        if (!byPdf.has(event.pdfId)) byPdf.set(event.pdfId, []);
+        byPdf.get(event.pdfId).push(event);
+    }
+
+    return pdfs
+        .map((pdfData) => {
+            const analytics = analyzeDocument(pdfData, byPdf.get(pdfData.id) || [], groupData);
+            delete analytics.pageStats;
+            delete analytics.dropOff;
+            delete analytics.viewers;
+            return analytics;
+        })
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+}
+
+module.exports = {
+    VIEWER_ACTIONS,
+    MAX_PAGE_SECONDS,
+    analyzeDocument,
+    documentAnalytics,
+    groupAnalytics
+};
@@ -0,0 +1,122 @@
+// services/securityPolicy.js
+
+const sessionRegistry = require("./sessionRegistry");
+const violationScoring = require("./violationScoring");
+
+/**
+ * Security Policy
+ *
+ * Per-group viewer policy stored on the group document as `securityPolicy`.
+ * Missing fields fall back to defaults, so older groups (and partially
+ * configured ones) keep today's behaviour: every layer on, server env
+ * defaults for sessions and violation threshold.
+ */
+
+const LAYERS = ['rightClick', 'keyboard', 'focus', 'devtools', 'resize', 'dragDrop', 'selection'];
+
+const LIMITS = {
+    watermarkOpacity: { min: 0.02, max: 0.5 },
+    heartbeatIntervalSeconds: { min: 10, max: 120 },
+    maxConcurrentSessions: { min: 1, max: 10 },
+    violationThreshold: { min: 20, max: 1000 }
+};
+
+const SESSION_MODES = ['takeover', 'limit'];
+
+const FLAGS = ['blurOnFocusLoss', 'pageImagesOnly', 'allowDownload'];
+
+function getDefaultPolicy() {
+    const sessions = sessionRegistry.getDefaultPolicy();
+
+    return {
+        layers: LAYERS.reduce((acc, layer) => ({ ...acc, [layer]: true }), {}),
+        blurOnFocusLoss: true,
+        // Serve only server-rendered page images, never the original PDF
+        pageImagesOnly: false,
+        // Members may download stamped, encrypted personal copies
+        allowDownload: false,
+        watermarkOpacity: 0.12,
+        heartbeatIntervalSeconds: 30,
+        sessionMode: sessions.mode,
+        maxConcurrentSessions: sessions.maxSessions,
+        violationThreshold: violationScoring.getThreshold()
+    };
+}
+
+function clamp(value, { min, max }) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Validate an owner-submitted policy.
+ *
+ * @returns {{policy?: Object, error?: string}} only the recognised fields
+ */
+function validatePolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Policy must be an object' };
+    }
+
+    const policy = {};
+
+    if (input.layers !== undefined) {
+        if (!input.layers || typeof input.layers !== 'object') {
+            return { error: 'layers must be an object' };
+        }
+        policy.layers = {};
+        for (const layer of LAYERS) {
+            if (input.layers[layer] !== undefined) {
+                policy.layers[layer] = !!input.layers[layer];
+            }
+        }
+    }
+
+    for (const flag of FLAGS) {
+        if (input[flag] !== undefined) {
+            policy[flag] = !!input[flag];
+        }
+    }
+
+    for (const [field, range] of Object.entries(LIMITS)) {
+        if (input[field] === undefined) continue;
+
+        const value = Number(input[field]);
+        if (!Number.isFinite(value)) {
+            return { error: `${field} must be a number` };
+        }
+        policy[field] = field === 'watermarkOpacity'
+            ? Math.round(clamp(value, range) * 100) / 100
+            : Math.floor(clamp(value, range));
+    }
+
+    if (input.sessionMode !== undefined) {
+        if (!SESSION_MODES.includes(input.sessionMode)) {
+            return { error: `sessionMode must be one of: ${SESSION_MODES.join(', ')}` };
+        }
+        policy.sessionMode = input.sessionMode;
+    }
+
+    return { policy };
+}
+
+/**
+ * Effective policy for a group: defaults overlaid with the stored policy
+ */
+function resolvePolicy(groupData) {
+    const defaults = getDefaultPolicy();
+    const { policy: stored = {} } = validatePolicy(groupData && groupData.securityPolicy ? groupData.securityPolicy : {});
+
+    return {
+        ...defaults,
+        ...stored,
+        layers: { ...defaults.layers, ...(stored.layers || {}) }
+    };
+}
+
+module.exports = {
+    LAYERS,
+    LIMITS,
+    getDefaultPolicy,
+    validatePolicy,
+    resolvePolicy
+};
@@ -0,0 +1,154 @@
+// services/sessionRegistry.js
+
+const repositories = require("../repositories");
+
+/**
+ * Session Registry
+ *
+ * Server-side registry of live viewing sessions, keyed by user.
+ * Each session is a `viewer_sessions` document; a user's live sessions are
+ * the active, non-stale documents with their userId.
+ *
+ * Concurrency policy (env configurable):
+ * - SESSION_POLICY=takeover (default): the newest session wins and the oldest
+ *   sessions beyond MAX_CONCURRENT_SESSIONS are superseded.
+ * - SESSION_POLICY=limit: once MAX_CONCURRENT_SESSIONS are live, new sessions
+ *   are refused until one ends or goes stale.
+ *
+ * Superseded / terminated sessions fail their next heartbeat, which triggers
+ * the viewer's 'session' overlay.
+ */
+
+// Sessions without a heartbeat for this long are considered stale
+const SESSION_TIMEOUT = 5 * 60_000; // 5 minutes
+
+const POLICY_MODES = ['takeover', 'limit'];
+
+/**
+ * Resolve the default concurrency policy from the environment
+ */
+function getDefaultPolicy() {
+    const mode = POLICY_MODES.includes(process.env.SESSION_POLICY)
+        ? process.env.SESSION_POLICY
+        : 'takeover';
+
+    const max = parseInt(process.env.MAX_CONCURRENT_SESSIONS, 10);
+
+    return {
+        mode,
+        maxSessions: Number.isFinite(max) && max > 0 ? max : 1
+    };
+}
+
+function isStale(session, now = Date.now()) {
+    return now - new Date(session.lastHeartbeat).getTime() > SESSION_TIMEOUT;
+}
+
+/**
+ * Returns why an existing session can no longer be used, or null if it is valid
+ */
+function getInvalidReason(session, uid, pdfId) {
+    if (session.userId !== uid) return 'session_owner_mismatch';
+    if (session.pdfId !== pdfId) return 'session_document_mismatch';
+    if (!session.active) return session.endReason || 'session_ended';
+    if (isStale(session)) return 'session_timeout';
+    return null;
+}
+
+/**
+ * End a session, recording why and (optionally) who ended it
+ */
+async function endSession(sessionId, reason, extra = {}) {
+    await repositories.viewerSessions.update(sessionId, {
+        active: false,
+        endedAt: new Date().toISOString(),
+        endReason: reason,
+        ...extra
+    });
+}
+
+/**
+ * Collect live sessions matching a filter, retiring stale ones as they are found
+ */
+async function collectLive(filter) {
+    const sessions = await repositories.viewerSessions.find([filter, ['active', '==', true]]);
+    const now = Date.now();
+
+    const live = [];
+    const stale = [];
+    sessions.forEach(session => {
+        if (isStale(session, now)) {
+            stale.push(session.sessionId);
+        } else {
+            live.push(session);
+        }
+    });
+
+    await Promise.all(stale.map(id => endSession(id, 'session_timeout')));
+
+    // Oldest first
+    live.sort((a, b) => (a.startedAt < b.startedAt ? -1 : 1));
+    return live;
+}
+
+/**
+ * List a user's live sessions (oldest first)
+ */
+function listUserSessions(uid) {
+    return collectLive(['userId', '==', uid]);
+}
+
+/**
+ * List all live sessions on documents of a group (oldest first)
+ */
+function listGroupSessions(groupId) {
+    return collectLive(['groupId', '==', groupId]);
+}
+
+/**
+ * Register a new viewing session, applying the concurrency policy.
+ *
+ * @returns {Promise<{valid: boolean, reason?: string, superseded?: string[]}>}
+ */
+async function registerSession(session, policy = getDefaultPolicy()) {
+    const live = await listUserSessions(session.userId);
+    const superseded = [];
+
+    if (live.length >= policy.maxSessions) {
+        if (policy.mode === 'limit') {
+            return { valid: false, reason: 'session_limit_reached' };
+        }
+
+        // takeover: retire the oldest sessions to make room for this one
+        const excess = live.slice(0, live.length - policy.maxSessions + 1);
+        for (const old of excess) {
+            await endSession(old.sessionId, 'superseded', { supersededBy: session.sessionId });
+            superseded.push(old.sessionId);
+        }
+    }
+
+    const now = new Date().toISOString();
+    await repositories.viewerSessions.set(session.sessionId, {
+        ...session,
+        active: true,
+        startedAt: now,
+        lastHeartbeat: now,
+        heartbeatCount: 1
+    });
+
+    if (superseded.length > 0) {
+        console.log(`[Sessions] User ${session.userId} superseded sessions: ${superseded.join(', ')}`);
+    }
+
+    return { valid: true, superseded };
+}
+
+module.exports = {
+    SESSION_TIMEOUT,
+    getDefaultPolicy,
+    getInvalidReason,
+    registerSession,
+    endSession,
+    listUserSessions,
+    listGroupSessions
+};
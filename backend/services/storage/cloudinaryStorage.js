@@ -0,0 +1,93 @@
+// services/storage/cloudinaryStorage.js
+
+const https = require("https");
+const cloudinary = require("../../config/cloudinary");
+
+const { randomUUID } = require("crypto");
+const uuidv4 = () => randomUUID();
+
+/**
+ * Cloudinary Storage Adapter
+ *
+ * Files are uploaded as authenticated 'raw' assets and only ever reached
+ * through signed URLs. Records keep `cloudinaryId`, `resourceType` and
+ * `deliveryType` so documents stored before the adapter existed still work.
+ */
+
+const name = 'cloudinary';
+
+function signedUrl(record) {
+    return cloudinary.url(record.storageKey || record.cloudinaryId, {
+        resource_type: record.resourceType || 'image',
+        type: record.deliveryType || 'authenticated',
+        sign_url: true,
+        secure: true
+    });
+}
+
+function put(buffer, { folder }) {
+    return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+            {
+                resource_type: 'raw', // PDFs must use 'raw' for proper signed URL access
+                folder: 'pdf-documents',
+                type: 'authenticated',
+                public_id: `${folder}/${uuidv4()}`
+            },
+            (error, result) => {
+                if (error) return reject(error);
+
+                resolve({
+                    storageProvider: name,
+                    storageKey: result.public_id,
+                    cloudinaryId: result.public_id,
+                    secureUrl: result.secure_url,
+                    format: result.format || 'pdf',
+                    pages: result.pages || null,
+                    bytes: result.bytes,
+                    resourceType: result.resource_type,
+                    deliveryType: result.type
+                });
+            }
+        );
+
+        uploadStream.end(buffer);
+    });
+}
+
+function getStream(record) {
+    return new Promise((resolve, reject) => {
+        https.get(signedUrl(record), (storageRes) => {
+            if (storageRes.statusCode !== 200) {
+                storageRes.resume();
+                const error = new Error(`Storage responded with ${storageRes.statusCode}`);
+                error.statusCode = storageRes.statusCode;
+                return reject(error);
+            }
+            resolve(storageRes);
+        }).on('error', reject);
+    });
+}
+
+async function remove(record) {
+    await cloudinary.uploader.destroy(record.storageKey || record.cloudinaryId, {
+        resource_type: record.resourceType || 'image',
+        type: record.deliveryType || 'authenticated'
+    });
+}
+
+/**
+ * Cloudinary signs the asset, not the request time, so `expiresIn` is not
+ * enforced here; keep URLs short-lived on the client side.
+ */
+function getSignedUrl(record) {
+    return signedUrl(record);
+}
+
+module.exports = {
+    name,
+    put,
+    getStream,
+    delete: remove,
+    getSignedUrl
+};
@@ -0,0 +1,109 @@
+// services/storage/index.js
+
+const cloudinaryStorage = require("./cloudinaryStorage");
+const localDiskStorage = require("./localDiskStorage");
+
+/**
+ * Storage
+ *
+ * Provider-neutral file storage for PDFs. Every adapter implements:
+ * - put(buffer, { folder })           -> file record
+ * - getStream(record)                 -> Promise<Readable>
+ * - delete(record)
+ * - getSignedUrl(record, { expiresIn, baseUrl }) -> URL string
+ *
+ * New files go to the provider named by STORAGE_PROVIDER ("cloudinary",
+ * the default, or "local"). Existing files are always read through the
+ * provider recorded on them, so switching providers never strands data.
+ *
+ * A file record is stored on `pdfs` documents and `pdf_versions` entries:
+ * { storageProvider, storageKey, cloudinaryId, secureUrl, format, pages,
+ *   bytes, resourceType, deliveryType }
+ */
+
+const ADAPTERS = {
+    [cloudinaryStorage.name]: cloudinaryStorage,
+    [localDiskStorage.name]: localDiskStorage
+};
+
+const FILE_FIELDS = ['storageProvider', 'storageKey', 'cloudinaryId', 'secureUrl', 'format', 'pages', 'bytes', 'resourceType', 'deliveryType'];
+
+function getDefaultAdapter() {
+    const provider = process.env.STORAGE_PROVIDER || cloudinaryStorage.name;
+    const adapter = ADAPTERS[provider];
+
+    if (!adapter) {
+        throw new Error(`Unknown STORAGE_PROVIDER "${provider}" (expected: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return adapter;
+}
+
+/**
+ * Adapter that holds a record's file. Records written before the storage
+ * layer existed have no provider and live in Cloudinary.
+ */
+function adapterFor(record) {
+    const adapter = ADAPTERS[record.storageProvider || cloudinaryStorage.name];
+    if (!adapter) {
+        throw new Error(`Unknown storage provider "${record.storageProvider}"`);
+    }
+    return adapter;
+}
+
+/**
+ * Provider-independent identity of a stored file
+ */
+function storageKeyOf(record) {
+    const key = record.storageKey || record.cloudinaryId;
+    return key ? `${record.storageProvider || cloudinaryStorage.name}:${key}` : null;
+}
+
+/**
+ * Pick the file-record fields out of a document or version record
+ */
+function fileOf(record) {
+    return FILE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: record[field] ?? null }), {});
+}
+
+function put(buffer, { folder }) {
+    return getDefaultAdapter().put(buffer, { folder });
+}
+
+function getStream(record) {
+    return adapterFor(record).getStream(record);
+}
+
+async function getBuffer(record) {
+    const stream = await getStream(record);
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Delete a stored file. Failures are logged, not thrown, so metadata
+ * cleanup can continue.
+ */
+async function remove(record) {
+    try {
+        await adapterFor(record).delete(record);
+    } catch (error) {
+        console.error('Storage delete error:', error);
+    }
+}
+
+function getSignedUrl(record, options = {}) {
+    return adapterFor(record).getSignedUrl(record, options);
+}
+
+module.exports = {
+    fileOf,
+    storageKeyOf,
+    put,
+    getStream,
+    getBuffer,
+    delete: remove,
+    getSignedUrl
+};
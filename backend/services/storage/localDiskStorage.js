@@ -0,0 +1,143 @@
+// services/storage/localDiskStorage.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Local Disk Storage Adapter
+ *
+ * Stores files under LOCAL_STORAGE_DIR (default: backend/uploads) for
+ * offline development and tests. Direct links are HMAC-signed with
+ * STORAGE_SIGNING_SECRET and expire; they are served by
+ * GET /api/storage/local/:key (see controllers/storageController).
+ */
+
+const name = 'local';
+
+const DEFAULT_URL_TTL_SECONDS = 5 * 60;
+
+let generatedSecret = null;
+
+function getRoot() {
+    return path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../uploads'));
+}
+
+function getSigningSecret() {
+    if (process.env.STORAGE_SIGNING_SECRET) {
+        return process.env.STORAGE_SIGNING_SECRET;
+    }
+
+    // Fine for a single dev process; links stop verifying after a restart
+    if (!generatedSecret) {
+        console.warn('[Storage] STORAGE_SIGNING_SECRET not set - using a per-process secret');
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return generatedSecret;
+}
+
+/**
+ * Absolute path for a key, refusing anything that escapes the root
+ */
+function resolveKey(key) {
+    const root = getRoot();
+    const filePath = path.resolve(root, key);
+
+    if (typeof key !== 'string' || !key || !filePath.startsWith(root + path.sep)) {
+        const error = new Error('Invalid storage key');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return filePath;
+}
+
+function sign(key, expires) {
+    return crypto
+        .createHmac('sha256', getSigningSecret())
+        .update(`${key}:${expires}`)
+        .digest('hex');
+}
+
+async function put(buffer, { folder }) {
+    const key = `${folder}/${crypto.randomUUID()}.pdf`;
+    const filePath = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return {
+        storageProvider: name,
+        storageKey: key,
+        cloudinaryId: null,
+        secureUrl: null,
+        format: 'pdf',
+        pages: null,
+        bytes: buffer.length,
+        resourceType: null,
+        deliveryType: null
+    };
+}
+
+function openStream(key) {
+    const filePath = resolveKey(key);
+
+    return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath);
+        stream.once('open', () => resolve(stream));
+        stream.once('error', (error) => {
+            if (error.code === 'ENOENT') error.statusCode = 404;
+            reject(error);
+        });
+    });
+}
+
+function getStream(record) {
+    return openStream(record.storageKey);
+}
+
+async function remove(record) {
+    await fs.promises.rm(resolveKey(record.storageKey), { force: true });
+}
+
+/**
+ * @param {Object} record - file record
+ * @param {Object} options - { expiresIn (seconds), baseUrl (e.g. "https://api.example.com") }
+ */
+function getSignedUrl(record, { expiresIn = DEFAULT_URL_TTL_SECONDS, baseUrl = '' } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = sign(record.storageKey, expires);
+
+    return `${baseUrl}/api/storage/local/${encodeURIComponent(record.storageKey)}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check a signed link. Returns an error message, or null when valid.
+ */
+function verifySignature(key, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || typeof signature !== 'string') {
+        return 'Missing signature';
+    }
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+        return 'Link expired';
+    }
+
+    const expected = Buffer.from(sign(key, expiresAt), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Invalid signature';
+    }
+
+    return null;
+}
+
+module.exports = {
+    name,
+    put,
+    getStream,
+    delete: remove,
+    getSignedUrl,
+    verifySignature,
+    openStream
+};
@@ -0,0 +1,62 @@
+// services/tokenVerifier.js
+
+/**
+ * Token Verifier
+ *
+ * Verifies the bearer token sent by the frontend and returns its claims
+ * ({ uid, email, name, picture, ... }).
+ *
+ * AUTH_VERIFIER selects the implementation:
+ * - firebase (default): Firebase Auth ID tokens via firebase-admin
+ * - stub: unsigned tokens made by createStubToken(), for local development
+ *   and CI without Firebase. Refused when NODE_ENV=production.
+ */
+
+const STUB_PREFIX = 'stub.';
+
+function verifyFirebaseToken(token) {
+    const { admin } = require("../config/firebase");
+    return admin.auth().verifyIdToken(token);
+}
+
+/**
+ * Build a stub token carrying the given claims (uid required)
+ */
+function createStubToken(claims) {
+    return STUB_PREFIX + Buffer.from(JSON.stringify(claims)).toString('base64url');
+}
+
+async function verifyStubToken(token) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Stub token verifier is disabled in production');
+    }
+    if (!token.startsWith(STUB_PREFIX)) {
+        throw new Error('Not a stub token');
+    }
+
+    const claims = JSON.parse(Buffer.from(token.slice(STUB_PREFIX.length), 'base64url').toString('utf8'));
+    if (!claims || typeof claims.uid !== 'string' || !claims.uid) {
+        throw new Error('Stub token has no uid');
+    }
+
+    return claims;
+}
+
+const VERIFIERS = {
+    firebase: verifyFirebaseToken,
+    stub: verifyStubToken
+};
+
+/**
+ * @returns {Promise<Object>} decoded token claims; rejects if invalid
+ */
+function verifyIdToken(token) {
+    const name = process.env.AUTH_VERIFIER || 'firebase';
+    const verify = VERIFIERS[name];
+    if (!verify) {
+        return Promise.reject(new Error(`Unknown AUTH_VERIFIER "${name}"`));
+    }
+    return verify(token);
+}
+
+module.exports = { verifyIdToken, createStubToken };
@@ -0,0 +1,236 @@
+// services/violationScoring.js
+
+const repositories = require("../repositories");
+const sessionRegistry = require("./sessionRegistry");
+const { notifyGroupOwners } = require("./notifications");
+const emailNotifications = require("./emailNotifications");
+
+/**
+ * Violation Scoring
+ *
+ * Turns incoming security events into a per-user violation score and
+ * suspends the account (users/{uid}.disabled) once it crosses a threshold.
+ *
+ * - Each event type has a weight; unknown/benign types score nothing.
+ * - Common "noisy" events (FOCUS_LOST, TAB_HIDDEN) are free until they
+ *   repeat more than `graceCount` times inside a sliding window.
+ * - The score decays exponentially (half-life), so occasional slips fade
+ *   while bursts of violations add up quickly.
+ * - Each group's events are also scored on their own and checked against
+ *   that group's threshold, so a strict group is not tripped by events
+ *   from other groups. The overall score, across all groups, is checked
+ *   against the platform threshold (VIOLATION_THRESHOLD), since the
+ *   suspension is platform-wide.
+ *
+ * State lives in `violation_scores/{uid}`.
+ */
+
+const DEFAULT_THRESHOLD = 100;
+const DEFAULT_HALF_LIFE_MINUTES = 30;
+
+const VIOLATION_RULES = {
+    DEVTOOLS_DETECTED: { weight: 40 },
+    PRINTSCREEN_BLOCKED: { weight: 25 },
+    KEYBOARD_BLOCKED: { weight: 4 },
+    COPY_BLOCKED: { weight: 4 },
+    LARGE_RESIZE_DETECTED: { weight: 5 },
+    CONTEXT_MENU_BLOCKED: { weight: 1 },
+    FOCUS_LOST: { weight: 6, graceCount: 5, windowMs: 10 * 60_000 },
+    TAB_HIDDEN: { weight: 6, graceCount: 5, windowMs: 10 * 60_000 }
+};
+
+// Longest window any rule uses - older timestamps are dropped
+const MAX_WINDOW = 10 * 60_000;
+
+// Owners of groups with scored events within this window are notified on suspension
+const NOTIFY_GROUP_WINDOW = 24 * 60 * 60_000;
+
+function readNumberEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getThreshold() {
+    return readNumberEnv('VIOLATION_THRESHOLD', DEFAULT_THRESHOLD);
+}
+
+function getHalfLifeMs() {
+    return readNumberEnv('VIOLATION_HALF_LIFE_MINUTES', DEFAULT_HALF_LIFE_MINUTES) * 60_000;
+}
+
+/**
+ * Decay a stored score to `now`
+ */
+function decayScore(score, updatedAt, now) {
+    if (!score || !updatedAt) return 0;
+    const elapsed = Math.max(0, now - new Date(updatedAt).getTime());
+    return score * Math.pow(0.5, elapsed / getHalfLifeMs());
+}
+
+/**
+ * Record a security event against a user's violation score.
+ *
+ * @param {Object} event - { userId, email, type, groupId, pdfId, sessionId }
+ * @param {Object} [options] - { threshold } override (e.g. group policy),
+ *   applied to the score of the event's group; the overall score is
+ *   always held to getThreshold()
+ * @returns {Promise<{score: number, suspended: boolean}>} score in the event's group
+ */
+async function recordEvent(event, options = {}) {
+    const rule = VIOLATION_RULES[event.type];
+    if (!rule) {
+        return { score: null, suspended: false };
+    }
+
+    const threshold = options.threshold || getThreshold();
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+
+    const state = (await repositories.violationScores.get(event.userId)) || {};
+
+    // Sliding windows of recent occurrences per event type
+    const recent = {};
+    for (const [type, stamps] of Object.entries(state.recent || {})) {
+        const kept = stamps.filter(ts => now - new Date(ts).getTime() <= MAX_WINDOW);
+        if (kept.length > 0) recent[type] = kept;
+    }
+
+    const occurrences = (recent[event.type] || []).filter(
+        ts => !rule.windowMs || now - new Date(ts).getTime() <= rule.windowMs
+    );
+    recent[event.type] = [...(recent[event.type] || []), nowIso];
+
+    const weight = rule.graceCount && occurrences.length < rule.graceCount ? 0 : rule.weight;
+    const score = decayScore(state.score, state.updatedAt, now) + weight;
+
+    const groups = { ...(state.groups || {}) };
+    const groupScores = {};
+    for (const [groupId, groupScore] of Object.entries(state.groupScores || {})) {
+        groupScores[groupId] = decayScore(groupScore, state.updatedAt, now);
+    }
+    // Only scored events tie a group to the user's violations (see scoredInGroup)
+    if (event.groupId && weight > 0) {
+        groups[event.groupId] = nowIso;
+        groupScores[event.groupId] = (groupScores[event.groupId] || 0) + weight;
+    }
+    const scored = event.groupId ? groupScores[event.groupId] : score;
+
+    // Full overwrite (not merge) so pruned window entries are really dropped
+    await repositories.violationScores.set(event.userId, {
+        userId: event.userId,
+        score,
+        updatedAt: nowIso,
+        recent,
+        groups,
+        groupScores,
+        lastEvent: { type: event.type, pdfId: event.pdfId || null, at: nowIso },
+        suspendedAt: state.suspendedAt || null
+    });
+
+    const overLimit = scored >= threshold;
+    const platformThreshold = getThreshold();
+    if (!overLimit && score < platformThreshold) {
+        return { score: scored, suspended: false };
+    }
+
+    const reason = overLimit
+        ? `violation score ${Math.round(scored)} exceeded ${threshold}`
+        : `overall violation score ${Math.round(score)} exceeded ${platformThreshold}`;
+
+    // Only alert groups the user was recently active in
+    const activeGroups = Object.keys(groups).filter(
+        groupId => now - new Date(groups[groupId]).getTime() <= NOTIFY_GROUP_WINDOW
+    );
+
+    const suspended = await suspendUser(event.userId, {
+        reason: `Automatic suspension: ${reason} (last event: ${event.type})`,
+        email: event.email,
+        groupIds: activeGroups,
+        score: scored
+    });
+
+    return { score: scored, suspended };
+}
+
+/**
+ * Disable an account, end its live sessions and notify owners of the
+ * groups it was active in. Returns false if the user was already disabled.
+ */
+async function suspendUser(userId, { reason, email = null, groupIds = [], score = null }) {
+    const userData = await repositories.users.get(userId);
+
+    if (userData && userData.disabled) {
+        return false;
+    }
+
+    const now = new Date().toISOString();
+
+    await repositories.users.merge(userId, {
+        disabled: true,
+        disabledReason: reason,
+        disabledAt: now,
+        disabledBy: 'violation-scoring'
+    });
+
+    await repositories.violationScores.merge(userId, { suspendedAt: now });
+
+    for (const session of await sessionRegistry.listUserSessions(userId)) {
+        await sessionRegistry.endSession(session.sessionId, 'account_suspended');
+    }
+
+    const name = (userData && (userData.name || userData.email)) || email || userId;
+    console.warn(`[Violations] Suspended user ${userId}: ${reason}`);
+
+    await emailNotifications.sendSuspensionNotice(userId, { reason, email });
+
+    await notifyGroupOwners(groupIds, {
+        type: 'USER_SUSPENDED',
+        message: `${name} was automatically suspended for security violations.`,
+        data: { subjectUserId: userId, reason, score }
+    });
+
+    return true;
+}
+
+/**
+ * Lift a suspension and reset the violation score
+ */
+async function reinstateUser(userId, reinstatedBy) {
+    const now = new Date().toISOString();
+
+    await repositories.users.merge(userId, {
+        disabled: false,
+        disabledReason: null,
+        reinstatedAt: now,
+        reinstatedBy
+    });
+
+    await repositories.violationScores.set(userId, {
+        userId,
+        score: 0,
+        updatedAt: now,
+        recent: {},
+        groups: {},
+        groupScores: {},
+        suspendedAt: null,
+        reinstatedAt: now
+    });
+}
+
+/**
+ * Whether any of the user's scored events came from `groupId`. Suspension
+ * is platform-wide, so only those groups' owners may lift it.
+ */
+async function scoredInGroup(userId, groupId) {
+    const state = await repositories.violationScores.get(userId);
+    return !!(state && state.groups && state.groups[groupId]);
+}
+
+module.exports = {
+    VIOLATION_RULES,
+    getThreshold,
+    recordEvent,
+    suspendUser,
+    reinstateUser,
+    scoredInGroup
+};
@@ -0,0 +1,154 @@
+// tests/analytics.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedUser, seedGroup, uploadPdf, makePdf, repositories } = require("./helpers/testApp");
+
+const START = Date.parse('2026-01-05T10:00:00.000Z');
+
+let eventCount = 0;
+
+/**
+ * Record a viewer event `seconds` after START
+ */
+function viewerEvent(userId, pdfId, sessionId, action, seconds, details = {}) {
+    eventCount += 1;
+    return repositories.pdfEvents.record({
+        id: `event-${eventCount}`,
+        userId,
+        action,
+        pdfId,
+        groupId: 'g1',
+        sessionId,
+        details,
+        timestamp: new Date(START + seconds * 1000).toISOString()
+    });
+}
+
+describe('Reading analytics', () => {
+    let pdfId;
+
+    beforeEach(async () => {
+        await resetData();
+        await seedUser('alice', { name: 'Alice' });
+        await seedUser('bob', { name: 'Bob' });
+        await seedGroup({ id: 'g1', owner: 'owner', admins: ['admin'], members: ['alice', 'bob', 'carol'] });
+        pdfId = (await uploadPdf('owner', 'g1', { title: 'Handbook', pages: 3 })).body.pdf.id;
+
+        // Alice reads everything: 60s, 120s, 30s
+        await viewerEvent('alice', pdfId, 's-alice', 'VIEW_START', 0);
+        await viewerEvent('alice', pdfId, 's-alice', 'PAGE_TURN', 60, { from: 1, to: 2 });
+        await viewerEvent('alice', pdfId, 's-alice', 'PAGE_JUMP', 180, { to: 3 });
+        await viewerEvent('alice', pdfId, 's-alice', 'VIEW_END', 210);
+
+        // Bob stops on page 2 after leaving the tab open for an hour
+        await viewerEvent('bob', pdfId, 's-bob', 'VIEW_START', 0);
+        await viewerEvent('bob', pdfId, 's-bob', 'PAGE_TURN', 20, { from: 1, to: 2 });
+        await viewerEvent('bob', pdfId, 's-bob', 'VIEW_END', 3620);
+
+        // Bob opens it again but does not get past page 1
+        await viewerEvent('bob', pdfId, 's-bob-2', 'VIEW_START', 4000);
+
+        // The owner's own views are not counted
+        await viewerEvent('owner', pdfId, 's-owner', 'VIEW_START', 0);
+        await viewerEvent('owner', pdfId, 's-owner', 'PAGE_JUMP', 5, { to: 3 });
+    });
+
+    it('computes views, time per page, completion and drop-off', async () => {
+        const res = await request('GET', `/api/analytics/pdfs/${pdfId}`, { as: 'owner' });
+        assert.equal(res.status, 200);
+
+        const analytics = res.body;
+        assert.equal(analytics.pages, 3);
+        assert.equal(analytics.totalViews, 3);
+        assert.equal(analytics.uniqueViewers, 2);
+        assert.equal(analytics.audience, 4);
+        assert.equal(analytics.reach, 0.5);
+        assert.equal(analytics.completionRate, 0.5);
+        assert.equal(analytics.dropOffPage, 2);
+        assert.deepEqual(analytics.dropOff, [{ page: 2, viewers: 1 }]);
+
+        assert.deepEqual(analytics.pageStats, [
+            { page: 1, readers: 2, totalSeconds: 80, averageSeconds: 40 },
+            { page: 2, readers: 2, totalSeconds: 720, averageSeconds: 360 },
+            { page: 3, readers: 1, totalSeconds: 30, averageSeconds: 30 }
+        ]);
+
+        const bob = analytics.viewers.find(v => v.userId === 'bob');
+        assert.equal(bob.name, 'Bob');
+        assert.equal(bob.views, 2);
+        assert.equal(bob.furthestPage, 2);
+        assert.equal(bob.completed, false);
+        assert.ok(!analytics.viewers.some(v => v.userId === 'owner'));
+    });
+
+    it('summarises every document of the group', async () => {
+        await uploadPdf('owner', 'g1', { title: 'Agenda' });
+
+        const res = await request('GET', '/api/analytics/groups/g1', { as: 'owner' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.documents.map(d => d.title), ['Agenda', 'Handbook']);
+
+        const [agenda, handbook] = res.body.documents;
+        assert.equal(agenda.totalViews, 0);
+        assert.equal(agenda.completionRate, 0);
+        assert.equal(handbook.uniqueViewers, 2);
+        assert.equal(handbook.pageStats, undefined);
+    });
+
+    it('measures completion against the real page count', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1', { title: 'Manual', pages: 4 });
+        assert.equal(pdf.pages, 4);
+
+        // Nobody gets past page 2
+        await viewerEvent('alice', pdf.id, 's-manual', 'VIEW_START', 0);
+        await viewerEvent('alice', pdf.id, 's-manual', 'PAGE_TURN', 30, { from: 1, to: 2 });
+        await viewerEvent('alice', pdf.id, 's-manual', 'VIEW_END', 60);
+
+        let analytics = (await request('GET', `/api/analytics/pdfs/${pdf.id}`, { as: 'owner' })).body;
+        assert.equal(analytics.pages, 4);
+        assert.equal(analytics.completionRate, 0);
+        assert.deepEqual(analytics.dropOff, [{ page: 2, viewers: 1 }]);
+
+        // A new version brings its own page count, and so does a restore
+        const form = new FormData();
+        form.append('pdf', new Blob([await makePdf(2)], { type: 'application/pdf' }), 'v2.pdf');
+        assert.equal((await request('POST', `/api/pdfs/${pdf.id}/versions`, { as: 'owner', body: form })).status, 201);
+
+        analytics = (await request('GET', `/api/analytics/pdfs/${pdf.id}`, { as: 'owner' })).body;
+        assert.equal(analytics.pages, 2);
+        assert.equal(analytics.completionRate, 1);
+
+        await request('POST', `/api/pdfs/${pdf.id}/versions/1/restore`, { as: 'owner' });
+        assert.equal((await repositories.pdfs.get(pdf.id)).pages, 4);
+    });
+
+    it('counts each viewing session once', async () => {
+        const sessionId = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+        for (let i = 0; i < 2; i++) {
+            const res = await request('POST', '/api/security/log-event', {
+                as: 'alice',
+                body: { type: 'VIEW_START', pdfId, sessionId, details: { pdfId } }
+            });
+            assert.equal(res.status, 201);
+        }
+        await request('POST', '/api/security/log-event', { as: 'alice', body: { type: 'PAGE_TURN', pdfId, sessionId, details: { from: 1, to: 2 } } });
+
+        assert.equal((await repositories.pdfs.get(pdfId)).viewCount, 1);
+
+        await request('POST', '/api/security/log-event', {
+            as: 'alice',
+            body: { type: 'VIEW_START', pdfId, sessionId: 'b2c3d4e5-f6a7-4b8c-9d0e-1f2a3b4c5d6e', details: { pdfId } }
+        });
+        assert.equal((await repositories.pdfs.get(pdfId)).viewCount, 2);
+    });
+
+    it('is only available to the owner', async () => {
+        for (const uid of ['admin', 'alice']) {
+            assert.equal((await request('GET', `/api/analytics/pdfs/${pdfId}`, { as: uid })).status, 403);
+            assert.equal((await request('GET', '/api/analytics/groups/g1', { as: uid })).status, 403);
+        }
+        assert.equal((await request('GET', '/api/analytics/pdfs/missing', { as: 'owner' })).status, 404);
+    });
+});
@@ -0,0 +1,111 @@
+// tests/annotations.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+const HIGHLIGHT = {
+    page: 2,
+    type: 'highlight',
+    rects: [{ x: 0.1, y: 0.2, width: 0.5, height: 0.03 }, { x: 0.1, y: 0.23, width: 0.3, height: 0.03 }],
+    note: 'Key definition'
+};
+
+const NOTE = { page: 1, type: 'note', rects: [{ x: 0.8, y: 0.1, width: 0, height: 0 }], note: 'Ask about this', color: 'blue' };
+
+describe('Annotations', () => {
+    let pdfId;
+
+    const create = (as, body) => request('POST', `/api/annotations/pdfs/${pdfId}`, { as, body });
+    const list = async (as) => {
+        const res = await request('GET', `/api/annotations/pdfs/${pdfId}`, { as });
+        assert.equal(res.status, 200);
+        return res.body.annotations;
+    };
+
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['alice', 'bob'] });
+        pdfId = (await uploadPdf('owner', 'g1', { pages: 3 })).body.pdf.id;
+    });
+
+    it('stores highlights and notes for their author only', async () => {
+        let res = await create('alice', HIGHLIGHT);
+        assert.equal(res.status, 201);
+        assert.equal(res.body.annotation.userId, 'alice');
+        assert.equal(res.body.annotation.color, 'yellow');
+        assert.equal(res.body.annotation.version, 1);
+
+        res = await create('alice', NOTE);
+        assert.equal(res.status, 201);
+        await create('bob', { ...NOTE, note: "Bob's note" });
+
+        const mine = await list('alice');
+        assert.deepEqual(mine.map(a => [a.page, a.type, a.note]), [
+            [1, 'note', 'Ask about this'],
+            [2, 'highlight', 'Key definition']
+        ]);
+        assert.deepEqual((await list('bob')).map(a => a.note), ["Bob's note"]);
+        assert.deepEqual(await list('owner'), []);
+    });
+
+    it('rejects annotations that do not fit the page', async () => {
+        const invalid = [
+            { ...HIGHLIGHT, page: 0 },
+            { ...HIGHLIGHT, type: 'scribble' },
+            { ...HIGHLIGHT, rects: [] },
+            { ...HIGHLIGHT, rects: [{ x: 0.8, y: 0.2, width: 0.5, height: 0.1 }] },
+            { ...HIGHLIGHT, rects: [{ x: 0.1, y: 0.2, width: 0, height: 0.1 }] },
+            { ...HIGHLIGHT, color: 'black' },
+            { ...HIGHLIGHT, note: 'x'.repeat(2001) },
+            { ...NOTE, note: '   ' },
+            { ...NOTE, rects: [NOTE.rects[0], NOTE.rects[0]] }
+        ];
+
+        for (const body of invalid) {
+            const res = await create('alice', body);
+            assert.equal(res.status, 400, JSON.stringify(body));
+        }
+        assert.deepEqual(await list('alice'), []);
+    });
+
+    it('lets only the author edit or delete an annotation', async () => {
+        const { body: { annotation } } = await create('alice', HIGHLIGHT);
+
+        let res = await request('PUT', `/api/annotations/${annotation.id}`, { as: 'bob', body: { note: 'Mine now' } });
+        assert.equal(res.status, 404);
+        res = await request('DELETE', `/api/annotations/${annotation.id}`, { as: 'owner' });
+        assert.equal(res.status, 404);
+
+        res = await request('PUT', `/api/annotations/${annotation.id}`, { as: 'alice', body: { note: 'Revised', color: 'green' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.annotation.note, 'Revised');
+        assert.equal(res.body.annotation.color, 'green');
+        assert.deepEqual(res.body.annotation.rects, annotation.rects);
+
+        res = await request('PUT', `/api/annotations/${annotation.id}`, { as: 'alice', body: { page: 3 } });
+        assert.equal(res.status, 400);
+
+        res = await request('DELETE', `/api/annotations/${annotation.id}`, { as: 'alice' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(await list('alice'), []);
+    });
+
+    it('hides annotations once the document is out of reach', async () => {
+        await create('alice', HIGHLIGHT);
+        await repositories.pdfs.update(pdfId, { access: { roles: [], users: ['bob'] } });
+
+        const res = await request('GET', `/api/annotations/pdfs/${pdfId}`, { as: 'alice' });
+        assert.equal(res.status, 403);
+    });
+
+    it('deletes annotations together with the document', async () => {
+        await create('alice', HIGHLIGHT);
+        await create('bob', NOTE);
+
+        const res = await request('DELETE', `/api/pdfs/${pdfId}`, { as: 'owner' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(await repositories.annotations.listByPdf(pdfId), []);
+    });
+});
@@ -0,0 +1,122 @@
+// tests/audit.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedUser, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+describe('Audit log', () => {
+    let reportId;
+    let notesId;
+
+    beforeEach(async () => {
+        await resetData();
+        await seedUser('owner', { name: 'Olivia Owner' });
+        await seedUser('member', { name: 'Max Member' });
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+        await seedGroup({ id: 'g2', owner: 'owner' });
+
+        reportId = (await uploadPdf('owner', 'g1', { title: 'Report' })).body.pdf.id;
+        notesId = (await uploadPdf('owner', 'g1', { title: 'Notes, "draft"' })).body.pdf.id;
+        await uploadPdf('owner', 'g2', { title: 'Elsewhere' });
+
+        await request('GET', `/api/pdfs/proxy/${reportId}`, { as: 'member' });
+        await request('POST', '/api/pdfs/sign-url', { as: 'member', body: { pdfId: notesId } });
+    });
+
+    it('lists the group events newest first with names and titles', async () => {
+        const res = await request('GET', '/api/audit/groups/g1', { as: 'owner' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.total, 4);
+        assert.deepEqual(res.body.events.map(e => e.action).sort(), ['PDF_PROXY_ACCESS', 'UPLOAD', 'UPLOAD', 'URL_GENERATED']);
+
+        const timestamps = res.body.events.map(e => e.timestamp);
+        assert.deepEqual(timestamps, [...timestamps].sort().reverse());
+
+        const signed = res.body.events.find(e => e.action === 'URL_GENERATED');
+        assert.equal(signed.userName, 'Max Member');
+        assert.equal(signed.userEmail, 'member@example.test');
+        assert.equal(signed.pdfTitle, 'Notes, "draft"');
+        assert.deepEqual(res.body.actions, ['PDF_PROXY_ACCESS', 'UPLOAD', 'URL_GENERATED']);
+    });
+
+    it('only accepts viewer event types from the client', async () => {
+        const sessionId = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+        const post = (type) => request('POST', '/api/security/log-event', { as: 'member', body: { type, pdfId: reportId, sessionId } });
+
+        for (const type of ['UPLOAD', 'DELETE', 'DOWNLOAD_COPY', 'AUDIT_EXPORTED', 'MADE_UP']) {
+            assert.equal((await post(type)).status, 400, type);
+        }
+        assert.equal((await post('PAGE_TURN')).status, 201);
+        assert.equal((await post('COPY_BLOCKED')).status, 201);
+
+        const res = await request('GET', '/api/audit/groups/g1', { as: 'owner' });
+        assert.deepEqual(res.body.events.filter(e => e.userId === 'member').map(e => e.action).sort(),
+            ['COPY_BLOCKED', 'PAGE_TURN', 'PDF_PROXY_ACCESS', 'URL_GENERATED']);
+    });
+
+    it('filters by document, user, action and date range', async () => {
+        const query = async (params) => (await request('GET', `/api/audit/groups/g1?${new URLSearchParams(params)}`, { as: 'owner' })).body;
+
+        assert.equal((await query({ pdfId: reportId })).total, 2);
+        assert.equal((await query({ userId: 'member' })).total, 2);
+        assert.equal((await query({ action: 'upload' })).total, 2);
+        assert.equal((await query({ action: 'UPLOAD,URL_GENERATED', userId: 'owner' })).total, 2);
+        assert.equal((await query({ from: new Date(Date.now() + 60_000).toISOString() })).total, 0);
+        assert.equal((await query({ to: new Date().toISOString() })).total, 4);
+
+        const invalid = await request('GET', '/api/audit/groups/g1?from=yesterday', { as: 'owner' });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('pages through results', async () => {
+        const first = await request('GET', '/api/audit/groups/g1?pageSize=3', { as: 'owner' });
+        const second = await request('GET', '/api/audit/groups/g1?pageSize=3&page=2', { as: 'owner' });
+
+        assert.equal(first.body.events.length, 3);
+        assert.equal(second.body.events.length, 1);
+        assert.equal(second.body.total, 4);
+
+        assert.equal((await request('GET', '/api/audit/groups/g1?pageSize=500', { as: 'owner' })).status, 400);
+    });
+
+    it('includes older events that were logged without a group', async () => {
+        await repositories.pdfEvents.record({
+            id: 'legacy-event',
+            userId: 'member',
+            action: 'PDF_PROXY_ACCESS',
+            pdfId: reportId,
+            details: { title: 'Report' },
+            timestamp: new Date(Date.now() - 60_000).toISOString()
+        });
+
+        const res = await request('GET', `/api/audit/groups/g1?pdfId=${reportId}`, { as: 'owner' });
+        assert.equal(res.body.total, 3);
+        assert.ok(res.body.events.some(e => e.id === 'legacy-event'));
+    });
+
+    it('exports CSV and JSON and records the export', async () => {
+        const csv = await request('GET', '/api/audit/groups/g1/export?format=csv', { as: 'owner' });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-type'), /text\/csv/);
+        assert.match(csv.headers.get('content-disposition'), /attachment; filename="audit-g1-.*\.csv"/);
+
+        const lines = csv.text.trim().split('\r\n');
+        assert.equal(lines[0], 'timestamp,action,userId,userName,userEmail,pdfId,pdfTitle,sessionId,ip,details');
+        assert.equal(lines.length, 5);
+        assert.ok(lines.some(line => line.includes('"Notes, ""draft"""')));
+
+        const json = await request('GET', '/api/audit/groups/g1/export?format=json&action=UPLOAD', { as: 'owner' });
+        assert.equal(json.status, 200);
+        assert.equal(json.body.events.length, 2);
+        assert.deepEqual(json.body.filters.actions, ['UPLOAD']);
+
+        const log = await request('GET', '/api/audit/groups/g1?action=AUDIT_EXPORTED', { as: 'owner' });
+        assert.equal(log.body.total, 2);
+        assert.equal(log.body.events[0].details.format, 'json');
+
+        assert.equal((await request('GET', '/api/audit/groups/g1/export?format=xml', { as: 'owner' })).status, 400);
+        assert.equal((await request('GET', '/api/audit/groups/g1/export', { as: 'member' })).status, 403);
+    });
+});
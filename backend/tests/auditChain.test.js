@@ -0,0 +1,171 @@
+// tests/auditChain.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+const auditChain = require("../services/auditChain");
+
+const CHAIN = 'group_g1';
+
+async function chainEvents() {
+    return (await repositories.pdfEvents.listByChain(CHAIN)).sort((a, b) => a.seq - b.seq);
+}
+
+async function verify() {
+    const res = await request('GET', '/api/audit/groups/g1/verify', { as: 'owner' });
+    assert.equal(res.status, 200);
+    return res.body;
+}
+
+describe('Audit chain', () => {
+    let pdfId;
+
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+
+        pdfId = (await uploadPdf('owner', 'g1', { title: 'Report' })).body.pdf.id;
+        await uploadPdf('owner', 'g1', { title: 'Notes' });
+        await request('POST', '/api/pdfs/sign-url', { as: 'member', body: { pdfId } });
+    });
+
+    it('links every new event to the one before it', async () => {
+        const events = await chainEvents();
+
+        assert.deepEqual(events.map(e => e.seq), [1, 2, 3]);
+        assert.equal(events[0].prevHash, auditChain.GENESIS_HASH);
+        assert.equal(events[1].prevHash, events[0].hash);
+        assert.equal(events[2].prevHash, events[1].hash);
+        assert.ok(events.every(e => e.hash === auditChain.hashEvent(e)));
+
+        const result = await verify();
+        assert.equal(result.intact, true);
+        assert.equal(result.length, 3);
+        assert.deepEqual(result.issues, []);
+    });
+
+    it('keeps the chain gap-free under concurrent writes', async () => {
+        await Promise.all(Array.from({ length: 10 }, (_, i) => auditChain.append({
+            id: `concurrent-${i}`,
+            userId: 'member',
+            action: 'PAGE_TURN',
+            pdfId,
+            groupId: 'g1',
+            details: { page: i },
+            timestamp: new Date().toISOString()
+        })));
+
+        assert.deepEqual((await chainEvents()).map(e => e.seq), Array.from({ length: 13 }, (_, i) => i + 1));
+        assert.equal((await verify()).intact, true);
+    });
+
+    it('continues after a position taken by another server', async () => {
+        // Another server appended seq 4 but has not moved the head yet
+        const [, , third] = await chainEvents();
+        const other = { id: 'other-server', userId: 'owner', action: 'VIEW_START', pdfId, groupId: 'g1', details: {}, timestamp: new Date().toISOString(), chainId: CHAIN, seq: 4, prevHash: third.hash };
+        other.hash = auditChain.hashEvent(other);
+        await repositories.auditChainLinks.create(`${CHAIN}_4`, { chainId: CHAIN, seq: 4, eventId: other.id, hash: other.hash });
+        await repositories.pdfEvents.record(other);
+
+        const appended = await auditChain.append({ id: 'mine', userId: 'owner', action: 'VIEW_END', pdfId, groupId: 'g1', details: {}, timestamp: new Date().toISOString() });
+
+        assert.equal(appended.seq, 5);
+        assert.equal(appended.prevHash, other.hash);
+        assert.equal((await verify()).intact, true);
+    });
+
+    it('leaves no trace of an append that fails part way', async () => {
+        const record = repositories.pdfEvents.record;
+        repositories.pdfEvents.record = async () => {
+            throw new Error('Cannot use "undefined" as a Firestore value');
+        };
+        try {
+            await assert.rejects(auditChain.append({ id: 'lost', userId: 'member', action: 'PAGE_TURN', pdfId, groupId: 'g1', details: {}, timestamp: new Date().toISOString() }));
+        } finally {
+            repositories.pdfEvents.record = record;
+        }
+
+        assert.equal(await repositories.auditChainLinks.get(`${CHAIN}_4`), null);
+        assert.equal((await repositories.auditChains.get(CHAIN)).seq, 3);
+
+        const appended = await auditChain.append({ id: 'next', userId: 'member', action: 'PAGE_TURN', pdfId, groupId: 'g1', details: {}, timestamp: new Date().toISOString() });
+        assert.equal(appended.seq, 4);
+
+        const result = await verify();
+        assert.equal(result.intact, true);
+        assert.equal(result.length, 4);
+    });
+
+    it('reports edited, deleted and unchained events', async () => {
+        const [first, second] = await chainEvents();
+
+        await repositories.pdfEvents.update(first.id, { 'details.title': 'Something else' });
+        await repositories.pdfEvents.delete(second.id);
+        await repositories.pdfEvents.record({ id: 'legacy', userId: 'owner', action: 'UPLOAD', pdfId, groupId: 'g1', details: {}, timestamp: new Date().toISOString() });
+
+        let result = await verify();
+        assert.equal(result.intact, false);
+        assert.deepEqual(result.issues, [
+            { seq: 1, type: 'modified', eventId: first.id },
+            { seq: 2, type: 'missing', eventId: second.id }
+        ]);
+        assert.equal(result.unchained, 1);
+
+        // Rewriting an event together with its hash still disagrees with the link
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner' });
+        await uploadPdf('owner', 'g1');
+        const [only] = await chainEvents();
+        const forged = { ...only, userId: 'someone-else' };
+        forged.hash = auditChain.hashEvent(forged);
+        await repositories.pdfEvents.record(forged);
+
+        result = await verify();
+        assert.deepEqual(result.issues, [{ seq: 1, type: 'modified', eventId: only.id }]);
+    });
+
+    it('signs checkpoints that catch a consistently rewritten chain', async () => {
+        process.env.CRON_SECRET = 'cron-test-secret';
+        process.env.AUDIT_SIGNING_KEY = 'audit-test-key';
+        try {
+            const auth = { headers: { Authorization: 'Bearer cron-test-secret' } };
+
+            let res = await request('GET', '/api/jobs/audit-checkpoints', auth);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body, { checkpoints: 1, failed: [] });
+
+            // Nothing new to sign
+            res = await request('GET', '/api/jobs/audit-checkpoints', auth);
+            assert.equal(res.body.checkpoints, 0);
+
+            let result = await verify();
+            assert.equal(result.intact, true);
+            assert.equal(result.lastCheckpoint.seq, 3);
+            assert.equal(result.signaturesChecked, true);
+
+            // Rewrite the last event along with its hash and link
+            const [, , last] = await chainEvents();
+            const forged = { ...last, userId: 'someone-else' };
+            forged.hash = auditChain.hashEvent(forged);
+            await repositories.pdfEvents.record(forged);
+            await repositories.auditChainLinks.set(`${CHAIN}_3`, { chainId: CHAIN, seq: 3, eventId: last.id, hash: forged.hash });
+
+            result = await verify();
+            assert.deepEqual(result.issues.map(i => [i.seq, i.type, i.reason]), [[3, 'checkpoint', 'hash mismatch']]);
+
+            // ...and the checkpoint, without the key
+            const checkpoint = await repositories.auditCheckpoints.get(`${CHAIN}_3`);
+            await repositories.auditCheckpoints.set(checkpoint.id, { ...checkpoint, hash: forged.hash });
+
+            result = await verify();
+            assert.deepEqual(result.issues.map(i => [i.seq, i.type, i.reason]), [[3, 'checkpoint', 'invalid signature']]);
+
+            res = await request('GET', '/api/jobs/audit-checkpoints', auth);
+            assert.deepEqual(res.body.failed, [{ chainId: CHAIN, issues: 1 }]);
+        } finally {
+            delete process.env.CRON_SECRET;
+            delete process.env.AUDIT_SIGNING_KEY;
+        }
+    });
+});
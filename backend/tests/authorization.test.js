@@ -0,0 +1,191 @@
+// tests/authorization.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedUser, seedGroup, uploadPdf, makePdf } = require("./helpers/testApp");
+
+/**
+ * Who may do what, per endpoint. Each row lists the expected status for
+ * every actor:
+ * - owner / admin / member: roles in group g1
+ * - expired: member whose membership has lapsed
+ * - suspended: member whose account was disabled
+ * - outsider: signed in, not in the group
+ */
+const ACTORS = ['owner', 'admin', 'member', 'expired', 'suspended', 'outsider'];
+
+let pdfId;
+
+const MATRIX = [
+    {
+        name: 'list group documents',
+        send: as => request('GET', '/api/pdfs/g1', { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'read document metadata',
+        send: as => request('GET', `/api/pdfs/metadata/${pdfId}`, { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'sign a document URL',
+        send: as => request('POST', '/api/pdfs/sign-url', { as, body: { pdfId } }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'proxy a document',
+        send: as => request('GET', `/api/pdfs/proxy/${pdfId}`, { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'search a document',
+        send: as => request('GET', `/api/pdfs/${pdfId}/search?q=page`, { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'list my annotations',
+        send: as => request('GET', `/api/annotations/pdfs/${pdfId}`, { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'read document comments',
+        send: as => request('GET', `/api/comments/pdfs/${pdfId}`, { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'upload a document',
+        send: async as => {
+            const form = new FormData();
+            form.append('pdf', new Blob([await makePdf()], { type: 'application/pdf' }), 'new.pdf');
+            form.append('groupId', 'g1');
+            return request('POST', '/api/pdfs/upload', { as, body: form });
+        },
+        expect: { owner: 201, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'delete a document',
+        send: as => request('DELETE', `/api/pdfs/${pdfId}`, { as }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'read group details',
+        send: as => request('GET', '/api/groups/g1', { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 200, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'generate an invite',
+        send: as => request('POST', '/api/groups/g1/invite', { as, body: { durationDays: 7 } }),
+        expect: { owner: 200, admin: 200, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'read the audit log',
+        send: as => request('GET', '/api/audit/groups/g1', { as }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'verify the audit log',
+        send: as => request('GET', '/api/audit/groups/g1/verify', { as }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'read reading analytics',
+        send: as => request('GET', '/api/analytics/groups/g1', { as }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'list invites',
+        send: as => request('GET', '/api/groups/g1/invites', { as }),
+        expect: { owner: 200, admin: 200, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'list group members',
+        send: as => request('GET', '/api/groups/g1/members', { as }),
+        expect: { owner: 200, admin: 200, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'remove a member',
+        send: as => request('DELETE', '/api/groups/g1/members/member', { as }),
+        expect: { owner: 200, admin: 200, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'change a member role',
+        send: as => request('PUT', '/api/groups/g1/members/member/role', { as, body: { role: 'admin' } }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'transfer ownership',
+        send: as => request('POST', '/api/groups/g1/transfer-ownership', { as, body: { memberId: 'member' } }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'extend a membership',
+        send: as => request('PUT', '/api/groups/g1/members/expired/expiry', { as, body: { days: 30 } }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'request a renewal',
+        send: as => request('POST', '/api/groups/g1/renewal-requests', { as, body: { message: 'Please' } }),
+        expect: { member: 201, expired: 201, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'list renewal requests',
+        send: as => request('GET', '/api/groups/g1/renewal-requests', { as }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'read the security policy',
+        send: as => request('GET', '/api/groups/g1/security-policy', { as }),
+        expect: { owner: 200, admin: 200, member: 200, expired: 403, suspended: 403, outsider: 403 }
+    },
+    {
+        name: 'change the security policy',
+        send: as => request('PUT', '/api/groups/g1/security-policy', { as, body: { blurOnFocusLoss: true } }),
+        expect: { owner: 200, admin: 403, member: 403, expired: 403, suspended: 403, outsider: 403 }
+    }
+];
+
+describe('Authorization matrix', () => {
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({
+            id: 'g1',
+            owner: 'owner',
+            admins: ['admin'],
+            members: ['member', 'suspended'],
+            expired: ['expired']
+        });
+        await seedUser('suspended', { disabled: true, disabledReason: 'Test suspension' });
+
+        const upload = await uploadPdf('owner', 'g1');
+        assert.equal(upload.status, 201);
+        pdfId = upload.body.pdf.id;
+    });
+
+    for (const row of MATRIX) {
+        describe(row.name, () => {
+            for (const actor of ACTORS.filter(a => a in row.expect)) {
+                it(`${actor} -> ${row.expect[actor]}`, async () => {
+                    const res = await row.send(actor);
+                    assert.equal(res.status, row.expect[actor], JSON.stringify(res.body));
+                });
+            }
+        });
+    }
+
+    it('rejects requests without a valid token', async () => {
+        let res = await request('GET', '/api/groups');
+        assert.equal(res.status, 401);
+
+        res = await request('GET', '/api/groups', { headers: { Authorization: 'Bearer not-a-token' } });
+        assert.equal(res.status, 401);
+    });
+
+    it('tells suspended users why they are locked out', async () => {
+        const res = await request('GET', '/api/groups', { as: 'suspended' });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.suspended, true);
+        assert.equal(res.body.reason, 'Test suspension');
+    });
+});
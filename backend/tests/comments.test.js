@@ -0,0 +1,171 @@
+// tests/comments.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedUser, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+const QUESTION = { page: 2, rect: { x: 0.1, y: 0.4, width: 0.5, height: 0.1 }, body: 'What does this paragraph mean?' };
+
+describe('Comments', () => {
+    let pdfId;
+
+    const startThread = (as, body) => request('POST', `/api/comments/pdfs/${pdfId}`, { as, body });
+    const reply = (as, threadId, body) => request('POST', `/api/comments/threads/${threadId}/replies`, { as, body });
+    const list = async (as) => {
+        const res = await request('GET', `/api/comments/pdfs/${pdfId}`, { as });
+        assert.equal(res.status, 200);
+        return res.body;
+    };
+    const unread = async (as) => {
+        const res = await request('GET', '/api/comments/groups/g1/unread', { as });
+        assert.equal(res.status, 200);
+        return res.body.unread;
+    };
+
+    beforeEach(async () => {
+        await resetData();
+        await seedUser('alice', { name: 'Alice' });
+        await seedUser('bob', { name: 'Bob' });
+        await seedUser('owner', { name: 'Olivia' });
+        await seedGroup({ id: 'g1', owner: 'owner', admins: ['admin'], members: ['alice', 'bob'] });
+        pdfId = (await uploadPdf('owner', 'g1', { pages: 3 })).body.pdf.id;
+    });
+
+    it('shares threads anchored to a page with every reader', async () => {
+        let res = await startThread('alice', QUESTION);
+        assert.equal(res.status, 201);
+        const threadId = res.body.thread.id;
+        assert.equal(res.body.thread.authorName, 'Alice');
+        assert.equal(res.body.thread.version, 1);
+
+        await startThread('bob', { page: 1, body: 'General question about the intro' });
+        res = await reply('owner', threadId, { body: 'It defines the scope.' });
+        assert.equal(res.status, 201);
+
+        const { threads, canModerate } = await list('bob');
+        assert.equal(canModerate, false);
+        assert.deepEqual(threads.map(t => [t.page, t.body]), [
+            [1, 'General question about the intro'],
+            [2, 'What does this paragraph mean?']
+        ]);
+        assert.equal(threads[0].rect, null);
+        assert.deepEqual(threads[1].rect, QUESTION.rect);
+        assert.deepEqual(threads[1].replies.map(r => r.body), ['It defines the scope.']);
+        assert.equal((await list('admin')).canModerate, true);
+    });
+
+    it('rejects comments that are empty or off the page', async () => {
+        const invalid = [
+            { ...QUESTION, body: '   ' },
+            { ...QUESTION, body: 'x'.repeat(5001) },
+            { ...QUESTION, page: 0 },
+            { ...QUESTION, rect: { x: 0.8, y: 0.4, width: 0.5, height: 0.1 } },
+            { ...QUESTION, mentions: 'bob' }
+        ];
+
+        for (const body of invalid) {
+            const res = await startThread('alice', body);
+            assert.equal(res.status, 400, JSON.stringify(body));
+        }
+        assert.deepEqual((await list('alice')).threads, []);
+    });
+
+    it('notifies mentioned readers without the comment text', async () => {
+        let res = await startThread('alice', { ...QUESTION, mentions: ['bob', 'owner'] });
+        assert.equal(res.status, 201);
+        assert.deepEqual(res.body.thread.mentions.map(m => m.name), ['Bob', 'Olivia']);
+
+        const [notification] = await repositories.notifications.find([['userId', '==', 'bob']]);
+        assert.equal(notification.type, 'COMMENT_MENTION');
+        assert.match(notification.message, /Alice mentioned you on "Test Document" \(page 2\)/);
+        assert.doesNotMatch(notification.message, /paragraph/);
+        assert.equal(notification.data.threadId, res.body.thread.id);
+
+        // Mentions are limited to people who can open the document
+        await repositories.pdfs.update(pdfId, { access: { roles: [], users: ['alice'] } });
+        res = await startThread('alice', { ...QUESTION, mentions: ['bob'] });
+        assert.equal(res.status, 400);
+
+        res = await request('GET', `/api/comments/pdfs/${pdfId}/participants`, { as: 'alice' });
+        assert.deepEqual(res.body.participants.map(p => p.uid), ['owner']);
+    });
+
+    it('lets the author or a manager resolve, and a reply reopens', async () => {
+        const threadId = (await startThread('alice', QUESTION)).body.thread.id;
+        const resolve = (as, resolved) => request('PUT', `/api/comments/threads/${threadId}/resolved`, { as, body: { resolved } });
+
+        let res = await resolve('bob', true);
+        assert.equal(res.status, 403);
+
+        res = await resolve('admin', true);
+        assert.equal(res.status, 200);
+        let [thread] = (await list('alice')).threads;
+        assert.equal(thread.resolved, true);
+        assert.equal(thread.resolvedBy, 'admin');
+
+        await reply('bob', threadId, { body: 'Still unclear to me' });
+        [thread] = (await list('alice')).threads;
+        assert.equal(thread.resolved, false);
+
+        res = await resolve('alice', true);
+        assert.equal(res.status, 200);
+        res = await resolve('alice', false);
+        assert.equal(res.status, 200);
+    });
+
+    it('lets authors edit and remove, and managers moderate', async () => {
+        const threadId = (await startThread('alice', QUESTION)).body.thread.id;
+        const replyId = (await reply('bob', threadId, { body: 'Off-topic rant' })).body.comment.id;
+
+        let res = await request('PUT', `/api/comments/${threadId}`, { as: 'bob', body: { body: 'Hijacked' } });
+        assert.equal(res.status, 403);
+        res = await request('PUT', `/api/comments/${threadId}`, { as: 'alice', body: { body: 'What does the second paragraph mean?' } });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.comment.editedAt);
+
+        res = await request('DELETE', `/api/comments/${replyId}`, { as: 'alice' });
+        assert.equal(res.status, 403);
+        res = await request('DELETE', `/api/comments/${replyId}`, { as: 'owner' });
+        assert.equal(res.status, 200);
+
+        const [thread] = (await list('alice')).threads;
+        assert.equal(thread.body, 'What does the second paragraph mean?');
+        assert.equal(thread.replies[0].body, null);
+        assert.equal(thread.replies[0].removed.moderated, true);
+
+        const events = await repositories.pdfEvents.listByPdf(pdfId);
+        assert.ok(events.some(e => e.action === 'COMMENT_REMOVED' && e.details.authorId === 'bob'));
+
+        // A thread with nothing left in it disappears
+        res = await request('DELETE', `/api/comments/${threadId}`, { as: 'alice' });
+        assert.equal(res.status, 200);
+        assert.deepEqual((await list('bob')).threads, []);
+    });
+
+    it('counts unread comments per document until they are read', async () => {
+        const threadId = (await startThread('alice', QUESTION)).body.thread.id;
+        await reply('bob', threadId, { body: 'Same question here' });
+
+        assert.deepEqual(await unread('owner'), { [pdfId]: 2 });
+        assert.deepEqual(await unread('alice'), { [pdfId]: 1 });
+
+        const res = await request('POST', `/api/comments/pdfs/${pdfId}/read`, { as: 'owner' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(await unread('owner'), {});
+
+        // Documents the reader cannot see are left out
+        await repositories.pdfs.update(pdfId, { access: { roles: [], users: ['bob'] } });
+        assert.deepEqual(await unread('alice'), {});
+    });
+
+    it('deletes the discussion together with the document', async () => {
+        await startThread('alice', QUESTION);
+        await request('POST', `/api/comments/pdfs/${pdfId}/read`, { as: 'bob' });
+
+        const res = await request('DELETE', `/api/pdfs/${pdfId}`, { as: 'owner' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(await repositories.comments.listByPdf(pdfId), []);
+        assert.deepEqual(await repositories.commentReads.find([['pdfId', '==', pdfId]]), []);
+    });
+});
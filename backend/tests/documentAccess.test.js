@@ -0,0 +1,107 @@
+// tests/documentAccess.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+describe('Document access lists', () => {
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', admins: ['admin'], members: ['alice', 'bob'] });
+    });
+
+    async function listTitles(as) {
+        const res = await request('GET', '/api/pdfs/g1', { as });
+        assert.equal(res.status, 200);
+        return res.body.map(pdf => pdf.title).sort();
+    }
+
+    it('shows unrestricted documents to every member', async () => {
+        const res = await uploadPdf('owner', 'g1', { title: 'Open' });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.pdf.access, null);
+
+        assert.deepEqual(await listTitles('bob'), ['Open']);
+    });
+
+    it('limits an admins-only document to admins and the owner', async () => {
+        await uploadPdf('owner', 'g1', { title: 'Open' });
+        const res = await uploadPdf('owner', 'g1', { title: 'Board', access: { roles: ['admin'] } });
+        assert.equal(res.status, 201);
+        assert.deepEqual(res.body.pdf.access, { roles: ['admin'], users: [] });
+
+        assert.deepEqual(await listTitles('owner'), ['Board', 'Open']);
+        assert.deepEqual(await listTitles('admin'), ['Board', 'Open']);
+        assert.deepEqual(await listTitles('alice'), ['Open']);
+    });
+
+    it('grants named members access', async () => {
+        const { body } = await uploadPdf('owner', 'g1', { title: 'Alice only', access: { users: ['alice'] } });
+        const pdfId = body.pdf.id;
+
+        assert.deepEqual(await listTitles('alice'), ['Alice only']);
+        assert.deepEqual(await listTitles('admin'), []);
+
+        assert.equal((await request('GET', `/api/pdfs/metadata/${pdfId}`, { as: 'alice' })).status, 200);
+        assert.equal((await request('POST', '/api/pdfs/sign-url', { as: 'alice', body: { pdfId } })).status, 200);
+        assert.equal((await request('GET', `/api/pdfs/proxy/${pdfId}`, { as: 'alice' })).status, 200);
+    });
+
+    it('refuses metadata, signed URLs, proxying and page images to excluded members', async () => {
+        const { body } = await uploadPdf('owner', 'g1', { title: 'Board', access: { roles: ['admin'] } });
+        const pdfId = body.pdf.id;
+
+        const attempts = [
+            request('GET', `/api/pdfs/metadata/${pdfId}`, { as: 'bob' }),
+            request('POST', '/api/pdfs/sign-url', { as: 'bob', body: { pdfId } }),
+            request('GET', `/api/pdfs/proxy/${pdfId}`, { as: 'bob' }),
+            request('GET', `/api/pdfs/${pdfId}/pages`, { as: 'bob' })
+        ];
+
+        for (const res of await Promise.all(attempts)) {
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'You do not have access to this document');
+        }
+    });
+
+    it('rejects invalid access lists on upload', async () => {
+        let res = await uploadPdf('owner', 'g1', { access: { roles: ['superuser'] } });
+        assert.equal(res.status, 400);
+
+        res = await uploadPdf('owner', 'g1', { access: { users: ['stranger'] } });
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /not a member/);
+
+        res = await uploadPdf('owner', 'g1', { access: { roles: [], users: [] } });
+        assert.equal(res.status, 400);
+
+        assert.deepEqual(await repositories.pdfs.listByGroup('g1'), []);
+    });
+
+    it('lets the owner change and clear access from document settings', async () => {
+        const { body } = await uploadPdf('owner', 'g1', { title: 'Plan' });
+        const pdfId = body.pdf.id;
+
+        let res = await request('PUT', `/api/pdfs/${pdfId}/access`, { as: 'owner', body: { access: { users: ['bob'] } } });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.access, { roles: [], users: ['bob'] });
+        assert.deepEqual(await listTitles('alice'), []);
+        assert.deepEqual(await listTitles('bob'), ['Plan']);
+
+        res = await request('PUT', `/api/pdfs/${pdfId}/access`, { as: 'owner', body: { access: null } });
+        assert.equal(res.status, 200);
+        assert.equal((await repositories.pdfs.get(pdfId)).access, null);
+        assert.deepEqual(await listTitles('alice'), ['Plan']);
+    });
+
+    it('only lets the owner change access', async () => {
+        const { body } = await uploadPdf('owner', 'g1', { title: 'Plan' });
+
+        for (const as of ['admin', 'alice']) {
+            const res = await request('PUT', `/api/pdfs/${body.pdf.id}/access`, { as, body: { access: { roles: ['admin'] } } });
+            assert.equal(res.status, 403);
+        }
+        assert.equal((await repositories.pdfs.get(body.pdf.id)).access, null);
+    });
+});
@@ -0,0 +1,163 @@
+// tests/documentAvailability.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+const documentAvailability = require("../services/documentAvailability");
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Document availability', () => {
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', admins: ['admin'], members: ['member'] });
+    });
+
+    function readAttempts(pdfId, as = 'member') {
+        return Promise.all([
+            request('GET', `/api/pdfs/metadata/${pdfId}`, { as }),
+            request('POST', '/api/pdfs/sign-url', { as, body: { pdfId } }),
+            request('GET', `/api/pdfs/proxy/${pdfId}`, { as }),
+            request('GET', `/api/pdfs/${pdfId}/pages`, { as })
+        ]);
+    }
+
+    it('blocks members before availableFrom and reports when it opens', async () => {
+        const availableFrom = new Date(Date.now() + 2 * HOUR).toISOString();
+        const { body } = await uploadPdf('owner', 'g1', { title: 'Embargoed', fields: { availableFrom } });
+        const pdfId = body.pdf.id;
+
+        const list = await request('GET', '/api/pdfs/g1', { as: 'member' });
+        assert.equal(list.body.length, 1);
+        assert.equal(list.body[0].availability.status, 'scheduled');
+        assert.equal(list.body[0].availability.availableAt, availableFrom);
+
+        for (const res of await readAttempts(pdfId)) {
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'This document is not available yet');
+        }
+
+        // Owners and admins prepare documents ahead of time
+        for (const res of await readAttempts(pdfId, 'admin')) {
+            assert.equal(res.status, 200);
+        }
+    });
+
+    it('archives expired documents and hides them from members', async () => {
+        const { body } = await uploadPdf('owner', 'g1', { title: 'Old' });
+        const pdfId = body.pdf.id;
+        await repositories.pdfs.update(pdfId, { expiryDate: new Date(Date.now() - HOUR).toISOString() });
+
+        for (const res of await readAttempts(pdfId)) {
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'This document has expired');
+        }
+
+        const memberList = await request('GET', '/api/pdfs/g1', { as: 'member' });
+        assert.deepEqual(memberList.body, []);
+
+        const ownerList = await request('GET', '/api/pdfs/g1', { as: 'owner' });
+        assert.equal(ownerList.body.length, 1);
+        assert.equal(ownerList.body[0].archived, true);
+        assert.equal(ownerList.body[0].availability.status, 'expired');
+
+        const stored = await repositories.pdfs.get(pdfId);
+        assert.equal(stored.archived, true);
+        assert.ok(stored.archivedAt);
+    });
+
+    it('lets the owner extend an expired document out of the archive', async () => {
+        const { body } = await uploadPdf('owner', 'g1');
+        const pdfId = body.pdf.id;
+        await repositories.pdfs.update(pdfId, { expiryDate: new Date(Date.now() - HOUR).toISOString() });
+        await request('GET', '/api/pdfs/g1', { as: 'owner' });
+
+        const expiryDate = new Date(Date.now() + 24 * HOUR).toISOString();
+        let res = await request('PUT', `/api/pdfs/${pdfId}/availability`, { as: 'owner', body: { expiryDate } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.archived, false);
+        assert.equal(res.body.availability.status, 'available');
+
+        res = await request('GET', `/api/pdfs/metadata/${pdfId}`, { as: 'member' });
+        assert.equal(res.status, 200);
+    });
+
+    it('only lets the owner change availability and validates the schedule', async () => {
+        const { body } = await uploadPdf('owner', 'g1');
+        const url = `/api/pdfs/${body.pdf.id}/availability`;
+
+        let res = await request('PUT', url, { as: 'admin', body: { expiryDate: null } });
+        assert.equal(res.status, 403);
+
+        res = await request('PUT', url, { as: 'owner', body: { expiryDate: 'not a date' } });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', url, {
+            as: 'owner',
+            body: { availableFrom: '2030-01-02T00:00:00Z', expiryDate: '2030-01-01T00:00:00Z' }
+        });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', url, { as: 'owner', body: { dailyWindow: { start: '9am', end: '17:00' } } });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', url, { as: 'owner', body: { dailyWindow: { start: '09:00', end: '17:00', timeZone: 'Mars/Olympus' } } });
+        assert.equal(res.status, 400);
+
+        res = await uploadPdf('owner', 'g1', { fields: { dailyWindow: '{broken' } });
+        assert.equal(res.status, 400);
+    });
+
+    it('enforces daily viewing hours for members', async () => {
+        const now = new Date();
+        const hh = (offset) => String((now.getUTCHours() + offset + 24) % 24).padStart(2, '0');
+
+        // A window that closed an hour ago and reopens in two hours (UTC)
+        const dailyWindow = { start: `${hh(2)}:00`, end: `${hh(-1)}:00`, timeZone: 'UTC' };
+        const { body } = await uploadPdf('owner', 'g1', { fields: { dailyWindow } });
+        assert.deepEqual(body.pdf.dailyWindow, dailyWindow);
+
+        const list = await request('GET', '/api/pdfs/g1', { as: 'member' });
+        assert.equal(list.body[0].availability.status, 'closed');
+
+        for (const res of await readAttempts(body.pdf.id)) {
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'This document is outside its viewing hours');
+        }
+    });
+});
+
+describe('documentAvailability.getAvailability', () => {
+    const at = (iso) => new Date(iso);
+
+    it('opens and closes a daily window in its time zone', () => {
+        const pdf = { dailyWindow: { start: '09:00', end: '17:00', timeZone: 'America/New_York' } };
+
+        // 13:00 UTC is 09:00 in New York (EDT)
+        assert.equal(documentAvailability.getAvailability(pdf, at('2026-07-01T13:30:00Z')).status, 'available');
+
+        const closed = documentAvailability.getAvailability(pdf, at('2026-07-01T21:30:00Z'));
+        assert.equal(closed.status, 'closed');
+        assert.equal(closed.availableAt, '2026-07-02T13:00:00.000Z');
+    });
+
+    it('supports windows that cross midnight', () => {
+        const pdf = { dailyWindow: { start: '22:00', end: '06:00', timeZone: 'UTC' } };
+
+        assert.equal(documentAvailability.getAvailability(pdf, at('2026-07-01T23:00:00Z')).status, 'available');
+        assert.equal(documentAvailability.getAvailability(pdf, at('2026-07-02T05:59:00Z')).status, 'available');
+        assert.equal(documentAvailability.getAvailability(pdf, at('2026-07-02T06:00:00Z')).status, 'closed');
+    });
+
+    it('reports the first opening after availableFrom', () => {
+        const pdf = {
+            availableFrom: '2026-07-01T18:00:00.000Z',
+            dailyWindow: { start: '09:00', end: '17:00', timeZone: 'UTC' }
+        };
+
+        const scheduled = documentAvailability.getAvailability(pdf, at('2026-07-01T08:00:00Z'));
+        assert.equal(scheduled.status, 'scheduled');
+        assert.equal(scheduled.availableAt, '2026-07-02T09:00:00.000Z');
+    });
+});
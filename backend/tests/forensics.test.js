@@ -0,0 +1,58 @@
+// tests/forensics.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument } = require("@cantoo/pdf-lib");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+const SESSION_ID = 'leaking-session';
+
+/**
+ * A screenshot saved as a PDF: the image on a page of its own size
+ */
+async function wrapInPdf(png) {
+    const doc = await PDFDocument.create();
+    const image = await doc.embedPng(png);
+    const page = doc.addPage([image.width, image.height]);
+    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+    return Buffer.from(await doc.save());
+}
+
+function trace(as, file) {
+    const form = new FormData();
+    form.append('file', new Blob([file], { type: 'application/pdf' }), 'leak.pdf');
+    return request('POST', '/api/security/forensics/trace', { as, body: form });
+}
+
+describe('Leak tracing', () => {
+    let pdfId;
+
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+        pdfId = (await uploadPdf('owner', 'g1')).body.pdf.id;
+    });
+
+    it('traces a rendered page back to the member and session it was shown to', async () => {
+        await request('POST', '/api/security/heartbeat', { as: 'member', body: { sessionId: SESSION_ID, pdfId } });
+        const image = await request('GET', `/api/pdfs/${pdfId}/pages/1?width=1000&sessionId=${SESSION_ID}`, { as: 'member' });
+        assert.equal(image.status, 200);
+
+        const leak = await wrapInPdf(image.buffer);
+
+        assert.equal((await trace('member', leak)).status, 403);
+
+        const res = await trace('owner', leak);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.found, true);
+        assert.equal(res.body.mark.userId, 'member');
+        assert.equal(res.body.mark.sessionId, SESSION_ID);
+        assert.equal(res.body.mark.pdfId, pdfId);
+        assert.ok(res.body.events.some(event => event.action === 'PAGE_IMAGE_ACCESS'));
+
+        const events = await repositories.pdfEvents.listByUser('owner');
+        const traced = events.find(event => event.action === 'FORENSIC_TRACE');
+        assert.equal(traced.details.subjectSessionId, SESSION_ID);
+    });
+});
@@ -0,0 +1,210 @@
+// tests/groups.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedUser, repositories } = require("./helpers/testApp");
+
+async function createGroup(as, name = 'Research') {
+    const res = await request('POST', '/api/groups/create', { as, body: { name, description: 'Shared papers' } });
+    assert.equal(res.status, 201);
+    return res.body.group;
+}
+
+async function createInvite(as, groupId, durationDays) {
+    const res = await request('POST', `/api/groups/${groupId}/invite`, { as, body: { durationDays } });
+    assert.equal(res.status, 200);
+    return res.body.inviteCode;
+}
+
+describe('Groups', () => {
+    beforeEach(async () => {
+        await resetData();
+        await seedUser('owner', { name: 'Olivia Owner' });
+        await seedUser('alice', { name: 'Alice' });
+    });
+
+    it('creates a group owned by the creator', async () => {
+        const group = await createGroup('owner');
+
+        assert.equal(group.name, 'Research');
+        assert.equal(group.createdBy, 'owner');
+        assert.deepEqual(group.members, ['owner']);
+        assert.deepEqual(group.roles, { owner: 'owner' });
+
+        const res = await request('GET', `/api/groups/${group.id}`, { as: 'owner' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.creatorName, 'Olivia Owner');
+
+        const list = await request('GET', '/api/groups', { as: 'owner' });
+        assert.deepEqual(list.body.map(g => g.id), [group.id]);
+    });
+
+    it('requires a group name', async () => {
+        const res = await request('POST', '/api/groups/create', { as: 'owner', body: { name: '  ' } });
+        assert.equal(res.status, 400);
+    });
+
+    it('joins through a single-use invite with its membership duration', async () => {
+        const group = await createGroup('owner');
+        const code = await createInvite('owner', group.id, 7);
+
+        const res = await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: code } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.groupId, group.id);
+
+        const stored = await repositories.groups.get(group.id);
+        assert.ok(stored.members.includes('alice'));
+        assert.equal(stored.roles.alice, 'member');
+
+        const days = (new Date(stored.memberExpiry.alice) - Date.now()) / (24 * 60 * 60 * 1000);
+        assert.ok(days > 6.9 && days <= 7);
+
+        const invite = await repositories.invites.get(code);
+        assert.equal(invite.used, true);
+        assert.equal(invite.usedBy, 'alice');
+
+        const reused = await request('POST', '/api/groups/join', { as: 'bob', body: { inviteCode: code } });
+        assert.equal(reused.status, 403);
+    });
+
+    it('joins through the legacy group invite code', async () => {
+        const group = await createGroup('owner');
+
+        const res = await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: group.inviteCode } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.groupId, group.id);
+    });
+
+    it('rejects unknown or missing invite codes', async () => {
+        let res = await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: 'nope' } });
+        assert.equal(res.status, 404);
+
+        res = await request('POST', '/api/groups/join', { as: 'alice', body: {} });
+        assert.equal(res.status, 400);
+    });
+
+    it('lists members with their roles and profiles', async () => {
+        const group = await createGroup('owner');
+        const code = await createInvite('owner', group.id, 30);
+        await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: code } });
+
+        const res = await request('GET', `/api/groups/${group.id}/members`, { as: 'owner' });
+
+        assert.equal(res.status, 200);
+        const byId = Object.fromEntries(res.body.map(member => [member.uid, member]));
+        assert.equal(byId.owner.role, 'owner');
+        assert.equal(byId.alice.role, 'member');
+        assert.equal(byId.alice.name, 'Alice');
+        assert.ok(byId.alice.expiryDate);
+        assert.equal(byId.alice.suspended, false);
+    });
+
+    it('removes a member together with their role and expiry', async () => {
+        const group = await createGroup('owner');
+        const code = await createInvite('owner', group.id, 30);
+        await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: code } });
+
+        const res = await request('DELETE', `/api/groups/${group.id}/members/alice`, { as: 'owner' });
+        assert.equal(res.status, 200);
+
+        const stored = await repositories.groups.get(group.id);
+        assert.deepEqual(stored.members, ['owner']);
+        assert.equal(stored.roles.alice, undefined);
+        assert.equal(stored.memberExpiry.alice, undefined);
+
+        const again = await request('DELETE', `/api/groups/${group.id}/members/alice`, { as: 'owner' });
+        assert.equal(again.status, 404);
+
+        const owner = await request('DELETE', `/api/groups/${group.id}/members/owner`, { as: 'owner' });
+        assert.equal(owner.status, 403);
+    });
+
+    it('promotes and demotes members', async () => {
+        const group = await createGroup('owner');
+        const code = await createInvite('owner', group.id, 30);
+        await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: code } });
+
+        let res = await request('PUT', `/api/groups/${group.id}/members/alice/role`, { as: 'owner', body: { role: 'admin' } });
+        assert.equal(res.status, 200);
+        assert.equal((await repositories.groups.get(group.id)).roles.alice, 'admin');
+
+        const notifications = await repositories.notifications.find([['userId', '==', 'alice']]);
+        assert.ok(notifications.some(n => n.type === 'ROLE_CHANGED' && n.data.role === 'admin'));
+
+        // Admins can now manage members
+        res = await request('GET', `/api/groups/${group.id}/members`, { as: 'alice' });
+        assert.equal(res.status, 200);
+
+        res = await request('PUT', `/api/groups/${group.id}/members/alice/role`, { as: 'owner', body: { role: 'member' } });
+        assert.equal(res.status, 200);
+        assert.equal((await repositories.groups.get(group.id)).roles.alice, 'member');
+
+        res = await request('PUT', `/api/groups/${group.id}/members/alice/role`, { as: 'owner', body: { role: 'owner' } });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', `/api/groups/${group.id}/members/owner/role`, { as: 'owner', body: { role: 'member' } });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', `/api/groups/${group.id}/members/bob/role`, { as: 'owner', body: { role: 'admin' } });
+        assert.equal(res.status, 404);
+    });
+
+    it('transfers ownership and keeps the previous owner as admin', async () => {
+        const group = await createGroup('owner');
+        const code = await createInvite('owner', group.id, 30);
+        await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: code } });
+
+        const res = await request('POST', `/api/groups/${group.id}/transfer-ownership`, { as: 'owner', body: { memberId: 'alice' } });
+        assert.equal(res.status, 200);
+
+        const stored = await repositories.groups.get(group.id);
+        assert.equal(stored.createdBy, 'alice');
+        assert.equal(stored.roles.alice, 'owner');
+        assert.equal(stored.roles.owner, 'admin');
+        assert.equal(stored.memberExpiry.alice, undefined);
+
+        // The old owner lost owner-only rights
+        const back = await request('POST', `/api/groups/${group.id}/transfer-ownership`, { as: 'owner', body: { memberId: 'owner' } });
+        assert.equal(back.status, 403);
+
+        const self = await request('POST', `/api/groups/${group.id}/transfer-ownership`, { as: 'alice', body: { memberId: 'alice' } });
+        assert.equal(self.status, 400);
+    });
+
+    it('keeps an existing role when a member re-joins', async () => {
+        const group = await createGroup('owner');
+        const first = await createInvite('owner', group.id, 30);
+        await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: first } });
+        await request('PUT', `/api/groups/${group.id}/members/alice/role`, { as: 'owner', body: { role: 'admin' } });
+
+        const second = await createInvite('owner', group.id, 30);
+        const res = await request('POST', '/api/groups/join', { as: 'alice', body: { inviteCode: second } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.message, 'Membership updated');
+
+        const stored = await repositories.groups.get(group.id);
+        assert.equal(stored.roles.alice, 'admin');
+        assert.equal(stored.members.filter(uid => uid === 'alice').length, 1);
+
+        const ownerRejoin = await request('POST', '/api/groups/join', { as: 'owner', body: { inviteCode: group.inviteCode } });
+        assert.equal(ownerRejoin.status, 200);
+        assert.equal((await repositories.groups.get(group.id)).roles.owner, 'owner');
+    });
+
+    it('only lets the owner remove admins', async () => {
+        const group = await createGroup('owner');
+        for (const uid of ['alice', 'bob']) {
+            const code = await createInvite('owner', group.id, 30);
+            await request('POST', '/api/groups/join', { as: uid, body: { inviteCode: code } });
+            await request('PUT', `/api/groups/${group.id}/members/${uid}/role`, { as: 'owner', body: { role: 'admin' } });
+        }
+
+        let res = await request('DELETE', `/api/groups/${group.id}/members/bob`, { as: 'alice' });
+        assert.equal(res.status, 403);
+
+        res = await request('DELETE', `/api/groups/${group.id}/members/bob`, { as: 'owner' });
+        assert.equal(res.status, 200);
+    });
+});
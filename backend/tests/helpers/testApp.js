@@ -0,0 +1,206 @@
+// tests/helpers/testApp.js
+
+/**
+ * Test App
+ *
+ * Boots the Express app from server.js against local stand-ins:
+ * - Firestore -> embedded memory store (DATA_STORE=memory)
+ * - Firebase Auth -> stub tokens (AUTH_VERIFIER=stub)
+ * - Cloudinary -> local disk in a temp dir (STORAGE_PROVIDER=local)
+ * - SMTP -> off, unless a test starts the capture server (startMailCapture)
+ *
+ * Must be required before anything else from the backend, since the
+ * environment is read when the app starts.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-pdf-test-'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DATA_STORE: 'memory',
+    LOCAL_DATA_FILE: '',
+    AUTH_VERIFIER: 'stub',
+    STORAGE_PROVIDER: 'local',
+    LOCAL_STORAGE_DIR: storageDir,
+    STORAGE_SIGNING_SECRET: 'test-signing-secret'
+});
+
+const { PDFDocument } = require("@cantoo/pdf-lib");
+const app = require("../../server");
+const repositories = require("../../repositories");
+const { createStubToken } = require("../../services/tokenVerifier");
+const { createCaptureServer } = require("../../services/mail/captureServer");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function tokenFor(uid) {
+    return createStubToken({ uid, email: `${uid}@example.test`, name: uid });
+}
+
+/**
+ * Send a request to the app as `as` (a uid; omit for anonymous).
+ * Plain objects are sent as JSON, FormData as multipart.
+ *
+ * @returns {Promise<{status, headers, body, text, buffer}>}
+ */
+async function request(method, url, { as, body, headers = {} } = {}) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+        const requestHeaders = { ...headers };
+        if (as) requestHeaders.Authorization = `Bearer ${tokenFor(as)}`;
+
+        let payload;
+        if (body instanceof FormData) {
+            payload = body;
+        } else if (body !== undefined) {
+            requestHeaders['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+
+        const res = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+            method,
+            headers: requestHeaders,
+            body: payload
+        });
+
+        const buffer = Buffer.from(await res.arrayBuffer());
+        const text = buffer.toString('utf8');
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // Not JSON (e.g. a PDF)
+        }
+
+        return { status: res.status, headers: res.headers, body: json, text, buffer };
+    } finally {
+        server.close();
+    }
+}
+
+/**
+ * Wipe all stored data and files between tests
+ */
+async function resetData() {
+    await repositories.getStore().clear();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.mkdirSync(storageDir, { recursive: true });
+}
+
+async function makePdf(pageCount = 1) {
+    const doc = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) {
+        doc.addPage([612, 792]).drawText(`Page ${i + 1}`, { x: 72, y: 700, size: 24 });
+    }
+    return Buffer.from(await doc.save());
+}
+
+async function seedUser(uid, fields = {}) {
+    const user = { email: `${uid}@example.test`, name: uid, createdAt: new Date().toISOString(), role: 'user', ...fields };
+    await repositories.users.set(uid, user);
+    return user;
+}
+
+/**
+ * Create a group directly in the store
+ *
+ * @param {Object} options - { id, owner, admins, members, expired } (uids)
+ */
+async function seedGroup({ id = 'group-1', owner = 'owner', admins = [], members = [], expired = [] } = {}) {
+    const roles = { [owner]: 'owner' };
+    const memberExpiry = {};
+
+    for (const uid of admins) roles[uid] = 'admin';
+    for (const uid of members) {
+        roles[uid] = 'member';
+        memberExpiry[uid] = new Date(Date.now() + 30 * DAY).toISOString();
+    }
+    for (const uid of expired) {
+        roles[uid] = 'member';
+        memberExpiry[uid] = new Date(Date.now() - DAY).toISOString();
+    }
+
+    const group = {
+        id,
+        name: `Group ${id}`,
+        description: '',
+        createdBy: owner,
+        roles,
+        members: Object.keys(roles),
+        memberExpiry,
+        inviteCode: `legacy-${id}`,
+        createdAt: new Date().toISOString()
+    };
+
+    await repositories.groups.set(id, group);
+    return group;
+}
+
+/**
+ * Upload a PDF through the API as `as`
+ */
+async function uploadPdf(as, groupId, { title = 'Test Document', pages = 1, access, fields = {} } = {}) {
+    const form = new FormData();
+    form.append('pdf', new Blob([await makePdf(pages)], { type: 'application/pdf' }), 'test.pdf');
+    form.append('title', title);
+    form.append('groupId', groupId);
+    if (access !== undefined) {
+        form.append('access', JSON.stringify(access));
+    }
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    return request('POST', '/api/pdfs/upload', { as, body: form });
+}
+
+/**
+ * Send mail to a local capture server for the rest of the test file.
+ * Messages arrive asynchronously; use `waitForMessages`.
+ *
+ * @returns {Promise<{messages: Array, clear(), close(), waitForMessages(count): Promise<Array>}>}
+ */
+async function startMailCapture() {
+    const capture = createCaptureServer();
+    const port = await capture.listen();
+
+    Object.assign(process.env, { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port), SMTP_SECURE: 'false' });
+
+    return {
+        ...capture,
+
+        async waitForMessages(count, timeoutMs = 2000) {
+            const deadline = Date.now() + timeoutMs;
+            while (capture.messages.length < count && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            return capture.messages;
+        },
+
+        async close() {
+            delete process.env.SMTP_HOST;
+            delete process.env.SMTP_PORT;
+            await capture.close();
+        }
+    };
+}
+
+module.exports = {
+    app,
+    repositories,
+    storageDir,
+    tokenFor,
+    request,
+    resetData,
+    makePdf,
+    seedUser,
+    seedGroup,
+    uploadPdf,
+    startMailCapture
+};
@@ -0,0 +1,214 @@
+// tests/invites.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, repositories } = require("./helpers/testApp");
+const invites = require("../services/invites");
+
+async function createInvite(as, options = {}) {
+    return request('POST', '/api/groups/g1/invite', { as, body: options });
+}
+
+function join(as, inviteCode) {
+    return request('POST', '/api/groups/join', { as, body: { inviteCode } });
+}
+
+describe('Invite links', () => {
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', admins: ['admin'], members: ['member'] });
+    });
+
+    it('lets several people join until the uses run out', async () => {
+        const code = (await createInvite('owner', { maxUses: 2 })).body.inviteCode;
+
+        assert.equal((await join('alice', code)).status, 200);
+        assert.equal((await join('bob', code)).status, 200);
+
+        const third = await join('carol', code);
+        assert.equal(third.status, 403);
+        assert.equal(third.body.message, 'This link is expired or has already been used.');
+
+        // A used-up code is refused even to those who redeemed it
+        assert.equal((await join('alice', code)).status, 403);
+
+        const invite = await repositories.invites.get(code);
+        assert.equal(invite.uses, 2);
+        assert.equal(invite.used, true);
+        assert.deepEqual(invite.redemptions.map(r => r.uid), ['alice', 'bob']);
+    });
+
+    it('does not let a member extend their own membership with a code they used', async () => {
+        const single = (await createInvite('owner', { maxUses: 1, durationDays: 30 })).body.inviteCode;
+        const shared = (await createInvite('owner', { maxUses: 5, durationDays: 30 })).body.inviteCode;
+        assert.equal((await join('alice', single)).status, 200);
+        assert.equal((await join('bob', shared)).status, 200);
+
+        const past = new Date(Date.now() - 60 * 1000).toISOString();
+        await repositories.groups.setMemberExpiry('g1', 'alice', past);
+        await repositories.groups.setMemberExpiry('g1', 'bob', past);
+
+        assert.equal((await join('alice', single)).status, 403);
+        const res = await join('bob', shared);
+        assert.equal(res.status, 403);
+        assert.equal(res.body.membershipExpired, true);
+
+        const group = await repositories.groups.get('g1');
+        assert.equal(group.memberExpiry.alice, past);
+        assert.equal(group.memberExpiry.bob, past);
+        assert.equal((await repositories.invites.get(single)).uses, 1);
+        assert.equal((await repositories.invites.get(shared)).uses, 1);
+    });
+
+    it('never lets concurrent redemptions go past the maximum uses', async () => {
+        const code = (await createInvite('owner', { maxUses: 2 })).body.inviteCode;
+        const people = ['alice', 'bob', 'carol', 'dave', 'erin'];
+
+        const results = await Promise.all(people.map(uid => invites.redeem(code, { uid, email: `${uid}@example.test` })));
+
+        assert.equal(results.filter(denied => denied === null).length, 2);
+        assert.ok(results.filter(Boolean).every(denied => denied.status === 403));
+
+        const invite = await repositories.invites.get(code);
+        assert.equal(invite.uses, 2);
+        assert.equal(invite.used, true);
+        assert.equal(invite.redemptions.length, 2);
+
+        // Joining afterwards is refused without adding the member
+        assert.equal((await join('frank', code)).status, 403);
+        assert.ok(!(await repositories.groups.get('g1')).members.includes('frank'));
+    });
+
+    it('adds a new code\'s time to a current membership and leaves no expiry alone', async () => {
+        const long = (await createInvite('owner', { durationDays: 90 })).body.inviteCode;
+        assert.equal((await join('alice', long)).status, 200);
+        const before = (await repositories.groups.get('g1')).memberExpiry.alice;
+
+        const short = (await createInvite('owner', { durationDays: 7 })).body.inviteCode;
+        const res = await join('alice', short);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.message, 'Membership updated');
+
+        const after = new Date(before);
+        after.setDate(after.getDate() + 7);
+        assert.equal((await repositories.groups.get('g1')).memberExpiry.alice, after.toISOString());
+
+        // A member without an expiry keeps none
+        await repositories.groups.setMemberExpiry('g1', 'member', null);
+        const week = (await createInvite('owner', { durationDays: 7 })).body.inviteCode;
+        assert.equal((await join('member', week)).status, 200);
+        assert.equal(((await repositories.groups.get('g1')).memberExpiry || {}).member, undefined);
+    });
+
+    it('accepts unlimited invites', async () => {
+        const code = (await createInvite('owner', { maxUses: null })).body.inviteCode;
+
+        for (const uid of ['alice', 'bob', 'carol']) {
+            assert.equal((await join(uid, code)).status, 200);
+        }
+        assert.equal((await repositories.invites.get(code)).used, false);
+    });
+
+    it('rejects links past their expiry', async () => {
+        const code = (await createInvite('owner', { expiresInHours: 1 })).body.inviteCode;
+        await repositories.invites.update(code, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+        const res = await join('alice', code);
+        assert.equal(res.status, 403);
+        assert.equal(res.body.message, 'This invite link has expired.');
+    });
+
+    it('restricts redemption to allowed emails and domains', async () => {
+        const byEmail = (await createInvite('owner', { allowedEmails: 'Alice@example.test' })).body.inviteCode;
+        assert.equal((await join('bob', byEmail)).status, 403);
+        assert.equal((await join('alice', byEmail)).status, 200);
+
+        const byDomain = (await createInvite('owner', { maxUses: 5, allowedDomains: ['@example.test'] })).body.inviteCode;
+        assert.equal((await join('bob', byDomain)).status, 200);
+
+        const elsewhere = (await createInvite('owner', { allowedDomains: ['other.test'] })).body.inviteCode;
+        const res = await join('carol', elsewhere);
+        assert.equal(res.status, 403);
+        assert.equal(res.body.message, 'This invite is restricted to other email addresses.');
+    });
+
+    it('joins with the preassigned role, which only the owner may hand out as admin', async () => {
+        assert.equal((await createInvite('admin', { role: 'admin' })).status, 403);
+
+        const code = (await createInvite('owner', { role: 'admin', durationDays: 7 })).body.inviteCode;
+        assert.equal((await join('alice', code)).status, 200);
+
+        const group = await repositories.groups.get('g1');
+        assert.equal(group.roles.alice, 'admin');
+        assert.equal((group.memberExpiry || {}).alice, undefined);
+    });
+
+    it('validates invite options', async () => {
+        const attempts = await Promise.all([
+            createInvite('owner', { maxUses: 5000 }),
+            createInvite('owner', { expiresInHours: 0 }),
+            createInvite('owner', { role: 'owner' }),
+            createInvite('owner', { allowedEmails: ['not-an-email'] }),
+            createInvite('owner', { durationDays: -1 })
+        ]);
+
+        for (const res of attempts) assert.equal(res.status, 400);
+    });
+
+    it('revokes and rotates invites', async () => {
+        const code = (await createInvite('admin', { maxUses: 3, allowedDomains: 'example.test' })).body.inviteCode;
+
+        const rotated = await request('POST', `/api/groups/g1/invites/${code}/rotate`, { as: 'admin' });
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.inviteCode, code);
+        assert.equal(rotated.body.invite.maxUses, 3);
+        assert.deepEqual(rotated.body.invite.allowedDomains, ['example.test']);
+
+        assert.equal((await join('alice', code)).body.message, 'This invite has been revoked.');
+        assert.equal((await join('alice', rotated.body.inviteCode)).status, 200);
+
+        const revoked = await request('DELETE', `/api/groups/g1/invites/${rotated.body.inviteCode}`, { as: 'owner' });
+        assert.equal(revoked.status, 200);
+        assert.equal((await join('bob', rotated.body.inviteCode)).status, 403);
+
+        assert.equal((await request('DELETE', `/api/groups/g1/invites/${code}`, { as: 'member' })).status, 403);
+        assert.equal((await request('DELETE', '/api/groups/g1/invites/missing', { as: 'owner' })).status, 404);
+    });
+
+    it('lists invites with their status and redeemers', async () => {
+        const code = (await createInvite('owner')).body.inviteCode;
+        await join('alice', code);
+        await createInvite('admin', { maxUses: 10 });
+
+        const res = await request('GET', '/api/groups/g1/invites', { as: 'admin' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.invites.length, 2);
+
+        const used = res.body.invites.find(invite => invite.code === code);
+        assert.equal(used.status, 'used_up');
+        assert.equal(used.uses, 1);
+        assert.deepEqual(used.redeemedBy.map(r => [r.uid, r.email]), [['alice', 'alice@example.test']]);
+
+        const open = res.body.invites.find(invite => invite.code !== code);
+        assert.equal(open.status, 'active');
+        assert.equal(open.maxUses, 10);
+
+        // The legacy group code is only shown to the owner
+        assert.equal(res.body.legacyInviteCode, undefined);
+    });
+
+    it('rotates and disables the legacy group invite code', async () => {
+        await repositories.groups.update('g1', { inviteCode: 'legacy01' });
+
+        assert.equal((await request('POST', '/api/groups/g1/invite-code/rotate', { as: 'admin' })).status, 403);
+
+        const rotated = await request('POST', '/api/groups/g1/invite-code/rotate', { as: 'owner' });
+        assert.equal(rotated.status, 200);
+        assert.equal((await join('alice', 'legacy01')).status, 404);
+        assert.equal((await join('alice', rotated.body.inviteCode)).status, 200);
+
+        assert.equal((await request('DELETE', '/api/groups/g1/invite-code', { as: 'owner' })).status, 200);
+        assert.equal((await join('bob', rotated.body.inviteCode)).status, 404);
+    });
+});
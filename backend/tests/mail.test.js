@@ -0,0 +1,136 @@
+// tests/mail.test.js
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedUser, seedGroup, uploadPdf, repositories, startMailCapture } = require("./helpers/testApp");
+const emailNotifications = require("../services/emailNotifications");
+const violationScoring = require("../services/violationScoring");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Email notifications', () => {
+    let mailbox;
+
+    before(async () => {
+        mailbox = await startMailCapture();
+    });
+
+    after(async () => {
+        await mailbox.close();
+    });
+
+    beforeEach(async () => {
+        await resetData();
+        mailbox.clear();
+        for (const uid of ['owner', 'admin', 'member', 'other']) {
+            await seedUser(uid, { name: uid.toUpperCase() });
+        }
+        await seedGroup({ id: 'g1', owner: 'owner', admins: ['admin'], members: ['member', 'other'] });
+    });
+
+    it('emails invite links to the given addresses', async () => {
+        const res = await request('POST', '/api/groups/g1/invite', {
+            as: 'owner',
+            body: { maxUses: 2, emailTo: 'guest@example.test, member@example.test' }
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.emails.sent, ['guest@example.test', 'member@example.test']);
+
+        const messages = await mailbox.waitForMessages(2);
+        assert.deepEqual(messages.map(m => m.to[0]).sort(), ['guest@example.test', 'member@example.test']);
+        assert.equal(messages[0].subject, 'OWNER invited you to Group g1');
+        assert.ok(messages[0].body.includes(`/join/${res.body.inviteCode}`));
+    });
+
+    it('emails restricted invites to their allowed addresses, respecting opt-outs', async () => {
+        await request('PUT', '/api/auth/email-preferences', { as: 'other', body: { invites: false } });
+
+        const res = await request('POST', '/api/groups/g1/invite', {
+            as: 'owner',
+            body: { maxUses: 2, allowedEmails: ['guest@example.test', 'other@example.test'] }
+        });
+
+        assert.deepEqual(res.body.emails.sent, ['guest@example.test']);
+        assert.deepEqual(res.body.emails.skipped, ['other@example.test']);
+        assert.equal((await mailbox.waitForMessages(1)).length, 1);
+
+        const invalid = await request('POST', '/api/groups/g1/invite', { as: 'owner', body: { emailTo: ['nope'] } });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('sends one upload digest per member who can see the documents', async () => {
+        await uploadPdf('owner', 'g1', { title: 'Q1 Report' });
+        await uploadPdf('owner', 'g1', { title: 'Board Notes', access: { roles: ['admin'] } });
+        await request('PUT', '/api/auth/email-preferences', { as: 'other', body: { uploadDigest: false } });
+
+        const result = await emailNotifications.runMailJobs();
+        assert.equal(result.digests, 2);
+
+        const messages = await mailbox.waitForMessages(2);
+        const byRecipient = Object.fromEntries(messages.map(m => [m.to[0], m]));
+
+        assert.equal(byRecipient['admin@example.test'].subject, '2 new documents shared with you');
+        assert.ok(byRecipient['member@example.test'].body.includes('Q1 Report'));
+        assert.ok(!byRecipient['member@example.test'].body.includes('Board Notes'));
+        assert.equal(byRecipient['other@example.test'], undefined);
+
+        // Queues are emptied once sent
+        assert.equal((await emailNotifications.runMailJobs()).digests, 0);
+    });
+
+    it('reminds members once before their access runs out', async () => {
+        const soon = new Date(Date.now() + 2 * DAY).toISOString();
+        await repositories.groups.update('g1', { 'memberExpiry.member': soon });
+
+        assert.equal(await emailNotifications.sendExpiryReminders(), 1);
+        assert.equal(await emailNotifications.sendExpiryReminders(), 0);
+
+        const [message] = await mailbox.waitForMessages(1);
+        assert.deepEqual(message.to, ['member@example.test']);
+        assert.equal(message.subject, 'Your access to Group g1 expires soon');
+
+        // A new expiry earns a new reminder
+        await repositories.groups.update('g1', { 'memberExpiry.member': new Date(Date.now() + DAY).toISOString() });
+        assert.equal(await emailNotifications.sendExpiryReminders(), 1);
+    });
+
+    it('sends a suspension notice when an account is disabled', async () => {
+        await violationScoring.suspendUser('member', { reason: 'Repeated screenshots', groupIds: ['g1'] });
+
+        const [message] = await mailbox.waitForMessages(1);
+        assert.deepEqual(message.to, ['member@example.test']);
+        assert.equal(message.subject, 'Your account has been suspended');
+        assert.ok(message.body.includes('Repeated screenshots'));
+    });
+
+    it('manages email preferences', async () => {
+        let res = await request('GET', '/api/auth/email-preferences', { as: 'member' });
+        assert.deepEqual(res.body.preferences, { invites: true, uploadDigest: true, expiryReminders: true, accountNotices: true });
+
+        res = await request('PUT', '/api/auth/email-preferences', { as: 'member', body: { expiryReminders: false } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.preferences.expiryReminders, false);
+        assert.equal(res.body.preferences.uploadDigest, true);
+
+        const invalid = await Promise.all([
+            request('PUT', '/api/auth/email-preferences', { as: 'member', body: { marketing: true } }),
+            request('PUT', '/api/auth/email-preferences', { as: 'member', body: { invites: 'no' } })
+        ]);
+        for (const attempt of invalid) assert.equal(attempt.status, 400);
+    });
+
+    it('runs the mail job only for the cron secret', async () => {
+        process.env.CRON_SECRET = 'cron-test-secret';
+        try {
+            assert.equal((await request('GET', '/api/jobs/mail')).status, 401);
+            assert.equal((await request('GET', '/api/jobs/mail', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+            const res = await request('GET', '/api/jobs/mail', { headers: { Authorization: 'Bearer cron-test-secret' } });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body, { digests: 0, reminders: 0 });
+        } finally {
+            delete process.env.CRON_SECRET;
+        }
+    });
+});
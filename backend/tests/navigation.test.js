@@ -0,0 +1,125 @@
+// tests/navigation.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, PDFName, PDFString } = require("@cantoo/pdf-lib");
+
+const { request, resetData, seedGroup, uploadPdf, makePdf, repositories } = require("./helpers/testApp");
+
+const PAGE_HEIGHT = 792;
+
+/**
+ * Three pages with an outline, a named destination and three links on
+ * page 1: explicit, named and external
+ */
+async function makeNavigablePdf() {
+    const doc = await PDFDocument.create();
+    const pages = [1, 2, 3].map(i => {
+        const page = doc.addPage([612, PAGE_HEIGHT]);
+        page.drawText(`Page ${i}`, { x: 72, y: 700, size: 24 });
+        return page;
+    });
+    const context = doc.context;
+
+    doc.catalog.set(PDFName.of('Dests'), context.register(context.obj({ 'chapter-2': [pages[1].ref, 'XYZ', 0, 500, null] })));
+
+    const link = (rect, fields) => context.register(context.obj({ Type: 'Annot', Subtype: 'Link', Rect: rect, Border: [0, 0, 0], ...fields }));
+    pages[0].node.set(PDFName.of('Annots'), context.obj([
+        link([72, 600, 272, 620], { Dest: [pages[2].ref, 'FitH', 400] }),
+        link([72, 560, 272, 580], { Dest: PDFName.of('chapter-2') }),
+        link([72, 520, 272, 540], { A: { S: 'URI', URI: PDFString.of('https://example.com') } })
+    ]));
+
+    const [outline, intro, chapter, details] = [1, 2, 3, 4].map(() => context.nextRef());
+    context.assign(intro, context.obj({ Title: PDFString.of('Introduction'), Parent: outline, Next: chapter, Dest: [pages[0].ref, 'Fit'] }));
+    context.assign(chapter, context.obj({ Title: PDFString.of('Chapter 2'), Parent: outline, Prev: intro, First: details, Last: details, Count: 1, Dest: PDFName.of('chapter-2') }));
+    context.assign(details, context.obj({ Title: PDFString.of('Details'), Parent: chapter, Dest: [pages[2].ref, 'XYZ', 0, 300, 0] }));
+    context.assign(outline, context.obj({ Type: 'Outlines', First: intro, Last: chapter, Count: 3 }));
+    doc.catalog.set(PDFName.of('Outlines'), outline);
+
+    return Buffer.from(await doc.save());
+}
+
+function upload(buffer) {
+    const form = new FormData();
+    form.append('pdf', new Blob([buffer], { type: 'application/pdf' }), 'navigable.pdf');
+    form.append('title', 'Manual');
+    form.append('groupId', 'g1');
+    return request('POST', '/api/pdfs/upload', { as: 'owner', body: form });
+}
+
+async function metadata(pdfId) {
+    const res = await request('GET', `/api/pdfs/metadata/${pdfId}`, { as: 'member' });
+    assert.equal(res.status, 200);
+    return res.body;
+}
+
+describe('Document navigation', () => {
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+    });
+
+    it('stores the outline with resolved destinations on upload', async () => {
+        const { body: { pdf } } = await upload(await makeNavigablePdf());
+
+        const { navigation } = await metadata(pdf.id);
+
+        assert.deepEqual(navigation.outline, [
+            { title: 'Introduction', target: { page: 1, top: null }, items: [] },
+            {
+                title: 'Chapter 2',
+                target: { page: 2, top: Math.round((PAGE_HEIGHT - 500) / PAGE_HEIGHT * 10000) / 10000 },
+                items: [
+                    { title: 'Details', target: { page: 3, top: Math.round((PAGE_HEIGHT - 300) / PAGE_HEIGHT * 10000) / 10000 }, items: [] }
+                ]
+            }
+        ]);
+    });
+
+    it('keeps internal links and drops external ones', async () => {
+        const { body: { pdf } } = await upload(await makeNavigablePdf());
+
+        const { navigation } = await metadata(pdf.id);
+
+        assert.deepEqual(navigation.links.map(link => [link.page, link.target.page]), [[1, 3], [1, 2]]);
+        assert.ok(!JSON.stringify(navigation).includes('example.com'));
+
+        const [{ rect }] = navigation.links;
+        assert.equal(rect.x, Math.round(72 / 612 * 10000) / 10000);
+        assert.equal(rect.y, Math.round((PAGE_HEIGHT - 620) / PAGE_HEIGHT * 10000) / 10000);
+        assert.ok(rect.width > 0 && rect.height > 0);
+    });
+
+    it('replaces the navigation with each new version', async () => {
+        const { body: { pdf } } = await upload(await makeNavigablePdf());
+
+        const form = new FormData();
+        form.append('pdf', new Blob([await makePdf(2)], { type: 'application/pdf' }), 'v2.pdf');
+        const res = await request('POST', `/api/pdfs/${pdf.id}/versions`, { as: 'owner', body: form });
+        assert.equal(res.status, 201);
+
+        assert.deepEqual((await metadata(pdf.id)).navigation, { outline: [], links: [] });
+
+        await request('POST', `/api/pdfs/${pdf.id}/versions/1/restore`, { as: 'owner' });
+        assert.equal((await metadata(pdf.id)).navigation.outline.length, 2);
+    });
+
+    it('back-fills documents uploaded before navigation was stored', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+        const { navigation, ...legacy } = await repositories.pdfs.get(pdf.id);
+        await repositories.pdfs.set(pdf.id, legacy);
+
+        assert.deepEqual((await metadata(pdf.id)).navigation, { outline: [], links: [] });
+        assert.deepEqual((await repositories.pdfs.get(pdf.id)).navigation, { outline: [], links: [] });
+    });
+
+    it('leaves navigation out of the document list', async () => {
+        await upload(await makeNavigablePdf());
+
+        const res = await request('GET', '/api/pdfs/g1', { as: 'member' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body[0].navigation, undefined);
+    });
+});
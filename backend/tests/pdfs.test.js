@@ -0,0 +1,193 @@
+// tests/pdfs.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { request, resetData, seedGroup, uploadPdf, repositories, storageDir } = require("./helpers/testApp");
+const pdfRenderer = require("../services/pdfRenderer");
+
+describe('PDF documents', () => {
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+    });
+
+    it('uploads a PDF into the group and stores the file', async () => {
+        const res = await uploadPdf('owner', 'g1', { title: 'Quarterly Report' });
+
+        assert.equal(res.status, 201);
+        const { pdf } = res.body;
+        assert.equal(pdf.title, 'Quarterly Report');
+        assert.equal(pdf.groupId, 'g1');
+        assert.equal(pdf.uploadedBy, 'owner');
+        assert.equal(pdf.version, 1);
+        assert.equal(pdf.storageProvider, 'local');
+        assert.ok(fs.existsSync(path.join(storageDir, pdf.storageKey)));
+
+        const stored = await repositories.pdfs.get(pdf.id);
+        assert.equal(stored.title, 'Quarterly Report');
+
+        const events = await repositories.pdfEvents.listByUser('owner');
+        assert.ok(events.some(event => event.action === 'UPLOAD' && event.pdfId === pdf.id));
+    });
+
+    it('rejects uploads without a file or group', async () => {
+        const noFile = new FormData();
+        noFile.append('groupId', 'g1');
+        let res = await request('POST', '/api/pdfs/upload', { as: 'owner', body: noFile });
+        assert.equal(res.status, 400);
+
+        res = await uploadPdf('owner', 'missing-group');
+        assert.equal(res.status, 404);
+    });
+
+    it('lists the documents of a group', async () => {
+        await uploadPdf('owner', 'g1', { title: 'First' });
+        await uploadPdf('owner', 'g1', { title: 'Second' });
+
+        const res = await request('GET', '/api/pdfs/g1', { as: 'member' });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(pdf => pdf.title).sort(), ['First', 'Second']);
+    });
+
+    it('returns metadata with the resolved security policy', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+
+        const res = await request('GET', `/api/pdfs/metadata/${pdf.id}`, { as: 'member' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.id, pdf.id);
+        assert.equal(typeof res.body.securityPolicy, 'object');
+
+        const missing = await request('GET', '/api/pdfs/metadata/nope', { as: 'member' });
+        assert.equal(missing.status, 404);
+    });
+
+    it('signs an expiring URL that serves the file', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+
+        const res = await request('POST', '/api/pdfs/sign-url', { as: 'member', body: { pdfId: pdf.id } });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.generatedAt);
+
+        const signed = new URL(res.body.url);
+        const file = await request('GET', signed.pathname + signed.search);
+        assert.equal(file.status, 200);
+        assert.equal(file.headers.get('content-type'), 'application/pdf');
+        assert.equal(file.buffer.subarray(0, 5).toString(), '%PDF-');
+
+        signed.searchParams.set('signature', '0'.repeat(64));
+        const tampered = await request('GET', signed.pathname + signed.search);
+        assert.equal(tampered.status, 403);
+
+        const noId = await request('POST', '/api/pdfs/sign-url', { as: 'member', body: {} });
+        assert.equal(noId.status, 400);
+    });
+
+    it('proxies the file to members', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+
+        const res = await request('GET', `/api/pdfs/proxy/${pdf.id}`, { as: 'member' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'application/pdf');
+        assert.equal(res.headers.get('cache-control'), 'no-cache, no-store, must-revalidate');
+        assert.equal(res.buffer.subarray(0, 5).toString(), '%PDF-');
+    });
+
+    it('renders a page image for a live session and records the access', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1', { pages: 2 });
+        const sessionId = 'page-image-session';
+        const heartbeat = await request('POST', '/api/security/heartbeat', { as: 'member', body: { sessionId, pdfId: pdf.id } });
+        assert.equal(heartbeat.body.valid, true);
+
+        const res = await request('GET', `/api/pdfs/${pdf.id}/pages/2?width=400&sessionId=${sessionId}`, { as: 'member' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        assert.equal(res.buffer.subarray(1, 4).toString(), 'PNG');
+
+        const events = await repositories.pdfEvents.listByPdf(pdf.id);
+        const access = events.find(event => event.action === 'PAGE_IMAGE_ACCESS');
+        assert.ok(access);
+        assert.equal(access.userId, 'member');
+        assert.equal(access.details.page, 2);
+        assert.equal(access.details.sessionId, sessionId);
+        assert.ok(access.details.forensicMarkId);
+
+        const missing = await request('GET', `/api/pdfs/${pdf.id}/pages/3?sessionId=${sessionId}`, { as: 'member' });
+        assert.equal(missing.status, 404);
+    });
+
+    it('refuses page images without a live session of the caller', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+        const page = (as, sessionId) => request('GET', `/api/pdfs/${pdf.id}/pages/1${sessionId ? `?sessionId=${sessionId}` : ''}`, { as });
+
+        assert.equal((await page('member')).status, 400);
+        assert.equal((await page('member', 'never-registered')).status, 409);
+
+        const sessionId = 'ended-session';
+        await request('POST', '/api/security/heartbeat', { as: 'member', body: { sessionId, pdfId: pdf.id } });
+        assert.equal((await page('owner', sessionId)).status, 403);
+
+        await repositories.viewerSessions.update(sessionId, { active: false, endReason: 'superseded' });
+        const ended = await page('member', sessionId);
+        assert.equal(ended.status, 409);
+        assert.equal(ended.body.reason, 'superseded');
+    });
+
+    it('only issues personal copies when the group allows downloads', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+
+        const res = await request('POST', `/api/pdfs/${pdf.id}/download`, { as: 'member', body: { password: 'secret-password' } });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.message, 'Downloads are disabled for this group');
+    });
+
+    it('issues an encrypted copy stamped with a copy ID', async () => {
+        await repositories.groups.update('g1', { securityPolicy: { allowDownload: true } });
+        const { body: { pdf } } = await uploadPdf('owner', 'g1', { title: 'Report' });
+
+        const res = await request('POST', `/api/pdfs/${pdf.id}/download`, { as: 'member', body: { password: 'secret-password' } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'application/pdf');
+        assert.equal(res.buffer.subarray(0, 5).toString(), '%PDF-');
+        assert.ok(res.buffer.includes('/Encrypt'));
+        await assert.rejects(pdfRenderer.openDocument(res.buffer), { name: 'PasswordException' });
+
+        const events = await repositories.pdfEvents.listByPdf(pdf.id);
+        const download = events.find(event => event.action === 'DOWNLOAD_COPY');
+        assert.equal(download.userId, 'member');
+        assert.match(res.headers.get('content-disposition'), new RegExp(`Report \\(${download.details.copyId}\\)\\.pdf`));
+    });
+
+    it('rate limits personal copies', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+        const download = () => request('POST', `/api/pdfs/${pdf.id}/download`, { as: 'owner', body: { password: 'secret-password' } });
+
+        // Owners may always download; five copies a minute
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await download()).status, 200);
+        }
+        assert.equal((await download()).status, 429);
+    });
+
+    it('deletes the document, its versions and its file', async () => {
+        const { body: { pdf } } = await uploadPdf('owner', 'g1');
+
+        const res = await request('DELETE', `/api/pdfs/${pdf.id}`, { as: 'owner' });
+
+        assert.equal(res.status, 200);
+        assert.equal(await repositories.pdfs.get(pdf.id), null);
+        assert.deepEqual(await repositories.pdfVersions.find([['pdfId', '==', pdf.id]]), []);
+        assert.equal(fs.existsSync(path.join(storageDir, pdf.storageKey)), false);
+
+        const again = await request('DELETE', `/api/pdfs/${pdf.id}`, { as: 'owner' });
+        assert.equal(again.status, 404);
+    });
+});
@@ -0,0 +1,149 @@
+// tests/renewals.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Membership expiry and renewals', () => {
+    let pdfId;
+
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', admins: ['admin'], members: ['member'], expired: ['lapsed', 'lapsed2'] });
+        pdfId = (await uploadPdf('owner', 'g1')).body.pdf.id;
+    });
+
+    it('blocks lapsed members on every document route', async () => {
+        const attempts = await Promise.all([
+            request('GET', '/api/pdfs/g1', { as: 'lapsed' }),
+            request('GET', `/api/pdfs/metadata/${pdfId}`, { as: 'lapsed' }),
+            request('POST', '/api/pdfs/sign-url', { as: 'lapsed', body: { pdfId } }),
+            request('GET', `/api/pdfs/proxy/${pdfId}`, { as: 'lapsed' }),
+            request('GET', `/api/pdfs/${pdfId}/pages`, { as: 'lapsed' }),
+            request('POST', '/api/security/heartbeat', { as: 'lapsed', body: { sessionId: 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d', pdfId } })
+        ]);
+
+        for (const res of attempts) {
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'Membership expired');
+            assert.equal(res.body.membershipExpired, true);
+        }
+    });
+
+    it('shows lapsed members their membership state on the group', async () => {
+        const res = await request('GET', '/api/groups/g1', { as: 'lapsed' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.membership.role, 'member');
+        assert.equal(res.body.membership.expired, true);
+        assert.equal(res.body.membership.renewalRequest, null);
+    });
+
+    it('extends an expiry from now once it has lapsed, and from the old date otherwise', async () => {
+        let res = await request('PUT', '/api/groups/g1/members/lapsed/expiry', { as: 'owner', body: { days: 10 } });
+        assert.equal(res.status, 200);
+        const fromNow = new Date(res.body.expiresAt).getTime() - Date.now();
+        assert.ok(fromNow > 9.9 * DAY && fromNow <= 10 * DAY);
+
+        res = await request('PUT', '/api/groups/g1/members/lapsed/expiry', { as: 'owner', body: { days: 5 } });
+        const fromNowAgain = new Date(res.body.expiresAt).getTime() - Date.now();
+        assert.ok(fromNowAgain > 14.9 * DAY && fromNowAgain <= 15 * DAY);
+
+        res = await request('GET', `/api/pdfs/proxy/${pdfId}`, { as: 'lapsed' });
+        assert.equal(res.status, 200);
+
+        const notifications = await repositories.notifications.find([['userId', '==', 'lapsed']]);
+        assert.ok(notifications.some(n => n.type === 'MEMBERSHIP_EXTENDED'));
+    });
+
+    it('removes an expiry and rejects bad extensions', async () => {
+        let res = await request('PUT', '/api/groups/g1/members/lapsed/expiry', { as: 'owner', body: { expiresAt: null } });
+        assert.equal(res.status, 200);
+        assert.equal((await repositories.groups.get('g1')).memberExpiry.lapsed, undefined);
+
+        res = await request('PUT', '/api/groups/g1/members/member/expiry', { as: 'owner', body: { days: 0 } });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', '/api/groups/g1/members/member/expiry', { as: 'owner', body: { expiresAt: '2000-01-01' } });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', '/api/groups/g1/members/admin/expiry', { as: 'owner', body: { days: 5 } });
+        assert.equal(res.status, 400);
+
+        res = await request('PUT', '/api/groups/g1/members/stranger/expiry', { as: 'owner', body: { days: 5 } });
+        assert.equal(res.status, 404);
+    });
+
+    it('bulk-extends members and skips owners, admins and outsiders', async () => {
+        const res = await request('POST', '/api/groups/g1/members/extend', {
+            as: 'owner',
+            body: { memberIds: ['lapsed', 'lapsed2', 'admin', 'stranger'], days: 30 }
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.updated.map(u => u.uid).sort(), ['lapsed', 'lapsed2']);
+        assert.deepEqual(res.body.skipped.sort(), ['admin', 'stranger']);
+
+        for (const uid of ['lapsed', 'lapsed2']) {
+            assert.equal((await request('GET', '/api/pdfs/g1', { as: uid })).status, 200);
+        }
+    });
+
+    it('lets a lapsed member request a renewal that the owner approves', async () => {
+        let res = await request('POST', '/api/groups/g1/renewal-requests', { as: 'lapsed', body: { message: 'Still on the project' } });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.request.status, 'pending');
+
+        res = await request('POST', '/api/groups/g1/renewal-requests', { as: 'lapsed', body: {} });
+        assert.equal(res.status, 409);
+
+        const ownerNotes = await repositories.notifications.find([['userId', '==', 'owner']]);
+        assert.ok(ownerNotes.some(n => n.type === 'RENEWAL_REQUESTED'));
+
+        res = await request('GET', '/api/groups/g1/renewal-requests', { as: 'owner' });
+        assert.deepEqual(res.body.map(r => r.userId), ['lapsed']);
+        assert.equal(res.body[0].message, 'Still on the project');
+
+        res = await request('POST', '/api/groups/g1/renewal-requests/lapsed/approve', { as: 'owner', body: {} });
+        assert.equal(res.status, 400);
+
+        res = await request('POST', '/api/groups/g1/renewal-requests/lapsed/approve', { as: 'owner', body: { days: 7 } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'approved');
+
+        assert.equal((await request('GET', `/api/pdfs/metadata/${pdfId}`, { as: 'lapsed' })).status, 200);
+        assert.deepEqual((await request('GET', '/api/groups/g1/renewal-requests', { as: 'owner' })).body, []);
+
+        const group = await request('GET', '/api/groups/g1', { as: 'lapsed' });
+        assert.equal(group.body.membership.expired, false);
+        assert.equal(group.body.membership.renewalRequest.status, 'approved');
+    });
+
+    it('lets the owner deny a renewal', async () => {
+        await request('POST', '/api/groups/g1/renewal-requests', { as: 'lapsed', body: {} });
+
+        let res = await request('POST', '/api/groups/g1/renewal-requests/lapsed/deny', { as: 'owner' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'denied');
+        assert.equal((await request('GET', '/api/pdfs/g1', { as: 'lapsed' })).status, 403);
+
+        res = await request('POST', '/api/groups/g1/renewal-requests/lapsed/deny', { as: 'owner' });
+        assert.equal(res.status, 404);
+
+        // A denied request can be followed by a new one
+        res = await request('POST', '/api/groups/g1/renewal-requests', { as: 'lapsed', body: {} });
+        assert.equal(res.status, 201);
+    });
+
+    it('closes a pending request when the owner extends directly', async () => {
+        await request('POST', '/api/groups/g1/renewal-requests', { as: 'lapsed', body: {} });
+        await request('PUT', '/api/groups/g1/members/lapsed/expiry', { as: 'owner', body: { days: 3 } });
+
+        const stored = await repositories.renewalRequests.get('g1_lapsed');
+        assert.equal(stored.status, 'approved');
+        assert.equal(stored.resolvedBy, 'owner');
+    });
+});
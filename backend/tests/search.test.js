@@ -0,0 +1,82 @@
+// tests/search.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+// Test pages are 612 x 792 points with "Page N" in 24pt Helvetica at (72, 700)
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+function search(pdfId, q, as = 'member') {
+    return request('GET', `/api/pdfs/${pdfId}/search?q=${encodeURIComponent(q)}`, { as });
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 0.005, `${message}: ${actual} is not close to ${expected}`);
+}
+
+describe('Document search', () => {
+    let pdfId;
+
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+        pdfId = (await uploadPdf('owner', 'g1', { title: 'Handbook', pages: 3 })).body.pdf.id;
+    });
+
+    it('returns pages and highlight rectangles without the text', async () => {
+        const res = await search(pdfId, 'PAGE  2');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.total, 1);
+        assert.equal(res.body.truncated, false);
+
+        const [hit] = res.body.hits;
+        assert.equal(hit.page, 2);
+        assert.equal(hit.rects.length, 1);
+
+        const [rect] = hit.rects;
+        assertClose(rect.x, 72 / PAGE_WIDTH, 'x');
+        assertClose(rect.y, (PAGE_HEIGHT - 700 - 0.85 * 24) / PAGE_HEIGHT, 'y');
+        assertClose(rect.height, (1.05 * 24) / PAGE_HEIGHT, 'height');
+        assert.ok(rect.width > 0.1 && rect.width < 0.15, `width ${rect.width}`);
+
+        assert.doesNotMatch(JSON.stringify(res.body), /Page \d/, 'response contains document text');
+    });
+
+    it('highlights only the matched part of a text run', async () => {
+        const res = await search(pdfId, 'age');
+
+        assert.deepEqual(res.body.hits.map(hit => hit.page), [1, 2, 3]);
+
+        const [rect] = res.body.hits[0].rects;
+        assert.ok(rect.x > 72 / PAGE_WIDTH, 'starts after the "P"');
+        assert.ok(rect.width < 0.1, `width ${rect.width}`);
+    });
+
+    it('finds nothing for text that is not in the document', async () => {
+        const res = await search(pdfId, 'appendix');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { total: 0, truncated: false, hits: [] });
+    });
+
+    it('rejects queries that are too short or too long', async () => {
+        assert.equal((await search(pdfId, ' a ')).status, 400);
+        assert.equal((await search(pdfId, 'x'.repeat(101))).status, 400);
+    });
+
+    it('logs the search for the audit trail', async () => {
+        await search(pdfId, 'Page');
+
+        const events = await repositories.pdfEvents.listByPdf(pdfId);
+        const event = events.find(e => e.action === 'SEARCH');
+
+        assert.ok(event, 'SEARCH event');
+        assert.equal(event.userId, 'member');
+        assert.deepEqual(event.details, { query: 'page', hits: 3 });
+        assert.ok(event.chainId, 'appended to the audit chain');
+    });
+});
@@ -0,0 +1,80 @@
+// tests/sessions.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+const sessionRegistry = require("../services/sessionRegistry");
+
+describe('Viewer sessions', () => {
+    let pdfId;
+
+    function heartbeat(sessionId, as = 'member') {
+        return request('POST', '/api/security/heartbeat', { as, body: { sessionId, pdfId } });
+    }
+
+    async function usePolicy(policy) {
+        await repositories.groups.update('g1', { securityPolicy: policy });
+    }
+
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+        pdfId = (await uploadPdf('owner', 'g1')).body.pdf.id;
+    });
+
+    it('lets the newest session take over in takeover mode', async () => {
+        await usePolicy({ sessionMode: 'takeover', maxConcurrentSessions: 1 });
+
+        assert.equal((await heartbeat('first-tab')).body.valid, true);
+        assert.equal((await heartbeat('second-tab')).body.valid, true);
+
+        const res = await heartbeat('first-tab');
+        assert.equal(res.status, 200);
+        assert.deepEqual([res.body.valid, res.body.reason], [false, 'superseded']);
+        assert.equal((await repositories.viewerSessions.get('first-tab')).supersededBy, 'second-tab');
+        assert.equal((await heartbeat('second-tab')).body.valid, true);
+    });
+
+    it('refuses sessions beyond the limit in limit mode', async () => {
+        await usePolicy({ sessionMode: 'limit', maxConcurrentSessions: 2 });
+
+        assert.equal((await heartbeat('first-tab')).body.valid, true);
+        assert.equal((await heartbeat('second-tab')).body.valid, true);
+
+        const res = await heartbeat('third-tab');
+        assert.deepEqual([res.body.valid, res.body.reason], [false, 'session_limit_reached']);
+        assert.equal(await repositories.viewerSessions.get('third-tab'), null);
+
+        // Ending one makes room again
+        await request('POST', '/api/security/end-session', { as: 'member', body: { sessionId: 'first-tab' } });
+        assert.equal((await heartbeat('third-tab')).body.valid, true);
+    });
+
+    it('rejects heartbeats of ended sessions', async () => {
+        assert.equal((await heartbeat('viewer-tab')).body.valid, true);
+
+        const terminated = await request('DELETE', '/api/security/groups/g1/sessions/viewer-tab', { as: 'owner' });
+        assert.equal(terminated.status, 200);
+
+        const res = await heartbeat('viewer-tab');
+        assert.deepEqual([res.body.valid, res.body.reason], [false, 'terminated_by_owner']);
+
+        // Someone else's session id is never adopted
+        assert.equal((await heartbeat('other-tab', 'owner')).body.valid, true);
+        assert.equal((await heartbeat('other-tab')).body.reason, 'session_owner_mismatch');
+    });
+
+    it('retires stale sessions so they no longer count', async () => {
+        await usePolicy({ sessionMode: 'limit', maxConcurrentSessions: 1 });
+        assert.equal((await heartbeat('stale-tab')).body.valid, true);
+
+        const stale = new Date(Date.now() - sessionRegistry.SESSION_TIMEOUT - 1000).toISOString();
+        await repositories.viewerSessions.update('stale-tab', { lastHeartbeat: stale });
+
+        assert.equal((await heartbeat('fresh-tab')).body.valid, true);
+        const old = await repositories.viewerSessions.get('stale-tab');
+        assert.deepEqual([old.active, old.endReason], [false, 'session_timeout']);
+        assert.equal((await heartbeat('stale-tab')).body.reason, 'session_timeout');
+    });
+});
@@ -0,0 +1,89 @@
+// tests/violations.test.js
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { request, resetData, seedGroup, uploadPdf, repositories } = require("./helpers/testApp");
+
+const SESSION_ID = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+
+function violation(as, pdfId, type = 'DEVTOOLS_DETECTED') {
+    return request('POST', '/api/security/log-event', { as, body: { type, pdfId, sessionId: SESSION_ID } });
+}
+
+describe('Violation scoring', () => {
+    let pdfId;
+
+    beforeEach(async () => {
+        await resetData();
+        await seedGroup({ id: 'g1', owner: 'owner', members: ['member'] });
+        await seedGroup({ id: 'g2', owner: 'other-owner', members: ['member'] });
+        pdfId = (await uploadPdf('owner', 'g1')).body.pdf.id;
+    });
+
+    it('suspends at the threshold and only lets owners of the offending group reinstate', async () => {
+        assert.equal((await violation('member', pdfId)).body.suspended, false);
+        assert.equal((await violation('member', pdfId)).body.suspended, false);
+        assert.equal((await violation('member', pdfId)).body.suspended, true);
+        assert.equal((await repositories.users.get('member')).disabled, true);
+
+        // The appeal goes to the owners who can act on it
+        assert.equal((await request('POST', '/api/security/appeal', { as: 'member', body: { message: 'It was a mistake' } })).status, 201);
+        const appeals = await repositories.notifications.find([['type', '==', 'SUSPENSION_APPEAL']]);
+        assert.deepEqual(appeals.map(n => n.userId), ['owner']);
+
+        const elsewhere = await request('GET', '/api/security/groups/g2/suspensions', { as: 'other-owner' });
+        assert.equal(elsewhere.body[0].reinstatable, false);
+        const refused = await request('POST', '/api/security/groups/g2/members/member/reinstate', { as: 'other-owner' });
+        assert.equal(refused.status, 403);
+        assert.equal((await repositories.users.get('member')).disabled, true);
+
+        const here = await request('GET', '/api/security/groups/g1/suspensions', { as: 'owner' });
+        assert.equal(here.body[0].reinstatable, true);
+        const res = await request('POST', '/api/security/groups/g1/members/member/reinstate', { as: 'owner' });
+        assert.equal(res.status, 200);
+        assert.equal((await repositories.users.get('member')).disabled, false);
+        assert.equal((await repositories.violationScores.get('member')).score, 0);
+    });
+
+    it('applies each group\'s threshold to the violations in that group', async () => {
+        await repositories.groups.update('g2', { securityPolicy: { violationThreshold: 20 } });
+        const strictPdfId = (await uploadPdf('other-owner', 'g2')).body.pdf.id;
+
+        await violation('member', pdfId);
+        await violation('member', pdfId);
+
+        // 80 points in g1 do not count towards g2's stricter threshold
+        let res = await violation('member', strictPdfId, 'COPY_BLOCKED');
+        assert.equal(res.body.suspended, false);
+
+        res = await violation('member', strictPdfId, 'PRINTSCREEN_BLOCKED');
+        assert.equal(res.body.suspended, true);
+        assert.match((await repositories.users.get('member')).disabledReason, /score 29 exceeded 20/);
+    });
+
+    it('suspends on the overall score when violations are spread over groups', async () => {
+        const otherPdfId = (await uploadPdf('other-owner', 'g2')).body.pdf.id;
+
+        await violation('member', pdfId);
+        assert.equal((await violation('member', pdfId)).body.suspended, false);
+
+        // 25 points in g2 stay under its threshold, but 105 in total do not
+        const res = await violation('member', otherPdfId, 'PRINTSCREEN_BLOCKED');
+        assert.equal(res.body.suspended, true);
+        assert.match((await repositories.users.get('member')).disabledReason, /overall violation score 105 exceeded 100/);
+    });
+
+    it('does not tie a group to violations still inside their grace count', async () => {
+        const otherPdfId = (await uploadPdf('other-owner', 'g2')).body.pdf.id;
+
+        // FOCUS_LOST is free for its first five occurrences
+        for (let i = 0; i < 5; i++) await violation('member', otherPdfId, 'FOCUS_LOST');
+        for (let i = 0; i < 3; i++) await violation('member', pdfId);
+        assert.equal((await repositories.users.get('member')).disabled, true);
+
+        assert.deepEqual(Object.keys((await repositories.violationScores.get('member')).groups), ['g1']);
+        const res = await request('POST', '/api/security/groups/g2/members/member/reinstate', { as: 'other-owner' });
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,246 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { pdfId: '', userId: '', action: '', from: '', to: '' };
+
+// Readable label for an event action, e.g. PDF_PROXY_ACCESS -> "Pdf proxy access"
+const actionLabel = (action) => {
+    const words = action.toLowerCase().replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Query parameters for the current filters; date inputs cover whole days
+const toParams = (filters) => {
+    const params = {};
+    if (filters.pdfId) params.pdfId = filters.pdfId;
+    if (filters.userId) params.userId = filters.userId;
+    if (filters.action) params.action = filters.action;
+    if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+    if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+    return params;
+};
+
+/**
+ * ActivityLog Component
+ *
+ * Owner-only audit log of the group: who opened, downloaded or changed
+ * which document and when, with filters, paging, CSV/JSON export and a
+ * check of the log's hash chain.
+ */
+const ActivityLog = ({ groupId, currentUser, pdfs, members }) => {
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ events: [], total: 0, actions: [] });
+    const [loading, setLoading] = useState(false);
+    const [exporting, setExporting] = useState(null);
+    const [verification, setVerification] = useState(null);
+    const [verifying, setVerifying] = useState(false);
+
+    const fetchEvents = useCallback(async () => {
+        setLoading(true);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${API_BASE}/api/audit/groups/${groupId}`, {
+                params: { ...toParams(filters), page, pageSize: PAGE_SIZE },
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setResult(res.data);
+        } catch (error) {
+            console.error('Error fetching activity', error);
+            alert(error.response?.data?.message || 'Failed to load activity');
+        } finally {
+            setLoading(false);
+        }
+    }, [groupId, currentUser, filters, page]);
+
+    useEffect(() => {
+        fetchEvents();
+    }, [fetchEvents]);
+
+    const setFilter = (field, value) => {
+        setFilters(prev => ({ ...prev, [field]: value }));
+        setPage(1);
+    };
+
+    const handleExport = async (format) => {
+        setExporting(format);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${API_BASE}/api/audit/groups/${groupId}/export`, {
+                params: { ...toParams(filters), format },
+                headers: { Authorization: `Bearer ${token}` },
+                responseType: 'blob'
+            });
+
+            const url = URL.createObjectURL(res.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `audit-${groupId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting activity', error);
+            alert('Failed to export activity');
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    const handleVerify = async () => {
+        setVerifying(true);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${API_BASE}/api/audit/groups/${groupId}/verify`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setVerification(res.data);
+        } catch (error) {
+            console.error('Error verifying activity', error);
+            alert('Failed to verify activity log');
+        } finally {
+            setVerifying(false);
+        }
+    };
+
+    const pageCount = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+    const inputClass = 'px-2 py-1.5 bg-white border border-slate-200 rounded-lg text-xs font-medium text-slate-700 outline-none focus:border-indigo-500';
+
+    return (
+        <div className="bg-white/60 backdrop-blur-xl p-5 rounded-3xl border border-white/60 shadow-xl shadow-slate-200/40">
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                <select value={filters.pdfId} onChange={(e) => setFilter('pdfId', e.target.value)} className={inputClass}>
+                    <option value="">All documents</option>
+                    {pdfs.map((pdf) => (
+                        <option key={pdf.id} value={pdf.id}>{pdf.title}</option>
+                    ))}
+                </select>
+                <select value={filters.userId} onChange={(e) => setFilter('userId', e.target.value)} className={inputClass}>
+                    <option value="">All people</option>
+                    {members.map((member) => (
+                        <option key={member.uid} value={member.uid}>{member.name || member.email}</option>
+                    ))}
+                </select>
+                <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className={inputClass}>
+                    <option value="">All actions</option>
+                    {result.actions.map((action) => (
+                        <option key={action} value={action}>{actionLabel(action)}</option>
+                    ))}
+                </select>
+                <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={inputClass} title="From" />
+                <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={inputClass} title="To" />
+                {Object.values(filters).some(Boolean) && (
+                    <button
+                        onClick={() => { setFilters(EMPTY_FILTERS); setPage(1); }}
+                        className="text-xs font-bold text-slate-400 hover:text-slate-600 transition-colors"
+                    >
+                        Clear
+                    </button>
+                )}
+                <div className="ml-auto flex gap-1">
+                    <button
+                        onClick={handleVerify}
+                        disabled={verifying}
+                        className="px-3 py-1.5 text-[10px] font-bold uppercase text-slate-600 bg-slate-100 hover:bg-slate-200 rounded-lg transition-all disabled:opacity-50"
+                    >
+                        {verifying ? 'Verifying...' : 'Verify integrity'}
+                    </button>
+                    {['csv', 'json'].map((format) => (
+                        <button
+                            key={format}
+                            onClick={() => handleExport(format)}
+                            disabled={exporting !== null}
+                            className="px-3 py-1.5 text-[10px] font-bold uppercase text-indigo-600 bg-indigo-50 hover:bg-indigo-100 rounded-lg transition-all disabled:opacity-50"
+                        >
+                            {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {verification && (
+                <div className={`mb-4 px-4 py-3 rounded-xl text-xs ${verification.intact ? 'bg-emerald-50 text-emerald-700' : 'bg-rose-50 text-rose-700'}`}>
+                    <p className="font-bold">
+                        {verification.intact
+                            ? `All ${verification.length} logged events are intact.`
+                            : `${verification.issues.length} problem(s) found in ${verification.length} logged events.`}
+                        {verification.lastCheckpoint && ` Last signed checkpoint: event #${verification.lastCheckpoint.seq}, ${new Date(verification.lastCheckpoint.createdAt).toLocaleString()}.`}
+                    </p>
+                    {verification.unchained > 0 && (
+                        <p className="mt-1 opacity-80">{verification.unchained} older event(s) were logged before integrity protection and cannot be verified.</p>
+                    )}
+                    {verification.issues.slice(0, 10).map((issue, index) => (
+                        <p key={index} className="mt-1 font-mono">
+                            #{issue.seq} {issue.type}{issue.reason ? ` (${issue.reason})` : ''}
+                        </p>
+                    ))}
+                </div>
+            )}
+
+            {result.events.length === 0 ? (
+                <p className="text-sm text-slate-400 text-center py-10">
+                    {loading ? 'Loading activity...' : 'No activity matches these filters.'}
+                </p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-xs text-left">
+                        <thead>
+                            <tr className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">
+                                <th className="py-2 pr-3">When</th>
+                                <th className="py-2 pr-3">Who</th>
+                                <th className="py-2 pr-3">Action</th>
+                                <th className="py-2 pr-3">Document</th>
+                            </tr>
+                        </thead>
+                        <tbody className={loading ? 'opacity-50' : ''}>
+                            {result.events.map((event) => (
+                                <tr key={event.id} className="border-t border-slate-100">
+                                    <td className="py-2 pr-3 text-slate-500 whitespace-nowrap">{new Date(event.timestamp).toLocaleString()}</td>
+                                    <td className="py-2 pr-3">
+                                        <p className="font-bold text-slate-800">{event.userName || event.userId}</p>
+                                        {event.userEmail && <p className="text-[10px] text-slate-400">{event.userEmail}</p>}
+                                    </td>
+                                    <td className="py-2 pr-3">
+                                        <span className="px-2 py-0.5 rounded-md bg-slate-100 text-slate-600 font-bold text-[10px] uppercase whitespace-nowrap">
+                                            {actionLabel(event.action)}
+                                        </span>
+                                    </td>
+                                    <td className="py-2 pr-3 text-slate-600 truncate max-w-[200px]" title={event.pdfTitle || ''}>
+                                        {event.pdfTitle || (event.pdfId ? event.pdfId : '—')}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="flex items-center justify-between mt-4 text-xs text-slate-500">
+                <span>{result.total} event{result.total === 1 ? '' : 's'}</span>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={() => setPage(page - 1)}
+                        disabled={page <= 1 || loading}
+                        className="px-2 py-1 font-bold text-slate-600 bg-slate-100 hover:bg-slate-200 rounded-lg transition-all disabled:opacity-40"
+                    >
+                        Previous
+                    </button>
+                    <span>Page {page} of {pageCount}</span>
+                    <button
+                        onClick={() => setPage(page + 1)}
+                        disabled={page >= pageCount || loading}
+                        className="px-2 py-1 font-bold text-slate-600 bg-slate-100 hover:bg-slate-200 rounded-lg transition-all disabled:opacity-40"
+                    >
+                        Next
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ActivityLog;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { rotateRect } from '../hooks/usePageLayout';
+import { ANNOTATION_COLORS } from '../hooks/useAnnotations';
+import { useRegionDrag, pointOf } from '../hooks/useRegionDrag';
+
+/**
+ * AnnotationLayer Component
+ *
+ * The reader's own highlights and notes on one page, drawn over the
+ * canvas, and the drawing surface for new ones:
+ * - tool 'highlight': drag a box over the passage
+ * - tool 'note': click where the note belongs, then type it
+ *
+ * Positions are kept as fractions of the upright page, so they follow
+ * zoom and rotation (`rotation` is the user's rotation of the page).
+ *
+ * @param {Object[]} annotations - this page's annotations
+ * @param {Function} onCreate - called with { type, rects, note? } in upright fractions
+ */
+const AnnotationLayer = ({ annotations = [], rotation = 0, tool = null, selectedId, onSelect, onCreate }) => {
+    const [pendingNote, setPendingNote] = useState(null);
+    const [noteText, setNoteText] = useState('');
+
+    const toUpright = (rect) => rotateRect(rect, (360 - rotation) % 360);
+
+    const drag = useRegionDrag((rect) => onCreate({ type: 'highlight', rects: [toUpright(rect)] }));
+
+    const handlePointerDown = (e) => {
+        if (tool === 'note') {
+            setPendingNote(pointOf(e));
+            setNoteText('');
+            return;
+        }
+        drag.start(e);
+    };
+
+    const saveNote = (e) => {
+        e.preventDefault();
+        if (!noteText.trim()) return;
+
+        onCreate({ type: 'note', rects: [toUpright({ ...pendingNote, width: 0, height: 0 })], note: noteText });
+        setPendingNote(null);
+    };
+
+    const percent = ({ x, y, width, height }) => ({
+        left: `${x * 100}%`,
+        top: `${y * 100}%`,
+        width: `${width * 100}%`,
+        height: `${height * 100}%`
+    });
+
+    return (
+        <div className="absolute inset-0 pointer-events-none" style={{ zIndex: tool ? 7 : 4 }}>
+            {annotations.map(annotation => {
+                const colors = ANNOTATION_COLORS[annotation.color] || ANNOTATION_COLORS.yellow;
+                const selected = annotation.id === selectedId;
+
+                if (annotation.type === 'note') {
+                    const { x, y } = rotateRect(annotation.rects[0], rotation);
+                    return (
+                        <button
+                            key={annotation.id}
+                            onClick={() => onSelect(annotation.id)}
+                            className={`interactive-element absolute -translate-x-1/2 -translate-y-1/2 w-6 h-6 rounded-full shadow flex items-center justify-center text-xs text-gray-900 ${colors.swatch} ${selected ? 'ring-2 ring-indigo-500' : ''}`}
+                            style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                            title="Open note"
+                        >
+                            ✎
+                        </button>
+                    );
+                }
+
+                return annotation.rects.map((rect, i) => (
+                    <div
+                        key={`${annotation.id}-${i}`}
+                        onClick={() => onSelect(annotation.id)}
+                        className={`${tool ? '' : 'interactive-element cursor-pointer'} absolute rounded-sm mix-blend-multiply ${colors.fill} ${selected ? 'ring-2 ring-indigo-500' : ''}`}
+                        style={percent(rotateRect(rect, rotation))}
+                    />
+                ));
+            })}
+
+            {/* Drawing surface while a tool is active */}
+            {tool && (
+                <div
+                    className="interactive-element absolute inset-0 cursor-crosshair touch-none"
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={drag.move}
+                    onPointerUp={drag.end}
+                    onPointerCancel={drag.cancel}
+                >
+                    {drag.region && (
+                        <div
+                            className="absolute rounded-sm bg-yellow-300/40 border border-yellow-500"
+                            style={percent(drag.region)}
+                        />
+                    )}
+                </div>
+            )}
+
+            {pendingNote && (
+                <form
+                    onSubmit={saveNote}
+                    className="interactive-element absolute w-56 p-2 bg-gray-900 border border-gray-600 rounded-lg shadow-xl"
+                    style={{ left: `${Math.min(pendingNote.x * 100, 60)}%`, top: `${Math.min(pendingNote.y * 100, 75)}%` }}
+                >
+                    <textarea
+                        autoFocus
+                        value={noteText}
+                        onChange={(e) => setNoteText(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Escape') setPendingNote(null); }}
+                        maxLength={2000}
+                        rows={3}
+                        placeholder="Write a note..."
+                        className="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-white outline-none focus:border-blue-500 resize-none"
+                    />
+                    <div className="flex justify-end gap-2 mt-2">
+                        <button type="button" onClick={() => setPendingNote(null)} className="px-2 py-1 text-xs text-gray-400 hover:text-white">
+                            Cancel
+                        </button>
+                        <button type="submit" disabled={!noteText.trim()} className="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded">
+                            Save note
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default AnnotationLayer;
@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import React from 'react';
+
+const formatRemaining = (ms) => {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    const days = Math.floor(minutes / (60 * 24));
+    const hours = Math.floor((minutes % (60 * 24)) / 60);
+    const mins = minutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${mins}m`;
+    return `${mins}m`;
+};
+
+/**
+ * AvailabilityCountdown Component
+ *
+ * Badge for a document's availability as reported by the list endpoint:
+ * "Available in 2h 5m" while scheduled or outside viewing hours,
+ * "Expired" once archived. Calls `onAvailable` when the countdown ends.
+ */
+const AvailabilityCountdown = ({ availability, onAvailable }) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    const opensAt = availability?.availableAt ? new Date(availability.availableAt).getTime() : null;
+
+    useEffect(() => {
+        if (!opensAt) return;
+        const interval = setInterval(() => setNow(Date.now()), 30000);
+        const timeout = setTimeout(() => onAvailable && onAvailable(), Math.max(0, opensAt - Date.now()) + 1000);
+        return () => {
+            clearInterval(interval);
+            clearTimeout(timeout);
+        };
+    }, [opensAt, onAvailable]);
+
+    if (!availability || availability.status === 'available') return null;
+
+    if (availability.status === 'expired') {
+        return <span className="px-2 py-0.5 bg-red-50 rounded text-red-500">Expired</span>;
+    }
+
+    return (
+        <span
+            className="px-2 py-0.5 bg-amber-50 rounded text-amber-600"
+            title={`Available from ${new Date(availability.availableAt).toLocaleString()}`}
+        >
+            Available in {formatRemaining(opensAt - now)}
+        </span>
+    );
+};
+
+export default AvailabilityCountdown;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { rotateRect } from '../hooks/usePageLayout';
+import { useRegionDrag } from '../hooks/useRegionDrag';
+
+const percent = ({ x, y, width, height }) => ({
+    left: `${x * 100}%`,
+    top: `${y * 100}%`,
+    width: `${width * 100}%`,
+    height: `${height * 100}%`
+});
+
+/**
+ * CommentLayer Component
+ *
+ * Discussion pins on one page: threads about a region are outlined and
+ * pinned at its corner, threads about the whole page are stacked in the
+ * page's top right corner. While `picking`, dragging over the page picks
+ * the region for a new thread.
+ *
+ * @param {Object[]} threads - this page's threads
+ * @param {Function} onPick - called with the region in upright fractions
+ */
+const CommentLayer = ({ threads = [], rotation = 0, selectedId, picking = false, onSelect, onPick }) => {
+    const drag = useRegionDrag((rect) => onPick(rotateRect(rect, (360 - rotation) % 360)));
+
+    if (threads.length === 0 && !picking) return null;
+
+    const pageThreads = threads.filter(thread => !thread.rect);
+
+    const pin = (thread, style) => (
+        <button
+            key={thread.id}
+            onClick={() => onSelect(thread.id)}
+            className={`interactive-element absolute w-6 h-6 rounded-full rounded-bl-none shadow flex items-center justify-center text-[10px] font-bold text-white ${thread.resolved ? 'bg-gray-500/80' : 'bg-indigo-600'} ${thread.id === selectedId ? 'ring-2 ring-amber-400' : ''}`}
+            style={style}
+            title={thread.resolved ? 'Resolved discussion' : 'Open discussion'}
+        >
+            {1 + thread.replies.length}
+        </button>
+    );
+
+    return (
+        <div className="absolute inset-0 pointer-events-none" style={{ zIndex: picking ? 8 : 6 }}>
+            {threads.filter(thread => thread.rect).map(thread => {
+                const rect = rotateRect(thread.rect, rotation);
+                return (
+                    <React.Fragment key={thread.id}>
+                        <div
+                            className={`absolute rounded-sm border-2 border-dashed ${thread.id === selectedId ? 'border-amber-400 bg-amber-300/10' : 'border-indigo-400/50'}`}
+                            style={percent(rect)}
+                        />
+                        {pin(thread, { left: `${(rect.x + rect.width) * 100}%`, top: `${rect.y * 100}%`, transform: 'translate(-50%, -100%)' })}
+                    </React.Fragment>
+                );
+            })}
+
+            {pageThreads.map((thread, i) => pin(thread, { right: 8, top: 8 + i * 30 }))}
+
+            {/* Region picking for a new thread */}
+            {picking && (
+                <div
+                    className="interactive-element absolute inset-0 cursor-crosshair touch-none"
+                    onPointerDown={drag.start}
+                    onPointerMove={drag.move}
+                    onPointerUp={drag.end}
+                    onPointerCancel={drag.cancel}
+                >
+                    {drag.region && (
+                        <div className="absolute rounded-sm border-2 border-dashed border-indigo-500 bg-indigo-400/10" style={percent(drag.region)} />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CommentLayer;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isUnread } from '../hooks/useComments';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * Comment text with its @mentions picked out
+ */
+const renderBody = (comment) => {
+    const names = (comment.mentions || []).map(mention => `@${mention.name}`);
+    if (names.length === 0) return comment.body;
+
+    const pattern = new RegExp(`(${names.map(escapeRegExp).join('|')})`);
+    return comment.body.split(pattern).map((part, i) => (
+        names.includes(part) ? <span key={i} className="font-medium text-indigo-300">{part}</span> : part
+    ));
+};
+
+/**
+ * Text box with a mention picker, for new threads, replies and edits.
+ * Only people still named in the text (as @Name) are sent as mentions.
+ */
+const Composer = ({ participants, initialBody = '', initialMentions = [], placeholder, submitLabel, onSubmit, onCancel }) => {
+    const [body, setBody] = useState(initialBody);
+    const [mentions, setMentions] = useState(initialMentions);
+    const [sending, setSending] = useState(false);
+
+    const addMention = (uid) => {
+        const participant = participants.find(p => p.uid === uid);
+        if (!participant) return;
+
+        setBody(prev => `${prev}${prev && !prev.endsWith(' ') ? ' ' : ''}@${participant.name} `);
+        if (!mentions.some(m => m.uid === uid)) setMentions([...mentions, participant]);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!body.trim()) return;
+
+        setSending(true);
+        const sent = await onSubmit({
+            body,
+            mentions: mentions.filter(m => body.includes(`@${m.name}`)).map(m => m.uid)
+        });
+        setSending(false);
+        if (sent) setBody('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2">
+            <textarea
+                autoFocus
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Escape' && onCancel) onCancel(); }}
+                maxLength={5000}
+                rows={3}
+                placeholder={placeholder}
+                className="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-white outline-none focus:border-blue-500 resize-none"
+            />
+            <div className="flex items-center gap-2 mt-1">
+                {participants.length > 0 && (
+                    <select
+                        value=""
+                        onChange={(e) => addMention(e.target.value)}
+                        className="min-w-0 flex-1 bg-gray-800 border border-gray-600 rounded px-1 py-1 text-xs text-gray-300 outline-none"
+                        title="Mention someone"
+                    >
+                        <option value="">@ Mention…</option>
+                        {participants.map(p => <option key={p.uid} value={p.uid}>{p.name}</option>)}
+                    </select>
+                )}
+                {onCancel && (
+                    <button type="button" onClick={onCancel} className="ml-auto px-2 py-1 text-xs text-gray-400 hover:text-white">
+                        Cancel
+                    </button>
+                )}
+                <button
+                    type="submit"
+                    disabled={sending || !body.trim()}
+                    className={`${onCancel ? '' : 'ml-auto'} px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded`}
+                >
+                    {submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * CommentsPanel Component
+ *
+ * Discussion sidebar of the SecureViewer: the document's threads in
+ * reading order, each anchored to a page or a region of it. Members can
+ * start threads, reply and mention each other; a thread's author and the
+ * group's owners and admins resolve it, and owners and admins can remove
+ * any comment.
+ *
+ * @param {Object|null} draftAnchor - { page, rect } of a thread being started
+ * @param {string|null} lastReadAt - comments after this are marked new
+ */
+const CommentsPanel = ({
+    threads,
+    participants,
+    canModerate,
+    currentUserId,
+    currentVersion,
+    currentPage,
+    draftAnchor,
+    lastReadAt,
+    selectedId,
+    error,
+    onSelect,
+    onDraft,
+    onStartThread,
+    onReply,
+    onEdit,
+    onResolve,
+    onRemove
+}) => {
+    const [showResolved, setShowResolved] = useState(false);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [confirmingRemove, setConfirmingRemove] = useState(null);
+    // What was new when the panel opened stays marked while it is open
+    const [readBefore] = useState(lastReadAt);
+    const itemRefs = useRef(new Map());
+
+    useEffect(() => {
+        itemRefs.current.get(selectedId)?.scrollIntoView({ block: 'nearest' });
+    }, [selectedId]);
+
+    const resolvedCount = threads.filter(thread => thread.resolved).length;
+    const visible = threads.filter(thread => showResolved || !thread.resolved || thread.id === selectedId);
+
+    const renderComment = (comment) => {
+        const own = comment.authorId === currentUserId;
+
+        return (
+            <div key={comment.id} className="mt-2 first:mt-1">
+                <div className="flex items-center gap-2 text-xs">
+                    <span className="font-medium text-gray-200 truncate">{own ? 'You' : comment.authorName}</span>
+                    <span className="text-gray-500 shrink-0">{formatTime(comment.createdAt)}</span>
+                    {isUnread(comment, currentUserId, readBefore) && (
+                        <span className="shrink-0 px-1 rounded bg-amber-500/20 text-amber-300 text-[10px]">New</span>
+                    )}
+                </div>
+
+                {comment.removed ? (
+                    <p className="text-sm italic text-gray-500">
+                        {comment.removed.moderated ? 'Removed by a moderator' : 'Deleted by the author'}
+                    </p>
+                ) : editingId === comment.id ? (
+                    <Composer
+                        participants={participants}
+                        initialBody={comment.body}
+                        initialMentions={comment.mentions}
+                        submitLabel="Save"
+                        onSubmit={async (changes) => {
+                            const saved = await onEdit(comment.id, changes);
+                            if (saved) setEditingId(null);
+                            return saved;
+                        }}
+                        onCancel={() => setEditingId(null)}
+                    />
+                ) : (
+                    <p className="text-sm text-gray-200 whitespace-pre-wrap break-words">
+                        {renderBody(comment)}
+                        {comment.editedAt && <span className="text-[10px] text-gray-500"> (edited)</span>}
+                    </p>
+                )}
+
+                {!comment.removed && editingId !== comment.id && (own || canModerate) && (
+                    <div className="flex gap-3 text-[11px]">
+                        {own && (
+                            <button onClick={() => setEditingId(comment.id)} className="text-gray-500 hover:text-white">Edit</button>
+                        )}
+                        {confirmingRemove === comment.id ? (
+                            <>
+                                <button
+                                    onClick={async () => { await onRemove(comment.id); setConfirmingRemove(null); }}
+                                    className="text-red-400 hover:text-red-300"
+                                >
+                                    Confirm remove
+                                </button>
+                                <button onClick={() => setConfirmingRemove(null)} className="text-gray-500 hover:text-white">Keep</button>
+                            </>
+                        ) : (
+                            <button onClick={() => setConfirmingRemove(comment.id)} className="text-gray-500 hover:text-red-300">
+                                Remove
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="interactive-element w-80 shrink-0 overflow-y-auto bg-gray-950/60 border-l border-gray-800 py-2">
+            <div className="flex items-center justify-between px-3 pb-2">
+                <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500">Discussion</h2>
+                {resolvedCount > 0 && (
+                    <button onClick={() => setShowResolved(prev => !prev)} className="text-xs text-gray-400 hover:text-white">
+                        {showResolved ? 'Hide resolved' : `Show resolved (${resolvedCount})`}
+                    </button>
+                )}
+            </div>
+
+            {error && <p className="mx-3 mb-2 text-xs text-red-400">{error}</p>}
+
+            <div className="mx-2 mb-2 rounded-lg border border-gray-800 p-2">
+                {draftAnchor ? (
+                    <>
+                        <p className="text-xs font-medium text-gray-300">
+                            New thread · Page {draftAnchor.page}{draftAnchor.rect ? ' (selected region)' : ''}
+                        </p>
+                        <Composer
+                            participants={participants}
+                            placeholder="Ask a question or start a discussion..."
+                            submitLabel="Post"
+                            onSubmit={(comment) => onStartThread({ ...draftAnchor, ...comment })}
+                            onCancel={() => onDraft(null)}
+                        />
+                    </>
+                ) : (
+                    <button onClick={() => onDraft({ page: currentPage, rect: null })} className="w-full text-left text-sm text-indigo-300 hover:text-indigo-200">
+                        + Comment on page {currentPage}
+                        <span className="block text-[11px] text-gray-500">or use the comment tool to pick a region</span>
+                    </button>
+                )}
+            </div>
+
+            {visible.length === 0 ? (
+                <p className="px-3 text-sm text-gray-500">
+                    {threads.length === 0 ? 'No discussion yet.' : 'All threads are resolved.'}
+                </p>
+            ) : (
+                <ul className="space-y-1 px-2">
+                    {visible.map(thread => {
+                        const selected = thread.id === selectedId;
+                        const canResolve = thread.authorId === currentUserId || canModerate;
+
+                        return (
+                            <li
+                                key={thread.id}
+                                ref={(element) => {
+                                    if (element) itemRefs.current.set(thread.id, element);
+                                    else itemRefs.current.delete(thread.id);
+                                }}
+                                className={`rounded-lg p-2 border transition-colors ${selected ? 'border-indigo-500 bg-indigo-500/10' : 'border-transparent hover:bg-gray-800/60'} ${thread.resolved ? 'opacity-70' : ''}`}
+                            >
+                                <button onClick={() => onSelect(thread)} className="w-full flex items-center gap-2 text-left text-xs text-gray-400">
+                                    <span>Page {thread.page}{thread.rect ? ' · region' : ''}</span>
+                                    {thread.resolved && <span className="px-1 rounded bg-green-500/20 text-green-300">Resolved</span>}
+                                    {currentVersion && thread.version !== currentVersion && (
+                                        <span className="ml-auto text-[10px] text-amber-400" title="The document has changed since">
+                                            v{thread.version}
+                                        </span>
+                                    )}
+                                </button>
+
+                                {renderComment(thread)}
+                                {thread.replies.length > 0 && (
+                                    <div className="ml-2 pl-2 border-l border-gray-700">
+                                        {thread.replies.map(renderComment)}
+                                    </div>
+                                )}
+
+                                {replyingTo === thread.id ? (
+                                    <Composer
+                                        participants={participants}
+                                        placeholder="Reply..."
+                                        submitLabel="Reply"
+                                        onSubmit={async (comment) => {
+                                            const sent = await onReply(thread.id, comment);
+                                            if (sent) setReplyingTo(null);
+                                            return sent;
+                                        }}
+                                        onCancel={() => setReplyingTo(null)}
+                                    />
+                                ) : (
+                                    <div className="flex gap-3 mt-2 text-xs">
+                                        <button onClick={() => setReplyingTo(thread.id)} className="text-indigo-300 hover:text-indigo-200">
+                                            Reply
+                                        </button>
+                                        {canResolve && (
+                                            <button onClick={() => onResolve(thread.id, !thread.resolved)} className="text-gray-400 hover:text-white">
+                                                {thread.resolved ? 'Reopen' : 'Resolve'}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default CommentsPanel;
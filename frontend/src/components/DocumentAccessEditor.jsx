@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import axios from 'axios';
+import React from 'react';
+import DocumentAccessFields from './DocumentAccessFields';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+/**
+ * DocumentAccessEditor Component
+ *
+ * Owner-only settings panel on a document card: restrict the document
+ * to some roles or named members, or open it to the whole group.
+ */
+const DocumentAccessEditor = ({ pdf, members, currentUser, onChanged }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [access, setAccess] = useState(pdf.access || null);
+    const [saving, setSaving] = useState(false);
+
+    const toggle = () => {
+        if (!expanded) setAccess(pdf.access || null);
+        setExpanded(!expanded);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.put(`${API_BASE}/api/pdfs/${pdf.id}/access`, { access }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setExpanded(false);
+            if (onChanged) onChanged();
+        } catch (error) {
+            console.error('Error updating document access', error);
+            alert(error.response?.data?.message || 'Failed to update access');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="mb-4">
+            <button
+                type="button"
+                onClick={toggle}
+                className="w-full flex items-center justify-between text-xs font-bold text-slate-500 hover:text-indigo-600 transition-colors"
+            >
+                <span>Access{pdf.access ? ' · Restricted' : ''}</span>
+                <svg className={`w-3.5 h-3.5 transition-transform ${expanded ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {expanded && (
+                <div className="mt-3 space-y-2">
+                    <DocumentAccessFields value={access} onChange={setAccess} members={members} />
+                    <button
+                        type="button"
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="w-full py-1.5 bg-slate-900 hover:bg-black text-white font-bold rounded-lg text-xs transition-colors disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Save Access'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DocumentAccessEditor;
@@ -0,0 +1,75 @@
+import React from 'react';
+
+const ROLE_LABELS = {
+    admin: 'All admins',
+    member: 'All members'
+};
+
+/**
+ * DocumentAccessFields Component
+ *
+ * Controlled picker for a document's access list. `value` is null
+ * (everyone in the group) or { roles, users }. The owner always keeps
+ * access, so they are not offered as a choice.
+ */
+const DocumentAccessFields = ({ value, onChange, members }) => {
+    const restricted = !!value;
+    const roles = value?.roles || [];
+    const users = value?.users || [];
+
+    const toggle = (list, item) => (list.includes(item) ? list.filter(x => x !== item) : [...list, item]);
+
+    const setRestricted = (next) => {
+        onChange(next ? { roles: ['admin'], users: [] } : null);
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex gap-2 text-xs font-bold">
+                <button
+                    type="button"
+                    onClick={() => setRestricted(false)}
+                    className={`flex-1 py-1.5 rounded-lg border transition-colors ${!restricted ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-slate-500 border-slate-200 hover:border-indigo-300'}`}
+                >
+                    Everyone
+                </button>
+                <button
+                    type="button"
+                    onClick={() => setRestricted(true)}
+                    className={`flex-1 py-1.5 rounded-lg border transition-colors ${restricted ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-slate-500 border-slate-200 hover:border-indigo-300'}`}
+                >
+                    Restricted
+                </button>
+            </div>
+
+            {restricted && (
+                <div className="p-3 bg-slate-50 rounded-xl border border-slate-100 space-y-1.5 max-h-48 overflow-y-auto">
+                    {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                        <label key={role} className="flex items-center gap-2 text-xs font-bold text-slate-700 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={roles.includes(role)}
+                                onChange={() => onChange({ roles: toggle(roles, role), users })}
+                                className="accent-indigo-600"
+                            />
+                            {label}
+                        </label>
+                    ))}
+                    {members.filter(member => member.role !== 'owner').map((member) => (
+                        <label key={member.uid} className="flex items-center gap-2 text-xs text-slate-700 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={users.includes(member.uid)}
+                                onChange={() => onChange({ roles, users: toggle(users, member.uid) })}
+                                className="accent-indigo-600"
+                            />
+                            <span className="truncate">{member.name || member.email}</span>
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DocumentAccessFields;
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import axios from 'axios';
+import React from 'react';
+import DocumentScheduleFields from './DocumentScheduleFields';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const scheduleOf = (pdf) => ({
+    availableFrom: pdf.availableFrom || null,
+    expiryDate: pdf.expiryDate || null,
+    dailyWindow: pdf.dailyWindow || null
+});
+
+/**
+ * DocumentScheduleEditor Component
+ *
+ * Owner-only settings panel on a document card for its availability
+ * window. Moving the expiry forward restores an archived document.
+ */
+const DocumentScheduleEditor = ({ pdf, currentUser, onChanged }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [schedule, setSchedule] = useState(scheduleOf(pdf));
+    const [saving, setSaving] = useState(false);
+
+    const toggle = () => {
+        if (!expanded) setSchedule(scheduleOf(pdf));
+        setExpanded(!expanded);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.put(`${API_BASE}/api/pdfs/${pdf.id}/availability`, schedule, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setExpanded(false);
+            if (onChanged) onChanged();
+        } catch (error) {
+            console.error('Error updating availability', error);
+            alert(error.response?.data?.message || 'Failed to update availability');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const scheduled = pdf.availableFrom || pdf.expiryDate || pdf.dailyWindow;
+
+    return (
+        <div className="mb-4">
+            <button
+                type="button"
+                onClick={toggle}
+                className="w-full flex items-center justify-between text-xs font-bold text-slate-500 hover:text-indigo-600 transition-colors"
+            >
+                <span>Availability{scheduled ? ' · Scheduled' : ''}</span>
+                <svg className={`w-3.5 h-3.5 transition-transform ${expanded ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {expanded && (
+                <div className="mt-3 space-y-2">
+                    <DocumentScheduleFields value={schedule} onChange={setSchedule} />
+                    <button
+                        type="button"
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="w-full py-1.5 bg-slate-900 hover:bg-black text-white font-bold rounded-lg text-xs transition-colors disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Save Availability'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DocumentScheduleEditor;
@@ -0,0 +1,86 @@
+import React from 'react';
+
+/**
+ * Convert an ISO date to the value a datetime-local input expects
+ */
+const toLocalInput = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * DocumentScheduleFields Component
+ *
+ * Controlled inputs for a document's availability: not-before and
+ * not-after dates plus optional daily viewing hours in the owner's
+ * time zone. `value` is { availableFrom, expiryDate, dailyWindow }.
+ */
+const DocumentScheduleFields = ({ value, onChange }) => {
+    const window = value.dailyWindow;
+
+    const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+    const toggleWindow = () => {
+        update('dailyWindow', window ? null : {
+            start: '09:00',
+            end: '17:00',
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+    };
+
+    const inputClass = 'w-full px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-xs outline-none focus:border-indigo-500';
+
+    return (
+        <div className="space-y-2">
+            <div className="grid grid-cols-2 gap-2">
+                <label className="text-[11px] font-bold text-slate-500">
+                    Available from
+                    <input
+                        type="datetime-local"
+                        value={toLocalInput(value.availableFrom)}
+                        onChange={(e) => update('availableFrom', fromLocalInput(e.target.value))}
+                        className={`${inputClass} mt-1`}
+                    />
+                </label>
+                <label className="text-[11px] font-bold text-slate-500">
+                    Expires
+                    <input
+                        type="datetime-local"
+                        value={toLocalInput(value.expiryDate)}
+                        onChange={(e) => update('expiryDate', fromLocalInput(e.target.value))}
+                        className={`${inputClass} mt-1`}
+                    />
+                </label>
+            </div>
+
+            <label className="flex items-center gap-2 text-xs font-bold text-slate-700 cursor-pointer">
+                <input type="checkbox" checked={!!window} onChange={toggleWindow} className="accent-indigo-600" />
+                Limit to daily viewing hours
+            </label>
+
+            {window && (
+                <div className="flex items-center gap-2 text-xs text-slate-500">
+                    <input
+                        type="time"
+                        value={window.start}
+                        onChange={(e) => update('dailyWindow', { ...window, start: e.target.value })}
+                        className={inputClass}
+                    />
+                    <span>to</span>
+                    <input
+                        type="time"
+                        value={window.end}
+                        onChange={(e) => update('dailyWindow', { ...window, end: e.target.value })}
+                        className={inputClass}
+                    />
+                </div>
+            )}
+            {window && <p className="text-[10px] text-slate-400">Times are in {window.timeZone}</p>}
+        </div>
+    );
+};
+
+export default DocumentScheduleFields;
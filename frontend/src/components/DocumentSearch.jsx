@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const stepButton = 'px-2 py-1 text-sm text-gray-300 hover:text-white bg-gray-800 hover:bg-gray-700 border border-gray-600 rounded transition-colors';
+
+/**
+ * DocumentSearch Component
+ *
+ * Search box of the SecureViewer. Searching runs on the server (see
+ * useDocumentSearch); Enter or the arrows step through the matches and
+ * Escape clears them. Ctrl/Cmd+F lands here, since the browser's own find
+ * has no text to search in a canvas-only page.
+ */
+const DocumentSearch = ({ query, result, activeIndex, loading, error, onSearch, onSelect, onClear }) => {
+    const [text, setText] = useState('');
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+                e.preventDefault();
+                inputRef.current?.focus();
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    const total = result?.hits.length || 0;
+
+    const step = (delta) => {
+        if (total > 0) onSelect((activeIndex + delta + total) % total);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (text.trim() === query && total > 0) {
+            step(1);
+        } else {
+            onSearch(text);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            setText('');
+            onClear();
+        } else if (e.key === 'Enter' && e.shiftKey) {
+            e.preventDefault();
+            step(-1);
+        }
+    };
+
+    const renderStatus = () => {
+        if (loading) return 'Searching...';
+        if (error) return error;
+        if (!result) return null;
+        if (total === 0) return 'No matches';
+        return `${activeIndex + 1} of ${total}${result.truncated ? '+' : ''}`;
+    };
+
+    const status = renderStatus();
+
+    return (
+        <form onSubmit={handleSubmit} className="interactive-element flex items-center gap-2">
+            <div className="relative">
+                <svg className="w-4 h-4 text-gray-500 absolute left-2 top-1/2 -translate-y-1/2 pointer-events-none" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                </svg>
+                <input
+                    ref={inputRef}
+                    type="search"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    placeholder="Search document"
+                    maxLength={100}
+                    className="w-40 sm:w-56 bg-gray-800 border border-gray-600 rounded pl-8 pr-2 py-1 text-white text-sm outline-none focus:border-blue-500"
+                />
+            </div>
+
+            {status && (
+                <span className={`text-xs whitespace-nowrap ${error ? 'text-red-400' : 'text-gray-400'}`}>{status}</span>
+            )}
+
+            {total > 0 && (
+                <div className="flex items-center gap-1">
+                    <button type="button" onClick={() => step(-1)} className={stepButton} title="Previous match (Shift+Enter)">↑</button>
+                    <button type="button" onClick={() => step(1)} className={stepButton} title="Next match (Enter)">↓</button>
+                </div>
+            )}
+        </form>
+    );
+};
+
+export default DocumentSearch;
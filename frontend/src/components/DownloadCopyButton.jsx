@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * DownloadCopyButton Component
+ *
+ * Requests a personal offline copy of a document. The server stamps it
+ * with the user's email and a copy ID and encrypts it with the password
+ * chosen here, which is needed to open the downloaded file.
+ */
+const DownloadCopyButton = ({ pdfId, title, currentUser }) => {
+    const [open, setOpen] = useState(false);
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [downloading, setDownloading] = useState(false);
+    const [error, setError] = useState('');
+
+    const reset = () => {
+        setOpen(false);
+        setPassword('');
+        setConfirmPassword('');
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            return;
+        }
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setDownloading(true);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.post(
+                `${API_BASE}/api/pdfs/${pdfId}/download`,
+                { password },
+                {
+                    headers: { Authorization: `Bearer ${token}` },
+                    responseType: 'blob'
+                }
+            );
+
+            const url = URL.createObjectURL(res.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${title || 'document'} (copy).pdf`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            reset();
+        } catch (err) {
+            console.error('Error downloading copy', err);
+            // Error bodies arrive as a Blob because of responseType
+            let message = 'Failed to download copy';
+            if (err.response?.data instanceof Blob) {
+                try {
+                    message = JSON.parse(await err.response.data.text()).message || message;
+                } catch {
+                    // keep the generic message
+                }
+            }
+            setError(message);
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    const inputClass = 'w-full bg-gray-900 border border-gray-600 rounded px-2 py-1.5 text-sm text-white focus:border-blue-500 outline-none';
+
+    return (
+        <div className="relative interactive-element">
+            <button
+                type="button"
+                onClick={() => (open ? reset() : setOpen(true))}
+                className="flex items-center gap-1.5 text-xs font-medium text-gray-400 hover:text-white transition-colors"
+            >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                </svg>
+                Download copy
+            </button>
+
+            {open && (
+                <form
+                    onSubmit={handleSubmit}
+                    className="absolute right-0 top-8 z-50 w-72 bg-gray-800 border border-gray-700 rounded-lg p-4 shadow-xl space-y-3"
+                >
+                    <p className="text-xs text-gray-400">
+                        Your copy is stamped with your email and a copy ID, and can't be printed or copied.
+                        Choose a password to open it with.
+                    </p>
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        autoComplete="new-password"
+                        className={inputClass}
+                    />
+                    <input
+                        type="password"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        placeholder="Confirm password"
+                        autoComplete="new-password"
+                        className={inputClass}
+                    />
+                    {error && <p className="text-xs text-red-400">{error}</p>}
+                    <button
+                        type="submit"
+                        disabled={downloading}
+                        className="w-full py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm font-medium disabled:opacity-70"
+                    >
+                        {downloading ? 'Preparing copy...' : 'Download'}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default DownloadCopyButton;
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const CATEGORIES = [
+    { key: 'invites', label: 'Group invitations', description: 'Invite links sent to your email address.' },
+    { key: 'uploadDigest', label: 'New document digest', description: 'A summary of documents shared with you.' },
+    { key: 'expiryReminders', label: 'Membership reminders', description: 'A heads-up before your access to a group expires.' },
+    { key: 'accountNotices', label: 'Account notices', description: 'Notices about your account, such as a suspension.' }
+];
+
+/**
+ * EmailPreferences Component
+ *
+ * Per-category opt-outs for notification emails. Each toggle is saved
+ * as soon as it changes.
+ */
+const EmailPreferences = ({ currentUser }) => {
+    const [preferences, setPreferences] = useState(null);
+    const [saving, setSaving] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!currentUser) return;
+
+        const fetchPreferences = async () => {
+            try {
+                const token = await currentUser.getIdToken();
+                const res = await axios.get(`${API_BASE}/api/auth/email-preferences`, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                setPreferences(res.data.preferences);
+            } catch (err) {
+                console.error('Error fetching email preferences', err);
+                setError('Failed to load email preferences.');
+            }
+        };
+        fetchPreferences();
+    }, [currentUser]);
+
+    const handleToggle = async (key) => {
+        const value = !preferences[key];
+        setSaving(key);
+        setError('');
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.put(`${API_BASE}/api/auth/email-preferences`, { [key]: value }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setPreferences(res.data.preferences);
+        } catch (err) {
+            console.error('Error updating email preferences', err);
+            setError(err.response?.data?.message || 'Failed to update email preferences.');
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    return (
+        <div className="mt-8 pt-8 border-t border-gray-100">
+            <h2 className="text-lg font-bold text-gray-900 mb-1">Email Notifications</h2>
+            <p className="text-sm text-gray-500 mb-4">Choose which emails you want to receive.</p>
+
+            {error && (
+                <div className="mb-4 p-3 rounded-lg text-sm font-medium bg-red-50 text-red-600">{error}</div>
+            )}
+
+            {!preferences ? (
+                !error && <p className="text-sm text-gray-400">Loading...</p>
+            ) : (
+                <div className="space-y-3">
+                    {CATEGORIES.map(({ key, label, description }) => (
+                        <label key={key} className="flex items-start gap-3 p-3 rounded-lg border border-gray-100 bg-gray-50 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={preferences[key]}
+                                disabled={saving === key}
+                                onChange={() => handleToggle(key)}
+                                className="mt-1 w-4 h-4 accent-teal-600"
+                            />
+                            <span>
+                                <span className="block text-sm font-medium text-gray-800">{label}</span>
+                                <span className="block text-xs text-gray-500">{description}</span>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EmailPreferences;
@@ -0,0 +1,57 @@
+import React, { useId } from 'react';
+
+const TILE_SIZE = 64;
+const GRID = 8;
+const CELL_SIZE = TILE_SIZE / GRID;
+
+// Darkens "1" cells by ~3 grey levels: invisible, but recoverable by the server
+const MARK_OPACITY = 3 / 255;
+
+/**
+ * ForensicMark Component
+ *
+ * Invisible per-session forensic watermark. Tiles the 8x8 cell pattern
+ * issued by the heartbeat (see backend services/forensicWatermark) over
+ * the page, so a cropped screenshot can still be traced to the session.
+ */
+const ForensicMark = ({ pattern, zIndex = 11 }) => {
+    // useId output isn't a valid url(#...) fragment as-is
+    const patternId = `forensic-pattern-${useId().replace(/[^A-Za-z0-9_-]/g, '')}`;
+
+    if (!pattern || pattern.length !== GRID * GRID) return null;
+
+    return (
+        <svg
+            width="100%"
+            height="100%"
+            style={{
+                position: 'absolute',
+                top: 0,
+                left: 0,
+                pointerEvents: 'none',
+                zIndex
+            }}
+            aria-hidden="true"
+        >
+            <defs>
+                <pattern id={patternId} patternUnits="userSpaceOnUse" width={TILE_SIZE} height={TILE_SIZE}>
+                    {pattern.split('').map((bit, i) => bit === '1' && (
+                        <rect
+                            key={i}
+                            x={(i % GRID) * CELL_SIZE}
+                            y={Math.floor(i / GRID) * CELL_SIZE}
+                            width={CELL_SIZE}
+                            height={CELL_SIZE}
+                            fill="#000000"
+                            fillOpacity={MARK_OPACITY}
+                            shapeRendering="crispEdges"
+                        />
+                    ))}
+                </pattern>
+            </defs>
+            <rect x="0" y="0" width="100%" height="100%" fill={`url(#${patternId})`} />
+        </svg>
+    );
+};
+
+export default ForensicMark;
@@ -0,0 +1,388 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const STATUS_STYLES = {
+    active: 'text-emerald-700 bg-emerald-100',
+    used_up: 'text-slate-500 bg-slate-100',
+    expired: 'text-amber-700 bg-amber-100',
+    revoked: 'text-red-500 bg-red-50'
+};
+
+const STATUS_LABELS = {
+    active: 'Active',
+    used_up: 'Used up',
+    expired: 'Expired',
+    revoked: 'Revoked'
+};
+
+const EMPTY_OPTIONS = {
+    durationDays: 30,
+    maxUses: 1,
+    expiresInHours: '',
+    role: 'member',
+    allowedEmails: '',
+    allowedDomains: '',
+    emailTo: ''
+};
+
+// Allowed emails and @domains of an invite, for display
+const restrictionsOf = (invite) => [
+    ...invite.allowedEmails,
+    ...invite.allowedDomains.map(domain => `@${domain}`)
+];
+
+/**
+ * InviteManager Component
+ *
+ * Admin panel for the group's invite links: create links with usage
+ * limits, link expiry, email/domain restrictions and a preassigned role,
+ * see who redeemed each one, and revoke or rotate them. The owner also
+ * manages the group-wide legacy invite code here.
+ */
+const InviteManager = ({ groupId, currentUser, isOwner, refreshKey, onCreated }) => {
+    const [invites, setInvites] = useState([]);
+    const [legacyCode, setLegacyCode] = useState(null);
+    const [expanded, setExpanded] = useState(false);
+    const [showForm, setShowForm] = useState(false);
+    const [options, setOptions] = useState(EMPTY_OPTIONS);
+    const [busy, setBusy] = useState(null);
+
+    const fetchInvites = useCallback(async () => {
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${API_BASE}/api/groups/${groupId}/invites`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setInvites(res.data.invites);
+            setLegacyCode(res.data.legacyInviteCode || null);
+        } catch (error) {
+            console.error('Error fetching invites', error);
+        }
+    }, [groupId, currentUser]);
+
+    useEffect(() => {
+        fetchInvites();
+    }, [fetchInvites, refreshKey]);
+
+    const setOption = (field, value) => setOptions(prev => ({ ...prev, [field]: value }));
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setBusy('create');
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.post(`${API_BASE}/api/groups/${groupId}/invite`, {
+                durationDays: Number(options.durationDays) || 0,
+                maxUses: Number(options.maxUses) || null,
+                expiresInHours: options.expiresInHours === '' ? null : Number(options.expiresInHours),
+                role: options.role,
+                allowedEmails: options.allowedEmails,
+                allowedDomains: options.allowedDomains,
+                ...(options.emailTo.trim() ? { emailTo: options.emailTo } : {})
+            }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setOptions(EMPTY_OPTIONS);
+            setShowForm(false);
+            if (onCreated) onCreated(res.data.invite);
+            if (res.data.emails?.failed.length > 0) {
+                alert(`The invite was created, but it could not be emailed to: ${res.data.emails.failed.join(', ')}`);
+            }
+            fetchInvites();
+        } catch (error) {
+            console.error('Error creating invite', error);
+            alert(error.response?.data?.message || 'Failed to create invite');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleRevoke = async (code) => {
+        if (!window.confirm('Revoke this invite? The link will stop working immediately.')) return;
+        setBusy(code);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.delete(`${API_BASE}/api/groups/${groupId}/invites/${code}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            fetchInvites();
+        } catch (error) {
+            console.error('Error revoking invite', error);
+            alert(error.response?.data?.message || 'Failed to revoke invite');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleRotate = async (code) => {
+        setBusy(code);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.post(`${API_BASE}/api/groups/${groupId}/invites/${code}/rotate`, {}, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (onCreated) onCreated(res.data.invite);
+            fetchInvites();
+        } catch (error) {
+            console.error('Error rotating invite', error);
+            alert(error.response?.data?.message || 'Failed to rotate invite');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleLegacyCode = async (action) => {
+        if (action === 'disable' && !window.confirm('Disable the group invite code? Anyone holding it will no longer be able to join.')) return;
+        setBusy('legacy');
+        try {
+            const token = await currentUser.getIdToken();
+            const headers = { Authorization: `Bearer ${token}` };
+            if (action === 'rotate') {
+                const res = await axios.post(`${API_BASE}/api/groups/${groupId}/invite-code/rotate`, {}, { headers });
+                setLegacyCode(res.data.inviteCode);
+            } else {
+                await axios.delete(`${API_BASE}/api/groups/${groupId}/invite-code`, { headers });
+                setLegacyCode(null);
+            }
+        } catch (error) {
+            console.error('Error updating group invite code', error);
+            alert(error.response?.data?.message || 'Failed to update group invite code');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const activeCount = invites.filter(invite => invite.status === 'active').length;
+
+    return (
+        <div className="mt-6 pt-6 border-t border-slate-100">
+            <button
+                onClick={() => setExpanded(!expanded)}
+                className="w-full flex items-center justify-between text-xs font-bold text-slate-400 uppercase tracking-widest hover:text-slate-600 transition-colors"
+            >
+                <span>Invite Links ({activeCount} active)</span>
+                <svg className={`w-4 h-4 transition-transform ${expanded ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
+                </svg>
+            </button>
+
+            {expanded && (
+                <div className="mt-4 space-y-4">
+                    {showForm ? (
+                        <form onSubmit={handleCreate} className="p-3 bg-slate-50 rounded-2xl border border-slate-100 space-y-2 text-xs">
+                            <div className="grid grid-cols-2 gap-2">
+                                <label className="flex flex-col gap-1 font-bold text-slate-500">
+                                    Access (days, 0 = no expiry)
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="3650"
+                                        value={options.durationDays}
+                                        onChange={(e) => setOption('durationDays', e.target.value)}
+                                        className="px-2 py-1 bg-white border border-slate-200 rounded-lg font-medium text-slate-800 outline-none focus:border-indigo-500"
+                                    />
+                                </label>
+                                <label className="flex flex-col gap-1 font-bold text-slate-500">
+                                    Max uses (0 = unlimited)
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="1000"
+                                        value={options.maxUses}
+                                        onChange={(e) => setOption('maxUses', e.target.value)}
+                                        className="px-2 py-1 bg-white border border-slate-200 rounded-lg font-medium text-slate-800 outline-none focus:border-indigo-500"
+                                    />
+                                </label>
+                                <label className="flex flex-col gap-1 font-bold text-slate-500">
+                                    Link expires in (hours)
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="8760"
+                                        placeholder="Never"
+                                        value={options.expiresInHours}
+                                        onChange={(e) => setOption('expiresInHours', e.target.value)}
+                                        className="px-2 py-1 bg-white border border-slate-200 rounded-lg font-medium text-slate-800 outline-none focus:border-indigo-500"
+                                    />
+                                </label>
+                                <label className="flex flex-col gap-1 font-bold text-slate-500">
+                                    Joins as
+                                    <select
+                                        value={options.role}
+                                        onChange={(e) => setOption('role', e.target.value)}
+                                        className="px-2 py-1 bg-white border border-slate-200 rounded-lg font-medium text-slate-800 outline-none focus:border-indigo-500"
+                                    >
+                                        <option value="member">Member</option>
+                                        {isOwner && <option value="admin">Admin</option>}
+                                    </select>
+                                </label>
+                            </div>
+                            <label className="flex flex-col gap-1 font-bold text-slate-500">
+                                Allowed emails
+                                <input
+                                    type="text"
+                                    placeholder="Anyone (comma separated)"
+                                    value={options.allowedEmails}
+                                    onChange={(e) => setOption('allowedEmails', e.target.value)}
+                                    className="px-2 py-1 bg-white border border-slate-200 rounded-lg font-medium text-slate-800 outline-none focus:border-indigo-500"
+                                />
+                            </label>
+                            <label className="flex flex-col gap-1 font-bold text-slate-500">
+                                Allowed domains
+                                <input
+                                    type="text"
+                                    placeholder="e.g. example.com"
+                                    value={options.allowedDomains}
+                                    onChange={(e) => setOption('allowedDomains', e.target.value)}
+                                    className="px-2 py-1 bg-white border border-slate-200 rounded-lg font-medium text-slate-800 outline-none focus:border-indigo-500"
+                                />
+                            </label>
+                            <label className="flex flex-col gap-1 font-bold text-slate-500">
+                                Email the link to
+                                <input
+                                    type="text"
+                                    placeholder="Defaults to the allowed emails"
+                                    value={options.emailTo}
+                                    onChange={(e) => setOption('emailTo', e.target.value)}
+                                    className="px-2 py-1 bg-white border border-slate-200 rounded-lg font-medium text-slate-800 outline-none focus:border-indigo-500"
+                                />
+                            </label>
+                            <div className="flex justify-end gap-2 pt-1">
+                                <button
+                                    type="button"
+                                    onClick={() => { setShowForm(false); setOptions(EMPTY_OPTIONS); }}
+                                    className="px-3 py-1.5 text-[10px] font-bold uppercase text-slate-500 hover:text-slate-700 transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={busy === 'create'}
+                                    className="px-3 py-1.5 text-[10px] font-bold uppercase text-white bg-slate-900 hover:bg-black rounded-lg transition-all disabled:opacity-50"
+                                >
+                                    {busy === 'create' ? 'Creating...' : 'Create Invite'}
+                                </button>
+                            </div>
+                        </form>
+                    ) : (
+                        <button
+                            onClick={() => setShowForm(true)}
+                            className="w-full py-2 text-[11px] font-bold uppercase text-indigo-600 bg-indigo-50 hover:bg-indigo-100 rounded-xl transition-all"
+                        >
+                            + Invite with options
+                        </button>
+                    )}
+
+                    {invites.length === 0 ? (
+                        <p className="text-xs text-slate-400 text-center py-2">No invite links yet.</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-[11px] text-left">
+                                <thead>
+                                    <tr className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">
+                                        <th className="py-1 pr-2">Code</th>
+                                        <th className="py-1 pr-2">Uses</th>
+                                        <th className="py-1 pr-2">Limits</th>
+                                        <th className="py-1 pr-2">Redeemed by</th>
+                                        <th className="py-1"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {invites.map((invite) => (
+                                        <tr key={invite.code} className="border-t border-slate-100 align-top">
+                                            <td className="py-2 pr-2">
+                                                <code className="font-mono text-slate-800">{invite.code}</code>
+                                                <span className={`ml-1 px-1.5 py-0.5 rounded-md text-[9px] font-bold uppercase ${STATUS_STYLES[invite.status]}`}>
+                                                    {STATUS_LABELS[invite.status]}
+                                                </span>
+                                                <p className="text-[10px] text-slate-400 mt-0.5">by {invite.createdByName}</p>
+                                            </td>
+                                            <td className="py-2 pr-2 font-bold text-slate-700 whitespace-nowrap">
+                                                {invite.uses} / {invite.maxUses === null ? '∞' : invite.maxUses}
+                                            </td>
+                                            <td className="py-2 pr-2 text-slate-500">
+                                                {invite.role === 'admin' && <p className="font-bold text-indigo-600">Joins as admin</p>}
+                                                <p>{invite.durationDays ? `${invite.durationDays} days access` : 'No access expiry'}</p>
+                                                {invite.expiresAt && (
+                                                    <p>Link {invite.status === 'expired' ? 'expired' : 'expires'} {new Date(invite.expiresAt).toLocaleString()}</p>
+                                                )}
+                                                {restrictionsOf(invite).length > 0 && (
+                                                    <p className="truncate max-w-[140px]" title={restrictionsOf(invite).join(', ')}>
+                                                        Only {restrictionsOf(invite).join(', ')}
+                                                    </p>
+                                                )}
+                                            </td>
+                                            <td className="py-2 pr-2 text-slate-600">
+                                                {invite.redeemedBy.length === 0 ? (
+                                                    <span className="text-slate-400">—</span>
+                                                ) : (
+                                                    invite.redeemedBy.map((redemption) => (
+                                                        <p key={redemption.uid} title={redemption.at ? new Date(redemption.at).toLocaleString() : ''}>
+                                                            {redemption.name}
+                                                        </p>
+                                                    ))
+                                                )}
+                                            </td>
+                                            <td className="py-2">
+                                                {invite.status !== 'revoked' && (
+                                                    <div className="flex flex-col gap-1">
+                                                        <button
+                                                            onClick={() => handleRotate(invite.code)}
+                                                            disabled={busy === invite.code || (invite.role === 'admin' && !isOwner)}
+                                                            className="px-2 py-1 text-[10px] font-bold uppercase text-indigo-600 bg-indigo-50 hover:bg-indigo-100 rounded-lg transition-all disabled:opacity-50"
+                                                        >
+                                                            Rotate
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleRevoke(invite.code)}
+                                                            disabled={busy === invite.code}
+                                                            className="px-2 py-1 text-[10px] font-bold uppercase text-red-500 bg-red-50 hover:bg-red-100 rounded-lg transition-all disabled:opacity-50"
+                                                        >
+                                                            Revoke
+                                                        </button>
+                                                    </div>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {isOwner && (
+                        <div className="p-3 bg-slate-50 rounded-2xl border border-slate-100">
+                            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">Group invite code</p>
+                            <div className="flex items-center justify-between gap-2">
+                                <code className="font-mono text-xs text-slate-800">{legacyCode || 'Disabled'}</code>
+                                <div className="flex gap-1 shrink-0">
+                                    <button
+                                        onClick={() => handleLegacyCode('rotate')}
+                                        disabled={busy === 'legacy'}
+                                        className="px-2 py-1 text-[10px] font-bold uppercase text-indigo-600 bg-indigo-50 hover:bg-indigo-100 rounded-lg transition-all disabled:opacity-50"
+                                    >
+                                        {legacyCode ? 'Rotate' : 'Enable'}
+                                    </button>
+                                    {legacyCode && (
+                                        <button
+                                            onClick={() => handleLegacyCode('disable')}
+                                            disabled={busy === 'legacy'}
+                                            className="px-2 py-1 text-[10px] font-bold uppercase text-red-500 bg-red-50 hover:bg-red-100 rounded-lg transition-all disabled:opacity-50"
+                                        >
+                                            Disable
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InviteManager;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { rotateRect } from '../hooks/usePageLayout';
+
+/**
+ * LinkHotspots Component
+ *
+ * Clickable areas for the internal links of one page, in place of the
+ * PDF's annotation layer (which stays off). Only links within the
+ * document are ever sent by the server, so a hotspot can only move to
+ * another page, never open a URL.
+ *
+ * @param {Object[]} links - this page's `navigation.links`
+ */
+const LinkHotspots = ({ links, rotation = 0, onSelect, zIndex = 6 }) => {
+    if (!links || links.length === 0) return null;
+
+    return (
+        <div className="absolute inset-0 pointer-events-none" style={{ zIndex }}>
+            {links.map((link, i) => {
+                const { x, y, width, height } = rotateRect(link.rect, rotation);
+
+                return (
+                    <button
+                        key={i}
+                        onClick={() => onSelect(link.target)}
+                        className="interactive-element absolute rounded-sm cursor-pointer hover:bg-blue-400/20 hover:ring-1 hover:ring-blue-400/60 transition-colors"
+                        style={{
+                            left: `${x * 100}%`,
+                            top: `${y * 100}%`,
+                            width: `${width * 100}%`,
+                            height: `${height * 100}%`
+                        }}
+                        title={`Go to page ${link.target.page}`}
+                        aria-label={`Go to page ${link.target.page}`}
+                    />
+                );
+            })}
+        </div>
+    );
+};
+
+export default LinkHotspots;
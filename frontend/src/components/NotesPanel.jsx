@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ANNOTATION_COLORS } from '../hooks/useAnnotations';
+
+/**
+ * NotesPanel Component
+ *
+ * "My notes" sidebar of the SecureViewer: the reader's own highlights and
+ * notes in reading order. Clicking one scrolls to it; notes can be edited,
+ * recolored or deleted here. Highlights made on an earlier version of the
+ * document are marked, since the pages may have changed since.
+ */
+const NotesPanel = ({ annotations, selectedId, currentVersion, error, onSelect, onUpdate, onRemove }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [draft, setDraft] = useState('');
+    const itemRefs = useRef(new Map());
+
+    // Keep the selected annotation (e.g. clicked on the page) in view
+    useEffect(() => {
+        itemRefs.current.get(selectedId)?.scrollIntoView({ block: 'nearest' });
+    }, [selectedId]);
+
+    const startEditing = (annotation) => {
+        setEditingId(annotation.id);
+        setDraft(annotation.note || '');
+    };
+
+    const saveEdit = async (e, annotation) => {
+        e.preventDefault();
+        if (annotation.type === 'note' && !draft.trim()) return;
+
+        if (await onUpdate(annotation.id, { note: draft })) setEditingId(null);
+    };
+
+    return (
+        <div className="interactive-element w-72 shrink-0 overflow-y-auto bg-gray-950/60 border-l border-gray-800 py-2">
+            <h2 className="px-3 pb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">My notes</h2>
+
+            {error && <p className="mx-3 mb-2 text-xs text-red-400">{error}</p>}
+
+            {annotations.length === 0 ? (
+                <p className="px-3 text-sm text-gray-500">
+                    Use the highlighter or the note tool to mark passages. Only you can see them.
+                </p>
+            ) : (
+                <ul className="space-y-1 px-2">
+                    {annotations.map(annotation => {
+                        const colors = ANNOTATION_COLORS[annotation.color] || ANNOTATION_COLORS.yellow;
+                        const selected = annotation.id === selectedId;
+
+                        return (
+                            <li
+                                key={annotation.id}
+                                ref={(element) => {
+                                    if (element) itemRefs.current.set(annotation.id, element);
+                                    else itemRefs.current.delete(annotation.id);
+                                }}
+                                className={`rounded-lg p-2 border transition-colors ${selected ? 'border-indigo-500 bg-indigo-500/10' : 'border-transparent hover:bg-gray-800/60'}`}
+                            >
+                                <button onClick={() => onSelect(annotation)} className="w-full flex items-center gap-2 text-left">
+                                    <span className={`w-3 h-3 rounded-full shrink-0 ${colors.swatch}`} />
+                                    <span className="text-xs font-medium text-gray-300">
+                                        {annotation.type === 'note' ? 'Note' : 'Highlight'} · Page {annotation.page}
+                                    </span>
+                                    {currentVersion && annotation.version !== currentVersion && (
+                                        <span className="ml-auto text-[10px] text-amber-400" title="The document has changed since">
+                                            v{annotation.version}
+                                        </span>
+                                    )}
+                                </button>
+
+                                {editingId === annotation.id ? (
+                                    <form onSubmit={(e) => saveEdit(e, annotation)} className="mt-2">
+                                        <textarea
+                                            autoFocus
+                                            value={draft}
+                                            onChange={(e) => setDraft(e.target.value)}
+                                            onKeyDown={(e) => { if (e.key === 'Escape') setEditingId(null); }}
+                                            maxLength={2000}
+                                            rows={3}
+                                            placeholder="Add a note..."
+                                            className="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-white outline-none focus:border-blue-500 resize-none"
+                                        />
+                                        <div className="flex justify-end gap-2 mt-1">
+                                            <button type="button" onClick={() => setEditingId(null)} className="px-2 py-1 text-xs text-gray-400 hover:text-white">
+                                                Cancel
+                                            </button>
+                                            <button type="submit" className="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 text-white rounded">
+                                                Save
+                                            </button>
+                                        </div>
+                                    </form>
+                                ) : (
+                                    annotation.note && (
+                                        <p className="mt-1 text-sm text-gray-200 whitespace-pre-wrap break-words">{annotation.note}</p>
+                                    )
+                                )}
+
+                                {selected && editingId !== annotation.id && (
+                                    <div className="flex items-center gap-2 mt-2">
+                                        {Object.entries(ANNOTATION_COLORS).map(([name, { swatch }]) => (
+                                            <button
+                                                key={name}
+                                                onClick={() => onUpdate(annotation.id, { color: name })}
+                                                className={`w-4 h-4 rounded-full ${swatch} ${annotation.color === name ? 'ring-2 ring-white' : ''}`}
+                                                title={name}
+                                            />
+                                        ))}
+                                        <button onClick={() => startEditing(annotation)} className="ml-auto text-xs text-gray-400 hover:text-white">
+                                            {annotation.note ? 'Edit' : 'Add note'}
+                                        </button>
+                                        <button onClick={() => onRemove(annotation.id)} className="text-xs text-red-400 hover:text-red-300">
+                                            Delete
+                                        </button>
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default NotesPanel;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+
+const INDENT = 12;
+
+/**
+ * OutlinePanel Component
+ *
+ * Collapsible table of contents of the SecureViewer, from the outline the
+ * server extracted on upload (`navigation.outline`). Entries without a
+ * target (e.g. pointing outside the document) are shown but not clickable.
+ */
+const OutlinePanel = ({ outline, onSelect }) => {
+    const [expanded, setExpanded] = useState(() => new Set());
+
+    const toggle = (key) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) {
+                next.delete(key);
+            } else {
+                next.add(key);
+            }
+            return next;
+        });
+    };
+
+    const renderItems = (items, depth, prefix) => (
+        <ul>
+            {items.map((item, i) => {
+                const key = `${prefix}${i}`;
+                const open = expanded.has(key);
+                const hasChildren = item.items.length > 0;
+
+                return (
+                    <li key={key}>
+                        <div className="flex items-center gap-1 pr-2" style={{ paddingLeft: 4 + depth * INDENT }}>
+                            {hasChildren ? (
+                                <button
+                                    onClick={() => toggle(key)}
+                                    className="w-5 h-5 shrink-0 flex items-center justify-center text-gray-500 hover:text-white text-xs"
+                                    aria-expanded={open}
+                                    title={open ? 'Collapse' : 'Expand'}
+                                >
+                                    {open ? '▾' : '▸'}
+                                </button>
+                            ) : (
+                                <span className="w-5 shrink-0" />
+                            )}
+                            <button
+                                onClick={() => onSelect(item.target)}
+                                disabled={!item.target}
+                                className="flex-1 min-w-0 flex items-center gap-2 py-1 px-1 rounded text-left text-sm text-gray-300 hover:text-white hover:bg-gray-800 disabled:text-gray-500 disabled:hover:bg-transparent transition-colors"
+                                title={item.title}
+                            >
+                                <span className="flex-1 truncate">{item.title}</span>
+                                {item.target && <span className="text-[11px] text-gray-500">{item.target.page}</span>}
+                            </button>
+                        </div>
+                        {hasChildren && open && renderItems(item.items, depth + 1, `${key}.`)}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+
+    return (
+        <div className="interactive-element w-64 shrink-0 overflow-y-auto bg-gray-950/60 border-r border-gray-800 py-2">
+            <h2 className="px-3 pb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">Contents</h2>
+            {outline.length > 0
+                ? renderItems(outline, 0, '')
+                : <p className="px-3 text-sm text-gray-500">This document has no table of contents.</p>}
+        </div>
+    );
+};
+
+export default OutlinePanel;
@@ -0,0 +1,86 @@
+import React, { useEffect } from 'react';
+import { Page } from 'react-pdf';
+import { imageKey } from '../hooks/usePageImages';
+
+// Wait for scrolling to settle before asking the server for a page image
+const REQUEST_DELAY_MS = 150;
+
+/**
+ * PageCanvas Component
+ *
+ * One page of the document at a given size and rotation: a react-pdf
+ * canvas (no text or annotation layer, so nothing is selectable), or in
+ * image-only mode the server-rendered image from usePageImages. Must be
+ * inside <Document> unless `imageMode` is set.
+ *
+ * `rotate` is the final rotation: for PDF pages it includes the page's
+ * own /Rotate; server images are already upright, so it is just the
+ * user's rotation there.
+ */
+const PageCanvas = ({
+    pageNumber,
+    width,
+    height,
+    rotate = 0,
+    imageMode = false,
+    imageWidth,
+    images = {},
+    requestImage,
+    compact = false
+}) => {
+    const imageUrl = imageMode ? images[imageKey(pageNumber, imageWidth)] : null;
+
+    useEffect(() => {
+        if (!imageMode || imageUrl) return;
+
+        const timer = setTimeout(() => requestImage(pageNumber, imageWidth), REQUEST_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [imageMode, imageUrl, requestImage, pageNumber, imageWidth]);
+
+    const placeholder = (
+        <div
+            className="bg-gray-800 rounded flex items-center justify-center"
+            style={{ width, height }}
+        >
+            {!compact && <div className="pdf-loading-spinner" />}
+        </div>
+    );
+
+    if (!imageMode) {
+        return (
+            <Page
+                pageNumber={pageNumber}
+                width={width}
+                rotate={rotate}
+                renderTextLayer={false}      // CRITICAL: No text layer = cannot select text
+                renderAnnotationLayer={false} // No clickable links
+                className="pdf-canvas"
+                loading={placeholder}
+            />
+        );
+    }
+
+    if (!imageUrl) return placeholder;
+
+    const sideways = rotate % 180 !== 0;
+
+    return (
+        <img
+            src={imageUrl}
+            alt={`Page ${pageNumber}`}
+            draggable={false}
+            className="pdf-canvas"
+            style={{
+                position: 'absolute',
+                top: '50%',
+                left: '50%',
+                width: sideways ? height : width,
+                height: sideways ? width : height,
+                maxWidth: 'none',
+                transform: `translate(-50%, -50%) rotate(${rotate}deg)`
+            }}
+        />
+    );
+};
+
+export default PageCanvas;
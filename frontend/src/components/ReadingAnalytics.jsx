@@ -0,0 +1,202 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const formatDuration = (seconds) => {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${Math.round(seconds % 60)}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+/**
+ * Horizontal progress bar for a 0..1 ratio
+ */
+const RatioBar = ({ label, ratio, color }) => (
+    <div>
+        <div className="flex justify-between text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-1">
+            <span>{label}</span>
+            <span className="text-slate-700">{percent(ratio)}</span>
+        </div>
+        <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+            <div className={`h-full rounded-full ${color}`} style={{ width: percent(ratio) }}></div>
+        </div>
+    </div>
+);
+
+/**
+ * Vertical bar chart, one bar per page
+ */
+const PageChart = ({ title, bars, color, format, highlight }) => {
+    const max = Math.max(...bars.map(bar => bar.value), 0);
+
+    return (
+        <div>
+            <h4 className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">{title}</h4>
+            <div className="flex items-end gap-1 h-32 border-b border-slate-200">
+                {bars.map((bar) => (
+                    <div key={bar.page} className="flex-1 h-full flex flex-col justify-end group" title={`Page ${bar.page}: ${format(bar.value)}`}>
+                        <div
+                            className={`rounded-t-md transition-all ${bar.page === highlight ? 'bg-rose-500' : color}`}
+                            style={{ height: max > 0 ? `${(bar.value / max) * 100}%` : '0%', minHeight: bar.value > 0 ? '2px' : 0 }}
+                        ></div>
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1 mt-1">
+                {bars.map((bar) => (
+                    <span key={bar.page} className="flex-1 text-center text-[9px] text-slate-400 truncate">{bar.page}</span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * ReadingAnalytics Component
+ *
+ * Owner-only reading analytics: per document reach, completion and
+ * average reading time, with per-page time and drop-off charts for the
+ * selected document.
+ */
+const ReadingAnalytics = ({ groupId, currentUser }) => {
+    const [documents, setDocuments] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const authHeaders = useCallback(async () => ({
+        Authorization: `Bearer ${await currentUser.getIdToken()}`
+    }), [currentUser]);
+
+    useEffect(() => {
+        const fetchSummary = async () => {
+            setLoading(true);
+            try {
+                const res = await axios.get(`${API_BASE}/api/analytics/groups/${groupId}`, { headers: await authHeaders() });
+                setDocuments(res.data.documents);
+            } catch (error) {
+                console.error('Error fetching analytics', error);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchSummary();
+    }, [groupId, authHeaders]);
+
+    useEffect(() => {
+        if (!selectedId) return;
+
+        let cancelled = false;
+        const fetchDetail = async () => {
+            try {
+                const res = await axios.get(`${API_BASE}/api/analytics/pdfs/${selectedId}`, { headers: await authHeaders() });
+                if (!cancelled) setDetail(res.data);
+            } catch (error) {
+                console.error('Error fetching document analytics', error);
+            }
+        };
+        fetchDetail();
+        return () => { cancelled = true; };
+    }, [selectedId, authHeaders]);
+
+    const selectDocument = (pdfId) => {
+        setDetail(null);
+        setSelectedId(selectedId === pdfId ? null : pdfId);
+    };
+
+    if (loading) {
+        return <p className="text-sm text-slate-400 text-center py-10">Loading analytics...</p>;
+    }
+
+    if (documents.length === 0) {
+        return <p className="text-sm text-slate-400 text-center py-10">Upload a document to see how it is read.</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            {documents.map((doc) => (
+                <div key={doc.pdfId} className="bg-white rounded-3xl p-5 border border-slate-100 shadow-[0_4px_20px_-4px_rgba(0,0,0,0.05)]">
+                    <button onClick={() => selectDocument(doc.pdfId)} className="w-full text-left">
+                        <div className="flex items-start justify-between gap-4 mb-4">
+                            <div className="min-w-0">
+                                <h3 className="font-bold text-slate-900 truncate">{doc.title}</h3>
+                                <p className="text-xs text-slate-500">
+                                    {doc.totalViews} view{doc.totalViews === 1 ? '' : 's'} · {doc.uniqueViewers} of {doc.audience} member{doc.audience === 1 ? '' : 's'} · avg {formatDuration(doc.averageReadSeconds)}
+                                    {doc.dropOffPage && ` · most stop at page ${doc.dropOffPage}`}
+                                </p>
+                            </div>
+                            <svg className={`w-4 h-4 text-slate-400 shrink-0 transition-transform ${selectedId === doc.pdfId ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
+                            </svg>
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                            <RatioBar label="Reach" ratio={doc.reach} color="bg-indigo-500" />
+                            <RatioBar label="Completion" ratio={doc.completionRate} color="bg-emerald-500" />
+                        </div>
+                    </button>
+
+                    {selectedId === doc.pdfId && (
+                        <div className="mt-5 pt-5 border-t border-slate-100">
+                            {!detail ? (
+                                <p className="text-xs text-slate-400">Loading...</p>
+                            ) : (
+                                <div className="space-y-6">
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                        <PageChart
+                                            title="Average time per page"
+                                            bars={detail.pageStats.map(stat => ({ page: stat.page, value: stat.averageSeconds }))}
+                                            color="bg-indigo-400"
+                                            format={formatDuration}
+                                        />
+                                        <PageChart
+                                            title="Readers reaching each page"
+                                            bars={detail.pageStats.map(stat => ({ page: stat.page, value: stat.readers }))}
+                                            color="bg-emerald-400"
+                                            format={(value) => `${value} reader${value === 1 ? '' : 's'}`}
+                                            highlight={detail.dropOffPage}
+                                        />
+                                    </div>
+
+                                    {detail.viewers.length > 0 && (
+                                        <table className="w-full text-xs text-left">
+                                            <thead>
+                                                <tr className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">
+                                                    <th className="py-1 pr-3">Reader</th>
+                                                    <th className="py-1 pr-3">Views</th>
+                                                    <th className="py-1 pr-3">Time</th>
+                                                    <th className="py-1 pr-3">Furthest page</th>
+                                                    <th className="py-1">Last viewed</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {detail.viewers.map((viewer) => (
+                                                    <tr key={viewer.userId} className="border-t border-slate-100">
+                                                        <td className="py-2 pr-3 font-bold text-slate-800">{viewer.name || viewer.email || viewer.userId}</td>
+                                                        <td className="py-2 pr-3 text-slate-600">{viewer.views}</td>
+                                                        <td className="py-2 pr-3 text-slate-600">{formatDuration(viewer.seconds)}</td>
+                                                        <td className="py-2 pr-3 text-slate-600">
+                                                            {viewer.furthestPage} / {detail.pages}
+                                                            {viewer.completed && <span className="ml-1 text-emerald-600 font-bold">✓</span>}
+                                                        </td>
+                                                        <td className="py-2 text-slate-500">{new Date(viewer.lastViewedAt).toLocaleString()}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ReadingAnalytics;
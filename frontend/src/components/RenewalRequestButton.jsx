@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+/**
+ * RenewalRequestButton Component
+ *
+ * Lets a member whose access is running out (or has run out) ask the
+ * group owner for more time. Shows the pending state once sent.
+ */
+const RenewalRequestButton = ({ groupId, currentUser, renewalRequest, className = '' }) => {
+    const [request, setRequest] = useState(renewalRequest || null);
+    const [sending, setSending] = useState(false);
+
+    const handleRequest = async () => {
+        const message = window.prompt('Add a note for the group owner (optional):', '');
+        if (message === null) return;
+
+        setSending(true);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.post(`${API_BASE}/api/groups/${groupId}/renewal-requests`, { message }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setRequest(res.data.request);
+        } catch (error) {
+            console.error('Error requesting renewal', error);
+            if (error.response?.status === 409) {
+                setRequest(error.response.data.request);
+            } else {
+                alert(error.response?.data?.message || 'Failed to request renewal');
+            }
+        } finally {
+            setSending(false);
+        }
+    };
+
+    if (request?.status === 'pending') {
+        return (
+            <p className={`text-xs font-bold ${className}`}>
+                Renewal requested {new Date(request.createdAt).toLocaleDateString()}
+            </p>
+        );
+    }
+
+    return (
+        <button
+            type="button"
+            onClick={handleRequest}
+            disabled={sending}
+            className={`px-3 py-1.5 text-xs font-bold rounded-lg bg-white/90 text-indigo-700 hover:bg-white transition-colors disabled:opacity-50 ${className}`}
+        >
+            {sending ? 'Sending...' : request?.status === 'denied' ? 'Request renewal again' : 'Request renewal'}
+        </button>
+    );
+};
+
+export default RenewalRequestButton;
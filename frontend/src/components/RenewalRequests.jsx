@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const EXTENSION_OPTIONS = [7, 30, 90, 365];
+
+/**
+ * RenewalRequests Component
+ *
+ * Owner-only list of members asking for their access to be renewed,
+ * with approve (extend by N days) and deny actions.
+ */
+const RenewalRequests = ({ groupId, currentUser, onChanged }) => {
+    const [requests, setRequests] = useState([]);
+    const [days, setDays] = useState(30);
+    const [busy, setBusy] = useState(null);
+
+    const fetchRequests = useCallback(async () => {
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${API_BASE}/api/groups/${groupId}/renewal-requests`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setRequests(res.data);
+        } catch (error) {
+            console.error('Error fetching renewal requests', error);
+        }
+    }, [groupId, currentUser]);
+
+    useEffect(() => {
+        fetchRequests();
+    }, [fetchRequests]);
+
+    const handleResolve = async (memberId, decision) => {
+        setBusy(memberId);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.post(`${API_BASE}/api/groups/${groupId}/renewal-requests/${memberId}/${decision}`, { days }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setRequests(prev => prev.filter(r => r.userId !== memberId));
+            if (onChanged) onChanged();
+        } catch (error) {
+            console.error('Error resolving renewal', error);
+            alert(error.response?.data?.message || 'Failed to resolve renewal');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    if (requests.length === 0) return null;
+
+    return (
+        <div className="mt-6 pt-6 border-t border-slate-100">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xs font-bold text-amber-500 uppercase tracking-widest">
+                    Renewal Requests ({requests.length})
+                </h2>
+                <select
+                    value={days}
+                    onChange={(e) => setDays(Number(e.target.value))}
+                    className="text-[11px] font-bold text-slate-600 bg-white border border-slate-200 rounded-lg px-1.5 py-1 outline-none"
+                    title="Extend approved members by"
+                >
+                    {EXTENSION_OPTIONS.map((option) => (
+                        <option key={option} value={option}>+{option} days</option>
+                    ))}
+                </select>
+            </div>
+            <div className="space-y-2">
+                {requests.map((request) => (
+                    <div key={request.userId} className="p-3 bg-amber-50/60 rounded-2xl border border-amber-100">
+                        <div className="flex items-center justify-between gap-2">
+                            <p className="font-bold text-slate-900 text-sm truncate">{request.email || request.userId}</p>
+                            <div className="flex gap-1 shrink-0">
+                                <button
+                                    onClick={() => handleResolve(request.userId, 'approve')}
+                                    disabled={busy === request.userId}
+                                    className="px-2 py-1 text-[10px] font-bold uppercase text-emerald-700 bg-emerald-100 hover:bg-emerald-200 rounded-lg transition-all disabled:opacity-50"
+                                >
+                                    Approve
+                                </button>
+                                <button
+                                    onClick={() => handleResolve(request.userId, 'deny')}
+                                    disabled={busy === request.userId}
+                                    className="px-2 py-1 text-[10px] font-bold uppercase text-red-500 bg-red-50 hover:bg-red-100 rounded-lg transition-all disabled:opacity-50"
+                                >
+                                    Deny
+                                </button>
+                            </div>
+                        </div>
+                        {request.expiresAt && (
+                            <p className="text-[11px] text-amber-700 mt-1">
+                                Access {new Date(request.expiresAt) < new Date() ? 'expired' : 'expires'} {new Date(request.expiresAt).toLocaleDateString()}
+                            </p>
+                        )}
+                        {request.message && (
+                            <p className="text-[11px] text-slate-600 mt-2 italic border-l-2 border-amber-200 pl-2">
+                                &ldquo;{request.message}&rdquo;
+                            </p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default RenewalRequests;
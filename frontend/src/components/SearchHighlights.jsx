@@ -0,0 +1,40 @@
+import React from 'react';
+import { rotateRect } from '../hooks/usePageLayout';
+
+/**
+ * SearchHighlights Component
+ *
+ * Draws the search matches of one page as boxes over the canvas. The
+ * rectangles come from the server as fractions of the upright page, so
+ * they follow any zoom; `rotation` is the user's rotation of the page.
+ * Sits below the watermark so highlights never hide it.
+ *
+ * @param {Array<{index, rects}>} hits - this page's matches
+ */
+const SearchHighlights = ({ hits, activeIndex, rotation = 0, zIndex = 5 }) => {
+    if (!hits || hits.length === 0) return null;
+
+    return (
+        <div className="absolute inset-0 pointer-events-none" style={{ zIndex }}>
+            {hits.map(hit => hit.rects.map((rect, i) => {
+                const { x, y, width, height } = rotateRect(rect, rotation);
+                const active = hit.index === activeIndex;
+
+                return (
+                    <div
+                        key={`${hit.index}-${i}`}
+                        className={`absolute rounded-sm mix-blend-multiply ${active ? 'bg-orange-400/60 ring-2 ring-orange-500' : 'bg-yellow-300/50'}`}
+                        style={{
+                            left: `${x * 100}%`,
+                            top: `${y * 100}%`,
+                            width: `${width * 100}%`,
+                            height: `${height * 100}%`
+                        }}
+                    />
+                );
+            }))}
+        </div>
+    );
+};
+
+export default SearchHighlights;
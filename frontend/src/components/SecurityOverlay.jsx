@@ -46,7 +46,7 @@ const SecurityOverlay = ({
         session: {
             icon: '🔒',
             title: 'Session Expired',
-            message: 'Your viewing session has ended. You may have logged in from another device.',
+            message: 'Your viewing session has ended. This document may have been opened in another tab or device, or an administrator ended the session.',
             action: 'Return to Login',
             bgColor: 'rgba(0, 0, 0, 0.98)'
         }
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const LAYER_LABELS = {
+    rightClick: 'Block right-click',
+    keyboard: 'Block shortcuts (print, save, copy)',
+    focus: 'Focus / tab-switch detection',
+    devtools: 'DevTools detection',
+    resize: 'Resize monitoring',
+    dragDrop: 'Block drag & drop',
+    selection: 'Block selection & copy'
+};
+
+/**
+ * SecurityPolicyEditor Component
+ *
+ * Owner-only card for editing a group's viewer security policy:
+ * protection layers, blur-on-focus-loss, image-only delivery, downloads, watermark strength,
+ * heartbeat frequency, concurrent sessions and violation threshold.
+ */
+const SecurityPolicyEditor = ({ groupId, currentUser }) => {
+    const [policy, setPolicy] = useState(null);
+    const [limits, setLimits] = useState(null);
+    const [expanded, setExpanded] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [status, setStatus] = useState('');
+
+    useEffect(() => {
+        const fetchPolicy = async () => {
+            try {
+                const token = await currentUser.getIdToken();
+                const res = await axios.get(`${API_BASE}/api/groups/${groupId}/security-policy`, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                setPolicy(res.data.policy);
+                setLimits(res.data.limits);
+            } catch (error) {
+                console.error('Error fetching security policy', error);
+            }
+        };
+
+        if (currentUser) fetchPolicy();
+    }, [groupId, currentUser]);
+
+    const updateField = (field, value) => {
+        setPolicy(prev => ({ ...prev, [field]: value }));
+    };
+
+    const toggleLayer = (layer) => {
+        setPolicy(prev => ({ ...prev, layers: { ...prev.layers, [layer]: !prev.layers[layer] } }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setStatus('');
+
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.put(`${API_BASE}/api/groups/${groupId}/security-policy`, policy, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setPolicy(res.data.policy);
+            setStatus('Saved');
+            setTimeout(() => setStatus(''), 3000);
+        } catch (error) {
+            console.error('Error saving security policy', error);
+            setStatus(error.response?.data?.message || 'Failed to save');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!policy || !limits) return null;
+
+    const numberInputClass = 'w-20 px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm font-bold text-slate-800 text-center outline-none focus:border-indigo-500';
+
+    return (
+        <div className="bg-white p-6 rounded-3xl border border-slate-100 shadow-xl shadow-slate-200/50">
+            <button
+                type="button"
+                onClick={() => setExpanded(!expanded)}
+                className="w-full flex items-center justify-between text-lg font-bold text-slate-900"
+            >
+                <span className="flex items-center gap-2">
+                    <span className="w-8 h-8 rounded-lg bg-slate-900 text-white flex items-center justify-center">
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.040A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"></path></svg>
+                    </span>
+                    Security Policy
+                </span>
+                <svg className={`w-4 h-4 text-slate-400 transition-transform ${expanded ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {expanded && (
+                <form onSubmit={handleSave} className="mt-6 space-y-5">
+                    <div>
+                        <h4 className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">Protection Layers</h4>
+                        <div className="space-y-2">
+                            {Object.entries(LAYER_LABELS).map(([layer, label]) => (
+                                <label key={layer} className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={policy.layers[layer] !== false}
+                                        onChange={() => toggleLayer(layer)}
+                                        className="accent-indigo-600"
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                            <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={policy.blurOnFocusLoss}
+                                    onChange={() => updateField('blurOnFocusLoss', !policy.blurOnFocusLoss)}
+                                    className="accent-indigo-600"
+                                />
+                                Hide content when focus is lost
+                            </label>
+                            <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={!!policy.pageImagesOnly}
+                                    onChange={() => updateField('pageImagesOnly', !policy.pageImagesOnly)}
+                                    className="accent-indigo-600"
+                                />
+                                Page images only (never send the PDF file)
+                            </label>
+                            <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={!!policy.allowDownload}
+                                    onChange={() => updateField('allowDownload', !policy.allowDownload)}
+                                    className="accent-indigo-600"
+                                />
+                                Allow stamped, encrypted downloads
+                            </label>
+                        </div>
+                    </div>
+
+                    <div>
+                        <div className="flex items-center justify-between mb-1">
+                            <h4 className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Watermark Strength</h4>
+                            <span className="text-xs font-bold text-slate-600">{Math.round(policy.watermarkOpacity * 100)}%</span>
+                        </div>
+                        <input
+                            type="range"
+                            min={limits.watermarkOpacity.min}
+                            max={limits.watermarkOpacity.max}
+                            step="0.01"
+                            value={policy.watermarkOpacity}
+                            onChange={(e) => updateField('watermarkOpacity', Number(e.target.value))}
+                            className="w-full accent-indigo-600"
+                        />
+                    </div>
+
+                    <div className="space-y-3">
+                        <label className="flex items-center justify-between text-sm text-slate-700">
+                            Heartbeat (seconds)
+                            <input
+                                type="number"
+                                min={limits.heartbeatIntervalSeconds.min}
+                                max={limits.heartbeatIntervalSeconds.max}
+                                value={policy.heartbeatIntervalSeconds}
+                                onChange={(e) => updateField('heartbeatIntervalSeconds', e.target.value)}
+                                className={numberInputClass}
+                            />
+                        </label>
+                        <label className="flex items-center justify-between text-sm text-slate-700">
+                            Max concurrent sessions
+                            <input
+                                type="number"
+                                min={limits.maxConcurrentSessions.min}
+                                max={limits.maxConcurrentSessions.max}
+                                value={policy.maxConcurrentSessions}
+                                onChange={(e) => updateField('maxConcurrentSessions', e.target.value)}
+                                className={numberInputClass}
+                            />
+                        </label>
+                        <label className="flex items-center justify-between text-sm text-slate-700">
+                            When exceeded
+                            <select
+                                value={policy.sessionMode}
+                                onChange={(e) => updateField('sessionMode', e.target.value)}
+                                className="px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm font-bold text-slate-800 outline-none focus:border-indigo-500"
+                            >
+                                <option value="takeover">Newest wins</option>
+                                <option value="limit">Block new</option>
+                            </select>
+                        </label>
+                        <label className="flex items-center justify-between text-sm text-slate-700">
+                            Violation threshold
+                            <input
+                                type="number"
+                                min={limits.violationThreshold.min}
+                                max={limits.violationThreshold.max}
+                                value={policy.violationThreshold}
+                                onChange={(e) => updateField('violationThreshold', e.target.value)}
+                                className={numberInputClass}
+                            />
+                        </label>
+                    </div>
+
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="w-full py-3 bg-slate-900 hover:bg-black text-white font-bold rounded-xl text-sm transition-colors disabled:opacity-70"
+                    >
+                        {saving ? 'Saving...' : 'Save Policy'}
+                    </button>
+                    {status && (
+                        <p className={`text-xs font-bold text-center ${status === 'Saved' ? 'text-emerald-600' : 'text-red-500'}`}>{status}</p>
+                    )}
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default SecurityPolicyEditor;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import PageCanvas from './PageCanvas';
+import ForensicMark from './ForensicMark';
+import { useElementSize } from '../hooks/useElementSize';
+import { pageSizeOf, rotatedSize, visibleItems } from '../hooks/usePageLayout';
+
+const THUMBNAIL_WIDTH = 112;
+// Smallest width the page renderer serves
+const THUMBNAIL_IMAGE_WIDTH = 200;
+const LABEL_HEIGHT = 20;
+const GAP = 12;
+const PADDING = 12;
+const OVERSCAN = 400;
+
+/**
+ * ThumbnailSidebar Component
+ *
+ * Scrollable strip of page thumbnails; clicking one jumps to that page.
+ * Only the thumbnails near the visible part of the strip are rendered, and
+ * the current page is kept in view. In PDF mode it must be inside the
+ * viewer's <Document>.
+ */
+const ThumbnailSidebar = ({
+    numPages,
+    pageSizes,
+    rotation,
+    currentPage,
+    onSelect,
+    imageMode,
+    images,
+    requestImage,
+    forensicPattern
+}) => {
+    const [element, setElement] = useState(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const viewport = useElementSize(element);
+    const frameRef = useRef(null);
+
+    const { items, totalHeight } = useMemo(() => {
+        const list = [];
+        let top = PADDING;
+        for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
+            const size = rotatedSize(pageSizeOf(pageSizes, pageNumber), rotation);
+            const height = Math.round(THUMBNAIL_WIDTH * size.height / size.width);
+            list.push({ pageNumber, top, height });
+            top += height + LABEL_HEIGHT + GAP;
+        }
+        return { items: list, totalHeight: top - GAP + PADDING };
+    }, [numPages, pageSizes, rotation]);
+
+    // Keep the current page's thumbnail in view
+    useEffect(() => {
+        const item = items[currentPage - 1];
+        if (!element || !item) return;
+
+        const bottom = item.top + item.height + LABEL_HEIGHT;
+        if (item.top < element.scrollTop || bottom > element.scrollTop + element.clientHeight) {
+            element.scrollTo({ top: item.top - PADDING });
+        }
+    }, [element, items, currentPage]);
+
+    useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+    const handleScroll = () => {
+        if (frameRef.current) return;
+        frameRef.current = requestAnimationFrame(() => {
+            frameRef.current = null;
+            if (element) setScrollTop(element.scrollTop);
+        });
+    };
+
+    return (
+        <div
+            ref={setElement}
+            onScroll={handleScroll}
+            className="interactive-element w-40 shrink-0 overflow-y-auto bg-gray-950/60 border-r border-gray-800"
+        >
+            <div className="relative" style={{ height: totalHeight }}>
+                {visibleItems(items, scrollTop, viewport.height, OVERSCAN).map((item) => (
+                    <button
+                        key={item.pageNumber}
+                        onClick={() => onSelect(item.pageNumber)}
+                        className="absolute left-1/2 -translate-x-1/2 flex flex-col items-center"
+                        style={{ top: item.top, width: THUMBNAIL_WIDTH }}
+                        title={`Page ${item.pageNumber}`}
+                    >
+                        <div
+                            className={`relative overflow-hidden rounded bg-white ring-2 transition-all ${item.pageNumber === currentPage ? 'ring-indigo-500' : 'ring-transparent hover:ring-gray-500'}`}
+                            style={{ width: THUMBNAIL_WIDTH, height: item.height }}
+                        >
+                            <PageCanvas
+                                pageNumber={item.pageNumber}
+                                width={THUMBNAIL_WIDTH}
+                                height={item.height}
+                                rotate={imageMode ? rotation : ((pageSizeOf(pageSizes, item.pageNumber).rotate || 0) + rotation) % 360}
+                                imageMode={imageMode}
+                                imageWidth={THUMBNAIL_IMAGE_WIDTH}
+                                images={images}
+                                requestImage={requestImage}
+                                compact
+                            />
+                            {!imageMode && <ForensicMark pattern={forensicPattern} />}
+                        </div>
+                        <span className={`text-[11px] font-medium leading-5 ${item.pageNumber === currentPage ? 'text-indigo-300' : 'text-gray-500'}`}>
+                            {item.pageNumber}
+                        </span>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ThumbnailSidebar;
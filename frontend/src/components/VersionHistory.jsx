@@ -0,0 +1,216 @@
+import { useState } from 'react';
+import axios from 'axios';
+import React from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+/**
+ * VersionHistory Component
+ *
+ * Owner-only panel on a document card: upload a new version with a
+ * changelog, and view, restore or purge previous versions.
+ */
+const VersionHistory = ({ pdf, currentUser, onChanged }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [file, setFile] = useState(null);
+    const [changelog, setChangelog] = useState('');
+    const [uploading, setUploading] = useState(false);
+    const [busyVersion, setBusyVersion] = useState(null);
+
+    const authConfig = async () => {
+        const token = await currentUser.getIdToken();
+        return { headers: { Authorization: `Bearer ${token}` } };
+    };
+
+    const fetchVersions = async () => {
+        setLoading(true);
+        try {
+            const res = await axios.get(`${API_BASE}/api/pdfs/${pdf.id}/versions`, await authConfig());
+            setVersions(res.data.versions);
+        } catch (error) {
+            console.error('Error fetching versions', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggle = () => {
+        if (!expanded) fetchVersions();
+        setExpanded(!expanded);
+    };
+
+    const refresh = () => {
+        fetchVersions();
+        if (onChanged) onChanged();
+    };
+
+    const handleUpload = async (e) => {
+        e.preventDefault();
+        if (!file) return;
+        setUploading(true);
+
+        const formData = new FormData();
+        formData.append('pdf', file);
+        formData.append('changelog', changelog);
+
+        try {
+            const config = await authConfig();
+            await axios.post(`${API_BASE}/api/pdfs/${pdf.id}/versions`, formData, {
+                headers: { ...config.headers, 'Content-Type': 'multipart/form-data' }
+            });
+            setFile(null);
+            setChangelog('');
+            refresh();
+        } catch (error) {
+            console.error('Version upload failed', error);
+            alert(error.response?.data?.message || 'Upload failed');
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleView = async (version) => {
+        setBusyVersion(version);
+        try {
+            const config = await authConfig();
+            const res = await axios.get(`${API_BASE}/api/pdfs/${pdf.id}/versions/${version}/file`, {
+                ...config,
+                responseType: 'blob'
+            });
+            const url = URL.createObjectURL(res.data);
+            window.open(url, '_blank', 'noopener');
+            // Give the new tab time to load before releasing the blob
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            console.error('Error opening version', error);
+            alert('Failed to open version');
+        } finally {
+            setBusyVersion(null);
+        }
+    };
+
+    const handleRestore = async (version) => {
+        if (!window.confirm(`Make version ${version} the current version? Members will see it immediately.`)) return;
+
+        setBusyVersion(version);
+        try {
+            await axios.post(`${API_BASE}/api/pdfs/${pdf.id}/versions/${version}/restore`, {}, await authConfig());
+            refresh();
+        } catch (error) {
+            console.error('Error restoring version', error);
+            alert(error.response?.data?.message || 'Failed to restore version');
+        } finally {
+            setBusyVersion(null);
+        }
+    };
+
+    const handlePurge = async (version) => {
+        if (!window.confirm(`Permanently delete version ${version}? This cannot be undone.`)) return;
+
+        setBusyVersion(version);
+        try {
+            await axios.delete(`${API_BASE}/api/pdfs/${pdf.id}/versions/${version}`, await authConfig());
+            refresh();
+        } catch (error) {
+            console.error('Error purging version', error);
+            alert(error.response?.data?.message || 'Failed to purge version');
+        } finally {
+            setBusyVersion(null);
+        }
+    };
+
+    return (
+        <div className="mb-4">
+            <button
+                type="button"
+                onClick={toggle}
+                className="w-full flex items-center justify-between text-xs font-bold text-slate-500 hover:text-indigo-600 transition-colors"
+            >
+                <span>Versions</span>
+                <svg className={`w-3.5 h-3.5 transition-transform ${expanded ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {expanded && (
+                <div className="mt-3 space-y-3">
+                    <form onSubmit={handleUpload} className="space-y-2 p-3 bg-slate-50 rounded-xl border border-slate-100">
+                        <input
+                            type="file"
+                            accept="application/pdf"
+                            onChange={(e) => setFile(e.target.files[0])}
+                            className="block w-full text-xs text-slate-500 file:mr-2 file:py-1 file:px-2 file:rounded-lg file:border-0 file:text-xs file:font-bold file:bg-indigo-50 file:text-indigo-600"
+                        />
+                        <input
+                            type="text"
+                            value={changelog}
+                            onChange={(e) => setChangelog(e.target.value)}
+                            placeholder="What changed?"
+                            maxLength={1000}
+                            className="w-full px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-xs outline-none focus:border-indigo-500"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!file || uploading}
+                            className="w-full py-1.5 bg-slate-900 hover:bg-black text-white font-bold rounded-lg text-xs transition-colors disabled:opacity-50"
+                        >
+                            {uploading ? 'Uploading...' : 'Upload New Version'}
+                        </button>
+                    </form>
+
+                    {loading ? (
+                        <p className="text-xs text-slate-400 text-center">Loading versions...</p>
+                    ) : (
+                        <div className="space-y-2 max-h-60 overflow-y-auto">
+                            {versions.map((v) => (
+                                <div key={v.version} className="p-2.5 bg-white rounded-xl border border-slate-100">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <span className="text-xs font-bold text-slate-800">
+                                            v{v.version}
+                                            {v.current && (
+                                                <span className="ml-1.5 px-1.5 py-0.5 bg-emerald-50 text-emerald-600 rounded text-[10px]">Current</span>
+                                            )}
+                                        </span>
+                                        <span className="text-[10px] text-slate-400">
+                                            {new Date(v.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}
+                                        </span>
+                                    </div>
+                                    {v.changelog && <p className="text-xs text-slate-500 mt-1 break-words">{v.changelog}</p>}
+                                    <div className="flex gap-3 mt-2 text-[11px] font-bold">
+                                        <button
+                                            onClick={() => handleView(v.version)}
+                                            disabled={busyVersion === v.version}
+                                            className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                                        >
+                                            View
+                                        </button>
+                                        {!v.current && (
+                                            <>
+                                                <button
+                                                    onClick={() => handleRestore(v.version)}
+                                                    disabled={busyVersion === v.version}
+                                                    className="text-slate-600 hover:text-slate-900 disabled:opacity-50"
+                                                >
+                                                    Restore
+                                                </button>
+                                                <button
+                                                    onClick={() => handlePurge(v.version)}
+                                                    disabled={busyVersion === v.version}
+                                                    className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                                                >
+                                                    Purge
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default VersionHistory;
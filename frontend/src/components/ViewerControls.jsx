@@ -0,0 +1,215 @@
+import React from 'react';
+import { ZOOM_STEPS } from '../hooks/usePageLayout';
+
+const FIT_MODES = [
+    { value: 'auto', label: 'Automatic' },
+    { value: 'fit-width', label: 'Fit width' },
+    { value: 'fit-page', label: 'Fit page' }
+];
+
+const iconButton = '!px-2 !py-1.5 flex items-center justify-center';
+
+/**
+ * ViewerControls Component
+ *
+ * Floating control bar of the SecureViewer: page navigation and jump,
+ * zoom (steps, presets, fit width / fit page), rotation, continuous or
+ * single-page layout, the thumbnail and contents sidebar toggles (the
+ * latter only when the document has an outline: pass onToggleOutline),
+ * the reader's highlight / note tools with their "My notes" panel, and the
+ * comment tool with the group's discussion panel.
+ */
+const ViewerControls = ({
+    pageNumber,
+    numPages,
+    onNavigate,
+    onJump,
+    scale,
+    zoomMode,
+    zoom,
+    onZoom,
+    onRotate,
+    viewMode,
+    onViewModeChange,
+    showThumbnails,
+    onToggleThumbnails,
+    showOutline,
+    onToggleOutline,
+    annotationTool,
+    onAnnotationToolChange,
+    showNotes,
+    onToggleNotes,
+    noteCount,
+    showComments,
+    onToggleComments,
+    unreadComments
+}) => {
+    const zoomOut = () => {
+        const step = [...ZOOM_STEPS].reverse().find(value => value < scale - 0.01);
+        if (step) onZoom('custom', step);
+    };
+
+    const zoomIn = () => {
+        const step = ZOOM_STEPS.find(value => value > scale + 0.01);
+        if (step) onZoom('custom', step);
+    };
+
+    const handleZoomSelect = (e) => {
+        const { value } = e.target;
+        if (FIT_MODES.some(mode => mode.value === value)) {
+            onZoom(value, zoom);
+        } else {
+            onZoom('custom', Number(value));
+        }
+    };
+
+    const toggleTool = (tool) => onAnnotationToolChange(annotationTool === tool ? null : tool);
+
+    const handleJumpToPage = (e) => {
+        e.preventDefault();
+        const targetPage = parseInt(e.currentTarget.pageJump.value, 10);
+        if (targetPage >= 1 && targetPage <= numPages) {
+            onJump(targetPage);
+        }
+    };
+
+    return (
+        <div className="pdf-controls interactive-element flex-wrap justify-center max-w-[95vw]" style={{ gap: '0.75rem' }}>
+            <button
+                onClick={onToggleThumbnails}
+                className={`${iconButton} ${showThumbnails ? '!bg-indigo-500/20' : ''}`}
+                title={showThumbnails ? 'Hide thumbnails' : 'Show thumbnails'}
+            >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 5h6v6H4zM4 15h6v4H4zM14 5h6v14h-6z" />
+                </svg>
+            </button>
+
+            {onToggleOutline && (
+                <button
+                    onClick={onToggleOutline}
+                    className={`${iconButton} ${showOutline ? '!bg-indigo-500/20' : ''}`}
+                    title={showOutline ? 'Hide contents' : 'Show contents'}
+                >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M8 12h12M8 18h12M4 12h.01M4 18h.01" />
+                    </svg>
+                </button>
+            )}
+
+            <div className="flex items-center gap-2">
+                <button onClick={() => onNavigate(pageNumber - 1)} disabled={pageNumber <= 1}>
+                    ← <span className="hidden sm:inline">Previous</span>
+                </button>
+
+                <form onSubmit={handleJumpToPage} className="flex items-center gap-2">
+                    <input
+                        name="pageJump"
+                        type="number"
+                        min="1"
+                        max={numPages}
+                        defaultValue={pageNumber}
+                        key={pageNumber}
+                        className="w-16 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-center text-white focus:border-blue-500 outline-none text-sm"
+                    />
+                    <span className="text-gray-400 text-sm font-medium whitespace-nowrap">of {numPages}</span>
+                    <button
+                        type="submit"
+                        className="!px-2 !py-1 !bg-blue-600 !border-blue-500 hover:!bg-blue-700 text-white rounded text-sm font-medium"
+                    >
+                        Go
+                    </button>
+                </form>
+
+                <button onClick={() => onNavigate(pageNumber + 1)} disabled={pageNumber >= numPages}>
+                    <span className="hidden sm:inline">Next</span> →
+                </button>
+            </div>
+
+            <div className="flex items-center gap-1">
+                <button onClick={zoomOut} disabled={scale <= ZOOM_STEPS[0] + 0.01} className={iconButton} title="Zoom out">−</button>
+                <select
+                    value={zoomMode === 'custom' ? String(zoom) : zoomMode}
+                    onChange={handleZoomSelect}
+                    className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white text-sm outline-none focus:border-blue-500"
+                    title="Zoom"
+                >
+                    {FIT_MODES.map(mode => (
+                        <option key={mode.value} value={mode.value}>
+                            {zoomMode === mode.value ? `${mode.label} (${Math.round(scale * 100)}%)` : mode.label}
+                        </option>
+                    ))}
+                    {ZOOM_STEPS.map(step => (
+                        <option key={step} value={String(step)}>{Math.round(step * 100)}%</option>
+                    ))}
+                </select>
+                <button onClick={zoomIn} disabled={scale >= ZOOM_STEPS[ZOOM_STEPS.length - 1] - 0.01} className={iconButton} title="Zoom in">+</button>
+            </div>
+
+            <div className="flex items-center gap-1">
+                <button onClick={() => onRotate(-90)} className={iconButton} title="Rotate left">⟲</button>
+                <button onClick={() => onRotate(90)} className={iconButton} title="Rotate right">⟳</button>
+            </div>
+
+            <button
+                onClick={() => onViewModeChange(viewMode === 'continuous' ? 'single' : 'continuous')}
+                className="!text-sm"
+                title="Switch between continuous scrolling and one page at a time"
+            >
+                {viewMode === 'continuous' ? 'Single page' : 'Continuous'}
+            </button>
+
+            <div className="flex items-center gap-1">
+                <button
+                    onClick={() => toggleTool('highlight')}
+                    className={`${iconButton} ${annotationTool === 'highlight' ? '!bg-yellow-500/30' : ''}`}
+                    title={annotationTool === 'highlight' ? 'Stop highlighting' : 'Highlight (drag over a passage)'}
+                >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 5l4 4L9 19H5v-4L15 5zM4 21h16" />
+                    </svg>
+                </button>
+                <button
+                    onClick={() => toggleTool('note')}
+                    className={`${iconButton} ${annotationTool === 'note' ? '!bg-yellow-500/30' : ''}`}
+                    title={annotationTool === 'note' ? 'Stop adding notes' : 'Add a note (click on the page)'}
+                >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 8h10M7 12h6M5 4h14a1 1 0 011 1v11a1 1 0 01-1 1h-6l-4 4v-4H5a1 1 0 01-1-1V5a1 1 0 011-1z" />
+                    </svg>
+                </button>
+                <button
+                    onClick={onToggleNotes}
+                    className={`!text-sm ${showNotes ? '!bg-indigo-500/20' : ''}`}
+                    title={showNotes ? 'Hide my notes' : 'Show my notes'}
+                >
+                    My notes{noteCount > 0 ? ` (${noteCount})` : ''}
+                </button>
+            </div>
+
+            <div className="flex items-center gap-1">
+                <button
+                    onClick={() => toggleTool('comment')}
+                    className={`${iconButton} ${annotationTool === 'comment' ? '!bg-indigo-500/30' : ''}`}
+                    title={annotationTool === 'comment' ? 'Stop picking a region' : 'Comment on a region (drag over it)'}
+                >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 10h.01M12 10h.01M16 10h.01M21 12c0 4.418-4.03 8-9 8a9.86 9.86 0 01-4-.83L3 20l1.4-3.72A7.63 7.63 0 013 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+                    </svg>
+                </button>
+                <button
+                    onClick={onToggleComments}
+                    className={`!text-sm relative ${showComments ? '!bg-indigo-500/20' : ''}`}
+                    title={showComments ? 'Hide discussion' : 'Show discussion'}
+                >
+                    Discussion
+                    {unreadComments > 0 && (
+                        <span className="ml-1.5 px-1.5 rounded-full bg-amber-500 text-gray-900 text-xs font-bold">{unreadComments}</span>
+                    )}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ViewerControls;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+// Tailwind classes per annotation color (the server accepts these names)
+export const ANNOTATION_COLORS = {
+    yellow: { fill: 'bg-yellow-300/45', swatch: 'bg-yellow-300' },
+    green: { fill: 'bg-green-300/45', swatch: 'bg-green-300' },
+    blue: { fill: 'bg-sky-300/45', swatch: 'bg-sky-300' },
+    pink: { fill: 'bg-pink-300/45', swatch: 'bg-pink-300' }
+};
+
+const topOf = (annotation) => Math.min(...annotation.rects.map(rect => rect.y));
+
+// Reading order, as the server returns them
+const sortAnnotations = (list) => [...list].sort((a, b) => (a.page - b.page) || (topOf(a) - topOf(b)));
+
+/**
+ * useAnnotations Hook
+ *
+ * The current user's private highlights and notes on a document. They
+ * live on the server, never in the PDF, and are only fetched inside the
+ * viewer.
+ *
+ * @param {Object} options
+ * @param {string} options.pdfId - Document being viewed
+ * @param {Object} options.currentUser - Firebase user, for the ID token
+ *
+ * @returns {{annotations, error, create, update, remove}} mutators resolve to the saved annotation (or true), or null on failure
+ */
+export function useAnnotations({ pdfId, currentUser }) {
+    const [annotations, setAnnotations] = useState([]);
+    const [error, setError] = useState('');
+
+    const authHeaders = useCallback(async () => (
+        { Authorization: `Bearer ${await currentUser.getIdToken()}` }
+    ), [currentUser]);
+
+    useEffect(() => {
+        if (!pdfId || !currentUser) return;
+        let cancelled = false;
+
+        const loadAnnotations = async () => {
+            try {
+                const res = await axios.get(`${API_BASE}/api/annotations/pdfs/${pdfId}`, {
+                    headers: await authHeaders()
+                });
+                if (!cancelled) setAnnotations(res.data.annotations || []);
+            } catch (err) {
+                console.error('Error fetching annotations:', err);
+                if (!cancelled) setError(err.response?.data?.message || 'Failed to load your notes');
+            }
+        };
+
+        loadAnnotations();
+        return () => { cancelled = true; };
+    }, [pdfId, currentUser, authHeaders]);
+
+    const create = useCallback(async (annotation) => {
+        try {
+            setError('');
+            const res = await axios.post(`${API_BASE}/api/annotations/pdfs/${pdfId}`, annotation, {
+                headers: await authHeaders()
+            });
+            setAnnotations(prev => sortAnnotations([...prev, res.data.annotation]));
+            return res.data.annotation;
+        } catch (err) {
+            console.error('Error saving annotation:', err);
+            setError(err.response?.data?.message || 'Failed to save');
+            return null;
+        }
+    }, [pdfId, authHeaders]);
+
+    const update = useCallback(async (annotationId, changes) => {
+        try {
+            setError('');
+            const res = await axios.put(`${API_BASE}/api/annotations/${annotationId}`, changes, {
+                headers: await authHeaders()
+            });
+            setAnnotations(prev => prev.map(a => (a.id === annotationId ? res.data.annotation : a)));
+            return res.data.annotation;
+        } catch (err) {
+            console.error('Error updating annotation:', err);
+            setError(err.response?.data?.message || 'Failed to save');
+            return null;
+        }
+    }, [authHeaders]);
+
+    const remove = useCallback(async (annotationId) => {
+        try {
+            setError('');
+            await axios.delete(`${API_BASE}/api/annotations/${annotationId}`, {
+                headers: await authHeaders()
+            });
+            setAnnotations(prev => prev.filter(a => a.id !== annotationId));
+            return true;
+        } catch (err) {
+            console.error('Error deleting annotation:', err);
+            setError(err.response?.data?.message || 'Failed to delete');
+            return null;
+        }
+    }, [authHeaders]);
+
+    return { annotations, error, create, update, remove };
+}
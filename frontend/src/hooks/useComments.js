@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import axios from 'axios';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+const fetchComments = async (pdfId, headers) => (
+    (await axios.get(`${API_BASE}/api/comments/pdfs/${pdfId}`, { headers })).data
+);
+
+/**
+ * Whether a comment by someone else arrived after `lastReadAt`
+ */
+export const isUnread = (comment, uid, lastReadAt) => (
+    comment.authorId !== uid && !comment.removed && (!lastReadAt || comment.createdAt > lastReadAt)
+);
+
+/**
+ * useComments Hook
+ *
+ * A document's discussion threads, shared by everyone who can open it.
+ * Every change is sent to the server and the threads are then fetched
+ * again, so replies from others show up too.
+ *
+ * @param {Object} options
+ * @param {string} options.pdfId - Document being viewed
+ * @param {Object} options.currentUser - Firebase user, for the ID token
+ *
+ * @returns {{threads, participants, canModerate, lastReadAt, unreadCount, error, refresh, markRead, startThread, reply, edit, setResolved, remove}}
+ * mutators resolve to true, or false on failure
+ */
+export function useComments({ pdfId, currentUser }) {
+    const [threads, setThreads] = useState([]);
+    const [participants, setParticipants] = useState([]);
+    const [canModerate, setCanModerate] = useState(false);
+    const [lastReadAt, setLastReadAt] = useState(null);
+    const [error, setError] = useState('');
+
+    const authHeaders = useCallback(async () => (
+        { Authorization: `Bearer ${await currentUser.getIdToken()}` }
+    ), [currentUser]);
+
+    const applyComments = useCallback((data) => {
+        setThreads(data.threads || []);
+        setCanModerate(!!data.canModerate);
+        setLastReadAt(data.lastReadAt);
+    }, []);
+
+    const refresh = useCallback(async () => {
+        try {
+            applyComments(await fetchComments(pdfId, await authHeaders()));
+        } catch (err) {
+            console.error('Error fetching comments:', err);
+            setError(err.response?.data?.message || 'Failed to load the discussion');
+        }
+    }, [pdfId, authHeaders, applyComments]);
+
+    useEffect(() => {
+        if (!pdfId || !currentUser) return;
+        let cancelled = false;
+
+        const loadComments = async () => {
+            try {
+                const data = await fetchComments(pdfId, await authHeaders());
+                if (!cancelled) applyComments(data);
+            } catch (err) {
+                console.error('Error fetching comments:', err);
+                if (!cancelled) setError(err.response?.data?.message || 'Failed to load the discussion');
+            }
+        };
+
+        const loadParticipants = async () => {
+            try {
+                const res = await axios.get(`${API_BASE}/api/comments/pdfs/${pdfId}/participants`, {
+                    headers: await authHeaders()
+                });
+                if (!cancelled) setParticipants(res.data.participants || []);
+            } catch (err) {
+                console.error('Error fetching participants:', err);
+            }
+        };
+
+        loadComments();
+        loadParticipants();
+        return () => { cancelled = true; };
+    }, [pdfId, currentUser, authHeaders, applyComments]);
+
+    const markRead = useCallback(async () => {
+        try {
+            const res = await axios.post(`${API_BASE}/api/comments/pdfs/${pdfId}/read`, {}, {
+                headers: await authHeaders()
+            });
+            setLastReadAt(res.data.lastReadAt);
+        } catch (err) {
+            console.error('Error marking comments read:', err);
+        }
+    }, [pdfId, authHeaders]);
+
+    // Send a change, then reload the threads
+    const send = useCallback(async (method, path, body, failure) => {
+        try {
+            setError('');
+            await axios({ method, url: `${API_BASE}/api/comments${path}`, data: body, headers: await authHeaders() });
+            await refresh();
+            return true;
+        } catch (err) {
+            console.error(`${failure}:`, err);
+            setError(err.response?.data?.message || failure);
+            return false;
+        }
+    }, [authHeaders, refresh]);
+
+    const startThread = useCallback((thread) => (
+        send('post', `/pdfs/${pdfId}`, thread, 'Failed to post comment')
+    ), [send, pdfId]);
+
+    const reply = useCallback((threadId, comment) => (
+        send('post', `/threads/${threadId}/replies`, comment, 'Failed to post reply')
+    ), [send]);
+
+    const edit = useCallback((commentId, comment) => (
+        send('put', `/${commentId}`, comment, 'Failed to save comment')
+    ), [send]);
+
+    const setResolved = useCallback((threadId, resolved) => (
+        send('put', `/threads/${threadId}/resolved`, { resolved }, 'Failed to update thread')
+    ), [send]);
+
+    const remove = useCallback((commentId) => (
+        send('delete', `/${commentId}`, undefined, 'Failed to remove comment')
+    ), [send]);
+
+    const unreadCount = useMemo(() => (
+        threads
+            .flatMap(thread => [thread, ...thread.replies])
+            .filter(comment => isUnread(comment, currentUser?.uid, lastReadAt))
+            .length
+    ), [threads, currentUser, lastReadAt]);
+
+    return {
+        threads,
+        participants,
+        canModerate,
+        lastReadAt,
+        unreadCount,
+        error,
+        refresh,
+        markRead,
+        startThread,
+        reply,
+        edit,
+        setResolved,
+        remove
+    };
+}
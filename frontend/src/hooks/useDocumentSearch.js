@@ -0,0 +1,79 @@
+import { useState, useCallback, useRef } from 'react';
+import axios from 'axios';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+// Matches the server's minimum query length
+export const MIN_QUERY_LENGTH = 2;
+
+/**
+ * useDocumentSearch Hook
+ *
+ * Full-text search through the server: results hold page numbers and
+ * highlight rectangles only, so the document's text never reaches the
+ * browser.
+ *
+ * @param {Object} options
+ * @param {string} options.pdfId - Document being viewed
+ * @param {Object} options.currentUser - Firebase user, for the ID token
+ *
+ * @returns {{query, result, activeIndex, loading, error, search, select, clear}}
+ * result is { total, truncated, hits: [{ page, rects }] } or null
+ */
+export function useDocumentSearch({ pdfId, currentUser }) {
+    const [query, setQuery] = useState('');
+    const [result, setResult] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    // Only the latest search may update the results
+    const requestRef = useRef(0);
+
+    const search = useCallback(async (text) => {
+        const q = text.trim();
+        const request = ++requestRef.current;
+
+        setQuery(q);
+        setError('');
+        if (q.length < MIN_QUERY_LENGTH) {
+            setResult(null);
+            setActiveIndex(-1);
+            return null;
+        }
+
+        setLoading(true);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${API_BASE}/api/pdfs/${pdfId}/search`, {
+                params: { q },
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (request !== requestRef.current) return null;
+
+            setResult(res.data);
+            setActiveIndex(res.data.hits.length > 0 ? 0 : -1);
+            return res.data;
+        } catch (err) {
+            if (request !== requestRef.current) return null;
+
+            console.error('Error searching document:', err);
+            setResult(null);
+            setActiveIndex(-1);
+            setError(err.response?.data?.message || 'Search failed');
+            return null;
+        } finally {
+            if (request === requestRef.current) setLoading(false);
+        }
+    }, [pdfId, currentUser]);
+
+    const clear = useCallback(() => {
+        requestRef.current++;
+        setQuery('');
+        setResult(null);
+        setActiveIndex(-1);
+        setLoading(false);
+        setError('');
+    }, []);
+
+    return { query, result, activeIndex, loading, error, search, select: setActiveIndex, clear };
+}
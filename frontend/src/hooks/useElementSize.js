@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useElementSize Hook
+ *
+ * Tracks an element's content size with a ResizeObserver, so layouts
+ * follow window resizes, sidebars opening and device rotation. Takes the
+ * element itself (from a callback ref) so it also works for elements that
+ * mount late, e.g. inside react-pdf's <Document>.
+ *
+ * @param {HTMLElement|null} element - The observed element
+ * @returns {{width: number, height: number}}
+ */
+export function useElementSize(element) {
+    const [size, setSize] = useState({ width: 0, height: 0 });
+
+    useEffect(() => {
+        if (!element) return;
+
+        const observer = new ResizeObserver(([entry]) => {
+            const { width, height } = entry.contentRect;
+            setSize(prev => (prev.width === width && prev.height === height ? prev : { width, height }));
+        });
+        observer.observe(element);
+
+        return () => observer.disconnect();
+    }, [element]);
+
+    return size;
+}
@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+// Widths are rounded up to a step so small resizes reuse cached images
+const IMAGE_WIDTH_STEP = 200;
+const MAX_IMAGE_WIDTH = 2000;
+
+// Object URLs kept at once; the least recently used are released first
+const MAX_CACHED_IMAGES = 60;
+
+export function imageKey(pageNumber, width) {
+    return `${pageNumber}@${width}`;
+}
+
+/**
+ * Image width to request for a page shown `cssWidth` pixels wide, in
+ * device pixels so it stays sharp on HiDPI screens
+ */
+export function imageWidthFor(cssWidth) {
+    const devicePixels = cssWidth * (window.devicePixelRatio || 1);
+    return Math.min(MAX_IMAGE_WIDTH, Math.max(IMAGE_WIDTH_STEP, Math.ceil(devicePixels / IMAGE_WIDTH_STEP) * IMAGE_WIDTH_STEP));
+}
+
+/**
+ * usePageImages Hook
+ *
+ * Fetches and caches server-rendered page images for image-only groups.
+ * Each image is requested once per page and width; the viewer and the
+ * thumbnail sidebar share the cache.
+ *
+ * @param {Object} options
+ * @param {string} options.pdfId - Document being viewed
+ * @param {string} options.sessionId - Viewer session (burned into the watermark)
+ * @param {Object} options.currentUser - Firebase user, for the ID token
+ * @param {boolean} options.enabled - Only fetch in image-only mode
+ * @param {Function} options.onError - Called with the axios error of a failed fetch
+ *
+ * @returns {{images: Object, requestImage: Function}} images by imageKey(), and a fetcher
+ */
+export function usePageImages({ pdfId, sessionId, currentUser, enabled, onError }) {
+    const [images, setImages] = useState({});
+    const cacheRef = useRef(new Map());
+    const pendingRef = useRef(new Set());
+
+    const requestImage = useCallback(async (pageNumber, width) => {
+        if (!enabled || !currentUser || !sessionId) return;
+
+        const key = imageKey(pageNumber, width);
+        const cache = cacheRef.current;
+
+        if (cache.has(key)) {
+            // Mark as recently used
+            const url = cache.get(key);
+            cache.delete(key);
+            cache.set(key, url);
+            return;
+        }
+        if (pendingRef.current.has(key)) return;
+
+        pendingRef.current.add(key);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(
+                `${API_BASE}/api/pdfs/${pdfId}/pages/${pageNumber}`,
+                {
+                    params: { width, sessionId },
+                    headers: { Authorization: `Bearer ${token}` },
+                    responseType: 'blob'
+                }
+            );
+
+            cache.set(key, URL.createObjectURL(res.data));
+            for (const [oldKey, oldUrl] of cache) {
+                if (cache.size <= MAX_CACHED_IMAGES) break;
+                URL.revokeObjectURL(oldUrl);
+                cache.delete(oldKey);
+            }
+            setImages(Object.fromEntries(cache));
+        } catch (err) {
+            onError(err);
+        } finally {
+            pendingRef.current.delete(key);
+        }
+    }, [enabled, currentUser, sessionId, pdfId, onError]);
+
+    // Release every image on unmount
+    useEffect(() => {
+        const cache = cacheRef.current;
+        return () => {
+            for (const url of cache.values()) URL.revokeObjectURL(url);
+            cache.clear();
+        };
+    }, []);
+
+    return { images, requestImage };
+}
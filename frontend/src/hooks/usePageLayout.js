@@ -0,0 +1,135 @@
+import { useMemo } from 'react';
+
+export const ZOOM_STEPS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+
+export const PAGE_GAP = 16;
+export const PAGE_PADDING = 24;
+
+// Room below the last page for the floating controls
+const BOTTOM_CLEARANCE = 96;
+
+const AUTO_MAX_WIDTH = 900;
+
+// US Letter, used until the real page sizes are known
+const DEFAULT_PAGE_SIZE = { width: 612, height: 792, rotate: 0 };
+
+export function pageSizeOf(pageSizes, pageNumber) {
+    return pageSizes[pageNumber - 1] || pageSizes[0] || DEFAULT_PAGE_SIZE;
+}
+
+export function rotatedSize({ width, height }, rotation) {
+    return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+/**
+ * Map a rectangle given in fractions of the upright page (search
+ * highlights, link hotspots) onto the page as displayed after the user's
+ * clockwise `rotation`
+ */
+export function rotateRect({ x, y, width, height }, rotation) {
+    switch (rotation) {
+        case 90:
+            return { x: 1 - y - height, y: x, width: height, height: width };
+        case 180:
+            return { x: 1 - x - width, y: 1 - y - height, width, height };
+        case 270:
+            return { x: y, y: 1 - x - width, width: height, height: width };
+        default:
+            return { x, y, width, height };
+    }
+}
+
+/**
+ * Layout items overlapping the visible range, plus `overscan` pixels on
+ * either side
+ */
+export function visibleItems(items, scrollTop, viewportHeight, overscan) {
+    const from = scrollTop - overscan;
+    const to = scrollTop + viewportHeight + overscan;
+    return items.filter(item => item.top + item.height >= from && item.top <= to);
+}
+
+/**
+ * The page at `offset` pixels from the top of the layout
+ */
+export function itemAt(items, offset) {
+    let found = items[0] || null;
+    for (const item of items) {
+        if (item.top > offset) break;
+        found = item;
+    }
+    return found;
+}
+
+/**
+ * usePageLayout Hook
+ *
+ * Lays out the viewer's pages for the current zoom and rotation: one
+ * scale for the whole document (taken from the first page, like desktop
+ * PDF readers), then each page's box stacked top to bottom. The viewer
+ * only mounts the boxes near the visible area, so long documents stay
+ * light (see visibleItems).
+ *
+ * Zoom modes:
+ * - auto:      fit the width, but no wider than AUTO_MAX_WIDTH
+ * - fit-width: fill the available width
+ * - fit-page:  show the whole page
+ * - custom:    fixed scale (1 = one CSS pixel per PDF point)
+ *
+ * @param {Object} options
+ * @param {number[]} options.pages - Page numbers to lay out, in order
+ * @param {Object[]} options.pageSizes - Unrotated page sizes in PDF points, by index ({ width, height, rotate })
+ * @param {number} options.rotation - User rotation in degrees (0, 90, 180, 270)
+ * @param {string} options.zoomMode - 'auto' | 'fit-width' | 'fit-page' | 'custom'
+ * @param {number} options.zoom - Scale used in 'custom' mode
+ * @param {Object} options.viewport - Size of the scroll area ({ width, height })
+ *
+ * @returns {{scale: number, items: Object[], totalWidth: number, totalHeight: number}}
+ */
+export function usePageLayout({ pages, pageSizes, rotation, zoomMode, zoom, viewport }) {
+    const reference = rotatedSize(pageSizeOf(pageSizes, 1), rotation);
+    const availableWidth = Math.max(viewport.width - 2 * PAGE_PADDING, 100);
+    const availableHeight = Math.max(viewport.height - 2 * PAGE_PADDING, 100);
+
+    let scale;
+    switch (zoomMode) {
+        case 'fit-width':
+            scale = availableWidth / reference.width;
+            break;
+        case 'fit-page':
+            scale = Math.min(availableWidth / reference.width, availableHeight / reference.height);
+            break;
+        case 'custom':
+            scale = zoom;
+            break;
+        default:
+            scale = Math.min(availableWidth, AUTO_MAX_WIDTH) / reference.width;
+    }
+
+    const layout = useMemo(() => {
+        const items = [];
+        let top = PAGE_PADDING;
+        let maxWidth = 0;
+
+        for (const pageNumber of pages) {
+            const size = rotatedSize(pageSizeOf(pageSizes, pageNumber), rotation);
+            const item = {
+                pageNumber,
+                top,
+                width: Math.round(size.width * scale),
+                height: Math.round(size.height * scale)
+            };
+            items.push(item);
+            top += item.height + PAGE_GAP;
+            maxWidth = Math.max(maxWidth, item.width);
+        }
+
+        return {
+            items,
+            totalWidth: maxWidth + 2 * PAGE_PADDING,
+            totalHeight: top - PAGE_GAP + BOTTOM_CLEARANCE
+        };
+    }, [pages, pageSizes, rotation, scale]);
+
+    return { scale, ...layout };
+}
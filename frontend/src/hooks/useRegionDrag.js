@@ -0,0 +1,61 @@
+import { useState } from 'react';
+
+// Drags smaller than this (fraction of the page) are treated as clicks
+const MIN_REGION_SIZE = 0.005;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Pointer position as fractions (0-1) of the element handling the event
+ */
+export const pointOf = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    return {
+        x: clamp((e.clientX - bounds.left) / bounds.width),
+        y: clamp((e.clientY - bounds.top) / bounds.height)
+    };
+};
+
+const rectBetween = (from, to) => ({
+    x: Math.min(from.x, to.x),
+    y: Math.min(from.y, to.y),
+    width: Math.abs(to.x - from.x),
+    height: Math.abs(to.y - from.y)
+});
+
+/**
+ * useRegionDrag Hook
+ *
+ * Dragging a box over a page overlay. Wire `start`, `move`, `end` and
+ * `cancel` to the overlay's pointer events; `region` is the box being
+ * dragged (for drawing it) and `onRegion` receives the finished box, in
+ * fractions of the overlay as displayed. Clicks are ignored.
+ *
+ * @param {Function} onRegion - called with { x, y, width, height }
+ * @returns {{region, start, move, end, cancel}}
+ */
+export function useRegionDrag(onRegion) {
+    const [drag, setDrag] = useState(null);
+
+    const start = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const point = pointOf(e);
+        setDrag({ from: point, to: point });
+    };
+
+    const move = (e) => {
+        if (drag) setDrag({ ...drag, to: pointOf(e) });
+    };
+
+    const end = () => {
+        if (!drag) return;
+        const rect = rectBetween(drag.from, drag.to);
+        setDrag(null);
+
+        if (rect.width >= MIN_REGION_SIZE && rect.height >= MIN_REGION_SIZE) onRegion(rect);
+    };
+
+    const cancel = () => setDrag(null);
+
+    return { region: drag && rectBetween(drag.from, drag.to), start, move, end, cancel };
+}
@@ -16,6 +16,9 @@ import { useState, useEffect, useCallback, useRef } from 'react';
  * @param {Function} options.onSecurityEvent - Callback when security event occurs
  * @param {boolean} options.enabled - Enable/disable all security measures
  * @param {Object} options.contentRef - Reference to the sensitive content element for instant hiding
+ * @param {Object} options.layers - Per-layer switches from the group's security policy
+ *   ({ rightClick, keyboard, focus, devtools, resize, dragDrop, selection }); omitted layers stay on
+ * @param {boolean} options.blurOnFocusLoss - Hide content when focus is lost (events are logged either way)
  * 
  * @returns {Object} Security state and controls
  */
@@ -23,8 +26,19 @@ export function useSecurityLayers({
     userInfo = {},
     onSecurityEvent = () => { },
     enabled = true,
-    contentRef = null
+    contentRef = null,
+    layers = {},
+    blurOnFocusLoss = true
 } = {}) {
+    // Resolve per-layer switches (default on)
+    const rightClickEnabled = enabled && layers.rightClick !== false;
+    const keyboardEnabled = enabled && layers.keyboard !== false;
+    const focusEnabled = enabled && layers.focus !== false;
+    const devToolsEnabled = enabled && layers.devtools !== false;
+    const resizeEnabled = enabled && layers.resize !== false;
+    const dragDropEnabled = enabled && layers.dragDrop !== false;
+    const selectionEnabled = enabled && layers.selection !== false;
+
     // State
     const [isFocused, setIsFocused] = useState(true);
     const [devToolsOpen, setDevToolsOpen] = useState(false);
@@ -81,7 +95,7 @@ export function useSecurityLayers({
     // Layer 1: Right-Click Blocking
     // ========================================
     useEffect(() => {
-        if (!enabled) return;
+        if (!rightClickEnabled) return;
 
         const handleContextMenu = (e) => {
             e.preventDefault();
@@ -96,13 +110,13 @@ export function useSecurityLayers({
         return () => {
             document.removeEventListener('contextmenu', handleContextMenu, true);
         };
-    }, [enabled, logEvent, showViolation]);
+    }, [rightClickEnabled, logEvent, showViolation]);
 
     // ========================================
     // Layer 2: Keyboard Shortcut Blocking
     // ========================================
     useEffect(() => {
-        if (!enabled) return;
+        if (!keyboardEnabled) return;
 
         const handleKeyDown = (e) => {
             const key = e.key.toLowerCase();
@@ -199,29 +213,34 @@ export function useSecurityLayers({
         return () => {
             document.removeEventListener('keydown', handleKeyDown, true);
         };
-    }, [enabled, logEvent, showViolation]);
+    }, [keyboardEnabled, logEvent, showViolation]);
 
     // ========================================
     // Layer 3: Focus Detection
     // ========================================
     useEffect(() => {
-        if (!enabled) return;
+        if (!focusEnabled) return;
 
         const handleFocus = () => {
             setIsFocused(true);
             showContent(); // Instantly show
         };
 
+        // Policy may allow content to stay visible; focus loss is still logged
         const handleBlur = () => {
-            setIsFocused(false);
-            hideContentInstantly(); // Instantly hide via DOM
+            if (blurOnFocusLoss) {
+                setIsFocused(false);
+                hideContentInstantly(); // Instantly hide via DOM
+            }
             logEvent('FOCUS_LOST');
         };
 
         const handleVisibilityChange = () => {
             if (document.hidden) {
-                setIsFocused(false);
-                hideContentInstantly();
+                if (blurOnFocusLoss) {
+                    setIsFocused(false);
+                    hideContentInstantly();
+                }
                 logEvent('TAB_HIDDEN');
             } else {
                 setIsFocused(true);
@@ -238,13 +257,13 @@ export function useSecurityLayers({
             window.removeEventListener('blur', handleBlur);
             document.removeEventListener('visibilitychange', handleVisibilityChange);
         };
-    }, [enabled, logEvent]);
+    }, [focusEnabled, blurOnFocusLoss, logEvent]);
 
     // ========================================
     // Layer 4: DevTools Detection
     // ========================================
     useEffect(() => {
-        if (!enabled) return;
+        if (!devToolsEnabled) return;
 
         const checkDevTools = () => {
             // Method 1: Window size difference
@@ -298,13 +317,13 @@ export function useSecurityLayers({
                 clearInterval(devToolsCheckInterval.current);
             }
         };
-    }, [enabled, devToolsOpen, logEvent]);
+    }, [devToolsEnabled, devToolsOpen, logEvent]);
 
     // ========================================
     // Layer 5: Window Resize Monitoring
     // ========================================
     useEffect(() => {
-        if (!enabled) return;
+        if (!resizeEnabled) return;
 
         const handleResize = () => {
             const widthChange = Math.abs(window.outerWidth - lastWidth.current);
@@ -329,13 +348,13 @@ export function useSecurityLayers({
         return () => {
             window.removeEventListener('resize', handleResize);
         };
-    }, [enabled, logEvent]);
+    }, [resizeEnabled, logEvent]);
 
     // ========================================
     // Layer 6: Drag & Drop Prevention
     // ========================================
     useEffect(() => {
-        if (!enabled) return;
+        if (!dragDropEnabled) return;
 
         const handleDragStart = (e) => {
             e.preventDefault();
@@ -354,13 +373,13 @@ export function useSecurityLayers({
             document.removeEventListener('dragstart', handleDragStart, true);
             document.removeEventListener('drop', handleDrop, true);
         };
-    }, [enabled]);
+    }, [dragDropEnabled]);
 
     // ========================================
     // Layer 7: Selection Prevention
     // ========================================
     useEffect(() => {
-        if (!enabled) return;
+        if (!selectionEnabled) return;
 
         const handleSelectStart = (e) => {
             e.preventDefault();
@@ -388,7 +407,7 @@ export function useSecurityLayers({
             document.removeEventListener('copy', handleCopy, true);
             document.removeEventListener('cut', handleCut, true);
         };
-    }, [enabled, logEvent, showViolation]);
+    }, [selectionEnabled, logEvent, showViolation]);
 
     // Computed security state
     const isSecure = isFocused && !devToolsOpen && !securityViolation;
@@ -8,6 +8,10 @@ const Dashboard = () => {
     const [groups, setGroups] = useState([]);
     const [newGroupName, setNewGroupName] = useState('');
     const [loading, setLoading] = useState(true);
+    const [notifications, setNotifications] = useState([]);
+    const [suspension, setSuspension] = useState(null);
+    const [appealMessage, setAppealMessage] = useState('');
+    const [submittingAppeal, setSubmittingAppeal] = useState(false);
     const { currentUser } = useAuth();
 
     useEffect(() => {
@@ -22,13 +26,71 @@ const Dashboard = () => {
                 headers: { Authorization: `Bearer ${token}` }
             });
             setGroups(res.data);
+            fetchNotifications(token);
         } catch (error) {
             console.error('Error fetching groups:', error);
+            if (error.response?.data?.suspended) {
+                fetchAppealStatus();
+            }
         } finally {
             setLoading(false);
         }
     };
 
+    const fetchNotifications = async (token) => {
+        try {
+            const res = await axios.get(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/auth/notifications`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setNotifications(res.data.filter(n => !n.read));
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+        }
+    };
+
+    const dismissNotification = async (notificationId) => {
+        setNotifications(prev => prev.filter(n => n.id !== notificationId));
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.put(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/auth/notifications/${notificationId}/read`, {}, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+        } catch (error) {
+            console.error('Error dismissing notification:', error);
+        }
+    };
+
+    const fetchAppealStatus = async () => {
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/security/appeal`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setSuspension(res.data.suspended ? res.data : null);
+        } catch (error) {
+            console.error('Error fetching appeal status:', error);
+        }
+    };
+
+    const submitAppeal = async (e) => {
+        e.preventDefault();
+        setSubmittingAppeal(true);
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.post(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/security/appeal`,
+                { message: appealMessage },
+                { headers: { Authorization: `Bearer ${token}` } }
+            );
+            setSuspension(prev => ({ ...prev, appeal: res.data.appeal }));
+            setAppealMessage('');
+        } catch (error) {
+            console.error('Error submitting appeal:', error);
+            alert(error.response?.data?.message || 'Failed to submit appeal');
+        } finally {
+            setSubmittingAppeal(false);
+        }
+    };
+
     const createGroup = async (e) => {
         e.preventDefault();
         try {
@@ -84,6 +146,58 @@ const Dashboard = () => {
                     <p className="text-gray-500 max-w-2xl mx-auto">Create or join secure groups to share your PDF documents with end-to-end control.</p>
                 </div>
 
+                {/* Suspension Notice + Appeal */}
+                {suspension && (
+                    <div className="mb-8 bg-red-50 border border-red-200 p-6 rounded-2xl shadow-sm">
+                        <h3 className="text-lg font-bold text-red-800 mb-1">Your account is suspended</h3>
+                        <p className="text-sm text-red-700 mb-4">{suspension.reason || 'Suspended due to security violations.'}</p>
+                        {suspension.appeal?.status === 'pending' ? (
+                            <p className="text-sm font-medium text-red-600">
+                                Appeal submitted {new Date(suspension.appeal.createdAt).toLocaleString()}. A group owner will review it.
+                            </p>
+                        ) : (
+                            <form onSubmit={submitAppeal} className="space-y-3">
+                                <textarea
+                                    value={appealMessage}
+                                    onChange={(e) => setAppealMessage(e.target.value)}
+                                    placeholder="Explain what happened and ask for your access to be restored..."
+                                    rows={3}
+                                    maxLength={2000}
+                                    required
+                                    className="w-full px-4 py-3 rounded-xl border border-red-200 bg-white text-gray-900 focus:border-red-400 focus:ring-2 focus:ring-red-100 outline-none text-sm"
+                                />
+                                <button
+                                    type="submit"
+                                    disabled={submittingAppeal}
+                                    className="px-5 py-2.5 bg-red-600 hover:bg-red-700 text-white font-bold rounded-xl text-sm transition-colors disabled:opacity-70"
+                                >
+                                    {submittingAppeal ? 'Submitting...' : 'Submit Appeal'}
+                                </button>
+                            </form>
+                        )}
+                    </div>
+                )}
+
+                {/* Notifications */}
+                {notifications.length > 0 && (
+                    <div className="mb-8 space-y-2">
+                        {notifications.map((notification) => (
+                            <div key={notification.id} className="flex items-start justify-between gap-4 bg-amber-50 border border-amber-200 px-5 py-3 rounded-xl">
+                                <div>
+                                    <p className="text-sm font-medium text-amber-900">{notification.message}</p>
+                                    <p className="text-xs text-amber-600">{new Date(notification.createdAt).toLocaleString()}</p>
+                                </div>
+                                <button
+                                    onClick={() => dismissNotification(notification.id)}
+                                    className="text-xs font-bold text-amber-700 hover:text-amber-900 shrink-0"
+                                >
+                                    Dismiss
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 <div className="flex flex-col lg:flex-row gap-8">
                     {/* Left: Create Group */}
                     <div className="lg:w-1/3">
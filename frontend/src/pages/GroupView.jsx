@@ -3,16 +3,37 @@ import { useParams, Link } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import React from 'react';
+import SecurityPolicyEditor from '../components/SecurityPolicyEditor';
+import VersionHistory from '../components/VersionHistory';
+import DocumentAccessEditor from '../components/DocumentAccessEditor';
+import DocumentAccessFields from '../components/DocumentAccessFields';
+import DocumentScheduleEditor from '../components/DocumentScheduleEditor';
+import DocumentScheduleFields from '../components/DocumentScheduleFields';
+import AvailabilityCountdown from '../components/AvailabilityCountdown';
+import RenewalRequestButton from '../components/RenewalRequestButton';
+import RenewalRequests from '../components/RenewalRequests';
+import InviteManager from '../components/InviteManager';
+import ActivityLog from '../components/ActivityLog';
+import ReadingAnalytics from '../components/ReadingAnalytics';
+
+const EMPTY_SCHEDULE = { availableFrom: null, expiryDate: null, dailyWindow: null };
+
+const EXTENSION_DAYS = 30;
 
 const GroupView = () => {
     const { groupId } = useParams();
     const [pdfs, setPdfs] = useState([]);
+    const [unreadComments, setUnreadComments] = useState({});
     const [group, setGroup] = useState(null);
     const [inviteLink, setInviteLink] = useState('');
+    const [createdInvite, setCreatedInvite] = useState(null);
     const [isAdmin, setIsAdmin] = useState(false);
+    const [isOwner, setIsOwner] = useState(false);
     const [uploading, setUploading] = useState(false);
     const [title, setTitle] = useState('');
     const [file, setFile] = useState(null);
+    const [uploadAccess, setUploadAccess] = useState(null);
+    const [uploadSchedule, setUploadSchedule] = useState(EMPTY_SCHEDULE);
     const { currentUser } = useAuth();
 
     const [inviteDuration, setInviteDuration] = useState(30);
@@ -22,7 +43,19 @@ const GroupView = () => {
     // New state for members
     const [members, setMembers] = useState([]);
     const [showMembers, setShowMembers] = useState(false);
+    const [activeTab, setActiveTab] = useState('documents');
     const [removingMember, setRemovingMember] = useState(null);
+    const [updatingRole, setUpdatingRole] = useState(null);
+    const [selectedMembers, setSelectedMembers] = useState([]);
+    const [extending, setExtending] = useState(false);
+
+    // Live viewing sessions (admin only)
+    const [sessions, setSessions] = useState([]);
+    const [terminatingSession, setTerminatingSession] = useState(null);
+
+    // Suspended members (admin only)
+    const [suspensions, setSuspensions] = useState([]);
+    const [reinstating, setReinstating] = useState(null);
 
     useEffect(() => {
         if (currentUser) {
@@ -70,6 +103,7 @@ const GroupView = () => {
                 checkAdmin = true;
             }
             setIsAdmin(checkAdmin);
+            setIsOwner(g.createdBy === currentUser.uid || (g.roles && g.roles[currentUser.uid] === 'owner'));
 
             // Check Expiry
             if (g.memberExpiry && g.memberExpiry[currentUser.uid]) {
@@ -79,6 +113,14 @@ const GroupView = () => {
             // Fetch PDFs
             const pdfRes = await axios.get(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/pdfs/${groupId}`, config);
             setPdfs(pdfRes.data);
+
+            // Unread discussion per document (the badges are optional)
+            try {
+                const unreadRes = await axios.get(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/comments/groups/${groupId}/unread`, config);
+                setUnreadComments(unreadRes.data.unread || {});
+            } catch (error) {
+                console.error('Error fetching unread comments', error);
+            }
         } catch (error) {
             console.error('Error fetching data', error);
         }
@@ -115,6 +157,124 @@ const GroupView = () => {
         }
     };
 
+    const handleChangeRole = async (memberId, role) => {
+        setUpdatingRole(memberId);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.put(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/groups/${groupId}/members/${memberId}/role`, { role }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setMembers(prev => prev.map(m => (m.uid === memberId ? { ...m, role } : m)));
+        } catch (error) {
+            console.error('Error changing role', error);
+            alert(error.response?.data?.message || 'Failed to change role');
+        } finally {
+            setUpdatingRole(null);
+        }
+    };
+
+    const toggleSelectedMember = (memberId) => {
+        setSelectedMembers(prev => (prev.includes(memberId) ? prev.filter(id => id !== memberId) : [...prev, memberId]));
+    };
+
+    const handleExtendMembers = async (memberIds) => {
+        setExtending(true);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.post(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/groups/${groupId}/members/extend`, { memberIds, days: EXTENSION_DAYS }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setSelectedMembers([]);
+            fetchMembers();
+        } catch (error) {
+            console.error('Error extending members', error);
+            alert(error.response?.data?.message || 'Failed to extend access');
+        } finally {
+            setExtending(false);
+        }
+    };
+
+    const handleTransferOwnership = async (member) => {
+        if (!window.confirm(`Make ${member.name} the owner of this group? You will stay on as an admin.`)) return;
+
+        setUpdatingRole(member.uid);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.post(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/groups/${groupId}/transfer-ownership`, { memberId: member.uid }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            // Owner-only controls change, so reload everything
+            await fetchGroupData();
+            await fetchMembers();
+        } catch (error) {
+            console.error('Error transferring ownership', error);
+            alert(error.response?.data?.message || 'Failed to transfer ownership');
+        } finally {
+            setUpdatingRole(null);
+        }
+    };
+
+    const fetchSessions = async () => {
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/security/groups/${groupId}/sessions`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setSessions(res.data);
+        } catch (error) {
+            console.error('Error fetching sessions', error);
+        }
+    };
+
+    const handleTerminateSession = async (sessionId) => {
+        if (!window.confirm('End this viewing session? The viewer will be locked out immediately.')) return;
+
+        setTerminatingSession(sessionId);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.delete(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/security/groups/${groupId}/sessions/${sessionId}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setSessions(prev => prev.filter(s => s.sessionId !== sessionId));
+        } catch (error) {
+            console.error('Error terminating session', error);
+            alert(error.response?.data?.message || 'Failed to terminate session');
+        } finally {
+            setTerminatingSession(null);
+        }
+    };
+
+    const fetchSuspensions = async () => {
+        try {
+            const token = await currentUser.getIdToken();
+            const res = await axios.get(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/security/groups/${groupId}/suspensions`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setSuspensions(res.data);
+        } catch (error) {
+            console.error('Error fetching suspensions', error);
+        }
+    };
+
+    const handleReinstate = async (memberId) => {
+        if (!window.confirm('Reinstate this member? Their violation score will be reset.')) return;
+
+        setReinstating(memberId);
+        try {
+            const token = await currentUser.getIdToken();
+            await axios.post(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/security/groups/${groupId}/members/${memberId}/reinstate`, {}, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setSuspensions(prev => prev.filter(s => s.uid !== memberId));
+            setMembers(prev => prev.map(m => (m.uid === memberId ? { ...m, suspended: false } : m)));
+        } catch (error) {
+            console.error('Error reinstating member', error);
+            alert(error.response?.data?.message || 'Failed to reinstate member');
+        } finally {
+            setReinstating(null);
+        }
+    };
+
     const generateInvite = async () => {
         try {
             const token = await currentUser.getIdToken();
@@ -123,14 +283,18 @@ const GroupView = () => {
                 { headers: { Authorization: `Bearer ${token}` } }
             );
             console.log('Invite Gen Response:', res.data);
-            const link = `${window.location.origin}/join/${res.data.inviteCode}`;
-            setInviteLink(link);
+            showInvite(res.data.invite);
         } catch (error) {
             console.error('Invite generation failed', error);
-            alert('Failed to generate invite link');
+            alert(error.response?.data?.message || 'Failed to generate invite link');
         }
     };
 
+    const showInvite = (invite) => {
+        setCreatedInvite(invite);
+        setInviteLink(`${window.location.origin}/join/${invite.code}`);
+    };
+
     const handleUpload = async (e) => {
         e.preventDefault();
         if (!file) return;
@@ -140,6 +304,12 @@ const GroupView = () => {
         formData.append('pdf', file);
         formData.append('title', title);
         formData.append('groupId', groupId);
+        if (uploadAccess) {
+            formData.append('access', JSON.stringify(uploadAccess));
+        }
+        if (uploadSchedule.availableFrom) formData.append('availableFrom', uploadSchedule.availableFrom);
+        if (uploadSchedule.expiryDate) formData.append('expiryDate', uploadSchedule.expiryDate);
+        if (uploadSchedule.dailyWindow) formData.append('dailyWindow', JSON.stringify(uploadSchedule.dailyWindow));
 
         try {
             const token = await currentUser.getIdToken();
@@ -151,10 +321,12 @@ const GroupView = () => {
             });
             setTitle('');
             setFile(null);
+            setUploadAccess(null);
+            setUploadSchedule(EMPTY_SCHEDULE);
             fetchGroupData();
         } catch (error) {
             console.error('Upload failed', error);
-            alert('Upload failed');
+            alert(error.response?.data?.message || 'Upload failed');
         } finally {
             setUploading(false);
         }
@@ -209,7 +381,13 @@ const GroupView = () => {
                             {/* Members Toggle Button (Admin Only) */}
                             {isAdmin && (
                                 <button
-                                    onClick={() => setShowMembers(!showMembers)}
+                                    onClick={() => {
+                                        if (!showMembers) {
+                                            fetchSessions();
+                                            fetchSuspensions();
+                                        }
+                                        setShowMembers(!showMembers);
+                                    }}
                                     className={`px-4 py-2 text-sm font-bold rounded-xl shadow-sm transition-all flex items-center gap-2 ${showMembers
                                         ? 'bg-indigo-600 text-white shadow-indigo-500/25'
                                         : 'bg-white/50 backdrop-blur-sm text-slate-700 hover:bg-white border border-slate-200'
@@ -265,7 +443,12 @@ const GroupView = () => {
                                 </div>
                                 <div>
                                     <h3 className="text-base font-bold text-teal-900">Unique Invite Created</h3>
-                                    <p className="text-sm text-teal-700/80 font-medium">This link is valid for <span className="font-bold underline Decoration-teal-500/50">{inviteDuration} days</span>.</p>
+                                    <p className="text-sm text-teal-700/80 font-medium">
+                                        {createdInvite?.durationDays
+                                            ? <>Members get <span className="font-bold underline Decoration-teal-500/50">{createdInvite.durationDays} days</span> of access.</>
+                                            : 'Access does not expire.'}
+                                        {' '}{createdInvite?.maxUses ? `Usable ${createdInvite.maxUses === 1 ? 'once' : `${createdInvite.maxUses} times`}.` : 'Unlimited uses.'}
+                                    </p>
                                 </div>
                             </div>
                             <div className="flex items-center gap-2 w-full md:w-auto bg-white p-1 rounded-xl border border-teal-200 shadow-sm">
@@ -311,6 +494,14 @@ const GroupView = () => {
                                         <div className="mt-2 text-xs font-medium opacity-70">
                                             Renew before it expires to keep access.
                                         </div>
+                                        {group?.membership && (
+                                            <RenewalRequestButton
+                                                groupId={groupId}
+                                                currentUser={currentUser}
+                                                renewalRequest={group.membership.renewalRequest}
+                                                className="mt-3"
+                                            />
+                                        )}
                                     </div>
                                 </div>
                             )}
@@ -367,6 +558,14 @@ const GroupView = () => {
                                         </div>
                                         <input type="file" className="hidden" accept="application/pdf" onChange={e => setFile(e.target.files[0])} />
                                     </label>
+                                    <div>
+                                        <p className="text-xs font-bold text-slate-500 mb-2">Who can view</p>
+                                        <DocumentAccessFields value={uploadAccess} onChange={setUploadAccess} members={members} />
+                                    </div>
+                                    <div>
+                                        <p className="text-xs font-bold text-slate-500 mb-2">Availability</p>
+                                        <DocumentScheduleFields value={uploadSchedule} onChange={setUploadSchedule} />
+                                    </div>
                                     <button
                                         type="submit"
                                         disabled={uploading}
@@ -377,6 +576,11 @@ const GroupView = () => {
                                 </form>
                             </div>
                         )}
+
+                        {/* Security Policy (Owner Only) */}
+                        {isOwner && (
+                            <SecurityPolicyEditor groupId={groupId} currentUser={currentUser} />
+                        )}
                     </div>
 
                     {/* Middle Content: Files Grid */}
@@ -384,11 +588,32 @@ const GroupView = () => {
                         <div className="flex items-center justify-between mb-6">
                             <h2 className="text-xl md:text-2xl font-black text-slate-900 tracking-tight flex items-center gap-3">
                                 <span className="w-2 h-8 bg-indigo-600 rounded-full"></span>
-                                Secure Documents
+                                {{ activity: 'Activity', analytics: 'Reading Analytics' }[activeTab] || 'Secure Documents'}
                             </h2>
+                            {isOwner && (
+                                <div className="flex bg-slate-100 rounded-xl p-1">
+                                    {[['documents', 'Documents'], ['analytics', 'Analytics'], ['activity', 'Activity']].map(([tab, label]) => (
+                                        <button
+                                            key={tab}
+                                            onClick={() => setActiveTab(tab)}
+                                            className={`px-3 py-1.5 text-xs font-bold rounded-lg transition-all ${activeTab === tab ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
                         </div>
 
-                        {pdfs.length > 0 ? (
+                        {isOwner && activeTab === 'analytics' && (
+                            <ReadingAnalytics groupId={groupId} currentUser={currentUser} />
+                        )}
+
+                        {isOwner && activeTab === 'activity' && (
+                            <ActivityLog groupId={groupId} currentUser={currentUser} pdfs={pdfs} members={members} />
+                        )}
+
+                        {activeTab === 'documents' && (pdfs.length > 0 ? (
                             <div className={`grid grid-cols-1 gap-5 ${showMembers ? 'md:grid-cols-2' : 'md:grid-cols-2 lg:grid-cols-3'}`}>
                                 {pdfs.map((pdf, index) => (
                                     <div
@@ -412,18 +637,45 @@ const GroupView = () => {
                                             </h3>
                                             <div className="flex items-center gap-2 text-xs font-semibold text-slate-400">
                                                 <span className="px-2 py-0.5 bg-slate-100 rounded text-slate-500">PDF</span>
+                                                {pdf.version > 1 && (
+                                                    <span className="px-2 py-0.5 bg-indigo-50 rounded text-indigo-500" title={pdf.changelog || ''}>v{pdf.version}</span>
+                                                )}
+                                                {unreadComments[pdf.id] > 0 && (
+                                                    <span className="px-2 py-0.5 bg-amber-50 rounded text-amber-600" title="Unread comments">
+                                                        💬 {unreadComments[pdf.id]}
+                                                    </span>
+                                                )}
                                                 <span className="w-1 h-1 bg-slate-300 rounded-full"></span>
-                                                <span>{new Date(pdf.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+                                                <span>{new Date(pdf.updatedAt || pdf.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+                                                <AvailabilityCountdown availability={pdf.availability} onAvailable={fetchGroupData} />
                                             </div>
                                         </div>
 
-                                        <Link
-                                            to={`/view/${groupId}/${pdf.id}`}
-                                            className="w-full py-3 bg-slate-900 text-white font-bold rounded-xl flex items-center justify-center gap-2 group-hover:bg-indigo-600 transition-colors shadow-lg shadow-slate-900/10 group-hover:shadow-indigo-500/30 text-sm"
-                                        >
-                                            <span>View Document</span>
-                                            <svg className="w-4 h-4 group-hover:translate-x-1 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3"></path></svg>
-                                        </Link>
+                                        {isOwner && (
+                                            <VersionHistory pdf={pdf} currentUser={currentUser} onChanged={fetchGroupData} />
+                                        )}
+
+                                        {isOwner && (
+                                            <DocumentAccessEditor pdf={pdf} members={members} currentUser={currentUser} onChanged={fetchGroupData} />
+                                        )}
+
+                                        {isOwner && (
+                                            <DocumentScheduleEditor pdf={pdf} currentUser={currentUser} onChanged={fetchGroupData} />
+                                        )}
+
+                                        {!isAdmin && pdf.availability && pdf.availability.status !== 'available' ? (
+                                            <div className="w-full py-3 bg-slate-100 text-slate-400 font-bold rounded-xl flex items-center justify-center gap-2 text-sm cursor-not-allowed">
+                                                {pdf.availability.status === 'closed' ? 'Outside Viewing Hours' : 'Not Yet Available'}
+                                            </div>
+                                        ) : (
+                                            <Link
+                                                to={`/view/${groupId}/${pdf.id}`}
+                                                className="w-full py-3 bg-slate-900 text-white font-bold rounded-xl flex items-center justify-center gap-2 group-hover:bg-indigo-600 transition-colors shadow-lg shadow-slate-900/10 group-hover:shadow-indigo-500/30 text-sm"
+                                            >
+                                                <span>View Document</span>
+                                                <svg className="w-4 h-4 group-hover:translate-x-1 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3"></path></svg>
+                                            </Link>
+                                        )}
                                     </div>
                                 ))}
                             </div>
@@ -440,7 +692,7 @@ const GroupView = () => {
                                     </div>
                                 )}
                             </div>
-                        )}
+                        ))}
                     </div>
 
                     {/* Right Sidebar: Members Panel */}
@@ -459,12 +711,36 @@ const GroupView = () => {
                                     </span>
                                 </div>
 
+                                {isOwner && selectedMembers.length > 0 && (
+                                    <div className="mb-3 p-2 bg-indigo-50 rounded-xl flex items-center justify-between gap-2">
+                                        <span className="text-xs font-bold text-indigo-700">{selectedMembers.length} selected</span>
+                                        <button
+                                            onClick={() => handleExtendMembers(selectedMembers)}
+                                            disabled={extending}
+                                            className="px-2 py-1 text-[10px] font-bold uppercase text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg transition-all disabled:opacity-50"
+                                        >
+                                            {extending ? '...' : `Extend ${EXTENSION_DAYS} days`}
+                                        </button>
+                                    </div>
+                                )}
+
                                 <div className="space-y-3 max-h-[60vh] overflow-y-auto pr-2">
                                     {members.map((member) => (
                                         <div
                                             key={member.uid}
                                             className="flex items-center gap-3 p-3 bg-white rounded-2xl border border-slate-100 hover:border-indigo-200 hover:shadow-md transition-all group"
                                         >
+                                            {/* Bulk selection (Owner only, expiring members) */}
+                                            {isOwner && member.role === 'member' && (
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selectedMembers.includes(member.uid)}
+                                                    onChange={() => toggleSelectedMember(member.uid)}
+                                                    className="accent-indigo-600 shrink-0"
+                                                    title="Select for bulk extension"
+                                                />
+                                            )}
+
                                             {/* Avatar */}
                                             <div className="w-10 h-10 rounded-xl overflow-hidden bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center text-white font-bold text-sm shadow-sm shrink-0">
                                                 {member.photoUrl ? (
@@ -483,6 +759,11 @@ const GroupView = () => {
                                                     <span className={`text-[10px] font-bold px-1.5 py-0.5 rounded border uppercase ${getRoleBadgeColor(member.role)}`}>
                                                         {member.role}
                                                     </span>
+                                                    {member.suspended && (
+                                                        <span className="text-[10px] font-bold px-1.5 py-0.5 rounded border uppercase bg-red-100 text-red-700 border-red-200">
+                                                            Suspended
+                                                        </span>
+                                                    )}
                                                 </div>
                                                 <p className="text-xs text-slate-500 truncate">
                                                     {member.email}
@@ -492,10 +773,38 @@ const GroupView = () => {
                                                         Expires: {new Date(member.expiryDate).toLocaleDateString()}
                                                     </p>
                                                 )}
+                                                {/* Role Controls (Owner only) */}
+                                                {isOwner && member.role !== 'owner' && (
+                                                    <div className="flex gap-3 mt-1 text-[10px] font-bold">
+                                                        <button
+                                                            onClick={() => handleChangeRole(member.uid, member.role === 'admin' ? 'member' : 'admin')}
+                                                            disabled={updatingRole === member.uid}
+                                                            className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                                                        >
+                                                            {member.role === 'admin' ? 'Demote to member' : 'Promote to admin'}
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleTransferOwnership(member)}
+                                                            disabled={updatingRole === member.uid}
+                                                            className="text-amber-600 hover:text-amber-800 disabled:opacity-50"
+                                                        >
+                                                            Make owner
+                                                        </button>
+                                                        {member.role === 'member' && (
+                                                            <button
+                                                                onClick={() => handleExtendMembers([member.uid])}
+                                                                disabled={extending}
+                                                                className="text-emerald-600 hover:text-emerald-800 disabled:opacity-50"
+                                                            >
+                                                                +{EXTENSION_DAYS} days
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                )}
                                             </div>
 
-                                            {/* Remove Button (Admin only, not for owner) */}
-                                            {isAdmin && member.role !== 'owner' && (
+                                            {/* Remove Button (Admin only, not for owner; admins only by the owner) */}
+                                            {isAdmin && member.role !== 'owner' && (isOwner || member.role !== 'admin') && (
                                                 <button
                                                     onClick={() => handleRemoveMember(member.uid)}
                                                     disabled={removingMember === member.uid}
@@ -525,6 +834,103 @@ const GroupView = () => {
                                         </div>
                                     )}
                                 </div>
+
+                                {/* Suspended Members */}
+                                {suspensions.length > 0 && (
+                                    <div className="mt-6 pt-6 border-t border-slate-100">
+                                        <h2 className="text-xs font-bold text-red-400 uppercase tracking-widest mb-4">
+                                            Suspended ({suspensions.length})
+                                        </h2>
+                                        <div className="space-y-2">
+                                            {suspensions.map((suspension) => (
+                                                <div key={suspension.uid} className="p-3 bg-red-50/60 rounded-2xl border border-red-100">
+                                                    <div className="flex items-center justify-between gap-2">
+                                                        <p className="font-bold text-slate-900 text-sm truncate">{suspension.name}</p>
+                                                        {isOwner && suspension.reinstatable && (
+                                                            <button
+                                                                onClick={() => handleReinstate(suspension.uid)}
+                                                                disabled={reinstating === suspension.uid}
+                                                                className="px-2 py-1 text-[10px] font-bold uppercase text-emerald-700 bg-emerald-100 hover:bg-emerald-200 rounded-lg transition-all disabled:opacity-50 shrink-0"
+                                                            >
+                                                                {reinstating === suspension.uid ? '...' : 'Reinstate'}
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                    <p className="text-[11px] text-red-700 mt-1">{suspension.reason}</p>
+                                                    {isOwner && !suspension.reinstatable && (
+                                                        <p className="text-[11px] text-slate-500 mt-1">Suspended for violations in another group</p>
+                                                    )}
+                                                    {suspension.appeal?.status === 'pending' && (
+                                                        <p className="text-[11px] text-slate-600 mt-2 italic border-l-2 border-red-200 pl-2">
+                                                            Appeal: &ldquo;{suspension.appeal.message}&rdquo;
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Renewal Requests (Owner only) */}
+                                {isOwner && (
+                                    <RenewalRequests groupId={groupId} currentUser={currentUser} onChanged={fetchMembers} />
+                                )}
+
+                                {/* Invite Links */}
+                                <InviteManager
+                                    groupId={groupId}
+                                    currentUser={currentUser}
+                                    isOwner={isOwner}
+                                    refreshKey={inviteLink}
+                                    onCreated={showInvite}
+                                />
+
+                                {/* Live Viewing Sessions */}
+                                <div className="mt-6 pt-6 border-t border-slate-100">
+                                    <div className="flex items-center justify-between mb-4">
+                                        <h2 className="text-xs font-bold text-slate-400 uppercase tracking-widest flex items-center gap-2">
+                                            <span className={`w-2 h-2 rounded-full ${sessions.length > 0 ? 'bg-green-500 animate-pulse' : 'bg-slate-300'}`}></span>
+                                            Live Sessions
+                                        </h2>
+                                        <button
+                                            onClick={fetchSessions}
+                                            className="text-xs font-bold text-indigo-600 hover:text-indigo-800 transition-colors"
+                                        >
+                                            Refresh
+                                        </button>
+                                    </div>
+
+                                    <div className="space-y-2 max-h-[30vh] overflow-y-auto pr-2">
+                                        {sessions.map((session) => (
+                                            <div
+                                                key={session.sessionId}
+                                                className="flex items-center gap-3 p-3 bg-white rounded-2xl border border-slate-100 hover:border-indigo-200 transition-all group"
+                                            >
+                                                <div className="flex-1 min-w-0">
+                                                    <p className="font-bold text-slate-900 text-sm truncate">{session.name}</p>
+                                                    <p className="text-xs text-slate-500 truncate" title={session.pdfTitle}>
+                                                        {session.pdfTitle}
+                                                    </p>
+                                                    <p className="text-[10px] text-slate-400 font-medium mt-0.5">
+                                                        Since {new Date(session.startedAt).toLocaleTimeString()} · seen {new Date(session.lastHeartbeat).toLocaleTimeString()}
+                                                    </p>
+                                                </div>
+                                                <button
+                                                    onClick={() => handleTerminateSession(session.sessionId)}
+                                                    disabled={terminatingSession === session.sessionId}
+                                                    className="px-2 py-1 text-[10px] font-bold uppercase text-red-500 bg-red-50 hover:bg-red-100 rounded-lg transition-all disabled:opacity-50"
+                                                    title="End session"
+                                                >
+                                                    {terminatingSession === session.sessionId ? '...' : 'Kill'}
+                                                </button>
+                                            </div>
+                                        ))}
+
+                                        {sessions.length === 0 && (
+                                            <p className="text-center py-4 text-sm font-medium text-slate-400">No one is viewing right now</p>
+                                        )}
+                                    </div>
+                                </div>
                             </div>
                         </div>
                     )}
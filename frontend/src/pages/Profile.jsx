@@ -3,6 +3,7 @@ import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
 import { useNavigate, Link } from 'react-router-dom';
 import React from 'react';
+import EmailPreferences from '../components/EmailPreferences';
 
 const Profile = () => {
     const { currentUser } = useAuth();
@@ -117,6 +118,8 @@ const Profile = () => {
                                 {loading ? 'Saving...' : 'Save Changes'}
                             </button>
                         </form>
+
+                        <EmailPreferences currentUser={currentUser} />
                     </div>
                 </div>
             </div>
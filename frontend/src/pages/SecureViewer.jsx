@@ -1,6 +1,6 @@
-import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useState, useEffect, useLayoutEffect, useCallback, useRef, useMemo } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { Document, Page, pdfjs } from 'react-pdf';
+import { Document, pdfjs } from 'react-pdf';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
 import React from 'react';
@@ -8,9 +8,28 @@ import React from 'react';
 // Components
 import Watermark from '../components/Watermark';
 import SecurityOverlay from '../components/SecurityOverlay';
+import ForensicMark from '../components/ForensicMark';
+import DownloadCopyButton from '../components/DownloadCopyButton';
+import PageCanvas from '../components/PageCanvas';
+import ThumbnailSidebar from '../components/ThumbnailSidebar';
+import OutlinePanel from '../components/OutlinePanel';
+import LinkHotspots from '../components/LinkHotspots';
+import ViewerControls from '../components/ViewerControls';
+import DocumentSearch from '../components/DocumentSearch';
+import SearchHighlights from '../components/SearchHighlights';
+import AnnotationLayer from '../components/AnnotationLayer';
+import NotesPanel from '../components/NotesPanel';
+import CommentLayer from '../components/CommentLayer';
+import CommentsPanel from '../components/CommentsPanel';
 
 // Hooks
 import { useSecurityLayers } from '../hooks/useSecurityLayers';
+import { useElementSize } from '../hooks/useElementSize';
+import { usePageImages, imageWidthFor } from '../hooks/usePageImages';
+import { usePageLayout, visibleItems, itemAt, pageSizeOf, rotateRect, PAGE_PADDING, PAGE_GAP } from '../hooks/usePageLayout';
+import { useDocumentSearch } from '../hooks/useDocumentSearch';
+import { useAnnotations } from '../hooks/useAnnotations';
+import { useComments } from '../hooks/useComments';
 
 // Set worker source locally to avoid CDN/CORS issues
 import pdfWorker from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
@@ -19,6 +38,19 @@ pdfjs.GlobalWorkerOptions.workerSrc = pdfWorker;
 // API Base URL
 const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
+// Used until the group's security policy arrives with the document metadata
+const DEFAULT_WATERMARK_OPACITY = 0.12;
+const DEFAULT_HEARTBEAT_SECONDS = 30;
+
+// Pages rendered above and below the visible area while scrolling
+const PAGE_OVERSCAN = 800;
+
+// A page becomes current once it reaches this far below the top of the view
+const READING_LINE = PAGE_PADDING + PAGE_GAP;
+
+// Scrolling is logged as a PAGE_TURN once the page has settled this long
+const SCROLL_LOG_DELAY_MS = 1000;
+
 /**
  * SecureViewer Component
  * 
@@ -32,6 +64,16 @@ const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
  * 6. Print prevention
  * 7. Session heartbeat
  * 8. Activity logging
+ *
+ * Pages are shown as a virtualised continuous scroll (or one at a time),
+ * with thumbnails, zoom / fit width / fit page and rotation. Every
+ * rendered page carries its own watermark and forensic mark, so the
+ * protection holds in every layout. Search runs on the server and comes
+ * back as highlight boxes, so there is still no text in the page. The
+ * outline and internal links are extracted on upload and served with the
+ * metadata; external links are never followed. Readers' highlights and
+ * notes are private to them and kept on the server, never in the file;
+ * discussion threads are shared with the document's readers the same way.
  */
 const SecureViewer = () => {
     const { pdfId, groupId } = useParams();
@@ -42,24 +84,48 @@ const SecureViewer = () => {
     const [pdfUrl, setPdfUrl] = useState(null);
     const [numPages, setNumPages] = useState(null);
     const [pageNumber, setPageNumber] = useState(1);
+    const [pageSizes, setPageSizes] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [pdfMetadata, setPdfMetadata] = useState(null);
-
-    // Session State
-    const [sessionId, setSessionId] = useState('');
+    const [securityPolicy, setSecurityPolicy] = useState(null);
+
+    // Image-only mode (server-rendered, watermarked pages)
+    const [imageMode, setImageMode] = useState(false);
+
+    // Layout State
+    const [viewMode, setViewMode] = useState('continuous');
+    const [zoomMode, setZoomMode] = useState('auto');
+    const [zoom, setZoom] = useState(1);
+    const [rotation, setRotation] = useState(0);
+    const [showThumbnails, setShowThumbnails] = useState(() => window.innerWidth >= 1024);
+    const [showOutline, setShowOutline] = useState(false);
+    const [showNotes, setShowNotes] = useState(false);
+    const [annotationTool, setAnnotationTool] = useState(null);
+    const [selectedAnnotationId, setSelectedAnnotationId] = useState(null);
+    const [showComments, setShowComments] = useState(false);
+    const [commentDraft, setCommentDraft] = useState(null);
+    const [selectedThreadId, setSelectedThreadId] = useState(null);
+    const [scrollElement, setScrollElement] = useState(null);
+    const [scrollTop, setScrollTop] = useState(0);
+
+    // Session State (the ID is generated once, on mount)
+    const [sessionId] = useState(() => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`);
     const [sessionValid, setSessionValid] = useState(true);
+    // Page images are only served once the heartbeat has registered the session
+    const [sessionRegistered, setSessionRegistered] = useState(false);
+    const [forensicPattern, setForensicPattern] = useState('');
 
     // Refs
     const heartbeatInterval = useRef(null);
     const containerRef = useRef(null);
     const contentRef = useRef(null);
-
-    // Generate unique session ID on mount
-    useEffect(() => {
-        const sid = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
-        setSessionId(sid);
-    }, []);
+    const pageNumberRef = useRef(1);
+    const loggedPageRef = useRef(1);
+    const scrollFrameRef = useRef(null);
+    const layoutRef = useRef(null);
+    // Where the reading position is, so zooming or rotating keeps it in view
+    const anchorRef = useRef({ pageNumber: 1, fraction: 0, offset: PAGE_PADDING });
 
     // User info for security tracking
     const userInfo = useMemo(() => ({
@@ -76,7 +142,7 @@ const SecureViewer = () => {
 
         try {
             const token = await currentUser.getIdToken();
-            await axios.post(`${API_BASE}/api/security/log-event`, {
+            const res = await axios.post(`${API_BASE}/api/security/log-event`, {
                 ...event,
                 sessionId,
                 pdfId,
@@ -84,6 +150,12 @@ const SecureViewer = () => {
             }, {
                 headers: { Authorization: `Bearer ${token}` }
             });
+
+            // This event pushed the account over the violation threshold
+            if (res.data?.suspended) {
+                setSessionValid(false);
+                setError('Account suspended due to security violations.');
+            }
         } catch (err) {
             // Silently fail - don't disrupt user experience
             console.warn('[Security] Failed to log event:', err.message);
@@ -101,7 +173,9 @@ const SecureViewer = () => {
         userInfo,
         onSecurityEvent: handleSecurityEvent,
         enabled: true,
-        contentRef // Pass ref for instant DOM manipulation
+        contentRef, // Pass ref for instant DOM manipulation
+        layers: securityPolicy?.layers,
+        blurOnFocusLoss: securityPolicy?.blurOnFocusLoss ?? true
     });
 
     // Load PDF content securely
@@ -123,8 +197,28 @@ const SecureViewer = () => {
                     { headers: authHeader }
                 );
                 setPdfMetadata(metaRes.data);
+                setSecurityPolicy(metaRes.data.securityPolicy || null);
+
+                // 2a. Image-only groups: never download the PDF, only rendered pages
+                if (metaRes.data.securityPolicy?.pageImagesOnly) {
+                    const pagesRes = await axios.get(
+                        `${API_BASE}/api/pdfs/${pdfId}/pages`,
+                        { headers: authHeader }
+                    );
+                    setImageMode(true);
+                    setNumPages(pagesRes.data.numPages);
+                    setPageSizes(pagesRes.data.pages || []);
+                    setLoading(false);
+
+                    handleSecurityEvent({
+                        type: 'VIEW_START',
+                        timestamp: new Date().toISOString(),
+                        details: { pdfId, title: metaRes.data.title, mode: 'page_images' }
+                    });
+                    return;
+                }
 
-                // 2. Use backend proxy to fetch PDF (bypasses Cloudinary browser restrictions)
+                // 2b. Use backend proxy to fetch PDF (bypasses Cloudinary browser restrictions)
                 // Use Authorization header instead of query param for security
                 const proxyUrl = `${API_BASE}/api/pdfs/proxy/${pdfId}`;
                 setPdfUrl({
@@ -157,7 +251,10 @@ const SecureViewer = () => {
         loadSecureContent();
     }, [pdfId, currentUser, handleSecurityEvent]);
 
-    // Session heartbeat - validates session every 30 seconds
+    const heartbeatMs = (securityPolicy?.heartbeatIntervalSeconds || DEFAULT_HEARTBEAT_SECONDS) * 1000;
+    const watermarkOpacity = securityPolicy?.watermarkOpacity ?? DEFAULT_WATERMARK_OPACITY;
+
+    // Session heartbeat - validates session on the group's policy interval (default 30 seconds)
     useEffect(() => {
         if (!currentUser || !sessionId) return;
 
@@ -173,6 +270,9 @@ const SecureViewer = () => {
                 if (!res.data.valid) {
                     setSessionValid(false);
                     // Session invalidated (possibly logged in elsewhere)
+                } else {
+                    setSessionRegistered(true);
+                    if (res.data.forensicPattern) setForensicPattern(res.data.forensicPattern);
                 }
             } catch (err) {
                 // Check if account was banned during session
@@ -188,33 +288,59 @@ const SecureViewer = () => {
         // Initial heartbeat
         sendHeartbeat();
 
-        // Heartbeat every 30 seconds
-        heartbeatInterval.current = setInterval(sendHeartbeat, 30000);
+        // Heartbeat on the policy interval
+        heartbeatInterval.current = setInterval(sendHeartbeat, heartbeatMs);
 
         return () => {
             if (heartbeatInterval.current) {
                 clearInterval(heartbeatInterval.current);
             }
         };
-    }, [currentUser, sessionId, pdfId]);
+    }, [currentUser, sessionId, pdfId, heartbeatMs]);
+
+    // Track the current page outside render so the unmount cleanup reads the latest value
+    useEffect(() => {
+        pageNumberRef.current = pageNumber;
+    }, [pageNumber]);
 
-    // Cleanup on unmount - log view end
+    // Cleanup on unmount - log view end and release the server-side session
     useEffect(() => {
         return () => {
             if (sessionId && currentUser) {
                 handleSecurityEvent({
                     type: 'VIEW_END',
                     timestamp: new Date().toISOString(),
-                    details: { pdfId, pagesViewed: pageNumber }
+                    details: { pdfId, pagesViewed: pageNumberRef.current }
                 });
+
+                currentUser.getIdToken()
+                    .then(token => axios.post(
+                        `${API_BASE}/api/security/end-session`,
+                        { sessionId },
+                        { headers: { Authorization: `Bearer ${token}` } }
+                    ))
+                    .catch(err => console.warn('[Security] Failed to end session:', err.message));
             }
         };
-    }, [sessionId, currentUser, handleSecurityEvent, pdfId, pageNumber]);
+    }, [sessionId, currentUser, handleSecurityEvent, pdfId]);
 
     // PDF load handlers
-    const onDocumentLoadSuccess = ({ numPages }) => {
-        setNumPages(numPages);
+    const onDocumentLoadSuccess = async (pdf) => {
+        setNumPages(pdf.numPages);
         setLoading(false);
+
+        // Page sizes for the layout; pages keep the first page's size until then
+        try {
+            const sizes = [];
+            for (let i = 1; i <= pdf.numPages; i++) {
+                const page = await pdf.getPage(i);
+                const { width, height } = page.getViewport({ scale: 1, rotation: 0 });
+                sizes.push({ width, height, rotate: page.rotate });
+            }
+            setPageSizes(sizes);
+        } catch (err) {
+            console.warn('[Viewer] Failed to read page sizes:', err.message);
+        }
     };
 
     const onDocumentLoadError = (error) => {
@@ -223,35 +349,239 @@ const SecureViewer = () => {
         setLoading(false);
     };
 
-    // Page navigation
-    const goToPrevPage = () => {
-        setPageNumber(prev => Math.max(1, prev - 1));
-        handleSecurityEvent({
-            type: 'PAGE_TURN',
-            details: { from: pageNumber, to: pageNumber - 1 }
-        });
+    // Page layout
+    const pages = useMemo(() => (
+        viewMode === 'continuous'
+            ? Array.from({ length: numPages || 0 }, (_, i) => i + 1)
+            : [pageNumber]
+    ), [viewMode, numPages, pageNumber]);
+
+    const viewport = useElementSize(scrollElement);
+    const layout = usePageLayout({ pages, pageSizes, rotation, zoomMode, zoom, viewport });
+
+    // Follow the scroll position: current page, reading anchor, visible range
+    const updateScrollPosition = useCallback(() => {
+        scrollFrameRef.current = null;
+        if (!scrollElement || !layoutRef.current) return;
+
+        const { items } = layoutRef.current;
+        const top = scrollElement.scrollTop;
+        const atBottom = top + scrollElement.clientHeight >= scrollElement.scrollHeight - 2;
+        const item = atBottom ? items[items.length - 1] : itemAt(items, top + READING_LINE);
+
+        setScrollTop(top);
+        if (!item) return;
+
+        anchorRef.current = {
+            pageNumber: item.pageNumber,
+            fraction: (top + READING_LINE - item.top) / item.height,
+            offset: READING_LINE
+        };
+        setPageNumber(item.pageNumber);
+    }, [scrollElement]);
+
+    const handleScroll = useCallback(() => {
+        if (scrollFrameRef.current) return;
+        scrollFrameRef.current = requestAnimationFrame(updateScrollPosition);
+    }, [updateScrollPosition]);
+
+    useEffect(() => () => cancelAnimationFrame(scrollFrameRef.current), []);
+
+    const scrollToAnchor = useCallback((items) => {
+        const anchor = anchorRef.current;
+        const item = items.find(i => i.pageNumber === anchor.pageNumber);
+        if (!scrollElement || !item) return;
+
+        scrollElement.scrollTo({ top: item.top + anchor.fraction * item.height - anchor.offset });
+        handleScroll();
+    }, [scrollElement, handleScroll]);
+
+    // Re-layout (zoom, rotation, resize, view mode) keeps the reading position
+    useLayoutEffect(() => {
+        layoutRef.current = layout;
+        scrollToAnchor(layout.items);
+    }, [layout, scrollToAnchor]);
+
+    // Log scrolling through pages once the reader settles on one
+    useEffect(() => {
+        if (pageNumber === loggedPageRef.current) return;
+
+        const timer = setTimeout(() => {
+            handleSecurityEvent({
+                type: 'PAGE_TURN',
+                details: { from: loggedPageRef.current, to: pageNumber, via: 'scroll' }
+            });
+            loggedPageRef.current = pageNumber;
+        }, SCROLL_LOG_DELAY_MS);
+
+        return () => clearTimeout(timer);
+    }, [pageNumber, handleSecurityEvent]);
+
+    // Page navigation (buttons, jump form, thumbnails, search matches).
+    // `position` scrolls to a spot within the page instead of its top.
+    const goToPage = (target, type = 'PAGE_TURN', position = null) => {
+        const page = Math.min(Math.max(target, 1), numPages);
+        if (page === pageNumber && !position) return;
+
+        if (page !== pageNumber) {
+            handleSecurityEvent({
+                type,
+                details: type === 'PAGE_JUMP' ? { to: page } : { from: pageNumber, to: page }
+            });
+            loggedPageRef.current = page;
+        }
+        anchorRef.current = { pageNumber: page, fraction: 0, offset: PAGE_PADDING, ...position };
+        setPageNumber(page);
+
+        // Single-page layout re-lays out (and scrolls) by itself on a new page
+        if (viewMode === 'continuous' || page === pageNumber) scrollToAnchor(layout.items);
     };
 
-    const goToNextPage = () => {
-        setPageNumber(prev => Math.min(numPages, prev + 1));
-        handleSecurityEvent({
-            type: 'PAGE_TURN',
-            details: { from: pageNumber, to: pageNumber + 1 }
+    // Full-text search (server-side; only highlight boxes come back)
+    const documentSearch = useDocumentSearch({ pdfId, currentUser });
+
+    const searchHitsByPage = useMemo(() => {
+        const byPage = new Map();
+        (documentSearch.result?.hits || []).forEach((hit, index) => {
+            if (!byPage.has(hit.page)) byPage.set(hit.page, []);
+            byPage.get(hit.page).push({ ...hit, index });
         });
+        return byPage;
+    }, [documentSearch.result]);
+
+    const goToSearchHit = (index, hits = documentSearch.result?.hits) => {
+        const hit = hits?.[index];
+        if (!hit) return;
+
+        documentSearch.select(index);
+        // Bring the match to a third of the way down the view
+        const top = hit.rects.length > 0 ? rotateRect(hit.rects[0], rotation).y : 0;
+        goToPage(hit.page, 'PAGE_JUMP', { fraction: top, offset: viewport.height / 3 });
     };
 
-    const handleJumpToPage = (e) => {
-        e.preventDefault();
-        const targetPage = parseInt(e.currentTarget.pageJump.value, 10);
-        if (targetPage >= 1 && targetPage <= numPages) {
-            setPageNumber(targetPage);
-            handleSecurityEvent({
-                type: 'PAGE_JUMP',
-                details: { to: targetPage }
-            });
+    const handleSearch = async (text) => {
+        const found = await documentSearch.search(text);
+        if (found?.hits.length > 0) goToSearchHit(0, found.hits);
+    };
+
+    // Outline entries and links ({ page, top } from the server)
+    const goToTarget = (target) => {
+        // A spot down the page only maps cleanly while the page is upright or upside down
+        const fraction = target.top === null || rotation % 180 !== 0
+            ? 0
+            : (rotation === 180 ? 1 - target.top : target.top);
+        goToPage(target.page, 'PAGE_JUMP', { fraction, offset: PAGE_PADDING });
+    };
+
+    const outline = pdfMetadata?.navigation?.outline || [];
+
+    const linksByPage = useMemo(() => {
+        const byPage = new Map();
+        for (const link of pdfMetadata?.navigation?.links || []) {
+            if (!byPage.has(link.page)) byPage.set(link.page, []);
+            byPage.get(link.page).push(link);
+        }
+        return byPage;
+    }, [pdfMetadata]);
+
+    // The reader's private highlights and notes
+    const { annotations, error: annotationError, create: createAnnotation, update: updateAnnotation, remove: removeAnnotation } = useAnnotations({ pdfId, currentUser });
+
+    const annotationsByPage = useMemo(() => {
+        const byPage = new Map();
+        for (const annotation of annotations) {
+            if (!byPage.has(annotation.page)) byPage.set(annotation.page, []);
+            byPage.get(annotation.page).push(annotation);
         }
+        return byPage;
+    }, [annotations]);
+
+    const goToAnnotation = (annotation) => {
+        setSelectedAnnotationId(annotation.id);
+        const top = rotateRect(annotation.rects[0], rotation).y;
+        goToPage(annotation.page, 'PAGE_JUMP', { fraction: top, offset: viewport.height / 3 });
     };
 
+    const handleCreateAnnotation = async (page, draft) => {
+        const annotation = await createAnnotation({ page, ...draft });
+        if (annotation) setSelectedAnnotationId(annotation.id);
+    };
+
+    // Group discussion anchored to pages
+    const comments = useComments({ pdfId, currentUser });
+    const { markRead: markCommentsRead } = comments;
+
+    const threadsByPage = useMemo(() => {
+        const byPage = new Map();
+        for (const thread of comments.threads) {
+            if (!byPage.has(thread.page)) byPage.set(thread.page, []);
+            byPage.get(thread.page).push(thread);
+        }
+        return byPage;
+    }, [comments.threads]);
+
+    // Whatever is on screen while the panel is open counts as read
+    useEffect(() => {
+        if (showComments) markCommentsRead();
+    }, [showComments, comments.threads, markCommentsRead]);
+
+    const openComments = () => {
+        setShowNotes(false);
+        setShowComments(true);
+        comments.refresh();
+    };
+
+    const goToThread = (thread) => {
+        setSelectedThreadId(thread.id);
+        if (thread.rect) {
+            goToPage(thread.page, 'PAGE_JUMP', { fraction: rotateRect(thread.rect, rotation).y, offset: viewport.height / 3 });
+        } else {
+            goToPage(thread.page, 'PAGE_JUMP');
+        }
+    };
+
+    const handleStartThread = async (thread) => {
+        const posted = await comments.startThread(thread);
+        if (posted) setCommentDraft(null);
+        return posted;
+    };
+
+    const handleZoom = (mode, value) => {
+        setZoomMode(mode);
+        setZoom(value);
+    };
+
+    const handleRotate = (delta) => {
+        setRotation(prev => (prev + delta + 360) % 360);
+    };
+
+    // Server-rendered page images (image-only mode)
+    const handlePageImageError = useCallback((err) => {
+        console.error('Error fetching page image:', err);
+        if (err.response?.status === 429) {
+            // Rate limited: the page is requested again when it next scrolls into view
+            return;
+        }
+        if (err.response?.status === 409) {
+            // The session was ended (taken over, limit, suspension)
+            setSessionValid(false);
+            return;
+        }
+        if (err.response?.status === 403) {
+            setError('Access denied. Your membership may have expired.');
+        } else {
+            setError('Failed to render page. Please try refreshing.');
+        }
+    }, []);
+
+    const { images, requestImage } = usePageImages({
+        pdfId,
+        sessionId,
+        currentUser,
+        enabled: imageMode && sessionRegistered,
+        onError: handlePageImageError
+    });
+
     // Handle focus restoration
     const handleFocusRestore = () => {
         // Focus is automatically detected by the hook
@@ -271,25 +601,159 @@ const SecureViewer = () => {
     const overlayType = getOverlayType();
     const showOverlay = overlayType !== null;
 
-    // Calculate PDF width based on viewport
-    const pdfWidth = useMemo(() => {
-        if (typeof window !== 'undefined') {
-            return Math.min(window.innerWidth * 0.9, 900);
-        }
-        return 800;
-    }, []);
+    const renderPages = () => (
+        <>
+            {showOutline && outline.length > 0 && (
+                <OutlinePanel outline={outline} onSelect={goToTarget} />
+            )}
+
+            {showThumbnails && (
+                <ThumbnailSidebar
+                    numPages={numPages}
+                    pageSizes={pageSizes}
+                    rotation={rotation}
+                    currentPage={pageNumber}
+                    onSelect={(page) => goToPage(page, 'PAGE_JUMP')}
+                    imageMode={imageMode}
+                    images={images}
+                    requestImage={requestImage}
+                    forensicPattern={forensicPattern}
+                />
+            )}
+
+            <div
+                ref={setScrollElement}
+                onScroll={handleScroll}
+                className="flex-1 min-w-0 overflow-auto"
+            >
+                <div
+                    className="relative"
+                    style={{ width: layout.totalWidth, minWidth: '100%', height: layout.totalHeight }}
+                >
+                    {viewport.width > 0 && visibleItems(layout.items, scrollTop, viewport.height, PAGE_OVERSCAN).map((item) => (
+                        <div
+                            key={item.pageNumber}
+                            className="absolute bg-white rounded overflow-hidden"
+                            style={{ top: item.top, left: '50%', marginLeft: -item.width / 2, width: item.width, height: item.height }}
+                        >
+                            <PageCanvas
+                                pageNumber={item.pageNumber}
+                                width={item.width}
+                                height={item.height}
+                                rotate={imageMode ? rotation : ((pageSizeOf(pageSizes, item.pageNumber).rotate || 0) + rotation) % 360}
+                                imageMode={imageMode}
+                                imageWidth={imageWidthFor(item.width)}
+                                images={images}
+                                requestImage={requestImage}
+                            />
+
+                            <SearchHighlights
+                                hits={searchHitsByPage.get(item.pageNumber)}
+                                activeIndex={documentSearch.activeIndex}
+                                rotation={rotation}
+                            />
+
+                            <LinkHotspots
+                                links={linksByPage.get(item.pageNumber)}
+                                rotation={rotation}
+                                onSelect={goToTarget}
+                            />
+
+                            <AnnotationLayer
+                                annotations={annotationsByPage.get(item.pageNumber)}
+                                rotation={rotation}
+                                tool={annotationTool === 'comment' ? null : annotationTool}
+                                selectedId={selectedAnnotationId}
+                                onSelect={(id) => {
+                                    setSelectedAnnotationId(id);
+                                    setShowComments(false);
+                                    setShowNotes(true);
+                                }}
+                                onCreate={(draft) => handleCreateAnnotation(item.pageNumber, draft)}
+                            />
+
+                            <CommentLayer
+                                threads={threadsByPage.get(item.pageNumber)}
+                                rotation={rotation}
+                                selectedId={selectedThreadId}
+                                picking={annotationTool === 'comment'}
+                                onSelect={(id) => {
+                                    setSelectedThreadId(id);
+                                    openComments();
+                                }}
+                                onPick={(rect) => {
+                                    setCommentDraft({ page: item.pageNumber, rect });
+                                    setAnnotationTool(null);
+                                    openComments();
+                                }}
+                            />
+
+                            {/* Invisible forensic mark (server-rendered pages already carry it) */}
+                            {!imageMode && <ForensicMark pattern={forensicPattern} />}
+
+                            {/* PDF-Specific Watermark (Dark text for white paper) */}
+                            <Watermark
+                                userEmail={currentUser?.email || 'user'}
+                                sessionId={sessionId}
+                                opacity={watermarkOpacity * 2 / 3}
+                                fontSize={14}
+                                color="#000000"
+                                position="absolute"
+                                zIndex={10}
+                                animated={true}
+                            />
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {showNotes && (
+                <NotesPanel
+                    annotations={annotations}
+                    selectedId={selectedAnnotationId}
+                    currentVersion={pdfMetadata?.version}
+                    error={annotationError}
+                    onSelect={goToAnnotation}
+                    onUpdate={updateAnnotation}
+                    onRemove={removeAnnotation}
+                />
+            )}
+
+            {showComments && (
+                <CommentsPanel
+                    threads={comments.threads}
+                    participants={comments.participants}
+                    canModerate={comments.canModerate}
+                    currentUserId={currentUser?.uid}
+                    currentVersion={pdfMetadata?.version}
+                    currentPage={pageNumber}
+                    draftAnchor={commentDraft}
+                    lastReadAt={comments.lastReadAt}
+                    selectedId={selectedThreadId}
+                    error={comments.error}
+                    onSelect={goToThread}
+                    onDraft={setCommentDraft}
+                    onStartThread={handleStartThread}
+                    onReply={comments.reply}
+                    onEdit={comments.edit}
+                    onResolve={comments.setResolved}
+                    onRemove={comments.remove}
+                />
+            )}
+        </>
+    );
 
     return (
         <div
             ref={containerRef}
-            className={`secure-viewer min-h-screen bg-gray-900 flex flex-col items-center justify-start pt-8 pb-24 relative ${!isFocused ? 'blurred' : ''}`}
+            className={`secure-viewer h-screen bg-gray-900 flex flex-col relative overflow-hidden ${!isFocused ? 'blurred' : ''}`}
             tabIndex={0}
         >
             {/* Watermark Layer - Always visible */}
             <Watermark
                 userEmail={currentUser?.email || 'user'}
                 sessionId={sessionId}
-                opacity={0.12}
+                opacity={watermarkOpacity}
                 fontSize={13}
                 color="#ffffff"
                 animated={true}
@@ -304,7 +768,7 @@ const SecureViewer = () => {
             />
 
             {/* Header Bar */}
-            <div className="w-full max-w-4xl mb-6 px-4 flex items-center justify-between">
+            <div className="w-full max-w-4xl mx-auto py-4 px-4 flex items-center justify-between shrink-0">
                 <Link
                     to={`/group/${groupId}`}
                     className="interactive-element flex items-center gap-2 text-gray-400 hover:text-white transition-colors"
@@ -324,6 +788,29 @@ const SecureViewer = () => {
 
                 {/* Security Status */}
                 <div className="flex items-center gap-2">
+                    {numPages && (
+                        <div className="mr-3">
+                            <DocumentSearch
+                                query={documentSearch.query}
+                                result={documentSearch.result}
+                                activeIndex={documentSearch.activeIndex}
+                                loading={documentSearch.loading}
+                                error={documentSearch.error}
+                                onSearch={handleSearch}
+                                onSelect={(index) => goToSearchHit(index)}
+                                onClear={documentSearch.clear}
+                            />
+                        </div>
+                    )}
+                    {securityPolicy?.allowDownload && (
+                        <div className="mr-3">
+                            <DownloadCopyButton
+                                pdfId={pdfId}
+                                title={pdfMetadata?.title}
+                                currentUser={currentUser}
+                            />
+                        </div>
+                    )}
                     <span className={`w-2 h-2 rounded-full ${isSecure ? 'bg-green-500' : 'bg-red-500'}`} />
                     <span className="text-xs text-gray-500">
                         {isSecure ? 'Secure' : 'Warning'}
@@ -331,11 +818,11 @@ const SecureViewer = () => {
                 </div>
             </div>
 
-            {/* Pref={contentRef} DF Content Area */}
-            <div className="pdf-content relative">
+            {/* PDF Content Area */}
+            <div ref={contentRef} className="pdf-content relative flex-1 min-h-0 flex flex-col">
                 {/* Error State */}
                 {error && (
-                    <div className="bg-red-900/50 border border-red-500 text-red-200 p-6 rounded-lg max-w-md text-center">
+                    <div className="bg-red-900/50 border border-red-500 text-red-200 p-6 rounded-lg max-w-md mx-auto mt-8 text-center">
                         <div className="text-4xl mb-4">⚠️</div>
                         <p className="mb-4">{error}</p>
                         <button
@@ -355,12 +842,20 @@ const SecureViewer = () => {
                     </div>
                 )}
 
+                {/* Server-rendered pages (image-only mode) */}
+                {imageMode && numPages && !error && (
+                    <div className="flex flex-1 min-h-0">
+                        {renderPages()}
+                    </div>
+                )}
+
                 {/* PDF Document */}
                 {pdfUrl && !error && (
                     <Document
                         file={pdfUrl}
                         onLoadSuccess={onDocumentLoadSuccess}
                         onLoadError={onDocumentLoadError}
+                        className="flex flex-1 min-h-0"
                         loading={
                             <div className="pdf-loading">
                                 <div className="pdf-loading-spinner mb-4" />
@@ -368,76 +863,41 @@ const SecureViewer = () => {
                             </div>
                         }
                     >
-                        <Page
-                            pageNumber={pageNumber}
-                            renderTextLayer={false}      // CRITICAL: No text layer = cannot select text
-                            renderAnnotationLayer={false} // No clickable links
-                            width={pdfWidth}
-                            className="pdf-canvas"
-                            loading={
-                                <div
-                                    className="bg-gray-800 rounded-lg flex items-center justify-center"
-                                    style={{ width: pdfWidth, height: pdfWidth * 1.4 }}
-                                >
-                                    <div className="pdf-loading-spinner" />
-                                </div>
-                            }
-                        />
+                        {numPages && renderPages()}
                     </Document>
                 )}
-
-                {/* PDF-Specific Watermark (Dark text for white paper) */}
-                {pdfUrl && !error && (
-                    <Watermark
-                        userEmail={currentUser?.email || 'user'}
-                        sessionId={sessionId}
-                        opacity={0.08}
-                        fontSize={14}
-                        color="#000000"
-                        position="absolute"
-                        zIndex={10}
-                        animated={true}
-                    />
-                )}
             </div>
 
             {/* Navigation Controls */}
             {numPages && (
-                <div className="pdf-controls interactive-element" style={{ gap: '1rem' }}>
-                    <button
-                        onClick={goToPrevPage}
-                        disabled={pageNumber <= 1}
-                    >
-                        ← Previous
-                    </button>
-
-                    <form onSubmit={handleJumpToPage} className="flex items-center gap-2">
-                        <span className="text-gray-400 text-sm font-medium">Page</span>
-                        <input
-                            name="pageJump"
-                            type="number"
-                            min="1"
-                            max={numPages}
-                            defaultValue={pageNumber}
-                            key={pageNumber}
-                            className="w-16 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-center text-white focus:border-blue-500 outline-none text-sm"
-                        />
-                        <span className="text-gray-400 text-sm font-medium">of {numPages}</span>
-                        <button
-                            type="submit"
-                            className="px-2 py-1 !bg-blue-600 !border-blue-500 hover:!bg-blue-700 text-white rounded text-sm font-medium ml-2"
-                        >
-                            Go
-                        </button>
-                    </form>
-
-                    <button
-                        onClick={goToNextPage}
-                        disabled={pageNumber >= numPages}
-                    >
-                        Next →
-                    </button>
-                </div>
+                <ViewerControls
+                    pageNumber={pageNumber}
+                    numPages={numPages}
+                    onNavigate={(page) => goToPage(page, 'PAGE_TURN')}
+                    onJump={(page) => goToPage(page, 'PAGE_JUMP')}
+                    scale={layout.scale}
+                    zoomMode={zoomMode}
+                    zoom={zoom}
+                    onZoom={handleZoom}
+                    onRotate={handleRotate}
+                    viewMode={viewMode}
+                    onViewModeChange={setViewMode}
+                    showThumbnails={showThumbnails}
+                    onToggleThumbnails={() => setShowThumbnails(prev => !prev)}
+                    showOutline={showOutline}
+                    onToggleOutline={outline.length > 0 ? () => setShowOutline(prev => !prev) : undefined}
+                    annotationTool={annotationTool}
+                    onAnnotationToolChange={setAnnotationTool}
+                    showNotes={showNotes}
+                    onToggleNotes={() => {
+                        setShowComments(false);
+                        setShowNotes(prev => !prev);
+                    }}
+                    noteCount={annotations.length}
+                    showComments={showComments}
+                    onToggleComments={showComments ? () => setShowComments(false) : openComments}
+                    unreadComments={comments.unreadCount}
+                />
             )}
 
             {/* Security Badge (bottom left) */}